@@ -0,0 +1,102 @@
+/**
+ * @module Application/Services
+ */
+
+/**
+ * AutosaveService
+ *
+ * Saves the circuit a short while after it changes, so that a closed tab or
+ * a crashed browser does not lose the design. Saving is debounced on the
+ * CircuitService "update" event: a drag that emits many updates is saved
+ * once, when it stops. Where the revisions go is up to the store (e.g.
+ * AutosaveStore, in localStorage). When the circuit is saved to a file,
+ * markSaved() tells the store, so that a session that ended saved is not
+ * offered for restoring.
+ *
+ * @example
+ * const autosave = new AutosaveService(circuitService, new AutosaveStore(), {
+ *   serialize: () => ProjectFileAdapter.exportToString(circuitService, { compact: true }),
+ * });
+ * autosave.start();
+ * window.addEventListener('pagehide', () => autosave.flush());
+ * documentService.on('change', () => { if (!documentService.dirty) autosave.markSaved(); });
+ */
+export class AutosaveService {
+  /**
+   * @param {CircuitService} circuitService - Service managing the circuit.
+   * @param {{save: (content: string, info: {title: string, elementCount: number}) => boolean,
+   *   markSaved: (content: string, info: {title: string, elementCount: number}) => void}} store - Where revisions are saved.
+   * @param {Object} [options]
+   * @param {number} [options.delay=2000] - Time without changes before saving (ms).
+   * @param {() => string} [options.serialize] - Builds the content to save; the circuit state by default.
+   */
+  constructor(circuitService, store, { delay = 2000, serialize = () => circuitService.exportState() } = {}) {
+    this.circuitService = circuitService;
+    this.store = store;
+    this.delay = delay;
+    this.serialize = serialize;
+    this._timer = null;
+    this._onUpdate = () => this._schedule();
+  }
+
+  /** Start saving on changes. */
+  start() {
+    this.circuitService.on("update", this._onUpdate);
+  }
+
+  /** Stop saving on changes; a pending save is dropped. */
+  stop() {
+    this.circuitService.off("update", this._onUpdate);
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /** Save now if a change is waiting to be saved. */
+  flush() {
+    if (this._timer === null) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.save();
+  }
+
+  /**
+   * Save the circuit now.
+   * @returns {boolean} True if a revision was added (false if unchanged, or on a storage error).
+   */
+  save() {
+    try {
+      return this.store.save(this.serialize(), this._info());
+    } catch (error) {
+      console.warn("[AutosaveService] Autosave failed:", error);
+      return false;
+    }
+  }
+
+  /** Record that the circuit, as it is now, was saved to a file. */
+  markSaved() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    try {
+      this.store.markSaved(this.serialize(), this._info());
+    } catch (error) {
+      console.warn("[AutosaveService] Autosave failed:", error);
+    }
+  }
+
+  /** @private */
+  _info() {
+    return {
+      title: this.circuitService.getMetadata().title,
+      elementCount: this.circuitService.getElements().length,
+    };
+  }
+
+  /** @private */
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.save();
+    }, this.delay);
+  }
+}
@@ -11,7 +11,7 @@
 import { EventEmitter } from "../utils/EventEmitter.js";
 import { Circuit } from "../domain/aggregates/Circuit.js";
 import { Element } from "../domain/entities/Element.js";
-import { generateId } from "../utils/idGenerator.js";
+import { generateId, reserveId } from "../utils/idGenerator.js";
 import { ElementRegistry } from "../config/registry.js";
 import { Position } from "../domain/valueObjects/Position.js";
 import { Properties } from "../domain/valueObjects/Properties.js";
@@ -140,6 +140,7 @@ export class CircuitService extends EventEmitter {
 
     this.circuit.validateAddElement(element); // Delegate validation to Circuit
     this.circuit.elements.push(element); // Add the element to the circuit
+    reserveId(element.id); // Elements created later must not reuse its ID
 
     // Notify subscribers (GUI, renderers) about the update
     this.emit("update", { type: "addElement", element });
@@ -293,8 +294,99 @@ export class CircuitService extends EventEmitter {
             console.error('Error updating element properties:', error);
             return false;
         }
-    }  /**
-   * Serializes the entire state of the circuit for undo/redo or persistence.
+    }
+
+  /**
+   * Defines a parameter, or changes its value.
+   *
+   * Emits an **"update" event**.
+   *
+   * @param {string} name - The parameter name (a Python identifier, e.g. "Lj").
+   * @param {number|undefined} value - The value in SI units, or undefined to leave it unset.
+   * @throws {Error} If the name or the value is invalid.
+   */
+  setParameter(name, value) {
+    this.circuit.setParameter(name, value);
+    this.emit("update", { type: "setParameter", name, value });
+  }
+
+  /**
+   * Removes a parameter. Elements bound to it keep its name as their label.
+   *
+   * Emits an **"update" event** if the parameter existed.
+   *
+   * @param {string} name - The parameter name.
+   * @returns {boolean} True if the parameter existed.
+   */
+  removeParameter(name) {
+    const removed = this.circuit.removeParameter(name);
+    if (removed) this.emit("update", { type: "removeParameter", name });
+    return removed;
+  }
+
+  /**
+   * Returns the parameters of the circuit.
+   *
+   * @returns {Object<string, number|undefined>} Parameter name → value.
+   */
+  getParameters() {
+    return Object.fromEntries(this.circuit.parameters);
+  }
+
+  /**
+   * Changes some of the project information (title, author, notes).
+   *
+   * Emits an **"update" event**.
+   *
+   * @param {{title?: string, author?: string, notes?: string}} changes - The fields to change.
+   * @throws {Error} If a field is unknown or not a string.
+   */
+  setMetadata(changes) {
+    this.circuit.setMetadata(changes);
+    this.emit("update", { type: "setMetadata", changes });
+  }
+
+  /**
+   * Returns the project information.
+   *
+   * @returns {{title: string, author: string, notes: string}} A copy of the fields.
+   */
+  getMetadata() {
+    return { ...this.circuit.metadata };
+  }
+
+  /**
+   * Binds a property of an element to a parameter: the property value becomes
+   * "variable" and the element label becomes the parameter name, which is how
+   * QuCat netlists refer to symbolic values.
+   *
+   * If the parameter does not exist yet, it is created with the current
+   * numeric value of the property (if any).
+   *
+   * Emits an **"update" event**.
+   *
+   * @param {string} elementId - The ID of the element to bind.
+   * @param {string} propertyKey - The property to bind (e.g. "inductance").
+   * @param {string} name - The parameter name.
+   * @throws {Error} If the element does not exist, or the name is invalid.
+   */
+  bindElementToParameter(elementId, propertyKey, name) {
+    const element = this.getElementByID(elementId);
+    if (!element) throw new Error(`Element with ID ${elementId} not found`);
+
+    if (!this.circuit.parameters.has(name)) {
+      const current = element.getProperties().values[propertyKey];
+      this.circuit.setParameter(name, typeof current === "number" ? current : undefined);
+    }
+
+    element.getProperties().updateProperty(propertyKey, "variable");
+    element.label = new Label(name);
+    this.emit("update", { type: "bindElementToParameter", elementId, propertyKey, name });
+  }
+
+  /**
+   * Serializes the entire state of the circuit for undo/redo or persistence:
+   * elements, parameters, project information and annotations.
    *
    * @returns {string} A JSON string representing the circuit state.
    */
@@ -306,7 +398,13 @@ export class CircuitService extends EventEmitter {
         label: el.label ? el.label.value : null, //  Export label value, not Label object
         nodes: el.nodes.map((pos) => ({ x: pos.x, y: pos.y })),
         properties: { ...el.properties.values }, //  flatten properties
-      }))
+      })),
+      // JSON drops undefined: unset parameters are written as null
+      parameters: Object.fromEntries(
+        [...this.circuit.parameters].map(([name, value]) => [name, value ?? null]),
+      ),
+      metadata: { ...this.circuit.metadata },
+      annotations: this.circuit.annotations,
     });
   }
 
@@ -320,6 +418,14 @@ export class CircuitService extends EventEmitter {
 
     // Reset circuit state
     this.circuit.elements = [];
+    this.circuit.parameters = new Map(
+      Object.entries(data.parameters ?? {}).map(([name, value]) => [name, value ?? undefined]),
+    );
+    // Snapshots without project information or annotations leave them blank
+    this.circuit.setMetadata(Object.fromEntries(
+      Object.keys(this.circuit.metadata).map((key) => [key, data.metadata?.[key] ?? ""]),
+    ));
+    this.circuit.annotations = [...(data.annotations ?? [])];
 
     // Reconstruct elements
     const elementsById = {};
@@ -348,6 +454,8 @@ export class CircuitService extends EventEmitter {
       const el = factory(elData.id, nodes, labelObj, properties);
       elementsById[el.id] = el;
       this.circuit.elements.push(el);
+      // Saved IDs (projects, autosaves, share links) must not be generated again
+      reserveId(el.id);
     }
 
     this.emit("update", { type: "restoredFromSnapshot" });
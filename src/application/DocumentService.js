@@ -0,0 +1,104 @@
+/**
+ * @module Application/Services
+ */
+
+import { EventEmitter } from "../utils/EventEmitter.js";
+
+/** Updates emitted on every mouse move while dragging or placing elements. */
+const PREVIEW_UPDATES = new Set(["movePreview", "dragElement"]);
+
+/** Time without preview updates before the circuit is compared (ms). */
+const PREVIEW_SETTLE_DELAY = 300;
+
+/**
+ * DocumentService
+ *
+ * Tracks the file the circuit was opened from or last saved to, and whether
+ * the circuit has changed since (the "dirty" flag shown in the title bar).
+ * The file handle is opaque here: it comes from the File System Access API
+ * when the browser has it, and is null when files go through downloads.
+ *
+ * A "change" event is emitted when the file or the dirty flag changes.
+ * Whether the circuit changed is found by comparing its state (elements,
+ * parameters, project information and annotations) with the saved one; during
+ * drags this is done once the previews stop, not on every mouse move.
+ *
+ * @example
+ * const doc = new DocumentService(circuitService);
+ * doc.on("change", () => { document.title = `${doc.dirty ? "● " : ""}${doc.displayName}`; });
+ * doc.setFile({ name: "transmon.txt", handle, format: "netlist" });
+ */
+export class DocumentService extends EventEmitter {
+  /**
+   * @param {CircuitService} circuitService - Service managing the circuit.
+   */
+  constructor(circuitService) {
+    super();
+    this.circuitService = circuitService;
+    /** @type {string|null} File name, null for a new circuit. */
+    this.name = null;
+    /** @type {*} File handle to save in place, or null. */
+    this.handle = null;
+    /** @type {'netlist'|'project'|null} Format of the file. */
+    this.format = null;
+    /** @type {boolean} True if the circuit changed since it was opened or saved. */
+    this.dirty = false;
+    this._savedState = circuitService.exportState();
+    this._previewTimer = null;
+
+    this.circuitService.on("update", (event) => this._onUpdate(event));
+  }
+
+  /** @returns {string} The file name, or "Untitled". */
+  get displayName() {
+    return this.name ?? "Untitled";
+  }
+
+  /**
+   * Record the file the circuit now corresponds to, e.g. after opening or
+   * saving it; the circuit is then clean.
+   *
+   * @param {Object} file
+   * @param {string} file.name - File name.
+   * @param {*} [file.handle=null] - Handle to save in place, if any.
+   * @param {'netlist'|'project'} file.format - Format of the file.
+   */
+  setFile({ name, handle = null, format }) {
+    Object.assign(this, { name, handle, format });
+    this.markSaved();
+  }
+
+  /** Record that the circuit was saved to its file. */
+  markSaved() {
+    clearTimeout(this._previewTimer);
+    this._previewTimer = null;
+    this._savedState = this.circuitService.exportState();
+    this.dirty = false;
+    this.emit("change", this);
+  }
+
+  /** @private */
+  _onUpdate(event) {
+    // Once dirty, stay dirty until saved
+    if (this.dirty) return;
+    if (PREVIEW_UPDATES.has(event?.type)) {
+      clearTimeout(this._previewTimer);
+      this._previewTimer = setTimeout(() => this._compare(), PREVIEW_SETTLE_DELAY);
+      return;
+    }
+    this._compare();
+  }
+
+  /**
+   * Mark the circuit dirty if it differs from the saved state; updates that
+   * change nothing leave a clean circuit clean.
+   * @private
+   */
+  _compare() {
+    clearTimeout(this._previewTimer);
+    this._previewTimer = null;
+    if (this.dirty || this.circuitService.exportState() === this._savedState) return;
+    this.dirty = true;
+    this.emit("change", this);
+  }
+}
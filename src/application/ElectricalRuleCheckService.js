@@ -0,0 +1,269 @@
+/**
+ * @module Application/Services
+ */
+
+import { NodeExtractionService } from "./NodeExtractionService.js";
+
+/**
+ * Property key holding the electrical value of each component type.
+ * @type {Object<string, string>}
+ */
+export const VALUE_KEYS = {
+  resistor: "resistance",
+  capacitor: "capacitance",
+  inductor: "inductance",
+  junction: "inductance",
+};
+
+/**
+ * @typedef {Object} ERCIssue
+ * @property {string} code - Rule identifier (e.g. "floating-terminal").
+ * @property {'error'|'warning'} severity - Errors make the netlist unusable in QuCat; warnings are suspicious.
+ * @property {string} message - Human-readable description.
+ * @property {string[]} elementIds - IDs of the elements involved.
+ */
+
+/**
+ * @class ElectricalRuleCheckService
+ * @description
+ * Runs an electrical rule check (ERC) on the circuit managed by a CircuitService,
+ * using the connectivity graph from NodeExtractionService.
+ *
+ * **Rules:**
+ * - `floating-terminal` — a component terminal connected to nothing else.
+ * - `dangling-wire` — a wire end touching no other element.
+ * - `shorted-element` — both terminals of a component on the same node.
+ * - `missing-ground` — components are present but no ground is placed.
+ * - `missing-value` — a component has neither a value nor a label (rejected by QuCat).
+ * - `overlapping-components` — two components drawn on top of each other.
+ *
+ * @example
+ * const erc = new ElectricalRuleCheckService(circuitService);
+ * erc.check().forEach(issue => console.log(issue.severity, issue.message));
+ */
+export class ElectricalRuleCheckService {
+  /**
+   * @param {CircuitService} circuitService - Service managing the circuit elements.
+   * @param {NodeExtractionService} [nodeExtractionService] - Shared node extraction service.
+   */
+  constructor(circuitService, nodeExtractionService = new NodeExtractionService(circuitService)) {
+    this.circuitService = circuitService;
+    this.nodeExtractionService = nodeExtractionService;
+  }
+
+  /**
+   * Runs all rules on the current circuit.
+   *
+   * @returns {ERCIssue[]} The issues found, errors first.
+   */
+  check() {
+    const elements = this.circuitService.getElements();
+    const graph = this.nodeExtractionService.getGraph();
+
+    const issues = [
+      ...this._checkFloatingTerminals(elements, graph),
+      ...this._checkDanglingWires(elements),
+      ...this._checkShortedElements(elements, graph),
+      ...this._checkMissingGround(elements, graph),
+      ...this._checkMissingValues(elements),
+      ...this._checkOverlappingComponents(elements),
+    ];
+
+    const rank = { error: 0, warning: 1 };
+    return issues.sort((a, b) => rank[a.severity] - rank[b.severity]);
+  }
+
+  /**
+   * @private
+   * @param {Element[]} elements
+   * @param {ElectricalGraph} graph
+   * @returns {ERCIssue[]}
+   */
+  _checkFloatingTerminals(elements, graph) {
+    const issues = [];
+    for (const element of elements) {
+      if (element.type === "wire") continue;
+
+      graph.terminalNodes.get(element.id).forEach((nodeId, terminal) => {
+        if (nodeId === null) return;
+        if (graph.nodeTerminals.get(nodeId).length === 1) {
+          issues.push({
+            code: "floating-terminal",
+            severity: "error",
+            message: `${ElectricalRuleCheckService._describe(element)}: terminal ${terminal + 1} is not connected`,
+            elementIds: [element.id],
+          });
+        }
+      });
+    }
+    return issues;
+  }
+
+  /**
+   * A wire end is dangling when no other terminal sits on it and it does not
+   * lie on the body of another wire.
+   *
+   * @private
+   * @param {Element[]} elements
+   * @returns {ERCIssue[]}
+   */
+  _checkDanglingWires(elements) {
+    const counts = new Map();
+    const keyOf = (node) => `${node.x},${node.y}`;
+    for (const element of elements) {
+      const nodes = element.type === "ground" ? element.nodes.slice(0, 1) : element.nodes;
+      for (const node of nodes) {
+        counts.set(keyOf(node), (counts.get(keyOf(node)) || 0) + 1);
+      }
+    }
+
+    const wires = elements.filter((el) => el.type === "wire");
+    const issues = [];
+    for (const wire of wires) {
+      const ends = [wire.nodes[0], wire.nodes[wire.nodes.length - 1]];
+      const dangling = ends.some((end) => {
+        if (counts.get(keyOf(end)) > 1) return false;
+        return !wires.some((other) => other !== wire && other.nodes.some((start, i) =>
+          i < other.nodes.length - 1 && NodeExtractionService.isOnSegmentBody(end, start, other.nodes[i + 1])
+        ));
+      });
+
+      if (dangling) {
+        issues.push({
+          code: "dangling-wire",
+          severity: "warning",
+          message: `Wire ${wire.id} has an unconnected end`,
+          elementIds: [wire.id],
+        });
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * @private
+   * @param {Element[]} elements
+   * @param {ElectricalGraph} graph
+   * @returns {ERCIssue[]}
+   */
+  _checkShortedElements(elements, graph) {
+    return elements
+      .filter((el) => el.type in VALUE_KEYS)
+      .filter((el) => {
+        const [a, b] = graph.terminalNodes.get(el.id);
+        return a !== null && a === b;
+      })
+      .map((el) => ({
+        code: "shorted-element",
+        severity: "error",
+        message: `${ElectricalRuleCheckService._describe(el)} is shorted (both terminals on the same node)`,
+        elementIds: [el.id],
+      }));
+  }
+
+  /**
+   * @private
+   * @param {Element[]} elements
+   * @param {ElectricalGraph} graph
+   * @returns {ERCIssue[]}
+   */
+  _checkMissingGround(elements, graph) {
+    const hasComponents = elements.some((el) => el.type in VALUE_KEYS);
+    if (!hasComponents || graph.hasGround) return [];
+    return [{
+      code: "missing-ground",
+      severity: "warning",
+      message: "The circuit has no ground",
+      elementIds: [],
+    }];
+  }
+
+  /**
+   * @private
+   * @param {Element[]} elements
+   * @returns {ERCIssue[]}
+   */
+  _checkMissingValues(elements) {
+    return elements
+      .filter((el) => el.type in VALUE_KEYS)
+      .filter((el) => {
+        const value = el.properties?.values?.[VALUE_KEYS[el.type]];
+        const hasValue = typeof value === "number" && Number.isFinite(value);
+        return !hasValue && !ElectricalRuleCheckService._labelOf(el);
+      })
+      .map((el) => ({
+        code: "missing-value",
+        severity: "error",
+        message: `${ElectricalRuleCheckService._describe(el)} has neither a value nor a label`,
+        elementIds: [el.id],
+      }));
+  }
+
+  /**
+   * Two components overlap when their terminal segments are collinear and
+   * share more than a single point.
+   *
+   * @private
+   * @param {Element[]} elements
+   * @returns {ERCIssue[]}
+   */
+  _checkOverlappingComponents(elements) {
+    const components = elements.filter((el) => el.type !== "wire" && el.nodes.length >= 2);
+    const issues = [];
+    for (let i = 0; i < components.length; i++) {
+      for (let j = i + 1; j < components.length; j++) {
+        const a = components[i];
+        const b = components[j];
+        if (ElectricalRuleCheckService._segmentsOverlap(a.nodes[0], a.nodes[1], b.nodes[0], b.nodes[1])) {
+          issues.push({
+            code: "overlapping-components",
+            severity: "warning",
+            message: `${ElectricalRuleCheckService._describe(a)} overlaps ${ElectricalRuleCheckService._describe(b)}`,
+            elementIds: [a.id, b.id],
+          });
+        }
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * @private
+   * @returns {boolean} True if segments a1–a2 and b1–b2 are collinear and overlap over a positive length.
+   */
+  static _segmentsOverlap(a1, a2, b1, b2) {
+    const dx = a2.x - a1.x;
+    const dy = a2.y - a1.y;
+    const lenSq = dx * dx + dy * dy;
+    if (lenSq === 0) return false;
+
+    const cross = (p) => dx * (p.y - a1.y) - dy * (p.x - a1.x);
+    if (Math.abs(cross(b1)) > 1e-6 || Math.abs(cross(b2)) > 1e-6) return false;
+
+    // Project b onto a and compare parameter ranges.
+    const t = (p) => ((p.x - a1.x) * dx + (p.y - a1.y) * dy) / lenSq;
+    const lo = Math.max(0, Math.min(t(b1), t(b2)));
+    const hi = Math.min(1, Math.max(t(b1), t(b2)));
+    return hi - lo > 1e-9;
+  }
+
+  /**
+   * @private
+   * @param {Element} element
+   * @returns {string} The label text, or an empty string.
+   */
+  static _labelOf(element) {
+    const label = element.label?.value ?? element.label;
+    return typeof label === "string" ? label.trim() : "";
+  }
+
+  /**
+   * @private
+   * @param {Element} element
+   * @returns {string} Short description such as "junction J1 (Lj)".
+   */
+  static _describe(element) {
+    const label = ElectricalRuleCheckService._labelOf(element);
+    return label ? `${element.type} ${element.id} (${label})` : `${element.type} ${element.id}`;
+  }
+}
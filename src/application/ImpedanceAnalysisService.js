@@ -0,0 +1,128 @@
+/**
+ * @module Application/Services
+ */
+
+import { NodeExtractionService } from "./NodeExtractionService.js";
+import { NormalModeAnalysisService } from "./NormalModeAnalysisService.js";
+import { solveComplex, linspace, geomspace } from "../utils/linearAlgebra.js";
+
+/**
+ * Small conductance added from every node to the reference, so that nodes
+ * without a resistive or reactive path (and the DC limit) keep the nodal
+ * matrix invertible without visibly changing the result.
+ * @type {number}
+ */
+export const GMIN = 1e-12;
+
+/**
+ * @typedef {Object} ImpedancePoint
+ * @property {number} frequency - Frequency (Hz).
+ * @property {number} re - Real part of Z (Ω).
+ * @property {number} im - Imaginary part of Z (Ω).
+ * @property {number} magnitude - |Z| (Ω).
+ * @property {number} phase - arg Z (degrees).
+ */
+
+/**
+ * @class ImpedanceAnalysisService
+ * @description
+ * Computes the impedance seen between two electrical nodes as a function of
+ * frequency, like QuCat's `Network.Z`.
+ *
+ * Uses nodal analysis with admittance matrix Y(ω) = G + jω·C + L⁻¹/(jω),
+ * where junctions are linearised to their Josephson inductance. A unit current
+ * is injected at node A and extracted at node B; Z = V_A − V_B.
+ * The matrices come from NormalModeAnalysisService, so component values and
+ * label resolution behave the same in both analyses.
+ *
+ * @example
+ * const impedance = new ImpedanceAnalysisService(circuitService);
+ * const freqs = ImpedanceAnalysisService.frequencyGrid(1e9, 10e9, 501);
+ * const curve = impedance.compute(1, 0, freqs, { Lj: 10e-9 });
+ */
+export class ImpedanceAnalysisService {
+  /**
+   * @param {CircuitService} circuitService - Service managing the circuit elements.
+   * @param {NodeExtractionService} [nodeExtractionService] - Shared node extraction service.
+   */
+  constructor(circuitService, nodeExtractionService = new NodeExtractionService(circuitService)) {
+    this.circuitService = circuitService;
+    this.nodeExtractionService = nodeExtractionService;
+    this.modeAnalysis = new NormalModeAnalysisService(circuitService, nodeExtractionService);
+  }
+
+  /**
+   * Computes Z(f) between two nodes.
+   *
+   * @param {number} nodeA - Node where the test current enters.
+   * @param {number} nodeB - Node where the test current leaves.
+   * @param {number[]} frequencies - Frequencies (Hz).
+   * @param {Object<string, number>} [labelValues={}] - Values of label-only components.
+   * @returns {ImpedancePoint[]}
+   * @throws {Error} If a node is unknown, or a component value cannot be resolved.
+   */
+  compute(nodeA, nodeB, frequencies, labelValues = {}) {
+    const nodeIds = this.nodeExtractionService.getNodeIds();
+    for (const node of [nodeA, nodeB]) {
+      if (!nodeIds.includes(node)) throw new Error(`Unknown node: ${node}`);
+    }
+
+    const { nodeIds: rows, C, Linv, G } = this.modeAnalysis.buildMatrices(labelValues);
+    const n = rows.length;
+    const a = rows.indexOf(nodeA);
+    const b = rows.indexOf(nodeB);
+
+    const current = new Array(n).fill(0);
+    if (a >= 0) current[a] += 1;
+    if (b >= 0) current[b] -= 1;
+    const zero = new Array(n).fill(0);
+
+    return frequencies.map((frequency) => {
+      let re = 0;
+      let im = 0;
+      if (nodeA !== nodeB && n > 0) {
+        const omega = 2 * Math.PI * frequency;
+        const Yr = G.map((row, i) => row.map((g, j) => g + (i === j ? GMIN : 0)));
+        const Yi = C.map((row, i) => row.map((c, j) => omega * c - Linv[i][j] / omega));
+
+        const v = solveComplex(Yr, Yi, current, zero);
+        re = (a >= 0 ? v.re[a] : 0) - (b >= 0 ? v.re[b] : 0);
+        im = (a >= 0 ? v.im[a] : 0) - (b >= 0 ? v.im[b] : 0);
+      }
+      return {
+        frequency,
+        re,
+        im,
+        magnitude: Math.hypot(re, im),
+        phase: (Math.atan2(im, re) * 180) / Math.PI,
+      };
+    });
+  }
+
+  /**
+   * Builds a frequency grid.
+   *
+   * @param {number} start - First frequency (Hz, > 0 for a log grid).
+   * @param {number} stop - Last frequency (Hz).
+   * @param {number} points - Number of points (≥ 2).
+   * @param {'linear'|'log'} [spacing='linear']
+   * @returns {number[]}
+   */
+  static frequencyGrid(start, stop, points, spacing = "linear") {
+    return spacing === "log" ? geomspace(start, stop, points) : linspace(start, stop, points);
+  }
+
+  /**
+   * Formats an impedance curve as CSV.
+   *
+   * @param {ImpedancePoint[]} points
+   * @returns {string} CSV text with a header row.
+   */
+  static toCSV(points) {
+    const lines = ["frequency_Hz,re_Z_Ohm,im_Z_Ohm,abs_Z_Ohm,phase_deg"];
+    for (const p of points) {
+      lines.push([p.frequency, p.re, p.im, p.magnitude, p.phase].join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+}
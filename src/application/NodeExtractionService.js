@@ -0,0 +1,276 @@
+/**
+ * @module Application/Services
+ */
+
+/**
+ * Net number reserved for the ground reference.
+ * @type {number}
+ */
+export const GROUND_NODE = 0;
+
+/**
+ * @typedef {Object} TerminalRef
+ * @property {Element} element - The element owning the terminal.
+ * @property {number} terminal - Index of the terminal in `element.nodes`.
+ */
+
+/**
+ * @typedef {Object} ElectricalGraph
+ * @property {number[]} nodeIds - All electrical node numbers, sorted ascending.
+ * @property {boolean} hasGround - True if at least one ground element is connected.
+ * @property {Map<string, Array<number|null>>} terminalNodes - Element ID → node number per terminal.
+ * @property {Map<number, TerminalRef[]>} nodeTerminals - Node number → terminals lying on it.
+ * @property {Map<number, Array<{x: number, y: number}>>} nodePositions - Node number → distinct positions forming it.
+ */
+
+/**
+ * @class NodeExtractionService
+ * @description
+ * Builds the electrical connectivity graph of the circuit managed by a CircuitService.
+ *
+ * Terminal positions are merged into numbered electrical nodes when they:
+ * - coincide (shared terminals),
+ * - are the two ends of the same wire,
+ * - lie on the body of a wire (wire-body contacts, same rule as WireSplitService).
+ *
+ * Node 0 is always the ground net. Ground elements only connect through their
+ * connection terminal (`nodes[0]`); their body terminal is not electrical.
+ * Other nodes are numbered from 1 in order of first appearance on a component
+ * terminal, followed by nets made only of wires.
+ *
+ * The graph is cached and invalidated on every CircuitService "update" event;
+ * call dispose() when the service is no longer used.
+ *
+ * @example
+ * const nodes = new NodeExtractionService(circuitService);
+ * nodes.getNodeOfTerminal('C1', 1);  // e.g. 2
+ * nodes.getElementsOnNode(2);         // [Capacitor C1, Wire W4, Junction J1]
+ */
+export class NodeExtractionService {
+  /**
+   * @param {CircuitService} circuitService - Service managing the circuit elements.
+   */
+  constructor(circuitService) {
+    this.circuitService = circuitService;
+    this._graph = null;
+    this._onUpdate = () => this.invalidate();
+    this.circuitService.on("update", this._onUpdate);
+  }
+
+  /**
+   * Stops listening to circuit updates.
+   */
+  dispose() {
+    this.circuitService.off("update", this._onUpdate);
+  }
+
+  /**
+   * Drops the cached graph so the next query rebuilds it.
+   */
+  invalidate() {
+    this._graph = null;
+  }
+
+  /**
+   * Returns the electrical graph of the current circuit, rebuilding it if needed.
+   *
+   * @returns {ElectricalGraph} The connectivity graph.
+   */
+  getGraph() {
+    if (!this._graph) {
+      this._graph = NodeExtractionService.extract(this.circuitService.getElements());
+    }
+    return this._graph;
+  }
+
+  /**
+   * Finds the electrical node a terminal of an element is on.
+   *
+   * @param {string} elementId - The element ID.
+   * @param {number} terminalIndex - Index of the terminal in `element.nodes`.
+   * @returns {number|null} The node number, or null if the element or terminal is unknown
+   *   (or is the non-electrical body terminal of a ground).
+   */
+  getNodeOfTerminal(elementId, terminalIndex) {
+    const nodes = this.getGraph().terminalNodes.get(elementId);
+    if (!nodes || terminalIndex < 0 || terminalIndex >= nodes.length) return null;
+    return nodes[terminalIndex];
+  }
+
+  /**
+   * Lists the elements with at least one terminal on the given node.
+   *
+   * @param {number} nodeId - The node number.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeWires=true] - Whether wires are included.
+   * @returns {Element[]} The elements touching the node, in circuit order.
+   */
+  getElementsOnNode(nodeId, { includeWires = true } = {}) {
+    const terminals = this.getGraph().nodeTerminals.get(nodeId) || [];
+    const elements = [];
+    for (const { element } of terminals) {
+      if (!includeWires && element.type === "wire") continue;
+      if (!elements.includes(element)) elements.push(element);
+    }
+    return elements;
+  }
+
+  /**
+   * Lists the terminals lying on the given node.
+   *
+   * @param {number} nodeId - The node number.
+   * @returns {TerminalRef[]} Terminals on the node.
+   */
+  getTerminalsOnNode(nodeId) {
+    return [...(this.getGraph().nodeTerminals.get(nodeId) || [])];
+  }
+
+  /**
+   * Returns all node numbers of the circuit, ascending.
+   *
+   * @returns {number[]} The node numbers.
+   */
+  getNodeIds() {
+    return [...this.getGraph().nodeIds];
+  }
+
+  /**
+   * Finds the node whose terminal positions are closest to a point.
+   *
+   * @param {number} x - Logical x coordinate.
+   * @param {number} y - Logical y coordinate.
+   * @param {number} [tolerance=10] - Maximum distance to a terminal.
+   * @returns {number|null} The node number, or null if no terminal is within tolerance.
+   */
+  findNodeAt(x, y, tolerance = 10) {
+    let best = null;
+    let bestDistance = tolerance;
+    for (const [nodeId, positions] of this.getGraph().nodePositions) {
+      for (const position of positions) {
+        const distance = Math.hypot(position.x - x, position.y - y);
+        if (distance <= bestDistance) {
+          best = nodeId;
+          bestDistance = distance;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Builds the electrical graph for a list of elements.
+   *
+   * @param {Element[]} elements - The circuit elements.
+   * @returns {ElectricalGraph} The connectivity graph.
+   */
+  static extract(elements) {
+    const parent = new Map();
+    const find = (key) => {
+      let root = key;
+      while (parent.get(root) !== root) root = parent.get(root);
+      // Path compression
+      while (parent.get(key) !== root) {
+        const next = parent.get(key);
+        parent.set(key, root);
+        key = next;
+      }
+      return root;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+    };
+    const keyOf = (node) => `${node.x},${node.y}`;
+
+    // Electrical terminals: every node, except the body of a ground symbol.
+    const terminals = [];
+    for (const element of elements) {
+      const count = element.type === "ground" ? Math.min(1, element.nodes.length) : element.nodes.length;
+      for (let i = 0; i < count; i++) {
+        const key = keyOf(element.nodes[i]);
+        if (!parent.has(key)) parent.set(key, key);
+        terminals.push({ element, terminal: i, key });
+      }
+    }
+
+    // Wires join their own ends, and any terminal lying on their body.
+    const wires = elements.filter((el) => el.type === "wire");
+    for (const wire of wires) {
+      for (let i = 0; i < wire.nodes.length - 1; i++) {
+        const start = wire.nodes[i];
+        const end = wire.nodes[i + 1];
+        union(keyOf(start), keyOf(end));
+
+        for (const { element, terminal, key } of terminals) {
+          if (element === wire) continue;
+          if (NodeExtractionService.isOnSegmentBody(element.nodes[terminal], start, end)) {
+            union(keyOf(start), key);
+          }
+        }
+      }
+    }
+
+    // Number the nets: ground first, then component nets, then wire-only nets.
+    const numbers = new Map();
+    let hasGround = false;
+    for (const { element, key } of terminals) {
+      if (element.type === "ground") {
+        numbers.set(find(key), GROUND_NODE);
+        hasGround = true;
+      }
+    }
+
+    let next = GROUND_NODE + 1;
+    const assign = (key) => {
+      const root = find(key);
+      if (!numbers.has(root)) numbers.set(root, next++);
+    };
+    terminals.filter(({ element }) => element.type !== "wire").forEach(({ key }) => assign(key));
+    terminals.forEach(({ key }) => assign(key));
+
+    const terminalNodes = new Map();
+    const nodeTerminals = new Map();
+    const nodePositions = new Map();
+    for (const element of elements) {
+      terminalNodes.set(element.id, element.nodes.map(() => null));
+    }
+    for (const { element, terminal, key } of terminals) {
+      const nodeId = numbers.get(find(key));
+      terminalNodes.get(element.id)[terminal] = nodeId;
+
+      if (!nodeTerminals.has(nodeId)) nodeTerminals.set(nodeId, []);
+      nodeTerminals.get(nodeId).push({ element, terminal });
+
+      if (!nodePositions.has(nodeId)) nodePositions.set(nodeId, []);
+      const positions = nodePositions.get(nodeId);
+      const { x, y } = element.nodes[terminal];
+      if (!positions.some((p) => p.x === x && p.y === y)) positions.push({ x, y });
+    }
+
+    return {
+      nodeIds: [...nodeTerminals.keys()].sort((a, b) => a - b),
+      hasGround,
+      terminalNodes,
+      nodeTerminals,
+      nodePositions,
+    };
+  }
+
+  /**
+   * Determines whether point `p` lies strictly inside the segment from `a` to `b`.
+   *
+   * @param {Position} p - The point to test.
+   * @param {Position} a - Start of the segment.
+   * @param {Position} b - End of the segment.
+   * @returns {boolean} True if `p` is on the segment, excluding its ends.
+   */
+  static isOnSegmentBody(p, a, b) {
+    const cross = (b.y - a.y) * (p.x - a.x) - (b.x - a.x) * (p.y - a.y);
+    if (Math.abs(cross) > 1e-6) return false;
+
+    const dot = (p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y);
+    const lenSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    return dot > 0 && dot < lenSq;
+  }
+}
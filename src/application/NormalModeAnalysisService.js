@@ -0,0 +1,276 @@
+/**
+ * @module Application/Services
+ */
+
+import { NodeExtractionService, GROUND_NODE } from "./NodeExtractionService.js";
+import { VALUE_KEYS } from "./ElectricalRuleCheckService.js";
+import { zeros, generalizedSymmetricEigen } from "../utils/linearAlgebra.js";
+import { HBAR, josephsonEnergyFromInductance } from "../utils/physicalConstants.js";
+
+/**
+ * @typedef {Object} CircuitMatrices
+ * @property {number[]} nodeIds - Node numbers of the matrix rows (reference node excluded).
+ * @property {number[][]} C - Capacitance matrix (F).
+ * @property {number[][]} Linv - Inverse-inductance matrix (1/H); junctions enter with their Josephson inductance.
+ * @property {number[][]} G - Conductance matrix of the resistors (S).
+ * @property {Array<{element: Element, type: string, value: number, nodes: number[]}>} components -
+ *   Resolved components with their row indices (-1 for the reference node).
+ */
+
+/**
+ * @typedef {Object} NormalMode
+ * @property {number} frequency - Mode frequency (Hz).
+ * @property {number} omega - Angular frequency (rad/s).
+ * @property {number} Q - Quality factor (Infinity without resistors).
+ * @property {number} kappa - Energy decay rate ω/Q (1/s).
+ * @property {number[]} fluxes - Node fluxes of the mode (per `nodeIds`), normalised so φᵀ·C·φ = 1.
+ */
+
+/**
+ * @class NormalModeAnalysisService
+ * @description
+ * Linear normal-mode analysis of the circuit, following QuCat's approach:
+ * every junction is replaced by its Josephson inductance, and the modes are
+ * the solutions of L⁻¹·φ = ω²·C·φ for the node fluxes φ.
+ *
+ * Component values come from the element properties; components defined by a
+ * label only (or bound to a parameter) take their value from the circuit
+ * parameters, or else from the `labelValues` argument, like keyword arguments
+ * to QuCat's `f_k_A_chi(Lj=...)`.
+ *
+ * Resistors are treated as a perturbation: for each lossless mode,
+ * Q = ω·φᵀCφ / Σ_R (Δφ_R² / R), i.e. ω times the stored energy over the
+ * dissipated power. This is accurate for the weakly damped modes of
+ * superconducting circuits; strongly damped modes are only approximated.
+ *
+ * `computeKerr()` adds anharmonicities and cross-Kerr couplings from the
+ * energy participation of each junction.
+ *
+ * @example
+ * const analysis = new NormalModeAnalysisService(circuitService);
+ * const { modes } = analysis.analyze({ Lj: 10e-9 });
+ * modes.forEach(m => console.log(m.frequency / 1e9, 'GHz, Q =', m.Q));
+ */
+export class NormalModeAnalysisService {
+  /**
+   * @param {CircuitService} circuitService - Service managing the circuit elements.
+   * @param {NodeExtractionService} [nodeExtractionService] - Shared node extraction service.
+   */
+  constructor(circuitService, nodeExtractionService = new NodeExtractionService(circuitService)) {
+    this.circuitService = circuitService;
+    this.nodeExtractionService = nodeExtractionService;
+  }
+
+  /**
+   * Lists labels of components that have no numeric value and are missing from `labelValues`.
+   *
+   * @param {Object<string, number>} [labelValues={}] - Values of label-only components.
+   * @returns {string[]} The unresolved labels, without duplicates.
+   */
+  getUnresolvedLabels(labelValues = {}) {
+    labelValues = this._withParameters(labelValues);
+    const missing = [];
+    for (const element of this.circuitService.getElements()) {
+      if (!(element.type in VALUE_KEYS)) continue;
+      const label = NormalModeAnalysisService._labelOf(element);
+      if (NormalModeAnalysisService._resolveValue(element, labelValues) === null && label && !missing.includes(label)) {
+        missing.push(label);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Builds the capacitance, inverse-inductance and conductance matrices.
+   *
+   * The ground node is the reference; without a ground, the lowest node is used.
+   * Components shorted by a wire are ignored.
+   *
+   * @param {Object<string, number>} [labelValues={}] - Values of label-only components.
+   * @returns {CircuitMatrices}
+   * @throws {Error} If a component has neither a value nor a resolvable label.
+   */
+  buildMatrices(labelValues = {}) {
+    labelValues = this._withParameters(labelValues);
+    const graph = this.nodeExtractionService.getGraph();
+    const reference = graph.hasGround ? GROUND_NODE : graph.nodeIds[0];
+    const nodeIds = graph.nodeIds.filter((id) => id !== reference);
+    const index = new Map(nodeIds.map((id, i) => [id, i]));
+
+    const n = nodeIds.length;
+    const C = zeros(n);
+    const Linv = zeros(n);
+    const G = zeros(n);
+    const components = [];
+    const missing = [];
+
+    for (const element of this.circuitService.getElements()) {
+      if (!(element.type in VALUE_KEYS)) continue;
+
+      const value = NormalModeAnalysisService._resolveValue(element, labelValues);
+      if (value === null) {
+        missing.push(NormalModeAnalysisService._labelOf(element) || element.id);
+        continue;
+      }
+
+      const [a, b] = graph.terminalNodes.get(element.id).map((nodeId) => (index.has(nodeId) ? index.get(nodeId) : -1));
+      if (a === b) continue;
+
+      components.push({ element, type: element.type, value, nodes: [a, b] });
+      if (element.type === "capacitor") NormalModeAnalysisService._stamp(C, a, b, value);
+      else if (element.type === "resistor") NormalModeAnalysisService._stamp(G, a, b, 1 / value);
+      else NormalModeAnalysisService._stamp(Linv, a, b, 1 / value);
+    }
+
+    if (missing.length) {
+      throw new Error(`Missing values for: ${[...new Set(missing)].join(", ")}`);
+    }
+
+    return { nodeIds, C, Linv, G, components };
+  }
+
+  /**
+   * Computes the normal modes of the circuit, sorted by frequency.
+   * Zero-frequency (DC) solutions are discarded.
+   *
+   * @param {Object<string, number>} [labelValues={}] - Values of label-only components.
+   * @returns {{nodeIds: number[], modes: NormalMode[], matrices: CircuitMatrices}}
+   * @throws {Error} If a component has neither a value nor a resolvable label.
+   */
+  analyze(labelValues = {}) {
+    const matrices = this.buildMatrices(labelValues);
+    const { values, vectors } = generalizedSymmetricEigen(matrices.Linv, matrices.C);
+
+    const maxValue = Math.max(0, ...values);
+    const modes = [];
+    values.forEach((omegaSq, k) => {
+      if (omegaSq <= 1e-10 * maxValue) return;
+
+      const omega = Math.sqrt(omegaSq);
+      const fluxes = vectors[k];
+      const dissipation = matrices.components
+        .filter((c) => c.type === "resistor")
+        .reduce((sum, c) => sum + NormalModeAnalysisService.branchFlux(fluxes, c.nodes) ** 2 / c.value, 0);
+
+      // φᵀCφ = 1 by normalisation.
+      const Q = dissipation > 0 ? omega / dissipation : Infinity;
+      modes.push({ frequency: omega / (2 * Math.PI), omega, Q, kappa: omega / Q, fluxes });
+    });
+
+    return { nodeIds: matrices.nodeIds, modes, matrices };
+  }
+
+  /**
+   * Computes what QuCat's `f_k_A_chi` returns: frequencies, loss rates,
+   * anharmonicities and the cross-Kerr matrix, all in Hz.
+   *
+   * Each junction j is weighted by its energy participation in mode m,
+   * p_mj = (Δφ_j² / L_j) / (φᵀ·L⁻¹·φ), the fraction of the mode's inductive
+   * energy stored in the junction. To first order in the junction non-linearity,
+   * with E_j = φ0² / L_j:
+   *
+   * - anharmonicity A_m = Σ_j p_mj² · ħω_m² / (8 E_j)
+   * - cross-Kerr χ_mn = Σ_j p_mj · p_nj · ħω_m·ω_n / (4 E_j)
+   *
+   * converted from rad/s to Hz. The diagonal of χ equals 2·A.
+   * Loss rates are k = κ / 2π.
+   *
+   * @param {Object<string, number>} [labelValues={}] - Values of label-only components.
+   * @returns {{f: number[], k: number[], A: number[], chi: number[][], Q: number[],
+   *   junctions: Array<{id: string, label: string, inductance: number}>,
+   *   participation: number[][]}} `participation[m][j]` follows the order of `junctions`.
+   * @throws {Error} If a component has neither a value nor a resolvable label.
+   */
+  computeKerr(labelValues = {}) {
+    const { modes, matrices } = this.analyze(labelValues);
+    const junctions = matrices.components.filter((c) => c.type === "junction");
+
+    const participation = modes.map((mode) => {
+      // φᵀ·L⁻¹·φ = ω² for modes normalised to φᵀ·C·φ = 1.
+      const inductiveEnergy = mode.omega ** 2;
+      return junctions.map((j) => NormalModeAnalysisService.branchFlux(mode.fluxes, j.nodes) ** 2 / j.value / inductiveEnergy);
+    });
+
+    const energies = junctions.map((j) => josephsonEnergyFromInductance(j.value));
+    const toHz = 1 / (2 * Math.PI);
+
+    const chi = modes.map((m, a) => modes.map((n, b) =>
+      energies.reduce((sum, E, j) => sum + participation[a][j] * participation[b][j] * HBAR * m.omega * n.omega / (4 * E), 0) * toHz
+    ));
+
+    return {
+      f: modes.map((m) => m.frequency),
+      k: modes.map((m) => m.kappa * toHz),
+      A: chi.map((row, m) => row[m] / 2),
+      chi,
+      Q: modes.map((m) => m.Q),
+      junctions: junctions.map((j) => ({
+        id: j.element.id,
+        label: NormalModeAnalysisService._labelOf(j.element),
+        inductance: j.value,
+      })),
+      participation,
+    };
+  }
+
+  /**
+   * Flux across a branch, given the row indices of its nodes (-1 = reference node).
+   *
+   * @param {number[]} fluxes - Node fluxes.
+   * @param {number[]} nodes - Row indices of the two terminals.
+   * @returns {number}
+   */
+  static branchFlux(fluxes, [a, b]) {
+    return (a >= 0 ? fluxes[a] : 0) - (b >= 0 ? fluxes[b] : 0);
+  }
+
+  /**
+   * Adds a two-terminal admittance-like value to a nodal matrix.
+   * @private
+   */
+  static _stamp(M, a, b, value) {
+    if (a >= 0) M[a][a] += value;
+    if (b >= 0) M[b][b] += value;
+    if (a >= 0 && b >= 0) {
+      M[a][b] -= value;
+      M[b][a] -= value;
+    }
+  }
+
+  /**
+   * Adds the values of the circuit parameters to `labelValues`. Parameters
+   * that have a value take precedence.
+   * @private
+   * @param {Object<string, number>} labelValues
+   * @returns {Object<string, number>}
+   */
+  _withParameters(labelValues) {
+    const values = { ...labelValues };
+    const parameters = this.circuitService.getParameters();
+    for (const [name, value] of Object.entries(parameters)) {
+      if (value !== undefined) values[name] = value;
+    }
+    return values;
+  }
+
+  /**
+   * @private
+   * @returns {number|null} The numeric value of a component, or null if unresolved.
+   */
+  static _resolveValue(element, labelValues) {
+    const value = element.properties?.values?.[VALUE_KEYS[element.type]];
+    if (typeof value === "number" && Number.isFinite(value) && value > 0) return value;
+
+    const override = labelValues[NormalModeAnalysisService._labelOf(element)];
+    return typeof override === "number" && Number.isFinite(override) && override > 0 ? override : null;
+  }
+
+  /**
+   * @private
+   * @returns {string} The label text, or an empty string.
+   */
+  static _labelOf(element) {
+    const label = element.label?.value ?? element.label;
+    return typeof label === "string" ? label.trim() : "";
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * @module Application/Services
+ */
+
+import { NodeExtractionService } from "./NodeExtractionService.js";
+import { NormalModeAnalysisService } from "./NormalModeAnalysisService.js";
+import { VALUE_KEYS } from "./ElectricalRuleCheckService.js";
+import {
+  zeros,
+  transpose,
+  matMul,
+  symmetricEigen,
+  pseudoInverseSymmetric,
+  generalizedSymmetricEigen,
+  linspace,
+  geomspace,
+} from "../utils/linearAlgebra.js";
+import { createFunctionWorker } from "../utils/functionWorker.js";
+
+/**
+ * @typedef {Object} SweepJob
+ * @property {string} parameter - Name of the swept parameter.
+ * @property {number[]} values - Parameter values (SI units).
+ * @property {number} n - Number of non-reference nodes.
+ * @property {Array<{type: string, nodes: number[], value: number, swept: boolean}>} components -
+ *   Reactive components with their node indices (-1 = reference); `swept`
+ *   components take the parameter value instead of `value`.
+ */
+
+/**
+ * @typedef {Object} SweepResult
+ * @property {string} parameter - Name of the swept parameter.
+ * @property {number[]} values - Parameter values (SI units).
+ * @property {number[][]} frequencies - For each value, the mode frequencies (Hz), ascending.
+ */
+
+/**
+ * Computes the mode frequencies of a sweep job.
+ *
+ * Self-contained (it only calls the linear-algebra helpers), so it can run in
+ * a worker built from source text.
+ *
+ * @param {SweepJob} job
+ * @returns {number[][]} For each value, the mode frequencies (Hz), ascending.
+ */
+export function sweepModeFrequencies(job) {
+  return job.values.map((x) => {
+    const C = zeros(job.n);
+    const Linv = zeros(job.n);
+    for (const component of job.components) {
+      const value = component.swept ? x : component.value;
+      const M = component.type === "capacitor" ? C : Linv;
+      const stamp = component.type === "capacitor" ? value : 1 / value;
+      const [a, b] = component.nodes;
+      if (a >= 0) M[a][a] += stamp;
+      if (b >= 0) M[b][b] += stamp;
+      if (a >= 0 && b >= 0) {
+        M[a][b] -= stamp;
+        M[b][a] -= stamp;
+      }
+    }
+
+    const { values } = generalizedSymmetricEigen(Linv, C);
+    const max = Math.max(0, ...values);
+    return values.filter((w2) => w2 > 1e-10 * max).map((w2) => Math.sqrt(w2) / (2 * Math.PI));
+  });
+}
+
+/** Functions needed in scope by `sweepModeFrequencies` when run in a worker. */
+const KERNEL_DEPENDENCIES = [zeros, transpose, matMul, symmetricEigen, pseudoInverseSymmetric, generalizedSymmetricEigen];
+
+/**
+ * @class ParameterSweepService
+ * @description
+ * Sweeps a circuit parameter (e.g. the junction inductance `Lj`, or a coupling
+ * capacitance `Cc`) and computes the normal-mode frequencies at each value,
+ * like QuCat's sweep utilities.
+ *
+ * The circuit is reduced to a list of components on the main thread; the
+ * eigenvalue problems are then solved in a Web Worker, in chunks, so the
+ * editor stays responsive and progress can be reported. Where workers are not
+ * available, chunks run on the main thread between timer ticks.
+ *
+ * @example
+ * const sweep = new ParameterSweepService(circuitService);
+ * const values = ParameterSweepService.valueGrid(5e-9, 15e-9, 51);
+ * const { frequencies } = await sweep.run('Lj', values, {}, { onProgress: (done, total) => {} });
+ */
+export class ParameterSweepService {
+  /**
+   * @param {CircuitService} circuitService - Service managing the circuit elements.
+   * @param {NodeExtractionService} [nodeExtractionService] - Shared node extraction service.
+   */
+  constructor(circuitService, nodeExtractionService = new NodeExtractionService(circuitService)) {
+    this.circuitService = circuitService;
+    this.modeAnalysis = new NormalModeAnalysisService(circuitService, nodeExtractionService);
+  }
+
+  /**
+   * Reduces the circuit to a sweep job.
+   *
+   * @param {string} parameter - Name of the swept parameter.
+   * @param {number[]} values - Parameter values (SI units, > 0).
+   * @param {Object<string, number>} [labelValues={}] - Values of other label-only components.
+   * @returns {SweepJob}
+   * @throws {Error} If no component uses the parameter, a value is not positive,
+   *   or another component value cannot be resolved.
+   */
+  prepare(parameter, values, labelValues = {}) {
+    if (!values.length || values.some((x) => !(Number.isFinite(x) && x > 0))) {
+      throw new Error("Sweep values must be positive numbers");
+    }
+
+    const { nodeIds, components } = this.modeAnalysis.buildMatrices({ ...labelValues, [parameter]: values[0] });
+    const job = { parameter, values: [...values], n: nodeIds.length, components: [] };
+    for (const { element, type, value, nodes } of components) {
+      if (type === "resistor") continue;
+      const swept = ParameterSweepService._usesParameter(element, parameter);
+      job.components.push({ type, nodes, value, swept });
+    }
+
+    if (!job.components.some((c) => c.swept)) {
+      throw new Error(`No component uses parameter "${parameter}"`);
+    }
+    return job;
+  }
+
+  /**
+   * Runs a sweep.
+   *
+   * @param {string} parameter - Name of the swept parameter.
+   * @param {number[]} values - Parameter values (SI units, > 0).
+   * @param {Object<string, number>} [labelValues={}] - Values of other label-only components.
+   * @param {Object} [options]
+   * @param {function(number, number): void} [options.onProgress] - Called with (done, total) after each chunk.
+   * @param {AbortSignal} [options.signal] - Cancels the sweep between chunks.
+   * @param {number} [options.chunkSize=10] - Values per chunk.
+   * @returns {Promise<SweepResult>}
+   * @throws {Error} As `prepare()`, or "Sweep cancelled" if aborted.
+   */
+  async run(parameter, values, labelValues = {}, { onProgress, signal, chunkSize = 10 } = {}) {
+    const job = this.prepare(parameter, values, labelValues);
+    const worker = createFunctionWorker(KERNEL_DEPENDENCIES, sweepModeFrequencies);
+    const frequencies = [];
+
+    try {
+      for (let i = 0; i < job.values.length; i += chunkSize) {
+        if (signal?.aborted) throw new Error("Sweep cancelled");
+
+        const chunk = { ...job, values: job.values.slice(i, i + chunkSize) };
+        const result = worker
+          ? await worker.run(chunk)
+          : await new Promise((resolve, reject) => setTimeout(() => {
+            try {
+              resolve(sweepModeFrequencies(chunk));
+            } catch (error) {
+              reject(error);
+            }
+          }, 0));
+
+        frequencies.push(...result);
+        onProgress?.(frequencies.length, job.values.length);
+      }
+    } finally {
+      worker?.terminate();
+    }
+
+    return { parameter, values: job.values, frequencies };
+  }
+
+  /**
+   * Builds the grid of swept values.
+   *
+   * @param {number} start - First value.
+   * @param {number} stop - Last value.
+   * @param {number} steps - Number of values (≥ 2).
+   * @param {'linear'|'log'} [spacing='linear']
+   * @returns {number[]}
+   */
+  static valueGrid(start, stop, steps, spacing = "linear") {
+    return spacing === "log" ? geomspace(start, stop, steps) : linspace(start, stop, steps);
+  }
+
+  /**
+   * Formats a sweep result as CSV: one row per value, one column per mode.
+   *
+   * @param {SweepResult} result
+   * @returns {string} CSV text with a header row.
+   */
+  static toCSV(result) {
+    const modes = Math.max(0, ...result.frequencies.map((f) => f.length));
+    const header = [result.parameter, ...Array.from({ length: modes }, (_, m) => `f${m}_Hz`)];
+    const lines = [header.join(",")];
+    result.values.forEach((x, i) => {
+      const row = Array.from({ length: modes }, (_, m) => result.frequencies[i][m] ?? "");
+      lines.push([x, ...row].join(","));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * @private
+   * @returns {boolean} True if the element takes its value from the parameter.
+   */
+  static _usesParameter(element, parameter) {
+    const label = element.label?.value ?? element.label;
+    if (typeof label !== "string" || label.trim() !== parameter) return false;
+    const own = element.properties?.values?.[VALUE_KEYS[element.type]];
+    return !(typeof own === "number" && Number.isFinite(own) && own > 0);
+  }
+}
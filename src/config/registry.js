@@ -69,10 +69,33 @@ import { CopyElementsCommand } from "../gui/commands/CopyElementsCommand.js";
 import { PasteElementsCommand } from "../gui/commands/PasteElementsCommand.js";
 import { SaveNetlistCommand } from "../gui/commands/SaveNetlistCommand.js";
 import { OpenNetlistCommand } from "../gui/commands/OpenNetlistCommand.js";
+import { InsertNetlistCommand } from "../gui/commands/InsertNetlistCommand.js";
+import { SaveProjectCommand } from "../gui/commands/SaveProjectCommand.js";
+import { OpenProjectCommand } from "../gui/commands/OpenProjectCommand.js";
+import { ProjectPropertiesCommand } from "../gui/commands/ProjectPropertiesCommand.js";
+import { CopyShareLinkCommand } from "../gui/commands/CopyShareLinkCommand.js";
+import { OpenShareLinkCommand } from "../gui/commands/OpenShareLinkCommand.js";
+import { RestoreAutosaveCommand } from "../gui/commands/RestoreAutosaveCommand.js";
+import { DropFileCommand } from "../gui/commands/DropFileCommand.js";
+import { ExportSpiceCommand } from "../gui/commands/ExportSpiceCommand.js";
+import { ExportQucatPythonCommand } from "../gui/commands/ExportQucatPythonCommand.js";
+import { ExportScqubitsCommand } from "../gui/commands/ExportScqubitsCommand.js";
+import { ExportCircuitikzCommand } from "../gui/commands/ExportCircuitikzCommand.js";
+import { ExportSvgCommand } from "../gui/commands/ExportSvgCommand.js";
+import { ExportPngCommand } from "../gui/commands/ExportPngCommand.js";
 import { CopyNetlistToClipboardCommand } from "../gui/commands/CopyNetlistToClipboardCommand.js";
+import { CopySelectionAsNetlistCommand } from "../gui/commands/CopySelectionAsNetlistCommand.js";
+import { SaveSelectionCommand } from "../gui/commands/SaveSelectionCommand.js";
 import { PasteNetlistFromClipboardCommand } from "../gui/commands/PasteNetlistFromClipboardCommand.js";
+import { CheckCircuitCommand } from "../gui/commands/CheckCircuitCommand.js";
+import { ShowNormalModesCommand } from "../gui/commands/ShowNormalModesCommand.js";
+import { ShowImpedanceCommand } from "../gui/commands/ShowImpedanceCommand.js";
+import { ShowParametersCommand } from "../gui/commands/ShowParametersCommand.js";
+import { ShowSweepCommand } from "../gui/commands/ShowSweepCommand.js";
 import { Notification } from "../gui/components/Notification.js";
 import { WireSplitService } from "../application/WireSplitService.js";
+import { ElectricalRuleCheckService } from "../application/ElectricalRuleCheckService.js";
+import { DocumentService } from "../application/DocumentService.js";
 import { GRID_SPACING } from "./gridConfig.js";
 
 /**
@@ -203,18 +226,20 @@ export { ElementRegistry, rendererFactory, GUICommandRegistry };
  * - Element manipulation: add, delete, rotate, drag
  * - Selection: select single, multi-select, select all
  * - Wire operations: draw wires with splitting logic
- * - File operations: save/load netlist files
+ * - File operations: open/save projects and netlist files, autosave revisions, share links, SPICE, QuCat Python, scqubits, circuitikz, SVG and PNG export
  * - Clipboard: copy/paste operations
+ * - Tools: electrical rule check, parameters, normal-mode analysis, parameter sweep, impedance plot
  *
  * @param {CircuitService} circuitService - The circuit service for domain operations
  * @param {CircuitRenderer} circuitRenderer - The renderer for UI operations
+ * @param {DocumentService} [documentService] - The current file, which open and save commands update
  *
  * @example
  * const circuitService = new CircuitService(circuit);
  * const circuitRenderer = new CircuitRenderer(canvas, circuitService);
  * setupCommands(circuitService, circuitRenderer);
  */
-export function setupCommands(circuitService, circuitRenderer) {
+export function setupCommands(circuitService, circuitRenderer, documentService = new DocumentService(circuitService)) {
     const wireSplitService = new WireSplitService(circuitService, ElementRegistry);
 
     if (!GUICommandRegistry.getTypes().includes("addElement")) {
@@ -450,13 +475,39 @@ export function setupCommands(circuitService, circuitRenderer) {
     // Register save and open netlist commands
     if (!GUICommandRegistry.getTypes().includes("saveNetlist")) {
         GUICommandRegistry.register("saveNetlist", () =>
-            new SaveNetlistCommand(circuitService, circuitRenderer)
+            new SaveNetlistCommand(circuitService, circuitRenderer, documentService)
+        );
+    }
+
+    // Save / Save As: the current file, in its format (netlist unless a project was opened or saved)
+    const saveCurrentFormat = (options) => documentService.format === "project"
+        ? new SaveProjectCommand(circuitService, circuitRenderer, documentService, options)
+        : new SaveNetlistCommand(circuitService, circuitRenderer, documentService, options);
+
+    if (!GUICommandRegistry.getTypes().includes("save")) {
+        GUICommandRegistry.register("save", () => saveCurrentFormat({ saveAs: false }));
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("saveAs")) {
+        GUICommandRegistry.register("saveAs", () => saveCurrentFormat({ saveAs: true }));
+    }
+
+    // junctionModel: 'inductor' (default) or 'subcircuit', from the menu args
+    if (!GUICommandRegistry.getTypes().includes("exportSpice")) {
+        GUICommandRegistry.register("exportSpice", (_circuitService, _circuitRenderer, _elementRegistry, junctionModel) =>
+            new ExportSpiceCommand(circuitService, circuitRenderer, { junctionModel })
         );
     }
 
     if (!GUICommandRegistry.getTypes().includes("openNetlist")) {
         GUICommandRegistry.register("openNetlist", () =>
-            new OpenNetlistCommand(circuitService, circuitRenderer)
+            new OpenNetlistCommand(circuitService, circuitRenderer, documentService)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("insertNetlist")) {
+        GUICommandRegistry.register("insertNetlist", () =>
+            new InsertNetlistCommand(circuitService, circuitRenderer)
         );
     }
 
@@ -469,15 +520,136 @@ export function setupCommands(circuitService, circuitRenderer) {
         }
     };
 
+    // Project files (JSON): circuit, parameters, view and project information
+    if (!GUICommandRegistry.getTypes().includes("openProject")) {
+        GUICommandRegistry.register("openProject", () =>
+            new OpenProjectCommand(circuitService, circuitRenderer, notify, documentService)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("saveProject")) {
+        GUICommandRegistry.register("saveProject", () =>
+            new SaveProjectCommand(circuitService, circuitRenderer, documentService)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("projectProperties")) {
+        GUICommandRegistry.register("projectProperties", () =>
+            new ProjectPropertiesCommand(circuitService)
+        );
+    }
+
+    // Autosaved revisions (saved by AutosaveService, see main.js)
+    if (!GUICommandRegistry.getTypes().includes("restoreAutosave")) {
+        GUICommandRegistry.register("restoreAutosave", () =>
+            new RestoreAutosaveCommand(circuitService, circuitRenderer, notify)
+        );
+    }
+
+    // Share links: the circuit compressed into the URL fragment
+    if (!GUICommandRegistry.getTypes().includes("copyShareLink")) {
+        GUICommandRegistry.register("copyShareLink", () =>
+            new CopyShareLinkCommand(circuitService, notify)
+        );
+    }
+
+    // Files dropped onto the canvas (see GUIAdapter.bindFileDrop)
+    if (!GUICommandRegistry.getTypes().includes("dropFile")) {
+        GUICommandRegistry.register("dropFile", (_circuitService, _circuitRenderer, _elementRegistry, drop) =>
+            new DropFileCommand(circuitService, circuitRenderer, documentService, notify, drop)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("openShareLink")) {
+        GUICommandRegistry.register("openShareLink", () =>
+            new OpenShareLinkCommand(circuitService, circuitRenderer, notify)
+        );
+    }
+
     if (!GUICommandRegistry.getTypes().includes("copyNetlistToClipboard")) {
         GUICommandRegistry.register("copyNetlistToClipboard", () =>
             new CopyNetlistToClipboardCommand(circuitService, circuitRenderer, notify)
         );
     }
 
+    // Selection-only variants; the "origin" argument moves the selection to (0,0)
+    if (!GUICommandRegistry.getTypes().includes("copySelectionAsNetlist")) {
+        GUICommandRegistry.register("copySelectionAsNetlist", (_circuitService, _circuitRenderer, _elementRegistry, placement) =>
+            new CopySelectionAsNetlistCommand(circuitService, circuitRenderer, notify, { toOrigin: placement === "origin" })
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("saveSelection")) {
+        GUICommandRegistry.register("saveSelection", (_circuitService, _circuitRenderer, _elementRegistry, placement) =>
+            new SaveSelectionCommand(circuitService, circuitRenderer, { toOrigin: placement === "origin" })
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("exportQucatPython")) {
+        GUICommandRegistry.register("exportQucatPython", () =>
+            new ExportQucatPythonCommand(circuitService, notify)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("exportScqubits")) {
+        GUICommandRegistry.register("exportScqubits", () =>
+            new ExportScqubitsCommand(circuitService, notify)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("exportCircuitikz")) {
+        GUICommandRegistry.register("exportCircuitikz", () =>
+            new ExportCircuitikzCommand(circuitService, circuitRenderer, notify)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("exportSvg")) {
+        GUICommandRegistry.register("exportSvg", () =>
+            new ExportSvgCommand(circuitService, circuitRenderer, notify)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("exportPng")) {
+        GUICommandRegistry.register("exportPng", () =>
+            new ExportPngCommand(circuitService, circuitRenderer, notify)
+        );
+    }
+
     if (!GUICommandRegistry.getTypes().includes("pasteNetlistFromClipboard")) {
         GUICommandRegistry.register("pasteNetlistFromClipboard", () =>
             new PasteNetlistFromClipboardCommand(circuitService, circuitRenderer, notify)
         );
     }
+
+    if (!GUICommandRegistry.getTypes().includes("checkCircuit")) {
+        // One rule check for all runs: its node extraction subscribes to circuit updates
+        const ercService = new ElectricalRuleCheckService(circuitService);
+        GUICommandRegistry.register("checkCircuit", () =>
+            new CheckCircuitCommand(circuitService, circuitRenderer, notify, ercService)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("showParameters")) {
+        GUICommandRegistry.register("showParameters", () =>
+            new ShowParametersCommand(circuitService, circuitRenderer)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("showNormalModes")) {
+        GUICommandRegistry.register("showNormalModes", () =>
+            new ShowNormalModesCommand(circuitService)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("showSweep")) {
+        GUICommandRegistry.register("showSweep", () =>
+            new ShowSweepCommand(circuitService)
+        );
+    }
+
+    if (!GUICommandRegistry.getTypes().includes("showImpedance")) {
+        GUICommandRegistry.register("showImpedance", () =>
+            new ShowImpedanceCommand(circuitService, circuitRenderer)
+        );
+    }
 }
@@ -9,6 +9,8 @@
  *
  * **Key Responsibilities:**
  * - Manage circuit elements (resistors, capacitors, wires, etc.)
+ * - Hold named parameters (e.g. `Lj`) that "variable" property values refer to
+ * - Hold project information (title, author, notes) saved with project files
  * - Validate element additions and connections
  * - Maintain connection mapping between elements
  * - Enforce domain business rules and constraints
@@ -33,6 +35,67 @@ export class Circuit {
     constructor() {
         this.elements = []; // List of all elements in the circuit
         this.connections = new Map(); // Map of node positions to connected elements
+        this.parameters = new Map(); // Parameter name → value (number, or undefined while unset)
+        this.metadata = { title: '', author: '', notes: '' }; // Project information
+        this.annotations = []; // Free-form notes on the schematic ({ text, x, y }), kept by project files
+    }
+
+    /**
+     * Changes some of the project information.
+     *
+     * @param {{title?: string, author?: string, notes?: string}} changes - The fields to change.
+     * @throws {Error} If a field is unknown or not a string.
+     */
+    setMetadata(changes) {
+        for (const [key, value] of Object.entries(changes)) {
+            if (!(key in this.metadata)) {
+                throw new Error(`Unknown project field "${key}". Expected one of: ${Object.keys(this.metadata).join(', ')}.`);
+            }
+            if (typeof value !== 'string') {
+                throw new Error(`Invalid value for project field "${key}". Must be a string.`);
+            }
+        }
+        Object.assign(this.metadata, changes);
+    }
+
+    /**
+     * Checks whether a string can name a parameter.
+     *
+     * Names must be valid Python identifiers, so that they can be passed as
+     * keyword arguments to QuCat (e.g. `f_k_A_chi(Lj=10e-9)`).
+     *
+     * @param {string} name - The candidate name.
+     * @returns {boolean} True if the name is valid.
+     */
+    static isValidParameterName(name) {
+        return typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+    }
+
+    /**
+     * Defines a parameter, or changes its value.
+     *
+     * @param {string} name - The parameter name.
+     * @param {number|undefined} value - The value in SI units, or undefined to leave it unset.
+     * @throws {Error} If the name or the value is invalid.
+     */
+    setParameter(name, value) {
+        if (!Circuit.isValidParameterName(name)) {
+            throw new Error(`Invalid parameter name "${name}". Use letters, digits and underscores, not starting with a digit.`);
+        }
+        if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value))) {
+            throw new Error(`Invalid value for parameter "${name}". Must be a finite number or undefined.`);
+        }
+        this.parameters.set(name, value);
+    }
+
+    /**
+     * Removes a parameter. Elements bound to it keep their label.
+     *
+     * @param {string} name - The parameter name.
+     * @returns {boolean} True if the parameter existed.
+     */
+    removeParameter(name) {
+        return this.parameters.delete(name);
     }
 
     /**
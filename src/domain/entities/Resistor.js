@@ -50,9 +50,10 @@ export class Resistor extends Element {
 
         const resistance = properties.values.resistance;
 
-        if (resistance !== undefined) {
+        // "variable" binds the resistance to a circuit parameter named by the label
+        if (resistance !== undefined && resistance !== 'variable') {
             if (typeof resistance !== 'number') {
-                throw new Error("Resistance must be a number or undefined.");
+                throw new Error("Resistance must be a number, \"variable\", or undefined.");
             }
             new Resistance(resistance); // validates
         }
@@ -20,6 +20,7 @@
 
 import { CircuitRenderer } from "../renderers/CircuitRenderer.js";
 import { CommandHistory } from "../commands/CommandHistory.js";
+import { InsertElementsCommand } from "../commands/InsertElementsCommand.js";
 import { ACTIONS, KEYMAP } from "../../config/menu.bindings.js";
 import { PropertyPanel } from "../property_panel/PropertyPanel.js";
 import { Logger } from "../../utils/Logger.js";
@@ -169,6 +170,8 @@ export class GUIAdapter {
     /** @private */
     this.placingElement = null;
     /** @private */
+    this.placingBlock = null; // Block being placed: { elements, home, center } (see startPlacingBlock)
+    /** @private */
     this.selectionBox = null; // Selection box state: { startX, startY, endX, endY }
     /** @private */
     this.isSelecting = false; // True when drawing selection box
@@ -181,6 +184,8 @@ export class GUIAdapter {
     /** @private */ this._onWheel = null;
     /** @private */ this._onImageLoaded = null;
     /** @private */ this._onDocMouseMove = null;
+    /** @private */ this._onDragOver = null;
+    /** @private */ this._onDrop = null;
   }
 
   /**
@@ -212,6 +217,7 @@ export class GUIAdapter {
     this.bindShortcuts(KEYMAP);
     this.bindWheelZoom();
     this.bindImageLoadEvents();
+    this.bindFileDrop();
 
     // Pointer interactions on canvas
     this.setupCanvasInteractions();
@@ -235,6 +241,8 @@ export class GUIAdapter {
     if (this._onWheel) this.canvas.removeEventListener("wheel", this._onWheel);
     if (this._onImageLoaded) document.removeEventListener("renderer:imageLoaded", this._onImageLoaded);
     if (this._onDocMouseMove) document.removeEventListener("mousemove", this._onDocMouseMove);
+    if (this._onDragOver) this.canvas.removeEventListener("dragover", this._onDragOver);
+    if (this._onDrop) this.canvas.removeEventListener("drop", this._onDrop);
   }
 
   /* ---------------------------------------------------------------------- */
@@ -293,6 +301,15 @@ export class GUIAdapter {
         return;
       }
 
+      // Escape also cancels placing a block: remove it
+      if (e.key === 'Escape' && this.placingBlock) {
+        this.placingBlock.elements.forEach(element => this.circuitService.deleteElement(element.id));
+        this.placingBlock = null;
+        this.circuitRenderer.setSelectedElements([]);
+        e.preventDefault();
+        return;
+      }
+
       // Handle Escape key to cancel element placement
       if (e.key === 'Escape' && this.placingElement) {
         
@@ -367,6 +384,39 @@ export class GUIAdapter {
     document.addEventListener("renderer:imageLoaded", this._onImageLoaded);
   }
 
+  /**
+   * Open files dropped onto the canvas (netlists or projects) through the
+   * "dropFile" command, with undo. Holding Shift while dropping inserts the
+   * file's circuit at the drop point instead of replacing the circuit.
+   */
+  bindFileDrop() {
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types ?? []).includes("Files");
+
+    this._onDragOver = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault(); // allow the drop
+      e.dataTransfer.dropEffect = "copy";
+    };
+    this._onDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault(); // keep the browser from opening the file itself
+      const file = e.dataTransfer.files[0];
+      if (!file) return;
+
+      const { offsetX, offsetY } = this.getTransformedMousePosition(e);
+      const cmd = this.guiCommandRegistry.get(
+        "dropFile",
+        this.circuitService,
+        this.circuitRenderer,
+        this.elementRegistry,
+        { file, position: { x: offsetX, y: offsetY }, merge: e.shiftKey },
+      );
+      if (cmd) this.commandHistory.executeCommand(cmd, this.circuitService);
+    };
+    this.canvas.addEventListener("dragover", this._onDragOver);
+    this.canvas.addEventListener("drop", this._onDrop);
+  }
+
   /**
    * Track mouse position globally so currentMousePos is always up-to-date
    * when a toolbar button is clicked (mouse may be off-canvas at that moment).
@@ -576,6 +626,13 @@ export class GUIAdapter {
 
       const { offsetX, offsetY } = this.getTransformedMousePosition(event);
 
+      // If placing a block, put it down on the grid on left click
+      if (event.button === 0 && this.placingBlock) {
+        this.moveBlock(offsetX, offsetY, true);
+        this.placingBlock = null;
+        return;
+      }
+
       // If placing an element, finalize its position on left click
       if (event.button === 0 && this.placingElement) {
         const snappedX = GRID_CONFIG.snapToVisualGrid(offsetX);
@@ -679,6 +736,12 @@ export class GUIAdapter {
       this.currentMousePos.x = offsetX;
       this.currentMousePos.y = offsetY;
 
+      // Live update for placing block
+      if (this.placingBlock) {
+        this.moveBlock(offsetX, offsetY);
+        return;
+      }
+
       // Live update for placing element
       if (this.placingElement) {
         // Get current orientation from element properties (preserve rotation)
@@ -781,7 +844,11 @@ export class GUIAdapter {
     });
 
     // Listen to the element placement event
-    this.circuitService.on("startPlacing", ({ element }) => {
+    this.circuitService.on("startPlacing", ({ element, elements }) => {
+      if (elements) {
+        this.startPlacingBlock(elements);
+        return;
+      }
       this.placingElement = element;
       
       // Clear existing selections and select only the placing element
@@ -1131,4 +1198,51 @@ export class GUIAdapter {
       element: this.placingElement,
     });
   }
+
+  /**
+   * Start placing a block of elements already in the circuit (e.g. an
+   * inserted netlist, see InsertElementsCommand): the block is selected and
+   * follows the mouse, centred on the cursor, until a click puts it down.
+   * @param {Element[]} elements - The elements of the block
+   * @private
+   */
+  startPlacingBlock(elements) {
+    this.placingElement = null;
+    if (this.wireDrawingMode) this.resetCursor();
+
+    this.placingBlock = {
+      elements,
+      home: elements.map(element => element.nodes.map(({ x, y }) => ({ x, y }))),
+      center: InsertElementsCommand.centerOf(elements),
+    };
+    this.circuitRenderer.setSelectedElements(elements);
+    this.moveBlock(this.currentMousePos.x, this.currentMousePos.y);
+  }
+
+  /**
+   * Move the block being placed so that it is centred on a point.
+   * @param {number} x - World x
+   * @param {number} y - World y
+   * @param {boolean} [snap=false] - Move by whole grid steps (when putting the block down)
+   * @private
+   */
+  moveBlock(x, y, snap = false) {
+    const { elements, home, center } = this.placingBlock;
+    let dx = x - center.x;
+    let dy = y - center.y;
+    if (snap) {
+      dx = GRID_CONFIG.snapToVisualGrid(dx);
+      dy = GRID_CONFIG.snapToVisualGrid(dy);
+    }
+
+    elements.forEach((element, i) => element.nodes.forEach((node, j) => {
+      node.x = home[i][j].x + dx;
+      node.y = home[i][j].y + dy;
+    }));
+
+    this.circuitService.emit("update", {
+      type: snap ? "finalizePlacement" : "movePreview",
+      elements,
+    });
+  }
 }
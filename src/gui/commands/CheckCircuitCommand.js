@@ -0,0 +1,129 @@
+import { GUICommand } from './GUICommand.js';
+import { ElectricalRuleCheckService } from '../../application/ElectricalRuleCheckService.js';
+import { SidePanel } from '../components/SidePanel.js';
+
+/**
+ * CheckCircuitCommand
+ *
+ * Runs the electrical rule check on the current circuit and lists the issues
+ * in a side panel. Clicking an issue selects the elements involved and zooms
+ * the view onto them. Read-only: nothing to undo.
+ */
+export class CheckCircuitCommand extends GUICommand {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @param {import('../../gui/renderers/CircuitRenderer.js').CircuitRenderer} circuitRenderer
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     * @param {ElectricalRuleCheckService} [ercService] - The rule check, shared between runs
+     *   (its node extraction listens to the circuit)
+     */
+    constructor(circuitService, circuitRenderer, notify, ercService = new ElectricalRuleCheckService(circuitService)) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.notify = notify || (() => {});
+        this.ercService = ercService;
+    }
+
+    /**
+     * Run the check and show the result panel.
+     * @returns {{ undo: Function }}
+     */
+    execute() {
+        const issues = this.ercService.check();
+        this._showIssues(issues);
+
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        if (issues.length === 0) {
+            this.notify('Circuit check passed: no issues found.', 'success');
+        } else {
+            this.notify(`Circuit check: ${errors} error(s), ${issues.length - errors} warning(s).`, errors ? 'error' : 'success');
+        }
+
+        return { undo: () => {} };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Issue panel                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @param {import('../../application/ElectricalRuleCheckService.js').ERCIssue[]} issues
+     * @private
+     */
+    _showIssues(issues) {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const panel = SidePanel.for('circuitCheck', { title: 'Circuit Check' });
+
+        const content = document.createElement('div');
+
+        if (issues.length === 0) {
+            const ok = document.createElement('p');
+            ok.textContent = 'No issues found.';
+            ok.style.cssText = 'margin: 4px 0; color: #4caf50;';
+            content.appendChild(ok);
+        } else {
+            const list = document.createElement('ul');
+            list.style.cssText = 'list-style: none; margin: 0; padding: 0;';
+            issues.forEach(issue => list.appendChild(this._createIssueItem(issue)));
+            content.appendChild(list);
+        }
+
+        const btnRerun = document.createElement('button');
+        btnRerun.textContent = 'Check again';
+        btnRerun.style.cssText = `
+            margin-top: 12px; padding: 6px 14px; border: 1px solid #ccc;
+            border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;
+        `;
+        btnRerun.addEventListener('click', () => this._showIssues(this.ercService.check()));
+        content.appendChild(btnRerun);
+
+        panel.setContent(content);
+        panel.open();
+    }
+
+    /**
+     * @param {import('../../application/ElectricalRuleCheckService.js').ERCIssue} issue
+     * @returns {HTMLLIElement}
+     * @private
+     */
+    _createIssueItem(issue) {
+        const item = document.createElement('li');
+        item.dataset.code = issue.code;
+        item.style.cssText = `
+            padding: 6px 8px; margin-bottom: 4px; border-radius: 4px;
+            border-left: 4px solid ${issue.severity === 'error' ? '#f44336' : '#ff9800'};
+            background: #fafafa; cursor: ${issue.elementIds.length ? 'pointer' : 'default'};
+        `;
+
+        const severity = document.createElement('strong');
+        severity.textContent = issue.severity === 'error' ? 'Error' : 'Warning';
+        severity.style.cssText = 'display: block; font-size: 11px; color: #666;';
+
+        const message = document.createElement('span');
+        message.textContent = issue.message;
+
+        item.append(severity, message);
+
+        if (issue.elementIds.length) {
+            item.addEventListener('click', () => this._focusIssue(issue));
+        }
+        return item;
+    }
+
+    /**
+     * Select the elements of an issue and zoom onto them.
+     * @param {import('../../application/ElectricalRuleCheckService.js').ERCIssue} issue
+     * @private
+     */
+    _focusIssue(issue) {
+        const elements = issue.elementIds
+            .map(id => this.circuitService.getElementByID(id))
+            .filter(Boolean);
+        if (elements.length === 0) return;
+
+        this.circuitRenderer.setSelectedElements(elements);
+        this.circuitRenderer.zoomToFit(elements);
+    }
+}
@@ -30,12 +30,14 @@ export class CommandHistory {
      *
      * @param {Object} command
      * @param {CircuitService} circuitService
+     * @returns {*} What the command's execute returns (a Promise for asynchronous commands).
      */
     executeCommand(command, circuitService) {
       const snapshot = circuitService.exportState();
-      command.execute(circuitService);
+      const result = command.execute(circuitService);
       this.history.push({ snapshot, command });
       this.future = [];
+      return result;
     }
     /**
      * Reverts to the previous circuit state.
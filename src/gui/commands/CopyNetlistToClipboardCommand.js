@@ -5,7 +5,7 @@ import { QucatNetlistAdapter } from '../../infrastructure/adapters/QucatNetlistA
  * CopyNetlistToClipboardCommand
  * 
  * Handles copying the current circuit netlist to the system clipboard.
- * Provides user feedback on success/failure.
+ * Provides user feedback on success/failure. Variants override `_serialize()`.
  */
 export class CopyNetlistToClipboardCommand extends GUICommand {
     /**
@@ -35,7 +35,7 @@ export class CopyNetlistToClipboardCommand extends GUICommand {
             }
 
             // Convert circuit to netlist format using QucatNetlistAdapter
-            const netlistContent = QucatNetlistAdapter.exportToString(circuit);
+            const netlistContent = this._serialize(circuit);
             
             // Copy to clipboard
             this._copyToClipboard(netlistContent);
@@ -50,6 +50,16 @@ export class CopyNetlistToClipboardCommand extends GUICommand {
         }
     }
 
+    /**
+     * Convert the circuit to the netlist content
+     * @param {Circuit} circuit - The circuit to copy
+     * @returns {string} The netlist content (QuCat format)
+     * @protected
+     */
+    _serialize(circuit) {
+        return QucatNetlistAdapter.exportToString(circuit);
+    }
+
     /**
      * Copy text to clipboard using the Clipboard API
      * Falls back to older execCommand method if needed
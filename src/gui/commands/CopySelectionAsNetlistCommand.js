@@ -0,0 +1,41 @@
+import { CopyNetlistToClipboardCommand } from './CopyNetlistToClipboardCommand.js';
+import { QucatNetlistAdapter } from '../../infrastructure/adapters/QucatNetlistAdapter.js';
+
+/**
+ * CopySelectionAsNetlistCommand
+ *
+ * Copies only the selected elements to the clipboard as a QuCat netlist, e.g.
+ * to send one section of a large design. Optionally the selection is moved so
+ * that its bounding box starts at the origin.
+ */
+export class CopySelectionAsNetlistCommand extends CopyNetlistToClipboardCommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (for the selection)
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     * @param {Object} [options]
+     * @param {boolean} [options.toOrigin=false] - Move the selection to the origin
+     */
+    constructor(circuitService, circuitRenderer, notify, { toOrigin = false } = {}) {
+        super(circuitService, circuitRenderer, notify);
+        this.toOrigin = toOrigin;
+    }
+
+    /**
+     * Copy the selection, if any.
+     */
+    execute() {
+        if (this.circuitRenderer.getSelectedElements().length === 0) {
+            alert('No elements selected. Please select the elements to copy first.');
+            return { undo: () => {} };
+        }
+        return super.execute();
+    }
+
+    /** @protected */
+    _serialize(circuit) {
+        const selected = this.circuitRenderer.getSelectedElements();
+        const elements = circuit.elements.filter(el => selected.includes(el));
+        return QucatNetlistAdapter.exportElementsToString(elements, { toOrigin: this.toOrigin });
+    }
+}
@@ -0,0 +1,61 @@
+import { GUICommand } from './GUICommand.js';
+import { ProjectFileAdapter } from '../../infrastructure/adapters/ProjectFileAdapter.js';
+import { ShareLinkAdapter } from '../../infrastructure/adapters/ShareLinkAdapter.js';
+
+/** Links longer than this may be cut by chat and mail clients. */
+const LONG_LINK = 8000;
+
+/**
+ * CopyShareLinkCommand
+ *
+ * Copies a link to the editor with the circuit encoded in its `#fragment`
+ * (see ShareLinkAdapter): the project, with its parameters and information,
+ * compressed. Opening the link loads the circuit, with no file or server
+ * involved. Nothing to undo.
+ */
+export class CopyShareLinkCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     */
+    constructor(circuitService, notify) {
+        super();
+        this.circuitService = circuitService;
+        this.notify = notify || (() => {});
+    }
+
+    /**
+     * Copy the link to the clipboard.
+     * @returns {Promise<{undo: Function}>}
+     */
+    async execute() {
+        if (this.circuitService.getElements().length === 0) {
+            this.notify('Nothing to share: the circuit is empty.', 'error');
+            return { undo: () => {} };
+        }
+
+        try {
+            const link = await this.buildLink(window.location.href);
+            await navigator.clipboard.writeText(link);
+            this.notify(link.length > LONG_LINK
+                ? `Share link copied (${link.length} characters; some apps may cut links this long)`
+                : 'Share link copied to clipboard', 'success');
+        } catch (error) {
+            console.error('[CopyShareLinkCommand] Failed to copy share link:', error);
+            this.notify(`Failed to copy share link: ${error.message}`, 'error');
+        }
+        return { undo: () => {} };
+    }
+
+    /**
+     * Build the share link of the current circuit.
+     *
+     * @param {string} baseUrl - The editor URL.
+     * @returns {Promise<string>}
+     */
+    buildLink(baseUrl) {
+        // The view depends on the screen, so the link opens zoomed to fit
+        const project = ProjectFileAdapter.exportToString(this.circuitService, { compact: true });
+        return ShareLinkAdapter.createLink(project, baseUrl);
+    }
+}
@@ -0,0 +1,54 @@
+import { GUICommand } from './GUICommand.js';
+import { CircuitikzAdapter } from '../../infrastructure/adapters/CircuitikzAdapter.js';
+import { TextExportDialog } from '../components/TextExportDialog.js';
+import { timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * ExportCircuitikzCommand
+ *
+ * Exports the selection, or the whole circuit if nothing is selected, as a
+ * circuitikz snippet, shown in a dialog from which it can be copied or
+ * downloaded as a .tex file.
+ */
+export class ExportCircuitikzCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (for the selection)
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     */
+    constructor(circuitService, circuitRenderer, notify) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.notify = notify || (() => {});
+        /** @type {string|null} The last exported snippet. */
+        this.snippet = null;
+    }
+
+    /**
+     * Export and show the snippet. Nothing to undo.
+     */
+    execute() {
+        const circuit = this.circuitService.circuit;
+        if (circuit.elements.length === 0) {
+            this.notify('No circuit elements to export.', 'error');
+            return { undo: () => {} };
+        }
+
+        const selected = this.circuitRenderer?.getSelectedElements?.() ?? [];
+        const elementIds = selected.length > 0 ? selected.map(el => el.id) : undefined;
+        this.snippet = CircuitikzAdapter.exportToString(circuit, { elementIds });
+
+        TextExportDialog.show({
+            title: 'circuitikz Export',
+            description: elementIds
+                ? `${elementIds.length} selected element(s). Needs \\usepackage{circuitikz} and \\usepackage{siunitx}.`
+                : 'Whole circuit. Needs \\usepackage{circuitikz} and \\usepackage{siunitx}.',
+            text: this.snippet,
+            filename: timestampedFilename('circuit', 'tex'),
+            mimeType: 'application/x-tex',
+            notify: this.notify,
+        });
+        return { undo: () => {} };
+    }
+}
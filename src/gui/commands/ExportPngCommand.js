@@ -0,0 +1,106 @@
+import { GUICommand } from './GUICommand.js';
+import { PngExporter } from '../renderers/PngExporter.js';
+import { ImageExportDialog } from '../components/ImageExportDialog.js';
+import { downloadFile, timestampedFilename } from '../../utils/downloadFile.js';
+
+/** Resolutions offered in the dialog (DPI). */
+const RESOLUTIONS = [96, 150, 300, 600];
+
+/**
+ * ExportPngCommand
+ *
+ * Asks for the export options (selection or whole circuit, grid,
+ * background, resolution) and renders the schematic offscreen with
+ * PngExporter, cropped to the drawing plus padding. The PNG is then
+ * downloaded or copied to the system clipboard as an image.
+ */
+export class ExportPngCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (selection, grid and renderer factory)
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     */
+    constructor(circuitService, circuitRenderer, notify) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.notify = notify || (() => {});
+    }
+
+    /**
+     * Show the options dialog; the image is downloaded or copied when the
+     * user confirms. Nothing to undo.
+     */
+    execute() {
+        if (this.circuitService.getElements().length === 0) {
+            this.notify('No circuit elements to export.', 'error');
+            return { undo: () => {} };
+        }
+
+        ImageExportDialog.show({
+            title: 'Export PNG',
+            hasSelection: this.circuitRenderer.getSelectedElements().length > 0,
+            defaults: { showGrid: this.circuitRenderer.showGrid, dpi: 300 },
+            resolutions: RESOLUTIONS,
+            actions: [{ id: 'copy', label: 'Copy' }, { id: 'download', label: 'Download' }],
+            onExport: (options, action) => {
+                const result = action === 'copy' ? this.copyToClipboard(options) : this.download(options);
+                result.catch(error => this.notify(`PNG export failed: ${error.message}`, 'error'));
+            },
+        });
+        return { undo: () => {} };
+    }
+
+    /**
+     * Render the schematic offscreen.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.selectionOnly=false] - Only draw the selected elements.
+     * @param {boolean} [options.showGrid=false] - Draw the dot grid.
+     * @param {boolean} [options.transparent=false] - No background.
+     * @param {number} [options.dpi=300] - Output resolution.
+     * @param {Function} [options.createCanvas] - Canvas factory, see PngExporter.render.
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The rendered canvas.
+     */
+    buildCanvas({ selectionOnly = false, showGrid = false, transparent = false, dpi = 300, createCanvas } = {}) {
+        const selected = this.circuitRenderer.getSelectedElements();
+        const elements = selectionOnly && selected.length > 0
+            ? this.circuitService.getElements().filter(el => selected.includes(el))
+            : this.circuitService.getElements();
+
+        return PngExporter.render(elements, this.circuitRenderer.rendererFactory, {
+            dpi,
+            parameters: this.circuitService.getParameters(),
+            showGrid,
+            transparent,
+            gridSpacing: this.circuitRenderer.gridSpacing,
+            ...(createCanvas && { createCanvas }),
+        });
+    }
+
+    /**
+     * Render and download the PNG.
+     * @param {Object} options - See buildCanvas.
+     * @returns {Promise<void>}
+     */
+    async download(options) {
+        const blob = await PngExporter.toBlob(this.buildCanvas(options), options.dpi);
+        downloadFile(blob, timestampedFilename('circuit', 'png'));
+    }
+
+    /**
+     * Render the PNG and put it on the system clipboard.
+     * @param {Object} options - See buildCanvas.
+     * @returns {Promise<void>}
+     */
+    async copyToClipboard(options) {
+        if (typeof ClipboardItem === 'undefined' || !navigator.clipboard?.write) {
+            this.notify('This browser cannot copy images to the clipboard; use Download instead.', 'error');
+            return;
+        }
+        // Safari only keeps the user gesture when the item is created synchronously
+        const blob = PngExporter.toBlob(this.buildCanvas(options), options.dpi);
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+        this.notify('Image copied to clipboard.', 'success');
+    }
+}
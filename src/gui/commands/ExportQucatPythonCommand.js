@@ -0,0 +1,48 @@
+import { GUICommand } from './GUICommand.js';
+import { QucatPythonAdapter } from '../../infrastructure/adapters/QucatPythonAdapter.js';
+import { TextExportDialog } from '../components/TextExportDialog.js';
+import { timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * ExportQucatPythonCommand
+ *
+ * Exports the circuit as a QuCat Python script (`qucat.Network([...])` on
+ * the extracted nodes), shown in a dialog from which it can be copied or
+ * downloaded as a .py file.
+ */
+export class ExportQucatPythonCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     */
+    constructor(circuitService, notify) {
+        super();
+        this.circuitService = circuitService;
+        this.notify = notify || (() => {});
+        /** @type {string|null} The last exported script. */
+        this.script = null;
+    }
+
+    /**
+     * Export and show the script. Nothing to undo.
+     */
+    execute() {
+        const circuit = this.circuitService.circuit;
+        if (circuit.elements.length === 0) {
+            this.notify('No circuit elements to export.', 'error');
+            return { undo: () => {} };
+        }
+
+        this.script = QucatPythonAdapter.exportToString(circuit);
+
+        TextExportDialog.show({
+            title: 'QuCat Python Export',
+            description: 'Builds the circuit with qucat.Network; needs "pip install qucat".',
+            text: this.script,
+            filename: timestampedFilename('circuit', 'py'),
+            mimeType: 'text/x-python',
+            notify: this.notify,
+        });
+        return { undo: () => {} };
+    }
+}
@@ -0,0 +1,55 @@
+import { GUICommand } from './GUICommand.js';
+import { ScqubitsAdapter } from '../../infrastructure/adapters/ScqubitsAdapter.js';
+import { TextExportDialog } from '../components/TextExportDialog.js';
+import { timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * ExportScqubitsCommand
+ *
+ * Exports the circuit as scqubits circuit YAML (branches with energies in
+ * GHz), shown in a dialog from which it can be copied or downloaded as a
+ * .yaml file. Circuits that cannot be exported (missing values, junctions
+ * without a parallel capacitor) are reported with a notification.
+ */
+export class ExportScqubitsCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     */
+    constructor(circuitService, notify) {
+        super();
+        this.circuitService = circuitService;
+        this.notify = notify || (() => {});
+        /** @type {string|null} The last exported YAML. */
+        this.yaml = null;
+    }
+
+    /**
+     * Export and show the YAML. Nothing to undo.
+     */
+    execute() {
+        const circuit = this.circuitService.circuit;
+        if (circuit.elements.length === 0) {
+            this.notify('No circuit elements to export.', 'error');
+            return { undo: () => {} };
+        }
+
+        try {
+            this.yaml = ScqubitsAdapter.exportToString(circuit);
+        } catch (error) {
+            this.yaml = null;
+            this.notify(error.message, 'error');
+            return { undo: () => {} };
+        }
+
+        TextExportDialog.show({
+            title: 'scqubits Export',
+            description: 'Load with scqubits.Circuit("circuit.yaml") or scqubits.Circuit(text, from_file=False).',
+            text: this.yaml,
+            filename: timestampedFilename('circuit', 'yaml'),
+            mimeType: 'application/x-yaml',
+            notify: this.notify,
+        });
+        return { undo: () => {} };
+    }
+}
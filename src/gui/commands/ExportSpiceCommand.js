@@ -0,0 +1,32 @@
+import { SaveNetlistCommand } from './SaveNetlistCommand.js';
+import { SpiceNetlistAdapter } from '../../infrastructure/adapters/SpiceNetlistAdapter.js';
+import { timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * ExportSpiceCommand
+ *
+ * Downloads the circuit as a SPICE deck (.cir), e.g. to check its classical
+ * behaviour in ngspice. Same download flow as SaveNetlistCommand.
+ */
+export class ExportSpiceCommand extends SaveNetlistCommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer for UI updates
+     * @param {Object} [options] - Options of SpiceNetlistAdapter.exportToString, e.g.
+     *   `{ junctionModel: 'subcircuit' }` to write junctions as subcircuit instances
+     */
+    constructor(circuitService, circuitRenderer, options = {}) {
+        super(circuitService, circuitRenderer);
+        this.options = options;
+    }
+
+    /** @protected */
+    _serialize(circuit) {
+        return SpiceNetlistAdapter.exportToString(circuit, this.options);
+    }
+
+    /** @protected */
+    _filename() {
+        return timestampedFilename('circuit', 'cir');
+    }
+}
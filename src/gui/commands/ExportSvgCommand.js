@@ -0,0 +1,69 @@
+import { GUICommand } from './GUICommand.js';
+import { SvgExporter } from '../renderers/SvgExporter.js';
+import { ImageExportDialog } from '../components/ImageExportDialog.js';
+import { downloadFile, timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * ExportSvgCommand
+ *
+ * Asks for the export options (selection or whole circuit, grid,
+ * transparent background) and downloads a standalone, scalable SVG of the
+ * schematic, drawn as vector symbols by SvgExporter.
+ */
+export class ExportSvgCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (selection, grid and renderer factory)
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     */
+    constructor(circuitService, circuitRenderer, notify) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.notify = notify || (() => {});
+    }
+
+    /**
+     * Show the options dialog; the file is downloaded when the user confirms.
+     * Nothing to undo.
+     */
+    execute() {
+        if (this.circuitService.getElements().length === 0) {
+            this.notify('No circuit elements to export.', 'error');
+            return { undo: () => {} };
+        }
+
+        ImageExportDialog.show({
+            title: 'Export SVG',
+            hasSelection: this.circuitRenderer.getSelectedElements().length > 0,
+            defaults: { showGrid: this.circuitRenderer.showGrid },
+            onExport: (options) => {
+                downloadFile(this.buildSvg(options), timestampedFilename('circuit', 'svg'), 'image/svg+xml');
+            },
+        });
+        return { undo: () => {} };
+    }
+
+    /**
+     * Build the SVG document.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.selectionOnly=false] - Only draw the selected elements.
+     * @param {boolean} [options.showGrid=false] - Draw the dot grid.
+     * @param {boolean} [options.transparent=false] - No background.
+     * @returns {string} The SVG document.
+     */
+    buildSvg({ selectionOnly = false, showGrid = false, transparent = false } = {}) {
+        const selected = this.circuitRenderer.getSelectedElements();
+        const elements = selectionOnly && selected.length > 0
+            ? this.circuitService.getElements().filter(el => selected.includes(el))
+            : this.circuitService.getElements();
+
+        return SvgExporter.export(elements, this.circuitRenderer.rendererFactory, {
+            parameters: this.circuitService.getParameters(),
+            showGrid,
+            transparent,
+            gridSpacing: this.circuitRenderer.gridSpacing,
+        });
+    }
+}
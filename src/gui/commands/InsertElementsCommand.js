@@ -0,0 +1,140 @@
+import { GUICommand } from './GUICommand.js';
+import { ElementFactory } from '../../domain/factories/ElementFactory.js';
+import { Position } from '../../domain/valueObjects/Position.js';
+import { Properties } from '../../domain/valueObjects/Properties.js';
+import { Label } from '../../domain/valueObjects/Label.js';
+import { GRID_CONFIG } from '../../config/gridConfig.js';
+
+/**
+ * InsertElementsCommand
+ *
+ * Adds a block of elements, e.g. those of an imported netlist, to the current
+ * circuit instead of replacing it. Element IDs that are already used in the
+ * circuit are renumbered (type prefix + counter, as when pasting), and the
+ * block can be moved so that its centre lands on a given point; it is moved
+ * by whole grid steps so that it stays on the grid. Parameters of the block
+ * are added unless the circuit already defines them. The inserted elements
+ * are selected.
+ *
+ * With `place`, the block is then handed to the GUIAdapter as a floating
+ * selection (the "startPlacing" event, as for a new element in
+ * AddElementCommand): it follows the mouse and is put down on the grid by a
+ * click, or removed with Escape.
+ */
+export class InsertElementsCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (selection and re-rendering)
+     * @param {Element[]} elements - The elements to insert (not in the circuit)
+     * @param {Object} [options]
+     * @param {Map<string, number|undefined>} [options.parameters] - Parameters of the block
+     * @param {{x: number, y: number}|null} [options.center=null] - Where to centre the block,
+     *   in world coordinates; null keeps the elements where they are
+     * @param {boolean} [options.place=false] - Let the user place the block with the mouse
+     */
+    constructor(circuitService, circuitRenderer, elements, { parameters = new Map(), center = null, place = false } = {}) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.elements = elements;
+        this.parameters = parameters;
+        this.center = center;
+        this.place = place;
+        /** @type {Element[]} The elements added to the circuit. */
+        this.insertedElements = [];
+    }
+
+    /**
+     * Insert the block.
+     * @returns {{undo: Function}} Restores the circuit as it was before.
+     */
+    execute() {
+        const before = this.circuitService.exportState();
+        const { dx, dy } = this.center ? InsertElementsCommand.offsetTo(this.elements, this.center) : { dx: 0, dy: 0 };
+        const usedIds = new Set(this.circuitService.getElements().map(el => el.id));
+
+        this.insertedElements = this.elements.map(element => {
+            const id = InsertElementsCommand.uniqueId(element, usedIds);
+            usedIds.add(id);
+            const copy = ElementFactory.create(
+                element.type,
+                id,
+                element.nodes.map(node => new Position(node.x + dx, node.y + dy)),
+                new Properties({ ...element.properties.values }),
+                element.label?.value ? new Label(element.label.value) : null,
+            );
+            this.circuitService.addElement(copy);
+            return copy;
+        });
+
+        for (const [name, value] of this.parameters) {
+            if (!this.circuitService.circuit.parameters.has(name)) {
+                this.circuitService.setParameter(name, value);
+            }
+        }
+
+        this.circuitRenderer.setSelectedElements(this.insertedElements);
+        this.circuitService.emit('update');
+        if (this.place) {
+            this.circuitService.emit('startPlacing', { elements: this.insertedElements });
+        }
+        this.circuitRenderer.render();
+
+        return {
+            undo: () => {
+                this.circuitService.importState(before);
+                this.circuitRenderer.clearSelection();
+                this.circuitRenderer.render();
+            },
+        };
+    }
+
+    /**
+     * The element's ID if it is free, else the first free one with the same
+     * type prefix (R1, R2, ...).
+     *
+     * @param {Element} element - The element to insert
+     * @param {Set<string>} usedIds - IDs already taken
+     * @returns {string}
+     */
+    static uniqueId(element, usedIds) {
+        if (!usedIds.has(element.id)) return element.id;
+        const prefix = element.type.charAt(0).toUpperCase();
+        let counter = 1;
+        while (usedIds.has(`${prefix}${counter}`)) counter++;
+        return `${prefix}${counter}`;
+    }
+
+    /**
+     * Offset that moves the centre of the elements' bounding box onto a point,
+     * rounded to whole grid steps.
+     *
+     * @param {Element[]} elements - The elements
+     * @param {{x: number, y: number}} center - The target point
+     * @returns {{dx: number, dy: number}}
+     */
+    static offsetTo(elements, center) {
+        const { x, y } = InsertElementsCommand.centerOf(elements);
+        return {
+            dx: GRID_CONFIG.snapToVisualGrid(center.x - x),
+            dy: GRID_CONFIG.snapToVisualGrid(center.y - y),
+        };
+    }
+
+    /**
+     * Centre of the elements' bounding box.
+     *
+     * @param {Array<{nodes: Array<{x: number, y: number}>}>} elements - The elements
+     * @returns {{x: number, y: number}} The origin if there are no nodes
+     */
+    static centerOf(elements) {
+        const nodes = elements.flatMap(element => element.nodes);
+        if (nodes.length === 0) return { x: 0, y: 0 };
+        const xs = nodes.map(node => node.x);
+        const ys = nodes.map(node => node.y);
+        return {
+            x: (Math.min(...xs) + Math.max(...xs)) / 2,
+            y: (Math.min(...ys) + Math.max(...ys)) / 2,
+        };
+    }
+}
@@ -0,0 +1,49 @@
+import { OpenNetlistCommand } from './OpenNetlistCommand.js';
+import { InsertElementsCommand } from './InsertElementsCommand.js';
+
+/**
+ * InsertNetlistCommand
+ *
+ * "Insert Netlist...": reads a netlist file like OpenNetlistCommand, but adds
+ * its circuit to the current one instead of replacing it, so that designs can
+ * be composed from saved sub-circuits (a readout resonator, a Purcell
+ * filter...). Clashing element IDs are renumbered and the block floats with
+ * the mouse until a click puts it down (see InsertElementsCommand). The
+ * current file is left unchanged.
+ */
+export class InsertNetlistCommand extends OpenNetlistCommand {
+    /**
+     * Ask for a netlist file and insert it.
+     * @returns {Promise<{undo: Function}>}
+     */
+    async execute() {
+        try {
+            const chosen = await this._chooseNetlist();
+            if (!chosen) return { undo: () => {} };
+
+            const { file, content, options } = chosen;
+            const parsed = await OpenNetlistCommand.importWithDiagnostics(content, file.name, options);
+            if (!parsed) return { undo: () => {} };
+            return this.insert(parsed);
+
+        } catch (error) {
+            console.error('[InsertNetlistCommand] Error inserting netlist:', error);
+            alert(`Error inserting netlist file: ${error.message}`);
+            return { undo: () => {} };
+        }
+    }
+
+    /**
+     * Add parsed elements to the circuit as a block to place with the mouse.
+     *
+     * @param {{elements: Element[], parameters: Map<string, number|undefined>}} parsed - From importWithDiagnostics
+     * @returns {{undo: Function}} Removes the block.
+     * @throws {Error} If there are no elements
+     */
+    insert({ elements, parameters }) {
+        if (elements.length === 0) {
+            throw new Error('No valid circuit elements found in the netlist.');
+        }
+        return new InsertElementsCommand(this.circuitService, this.circuitRenderer, elements, { parameters, place: true }).execute();
+    }
+}
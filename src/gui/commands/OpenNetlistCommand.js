@@ -1,89 +1,149 @@
 import { GUICommand } from './GUICommand.js';
-import { QucatNetlistAdapter } from '../../infrastructure/adapters/QucatNetlistAdapter.js';
+import { NetlistImporter } from '../../infrastructure/adapters/NetlistImporter.js';
+import { NetlistImportError } from '../../infrastructure/adapters/NetlistImportError.js';
+import { ImportDiagnosticsDialog } from '../components/ImportDiagnosticsDialog.js';
+import { NetlistImportOptionsDialog } from '../components/NetlistImportOptionsDialog.js';
+import { FileSystemAccessAdapter, NETLIST_FILE_TYPE, SPICE_FILE_TYPE } from '../../infrastructure/adapters/FileSystemAccessAdapter.js';
 
 /**
  * OpenNetlistCommand
  * 
- * Handles opening/loading a netlist file from the user's file system.
+ * Handles opening/loading a netlist file from the user's file system: a QuCat
+ * netlist, or a SPICE deck (which is laid out automatically). For QuCat
+ * netlists the detected format version is shown first, and can be overridden.
+ * Problems in the file are listed in a dialog, from which the valid lines
+ * can still be loaded. The file is recorded in the DocumentService, if given,
+ * so that saving writes back to it.
  * Follows the GUI button → Command → CircuitService → State change → Renderer update flow.
  */
 export class OpenNetlistCommand extends GUICommand {
     /**
      * @param {CircuitService} circuitService - The circuit service
      * @param {CircuitRenderer} circuitRenderer - The circuit renderer for UI updates
+     * @param {DocumentService} [documentService] - Records the opened file
      */
-    constructor(circuitService, circuitRenderer) {
+    constructor(circuitService, circuitRenderer, documentService = null) {
         super();
         this.circuitService = circuitService;
         this.circuitRenderer = circuitRenderer;
-        this.previousState = null; // Store state for undo
+        this.documentService = documentService;
     }
 
     /**
      * Execute open netlist operation
+     * @returns {Promise<{undo: Function}>}
      */
-    execute() {
-        
-        // Store current state for undo
-        this.previousState = this.circuitService.exportState();
-        
+    async execute() {
+        try {
+            const chosen = await this._chooseNetlist();
+            if (!chosen) return { undo: () => {} };
+
+            const { file, handle, content, format, options } = chosen;
+            if (await this.loadContent(content, file.name, options)) {
+                // Saving writes QuCat netlists, so a SPICE deck is never overwritten in place
+                this.documentService?.setFile({ name: file.name, handle: format === 'qucat' ? handle : null, format: 'netlist' });
+            }
+            return { undo: () => {} };
+
+        } catch (error) {
+            console.error('[OpenNetlistCommand] Error loading netlist:', error);
+            alert(`Error loading netlist file: ${error.message}`);
+            return { undo: () => {} };
+        }
+    }
+
+    /**
+     * Ask for a netlist file and read it; for QuCat netlists, confirm the
+     * format version.
+     * @returns {Promise<{file: File, handle: FileSystemFileHandle|null, content: string,
+     *   format: 'qucat'|'spice', options: Object}|null>} null if the user cancelled
+     * @protected
+     */
+    async _chooseNetlist() {
+        let picked;
+        try {
+            picked = await this._pickFile();
+        } catch (error) {
+            console.error('[OpenNetlistCommand] Error picking netlist file:', error);
+            alert(`Error opening netlist file: ${error.message}`);
+        }
+        if (!picked) return null;
+
+        // Read file content
+        const content = await this._readFileContent(picked.file);
+        const format = NetlistImporter.detectFormat(content, picked.file.name);
+
+        // QuCat netlists: confirm the format version
+        let options = {};
+        if (format === 'qucat') {
+            options = await NetlistImportOptionsDialog.show({ content, filename: picked.file.name });
+            if (!options) return null;
+        }
+        return { ...picked, content, format, options };
+    }
+
+    /**
+     * Ask the user for a netlist file: through the File System Access API when
+     * available, which gives a handle to save back to, or a file input.
+     * @returns {Promise<{file: File, handle: FileSystemFileHandle|null}|null>} null if cancelled
+     * @private
+     */
+    _pickFile() {
+        if (FileSystemAccessAdapter.isSupported()) {
+            return FileSystemAccessAdapter.openFile([NETLIST_FILE_TYPE, SPICE_FILE_TYPE]);
+        }
+
         // Create file input for user to select netlist file
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.txt,.qucat';
+        fileInput.accept = '.txt,.qucat,.cir,.sp,.spice,.net,.ckt';
         fileInput.style.display = 'none';
-        
+
         return new Promise((resolve) => {
-            fileInput.addEventListener('change', async (event) => {
-                try {
-                    const file = event.target.files[0];
-                    if (!file) {
-                        resolve({ undo: () => {} });
-                        return;
-                    }
-                    
-                    
-                    // Read file content
-                    const content = await this._readFileContent(file);
-                    
-                    // Parse netlist content
-                    const elements = await this._parseNetlistContent(content);
-                    
-                    if (!elements || elements.length === 0) {
-                        console.warn('[OpenNetlistCommand] No valid elements found in netlist');
-                        alert('No valid circuit elements found in the selected file.');
-                        resolve({ undo: () => {} });
-                        return;
-                    }
-                    
-                    // Clear current circuit and load new elements
-                    await this._loadElementsIntoCircuit(elements);
-                    
-                    
-                    // Trigger circuit update and re-render
-                    this.circuitService.emit('update');
-                    this.circuitRenderer.render();
-                    
-                    resolve({
-                        undo: () => this.undo()
-                    });
-                    
-                } catch (error) {
-                    console.error('[OpenNetlistCommand] Error loading netlist:', error);
-                    alert(`Error loading netlist file: ${error.message}`);
-                    resolve({ undo: () => {} });
-                } finally {
-                    // Clean up file input
-                    document.body.removeChild(fileInput);
-                }
+            const done = (picked) => {
+                // Clean up file input
+                document.body.removeChild(fileInput);
+                resolve(picked);
+            };
+            fileInput.addEventListener('change', (event) => {
+                const file = event.target.files[0];
+                done(file ? { file, handle: null } : null);
             });
-            
+            fileInput.addEventListener('cancel', () => done(null));
+
             // Trigger file selection dialog
             document.body.appendChild(fileInput);
             fileInput.click();
         });
     }
 
+    /**
+     * Replace the circuit with a netlist, listing its problems (see
+     * importWithDiagnostics). Also used to load netlists from share links and
+     * from the documentation pages. Undo goes through the command history.
+     *
+     * @param {string} content - The netlist text
+     * @param {string} [filename] - The file name, if any
+     * @param {Object} [options] - Format version and span options (see NetlistImporter.importFromString)
+     * @returns {Promise<boolean>} False if the user chose not to import a netlist with problems
+     * @throws {Error} If the netlist cannot be read or has no elements
+     */
+    async loadContent(content, filename, options = {}) {
+        const parsed = await this._parseNetlistContent(content, filename, options);
+        if (!parsed) return false;
+        const { elements, parameters } = parsed;
+
+        if (!elements || elements.length === 0) {
+            console.warn('[OpenNetlistCommand] No valid elements found in netlist');
+            throw new Error('No valid circuit elements found in the netlist.');
+        }
+
+        OpenNetlistCommand.replaceCircuit(this.circuitService, { elements, parameters });
+        this.circuitRenderer.render();
+
+        return true;
+    }
+
     /**
      * Read the content of the selected file
      * @param {File} file - The file to read
@@ -102,54 +162,78 @@ export class OpenNetlistCommand extends GUICommand {
     /**
      * Parse netlist content into Element instances
      * @param {string} content - The netlist file content
-     * @returns {Promise<Element[]>} Array of parsed elements
+     * @param {string} filename - The file name, whose extension hints at the format
+     * @param {Object} [options] - Format version and span options (see NetlistImporter.importFromString)
+     * @returns {Promise<{elements: Element[], parameters: Map<string, number|undefined>}|null>} Parsed elements
+     *   and parameters, or null if the user chose not to import a netlist with problems
      * @private
      */
-    async _parseNetlistContent(content) {
+    async _parseNetlistContent(content, filename, options = {}) {
         try {
-            // Use QucatNetlistAdapter to deserialize elements
-            const elements = QucatNetlistAdapter.importFromString(content);
-            
-            return elements;
-            
+            return await OpenNetlistCommand.importWithDiagnostics(content, filename, options);
         } catch (error) {
             throw new Error(`Failed to parse netlist content: ${error.message}`);
         }
     }
 
     /**
-     * Load the parsed elements into the circuit
-     * @param {Element[]} elements - The elements to load
-     * @private
+     * Import a netlist (QuCat or SPICE, detected from the extension and
+     * content), reporting its problems in a dialog. If some lines cannot be
+     * imported the user can load the valid ones or cancel; warnings are shown
+     * after the import. Shared with PasteNetlistFromClipboardCommand.
+     *
+     * @param {string} content - The netlist text
+     * @param {string} [filename] - The file name, if any
+     * @param {{version?: 'v1.0'|'v2.0', normalizeSpans?: boolean}} [options] - QuCat import options
+     * @returns {Promise<{elements: Element[], parameters: Map<string, number|undefined>}|null>} null if not imported
+     * @throws {Error} If the format is not recognised
      */
-    async _loadElementsIntoCircuit(elements) {
+    static async importWithDiagnostics(content, filename, options = {}) {
         try {
-            // Clear current circuit
-            const currentElements = [...this.circuitService.circuit.elements];
-            for (const element of currentElements) {
-                this.circuitService.deleteElement(element.id);
-            }
-            
-            // Add new elements to circuit via CircuitService
-            for (const element of elements) {
-                this.circuitService.addElement(element);
+            const { elements, parameters, problems } = NetlistImporter.importFromString(content, filename, options);
+            if (problems.length > 0) {
+                ImportDiagnosticsDialog.show({ title: 'Netlist imported with warnings', problems });
             }
-            
-            
+            return { elements, parameters };
         } catch (error) {
-            throw new Error(`Failed to load elements into circuit: ${error.message}`);
+            if (!(error instanceof NetlistImportError)) throw error;
+            console.warn(`[OpenNetlistCommand] ${error.message}`);
+
+            const load = await ImportDiagnosticsDialog.show({
+                title: 'Problems in the netlist',
+                problems: error.problems,
+                loadLabel: error.validCount > 0 ? `Load ${error.validCount} valid line(s)` : undefined,
+            });
+            if (!load) return null;
+            const { elements, parameters } = NetlistImporter.importFromString(content, filename, { ...options, lenient: true });
+            return { elements, parameters };
         }
     }
 
     /**
-     * Undo the open operation by restoring previous state
+     * Replace the whole circuit with imported elements and parameters. Nothing
+     * of the previous circuit carries over: an empty snapshot also clears its
+     * parameters, project information and annotations. Shared with
+     * PasteNetlistFromClipboardCommand.
+     *
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {{elements: Element[], parameters: Map<string, number|undefined>}} parsed - The imported netlist
+     * @throws {Error} If an element cannot be added
      */
-    undo() {
-        if (this.previousState) {
-            this.circuitService.importState(this.previousState);
-            this.circuitService.emit('update');
-            this.circuitRenderer.render();
-        } else {
+    static replaceCircuit(circuitService, { elements, parameters }) {
+        try {
+            circuitService.importState(JSON.stringify({ elements: [] }));
+            for (const element of elements) {
+                circuitService.addElement(element);
+            }
+        } catch (error) {
+            throw new Error(`Failed to load elements into circuit: ${error.message}`);
         }
+        for (const [name, value] of parameters) {
+            circuitService.setParameter(name, value);
+        }
+
+        // Trigger circuit update
+        circuitService.emit('update');
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,97 @@
+import { GUICommand } from './GUICommand.js';
+import { ProjectFileAdapter } from '../../infrastructure/adapters/ProjectFileAdapter.js';
+import { FileSystemAccessAdapter, PROJECT_FILE_TYPE } from '../../infrastructure/adapters/FileSystemAccessAdapter.js';
+
+/**
+ * OpenProjectCommand
+ *
+ * Opens a JSCircuit project file chosen by the user, replacing the circuit,
+ * its parameters, project information and annotations, and restoring the
+ * saved view. Undo goes through the command history, whose snapshot brings
+ * all of these back except the view. The file is recorded in the
+ * DocumentService, if given, so that saving writes back to it.
+ */
+export class OpenProjectCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (view and re-rendering)
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     * @param {DocumentService} [documentService] - Records the opened file
+     */
+    constructor(circuitService, circuitRenderer, notify, documentService = null) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.notify = notify || (() => {});
+        this.documentService = documentService;
+    }
+
+    /**
+     * Ask for a file and open it.
+     * @returns {Promise<{undo: Function}>}
+     */
+    async execute() {
+        try {
+            const picked = await this._pickFile();
+            if (!picked) return { undo: () => {} };
+
+            this.load(await picked.file.text());
+            this.documentService?.setFile({ name: picked.file.name, handle: picked.handle, format: 'project' });
+            return { undo: () => {} };
+        } catch (error) {
+            console.error('[OpenProjectCommand] Error opening project:', error);
+            this.notify(`Error opening project: ${error.message}`, 'error');
+            return { undo: () => {} };
+        }
+    }
+
+    /**
+     * Replace the circuit with a project.
+     *
+     * @param {string} content - The project file content.
+     * @throws {Error} If the content is not a readable project; the circuit is then unchanged.
+     */
+    load(content) {
+        const { state, viewport } = ProjectFileAdapter.importFromString(content);
+        this.circuitService.importState(state);
+
+        if (viewport) {
+            Object.assign(this.circuitRenderer, viewport);
+        } else {
+            this.circuitRenderer.zoomToFit();
+        }
+        this.circuitRenderer.render();
+    }
+
+    /**
+     * Ask the user for a project file, with a handle to save back to when the
+     * File System Access API is available.
+     * @returns {Promise<{file: File, handle: FileSystemFileHandle|null}|null>} null if cancelled
+     * @private
+     */
+    _pickFile() {
+        if (FileSystemAccessAdapter.isSupported()) {
+            return FileSystemAccessAdapter.openFile([PROJECT_FILE_TYPE]);
+        }
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+
+        return new Promise((resolve) => {
+            const done = (picked) => {
+                document.body.removeChild(fileInput);
+                resolve(picked);
+            };
+            fileInput.addEventListener('change', (event) => {
+                const file = event.target.files[0];
+                done(file ? { file, handle: null } : null);
+            });
+            fileInput.addEventListener('cancel', () => done(null));
+
+            document.body.appendChild(fileInput);
+            fileInput.click();
+        });
+    }
+}
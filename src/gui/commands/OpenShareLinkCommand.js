@@ -0,0 +1,66 @@
+import { GUICommand } from './GUICommand.js';
+import { OpenProjectCommand } from './OpenProjectCommand.js';
+import { OpenNetlistCommand } from './OpenNetlistCommand.js';
+import { ProjectFileAdapter } from '../../infrastructure/adapters/ProjectFileAdapter.js';
+import { ShareLinkAdapter } from '../../infrastructure/adapters/ShareLinkAdapter.js';
+
+/**
+ * OpenShareLinkCommand
+ *
+ * Loads the circuit encoded in the `#fragment` of the page URL by a share
+ * link (see CopyShareLinkCommand): a project, or a netlist in any format
+ * NetlistImporter reads. Run on startup and when the fragment changes.
+ * The fragment is then removed from the address bar, so that reloading the
+ * page does not discard later edits.
+ */
+export class OpenShareLinkCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (view and re-rendering)
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     */
+    constructor(circuitService, circuitRenderer, notify) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.notify = notify || (() => {});
+    }
+
+    /**
+     * Load the circuit of the page URL, if it has one.
+     * @returns {Promise<{undo: Function}>}
+     */
+    async execute() {
+        const data = ShareLinkAdapter.readFragment(window.location.hash);
+        if (!data) return { undo: () => {} };
+
+        try {
+            await this.load(data);
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            return { undo: () => {} };
+        } catch (error) {
+            console.error('[OpenShareLinkCommand] Error opening share link:', error);
+            this.notify(`Could not open the shared circuit: ${error.message}`, 'error');
+            return { undo: () => {} };
+        }
+    }
+
+    /**
+     * Replace the circuit with the one encoded in a share link.
+     *
+     * @param {string} data - The encoded circuit (see ShareLinkAdapter.readFragment).
+     * @returns {Promise<void>}
+     * @throws {Error} If the link cannot be decoded or its circuit read.
+     */
+    async load(data) {
+        const content = await ShareLinkAdapter.decode(data);
+        if (ProjectFileAdapter.isProject(content)) {
+            new OpenProjectCommand(this.circuitService, this.circuitRenderer, this.notify).load(content);
+            return;
+        }
+
+        await new OpenNetlistCommand(this.circuitService, this.circuitRenderer).loadContent(content);
+        this.circuitRenderer.zoomToFit();
+        this.circuitRenderer.render();
+    }
+}
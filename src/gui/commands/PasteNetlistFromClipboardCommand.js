@@ -1,12 +1,17 @@
 import { GUICommand } from './GUICommand.js';
-import { QucatNetlistAdapter } from '../../infrastructure/adapters/QucatNetlistAdapter.js';
+import { OpenNetlistCommand } from './OpenNetlistCommand.js';
+import { NetlistFormatOptions } from '../components/NetlistFormatOptions.js';
 
 /**
  * PasteNetlistFromClipboardCommand
  *
  * Opens a modal dialog with a textarea where the user can paste a QuCat netlist
- * string (e.g. copied from a Jupyter cell). On confirmation the current circuit
- * is replaced with the parsed elements.  Supports undo.
+ * string (e.g. copied from a Jupyter cell) or a SPICE deck. On confirmation the
+ * current circuit is replaced with the parsed elements, parameters and all
+ * (see OpenNetlistCommand.replaceCircuit). Undo goes through the command history.
+ * Problems in the netlist are listed in a dialog, as when opening a file.
+ * For QuCat netlists the dialog shows the detected format version, which can
+ * be overridden.
  *
  * Follows the same Command-pattern contract as CopyNetlistToClipboardCommand
  * and OpenNetlistCommand.
@@ -22,7 +27,6 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
         this.circuitService = circuitService;
         this.circuitRenderer = circuitRenderer;
         this.notify = notify || (() => {});
-        this.previousState = null;
     }
 
     /* ------------------------------------------------------------------ */
@@ -35,15 +39,17 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
      * OpenNetlistCommand).
      */
     execute() {
-        // Save state for undo *before* any mutation.
-        this.previousState = this.circuitService.exportState();
-
         return new Promise((resolve) => {
             this._showPasteDialog(
-                (netlistText) => {
+                async (netlistText, options) => {
                     // --- user clicked Import ---
                     try {
-                        const elements = QucatNetlistAdapter.importFromString(netlistText);
+                        const parsed = await OpenNetlistCommand.importWithDiagnostics(netlistText, undefined, options);
+                        if (!parsed) {
+                            resolve({ undo: () => {} });
+                            return;
+                        }
+                        const { elements, parameters } = parsed;
 
                         if (!elements || elements.length === 0) {
                             this._showErrorNotification('No valid circuit elements found in the pasted text.');
@@ -51,12 +57,11 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
                             return;
                         }
 
-                        this._loadElementsIntoCircuit(elements);
-                        this.circuitService.emit('update');
+                        OpenNetlistCommand.replaceCircuit(this.circuitService, { elements, parameters });
                         this.circuitRenderer.render();
                         this._showSuccessNotification(`Imported ${elements.length} element(s) from netlist.`);
 
-                        resolve({ undo: () => this.undo() });
+                        resolve({ undo: () => {} });
                     } catch (error) {
                         console.error('[PasteNetlistFromClipboardCommand] Parse error:', error);
                         this._showErrorNotification(`Invalid netlist: ${error.message}`);
@@ -71,45 +76,15 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
         });
     }
 
-    /* ------------------------------------------------------------------ */
-    /*  undo()                                                             */
-    /* ------------------------------------------------------------------ */
-
-    undo() {
-        if (this.previousState) {
-            this.circuitService.importState(this.previousState);
-            this.circuitService.emit('update');
-            this.circuitRenderer.render();
-        }
-    }
-
-    /* ------------------------------------------------------------------ */
-    /*  Private helpers                                                    */
-    /* ------------------------------------------------------------------ */
-
-    /**
-     * Clear the circuit and load parsed elements (same pattern as OpenNetlistCommand).
-     * @param {import('../../domain/entities/Element.js').Element[]} elements
-     * @private
-     */
-    _loadElementsIntoCircuit(elements) {
-        const currentElements = [...this.circuitService.circuit.elements];
-        for (const element of currentElements) {
-            this.circuitService.deleteElement(element.id);
-        }
-        for (const element of elements) {
-            this.circuitService.addElement(element);
-        }
-    }
-
     /* ------------------------------------------------------------------ */
     /*  Paste-dialog                                                       */
     /* ------------------------------------------------------------------ */
 
     /**
-     * Render a modal dialog containing a <textarea> and Import / Cancel buttons.
+     * Render a modal dialog containing a <textarea>, the QuCat format options
+     * and Import / Cancel buttons.
      *
-     * @param {(text: string) => void} onImport  Called with the textarea value.
+     * @param {(text: string, options: Object) => void} onImport  Called with the textarea value and format options.
      * @param {() => void}             onCancel  Called when the dialog is dismissed.
      * @private
      */
@@ -145,7 +120,7 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
 
         // Description
         const desc = document.createElement('p');
-        desc.textContent = 'Paste a QuCat netlist below (e.g. from a Jupyter cell) and click Import.';
+        desc.textContent = 'Paste a QuCat netlist (e.g. from a Jupyter cell) or a SPICE deck below and click Import.';
         desc.style.cssText = 'margin: 0 0 12px; font-size: 13px; color: #666;';
 
         // Textarea
@@ -158,6 +133,10 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
             resize: vertical; box-sizing: border-box;
         `;
 
+        // Format version detected as the user types or pastes
+        const formatOptions = new NetlistFormatOptions();
+        textarea.addEventListener('input', () => formatOptions.update(textarea.value));
+
         // Button bar
         const btnBar = document.createElement('div');
         btnBar.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
@@ -177,7 +156,7 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
         `;
 
         btnBar.append(btnCancel, btnImport);
-        dialog.append(title, desc, textarea, btnBar);
+        dialog.append(title, desc, textarea, formatOptions.element, btnBar);
         overlay.appendChild(dialog);
         document.body.appendChild(overlay);
 
@@ -194,7 +173,7 @@ export class PasteNetlistFromClipboardCommand extends GUICommand {
             const text = textarea.value.trim();
             close();
             if (text) {
-                onImport(text);
+                onImport(text, formatOptions.options);
             } else {
                 this._showErrorNotification('Netlist text is empty.');
                 onCancel();
@@ -0,0 +1,27 @@
+import { GUICommand } from './GUICommand.js';
+import { ProjectPropertiesDialog } from '../components/ProjectPropertiesDialog.js';
+
+/**
+ * ProjectPropertiesCommand
+ *
+ * Opens the dialog to edit the project title, author and notes, which are
+ * saved with project files. Edits go straight to the CircuitService;
+ * opening the dialog changes nothing, so there is nothing to undo.
+ */
+export class ProjectPropertiesCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     */
+    constructor(circuitService) {
+        super();
+        this.circuitService = circuitService;
+    }
+
+    execute() {
+        ProjectPropertiesDialog.show({
+            values: this.circuitService.getMetadata(),
+            onSave: (values) => this.circuitService.setMetadata(values),
+        });
+        return { undo: () => {} };
+    }
+}
@@ -0,0 +1,84 @@
+import { GUICommand } from './GUICommand.js';
+import { OpenProjectCommand } from './OpenProjectCommand.js';
+import { AutosaveStore } from '../../infrastructure/adapters/AutosaveStore.js';
+import { AutosaveRestoreDialog } from '../components/AutosaveRestoreDialog.js';
+
+/**
+ * RestoreAutosaveCommand
+ *
+ * Lets the user browse the autosaved revisions of the circuit (see
+ * AutosaveService) and restore one, replacing the current circuit. On
+ * startup, offerRestore() proposes to bring back the last session.
+ */
+export class RestoreAutosaveCommand extends GUICommand {
+    /**
+     * @param {CircuitService} circuitService - The circuit service
+     * @param {CircuitRenderer} circuitRenderer - The circuit renderer (view and re-rendering)
+     * @param {(message: string, type: 'success'|'error') => void} notify - Notification callback
+     * @param {AutosaveStore} [store] - Where the revisions are kept
+     */
+    constructor(circuitService, circuitRenderer, notify, store = new AutosaveStore()) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.notify = notify || (() => {});
+        this.store = store;
+    }
+
+    /**
+     * Show the autosaved revisions and restore the chosen one.
+     * @returns {Promise<{undo: Function}>}
+     */
+    async execute() {
+        const revisions = this.store.list();
+        if (revisions.length === 0) {
+            this.notify('No autosaved revisions yet.', 'error');
+            return { undo: () => {} };
+        }
+
+        const revision = await AutosaveRestoreDialog.show({
+            title: 'Autosaved Revisions',
+            message: 'Restoring a revision replaces the current circuit; this can be undone.',
+            revisions,
+        });
+        if (revision) this.restore(revision);
+        return { undo: () => {} };
+    }
+
+    /**
+     * On startup: if the last session left unsaved work, offer to restore it.
+     * Nothing is offered if the last session ended with an empty circuit or
+     * with the circuit saved to a file.
+     * @returns {Promise<boolean>} True if a revision was restored.
+     */
+    async offerRestore() {
+        const revisions = this.store.list();
+        if (!(revisions[0]?.elementCount > 0) || revisions[0].saved) return false;
+
+        const revision = await AutosaveRestoreDialog.show({
+            title: 'Restore unsaved work?',
+            message: 'The circuit you were last editing was saved automatically. Choose a revision to restore it.',
+            revisions,
+            cancelLabel: 'Start new',
+        });
+        return revision ? this.restore(revision) : false;
+    }
+
+    /**
+     * Replace the circuit with a revision.
+     *
+     * @param {{content: string}} revision - An autosaved revision.
+     * @returns {boolean} True if the revision was restored.
+     */
+    restore(revision) {
+        try {
+            new OpenProjectCommand(this.circuitService, this.circuitRenderer, this.notify).load(revision.content);
+            this.notify(`Restored the revision of ${new Date(revision.time).toLocaleString()}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('[RestoreAutosaveCommand] Error restoring revision:', error);
+            this.notify(`Could not restore the revision: ${error.message}`, 'error');
+            return false;
+        }
+    }
+}
@@ -1,25 +1,45 @@
 import { GUICommand } from './GUICommand.js';
 import { QucatNetlistAdapter } from '../../infrastructure/adapters/QucatNetlistAdapter.js';
+import { FileSystemAccessAdapter, NETLIST_FILE_TYPE } from '../../infrastructure/adapters/FileSystemAccessAdapter.js';
+import { downloadFile, timestampedFilename } from '../../utils/downloadFile.js';
 
 /**
  * SaveNetlistCommand
  * 
- * Handles saving the current circuit to a netlist file through the browser's download mechanism.
+ * Handles saving the current circuit to a netlist file.
  * Follows the GUI button → Command → CircuitService → State change flow.
+ *
+ * With a DocumentService, the circuit is written back to the file it was
+ * opened from or last saved to, when that file has the same format and the
+ * browser supports the File System Access API; otherwise ("Save As", or a
+ * new circuit) the user picks a file. Browsers without the API, and exports
+ * (no DocumentService), go through a download.
+ *
+ * Other export formats subclass it and override `_serialize()`, `_filename()`,
+ * and for documents `FORMAT` and `_fileType()`.
  */
 export class SaveNetlistCommand extends GUICommand {
+    /** Document format written by this command (see DocumentService). */
+    static FORMAT = 'netlist';
+
     /**
      * @param {CircuitService} circuitService - The circuit service
      * @param {CircuitRenderer} circuitRenderer - The circuit renderer for UI updates
+     * @param {DocumentService} [documentService] - The current file; plain download without it
+     * @param {Object} [options]
+     * @param {boolean} [options.saveAs=false] - Always ask for a new file
      */
-    constructor(circuitService, circuitRenderer) {
+    constructor(circuitService, circuitRenderer, documentService = null, { saveAs = false } = {}) {
         super();
         this.circuitService = circuitService;
         this.circuitRenderer = circuitRenderer;
+        this.documentService = documentService;
+        this.saveAs = saveAs;
     }
 
     /**
      * Execute save netlist operation
+     * @returns {{undo: Function}|Promise<{undo: Function}>}
      */
     execute() {
         try {
@@ -33,15 +53,20 @@ export class SaveNetlistCommand extends GUICommand {
                 return { undo: () => {} };
             }
 
-            // Convert circuit to netlist format using QucatNetlistAdapter
-            const netlistContent = QucatNetlistAdapter.exportToString(circuit);
-            
-            // Create and trigger download
-            this._downloadNetlist(netlistContent);
-            
-            
-            // No undo needed for save operation
-            return { undo: () => {} };
+            // Convert circuit to the netlist format and write or download it
+            const netlistContent = this._serialize(circuit);
+            if (!this.documentService) {
+                this._downloadNetlist(netlistContent);
+                // No undo needed for save operation
+                return { undo: () => {} };
+            }
+
+            return this._saveDocument(netlistContent)
+                .catch(error => {
+                    console.error('[SaveNetlistCommand] Error saving netlist:', error);
+                    alert(`Error saving file: ${error.message}`);
+                })
+                .then(() => ({ undo: () => {} }));
             
         } catch (error) {
             console.error('[SaveNetlistCommand] Error saving netlist:', error);
@@ -50,28 +75,69 @@ export class SaveNetlistCommand extends GUICommand {
         }
     }
 
+    /**
+     * Convert the circuit to the netlist content
+     * @param {Circuit} circuit - The circuit to save
+     * @returns {string} The netlist content (QuCat format)
+     * @protected
+     */
+    _serialize(circuit) {
+        return QucatNetlistAdapter.exportToString(circuit);
+    }
+
+    /**
+     * @returns {string} Suggested name of the downloaded file
+     * @protected
+     */
+    _filename() {
+        return timestampedFilename('circuit', 'txt');
+    }
+
+    /**
+     * @returns {{description: string, accept: Object<string, string[]>}} File type offered by the save picker
+     * @protected
+     */
+    _fileType() {
+        return NETLIST_FILE_TYPE;
+    }
+
+    /**
+     * Write the content to the current file, or to a new one, and record it
+     * in the DocumentService.
+     * @param {string} content - The file content
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveDocument(content) {
+        const doc = this.documentService;
+        const format = this.constructor.FORMAT;
+        const sameFormat = doc.format === format;
+
+        if (!this.saveAs && sameFormat && doc.handle) {
+            await FileSystemAccessAdapter.writeFile(doc.handle, content);
+            doc.markSaved();
+            return;
+        }
+
+        const suggestedName = sameFormat && doc.name ? doc.name : this._filename();
+        if (FileSystemAccessAdapter.isSupported()) {
+            const handle = await FileSystemAccessAdapter.saveFile(content, { suggestedName, types: [this._fileType()] });
+            if (handle) doc.setFile({ name: handle.name, handle, format });
+            return;
+        }
+
+        this._downloadNetlist(content, suggestedName);
+        doc.setFile({ name: suggestedName, format });
+    }
+
     /**
      * Create and trigger a download of the netlist content
      * @param {string} content - The netlist content to download
+     * @param {string} [filename] - Name of the downloaded file
      * @private
      */
-    _downloadNetlist(content) {
-        // Create a blob with the netlist content
-        const blob = new Blob([content], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        
-        // Create a temporary download link
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `circuit_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.txt`;
-        
-        // Trigger the download
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // Clean up the object URL
-        URL.revokeObjectURL(url);
+    _downloadNetlist(content, filename = this._filename()) {
+        downloadFile(content, filename);
     }
 
     /**
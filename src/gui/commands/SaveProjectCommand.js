@@ -0,0 +1,37 @@
+import { SaveNetlistCommand } from './SaveNetlistCommand.js';
+import { ProjectFileAdapter } from '../../infrastructure/adapters/ProjectFileAdapter.js';
+import { PROJECT_FILE_TYPE } from '../../infrastructure/adapters/FileSystemAccessAdapter.js';
+import { timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * SaveProjectCommand
+ *
+ * Saves the circuit as a JSCircuit project (.jscircuit.json), which
+ * keeps element IDs, parameters, the current view and the project
+ * information. Same save flow as SaveNetlistCommand: in place when the
+ * current file is a project.
+ */
+export class SaveProjectCommand extends SaveNetlistCommand {
+    static FORMAT = 'project';
+
+    /** @protected */
+    _serialize() {
+        const { scale, offsetX, offsetY } = this.circuitRenderer;
+        return ProjectFileAdapter.exportToString(this.circuitService, { viewport: { scale, offsetX, offsetY } });
+    }
+
+    /**
+     * Named after the project title when there is one.
+     * @protected
+     */
+    _filename() {
+        const slug = this.circuitService.getMetadata().title
+            .trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return slug ? `${slug}.jscircuit.json` : timestampedFilename('circuit', 'jscircuit.json');
+    }
+
+    /** @protected */
+    _fileType() {
+        return PROJECT_FILE_TYPE;
+    }
+}
@@ -0,0 +1,25 @@
+import { GUICommand } from './GUICommand.js';
+import { ImpedancePanel } from '../components/ImpedancePanel.js';
+
+/**
+ * ShowImpedanceCommand
+ *
+ * Opens the impedance side panel. The panel keeps itself up to date while
+ * open, so the command only needs to show it. Read-only: nothing to undo.
+ */
+export class ShowImpedanceCommand extends GUICommand {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @param {import('../renderers/CircuitRenderer.js').CircuitRenderer} circuitRenderer
+     */
+    constructor(circuitService, circuitRenderer) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+    }
+
+    execute() {
+        ImpedancePanel.for(this.circuitService, this.circuitRenderer).open();
+        return { undo: () => {} };
+    }
+}
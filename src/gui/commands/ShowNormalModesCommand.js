@@ -0,0 +1,23 @@
+import { GUICommand } from './GUICommand.js';
+import { NormalModePanel } from '../components/NormalModePanel.js';
+
+/**
+ * ShowNormalModesCommand
+ *
+ * Opens the normal-mode side panel. The panel keeps itself up to date while
+ * open, so the command only needs to show it. Read-only: nothing to undo.
+ */
+export class ShowNormalModesCommand extends GUICommand {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     */
+    constructor(circuitService) {
+        super();
+        this.circuitService = circuitService;
+    }
+
+    execute() {
+        NormalModePanel.for(this.circuitService).open();
+        return { undo: () => {} };
+    }
+}
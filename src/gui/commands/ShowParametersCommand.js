@@ -0,0 +1,25 @@
+import { GUICommand } from './GUICommand.js';
+import { ParametersPanel } from '../components/ParametersPanel.js';
+
+/**
+ * ShowParametersCommand
+ *
+ * Opens the parameters side panel. Edits made in the panel go straight to the
+ * CircuitService; opening it changes nothing, so there is nothing to undo.
+ */
+export class ShowParametersCommand extends GUICommand {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @param {import('../renderers/CircuitRenderer.js').CircuitRenderer} circuitRenderer
+     */
+    constructor(circuitService, circuitRenderer) {
+        super();
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+    }
+
+    execute() {
+        ParametersPanel.for(this.circuitService, this.circuitRenderer).open();
+        return { undo: () => {} };
+    }
+}
@@ -0,0 +1,23 @@
+import { GUICommand } from './GUICommand.js';
+import { SweepPanel } from '../components/SweepPanel.js';
+
+/**
+ * ShowSweepCommand
+ *
+ * Opens the parameter sweep side panel. Sweeps only run from the panel, so
+ * the command just shows it. Read-only: nothing to undo.
+ */
+export class ShowSweepCommand extends GUICommand {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     */
+    constructor(circuitService) {
+        super();
+        this.circuitService = circuitService;
+    }
+
+    execute() {
+        SweepPanel.for(this.circuitService).open();
+        return { undo: () => {} };
+    }
+}
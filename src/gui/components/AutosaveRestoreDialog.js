@@ -0,0 +1,117 @@
+/**
+ * AutosaveRestoreDialog
+ *
+ * Modal dialog listing autosaved revisions of the circuit (time, title and
+ * number of elements), newest first, to pick one to restore.
+ *
+ * Usage:
+ *   const revision = await AutosaveRestoreDialog.show({
+ *       title: 'Restore unsaved work?',
+ *       message: 'The circuit you were editing was saved automatically.',
+ *       revisions,                 // from AutosaveStore.list()
+ *       cancelLabel: 'Start new',
+ *   });
+ */
+export class AutosaveRestoreDialog {
+    /**
+     * Show the dialog.
+     *
+     * @param {Object} options
+     * @param {string} options.title - Dialog title.
+     * @param {string} [options.message] - Text above the list.
+     * @param {import('../../infrastructure/adapters/AutosaveStore.js').AutosaveRevision[]} options.revisions - Revisions to list.
+     * @param {string} [options.cancelLabel='Cancel'] - Label of the button that restores nothing.
+     * @returns {Promise<Object|null>} The chosen revision, or null if none
+     *   (and outside a browser).
+     */
+    static show({ title, message, revisions, cancelLabel = 'Cancel' }) {
+        if (typeof document === 'undefined' || !document.body) return Promise.resolve(null);
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed; inset: 0;
+            background: rgba(0,0,0,0.45);
+            display: flex; align-items: center; justify-content: center;
+            z-index: 10000;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: #fff; border-radius: 8px;
+            padding: 24px; width: 460px; max-width: 90vw;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+            font-family: Arial, sans-serif; font-size: 13px;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        heading.style.cssText = 'margin: 0 0 8px; font-size: 16px; color: #2c3e50;';
+        dialog.appendChild(heading);
+
+        if (message) {
+            const text = document.createElement('p');
+            text.textContent = message;
+            text.style.cssText = 'margin: 0 0 12px; color: #666;';
+            dialog.appendChild(text);
+        }
+
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 260px; overflow: auto; border: 1px solid #ddd; border-radius: 4px;';
+        revisions.forEach(({ time, title: projectTitle, elementCount }, index) => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 10px; border-bottom: 1px solid #eee; cursor: pointer;';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'autosave-revision';
+            radio.value = String(index);
+            radio.checked = index === 0;
+            const when = document.createElement('span');
+            when.textContent = new Date(time).toLocaleString();
+            when.style.cssText = 'min-width: 150px;';
+            const what = document.createElement('span');
+            what.textContent = `${projectTitle || 'Untitled'}, ${elementCount} element(s)`;
+            what.style.cssText = 'color: #666;';
+            row.append(radio, when, what);
+            list.appendChild(row);
+        });
+
+        const btnBar = document.createElement('div');
+        btnBar.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
+        const btnCancel = document.createElement('button');
+        btnCancel.textContent = cancelLabel;
+        btnCancel.style.cssText = 'padding: 8px 18px; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;';
+        const btnRestore = document.createElement('button');
+        btnRestore.textContent = 'Restore';
+        btnRestore.style.cssText = 'padding: 8px 18px; border: none; border-radius: 4px; background: #3498db; color: #fff; cursor: pointer; font-size: 13px;';
+        btnBar.append(btnCancel, btnRestore);
+
+        dialog.append(list, btnBar);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        btnRestore.focus();
+
+        return new Promise((resolve) => {
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    close(null);
+                }
+            };
+            const close = (revision) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                if (overlay.parentNode) document.body.removeChild(overlay);
+                resolve(revision);
+            };
+
+            btnCancel.addEventListener('click', () => close(null));
+            btnRestore.addEventListener('click', () => {
+                const checked = list.querySelector('input[name="autosave-revision"]:checked');
+                close(checked ? revisions[Number(checked.value)] : null);
+            });
+            document.addEventListener('keydown', onKeydown, true);
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+        });
+    }
+}
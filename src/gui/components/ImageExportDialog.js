@@ -0,0 +1,140 @@
+/**
+ * ImageExportDialog
+ *
+ * Modal dialog asking how to export a figure of the schematic: the
+ * selection or the whole circuit, with or without the grid, on a white
+ * or transparent background and, for bitmaps, at which resolution.
+ *
+ * Usage:
+ *   ImageExportDialog.show({
+ *       title: 'Export SVG',
+ *       hasSelection: true,
+ *       defaults: { showGrid: false },
+ *       onExport: (options) => { ... },   // { selectionOnly, showGrid, transparent }
+ *   });
+ *
+ *   ImageExportDialog.show({
+ *       title: 'Export PNG',
+ *       resolutions: [96, 150, 300, 600],
+ *       defaults: { dpi: 300 },
+ *       actions: [{ id: 'download', label: 'Download' }, { id: 'copy', label: 'Copy' }],
+ *       onExport: (options, action) => { ... },   // options.dpi is set; action is 'download' or 'copy'
+ *   });
+ */
+export class ImageExportDialog {
+    /**
+     * Show the dialog. Does nothing outside a browser.
+     *
+     * @param {Object} options
+     * @param {string} options.title - Dialog title.
+     * @param {boolean} [options.hasSelection=false] - Offer to export only the selection.
+     * @param {{selectionOnly?: boolean, showGrid?: boolean, transparent?: boolean, dpi?: number}} [options.defaults] - Initial choices.
+     * @param {number[]} [options.resolutions] - Resolutions (DPI) to choose from; no choice when omitted.
+     * @param {{id: string, label: string}[]} [options.actions] - Confirm buttons, the last one highlighted;
+     *   a single Export button by default.
+     * @param {(options: {selectionOnly: boolean, showGrid: boolean, transparent: boolean, dpi?: number}, action: string) => void} options.onExport -
+     *   Called with the choices and the id of the clicked button.
+     */
+    static show({ title, hasSelection = false, defaults = {}, resolutions, actions = [{ id: 'export', label: 'Export' }], onExport }) {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed; inset: 0;
+            background: rgba(0,0,0,0.45);
+            display: flex; align-items: center; justify-content: center;
+            z-index: 10000;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: #fff; border-radius: 8px;
+            padding: 24px; width: 360px; max-width: 90vw;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+            font-family: Arial, sans-serif; font-size: 13px;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        heading.style.cssText = 'margin: 0 0 12px; font-size: 16px; color: #2c3e50;';
+        dialog.appendChild(heading);
+
+        const checkbox = (name, text, checked, disabled = false) => {
+            const row = document.createElement('label');
+            row.style.cssText = `display: flex; align-items: center; gap: 8px; margin-bottom: 8px; color: ${disabled ? '#999' : '#333'};`;
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = name;
+            input.checked = checked;
+            input.disabled = disabled;
+            row.append(input, document.createTextNode(text));
+            dialog.appendChild(row);
+            return input;
+        };
+        const selectionOnly = checkbox('selectionOnly', 'Selection only', hasSelection && (defaults.selectionOnly ?? true), !hasSelection);
+        const showGrid = checkbox('showGrid', 'Show grid', !!defaults.showGrid);
+        const transparent = checkbox('transparent', 'Transparent background', !!defaults.transparent);
+
+        let resolution = null;
+        if (resolutions?.length) {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px; color: #333;';
+            resolution = document.createElement('select');
+            resolution.name = 'dpi';
+            for (const dpi of resolutions) {
+                const option = document.createElement('option');
+                option.value = String(dpi);
+                option.textContent = `${dpi} DPI`;
+                option.selected = dpi === (defaults.dpi ?? resolutions[0]);
+                resolution.appendChild(option);
+            }
+            row.append(document.createTextNode('Resolution'), resolution);
+            dialog.appendChild(row);
+        }
+
+        const btnBar = document.createElement('div');
+        btnBar.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
+        const btnCancel = document.createElement('button');
+        btnCancel.textContent = 'Cancel';
+        btnCancel.style.cssText = 'padding: 8px 18px; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;';
+        btnBar.appendChild(btnCancel);
+        const actionButtons = actions.map(({ id, label }, index) => {
+            const primary = index === actions.length - 1;
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.cssText = primary
+                ? 'padding: 8px 18px; border: none; border-radius: 4px; background: #3498db; color: #fff; cursor: pointer; font-size: 13px;'
+                : 'padding: 8px 18px; border: 1px solid #3498db; border-radius: 4px; background: #fff; color: #3498db; cursor: pointer; font-size: 13px;';
+            button.addEventListener('click', () => {
+                close();
+                const options = { selectionOnly: selectionOnly.checked, showGrid: showGrid.checked, transparent: transparent.checked };
+                if (resolution) options.dpi = Number(resolution.value);
+                onExport(options, id);
+            });
+            btnBar.appendChild(button);
+            return button;
+        });
+        dialog.appendChild(btnBar);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        actionButtons[actionButtons.length - 1].focus();
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeydown, true);
+            if (overlay.parentNode) document.body.removeChild(overlay);
+        };
+
+        btnCancel.addEventListener('click', close);
+        document.addEventListener('keydown', onKeydown, true);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+    }
+}
@@ -0,0 +1,356 @@
+import { SidePanel } from './SidePanel.js';
+import { LinePlot } from './LinePlot.js';
+import { createLabelValueInputs } from './LabelValueInputs.js';
+import { ImpedanceAnalysisService } from '../../application/ImpedanceAnalysisService.js';
+import { NodeExtractionService, GROUND_NODE } from '../../application/NodeExtractionService.js';
+import { debounce } from '../../utils/PerformanceUtils.js';
+import { downloadFile, timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * ImpedancePanel
+ *
+ * Side panel plotting the impedance |Z(f)| and its phase between two
+ * electrical nodes, like QuCat's `Network.Z`. The two nodes are chosen from
+ * drop-downs or by clicking terminals on the canvas ("Pick on canvas"); the
+ * frequency range is given in GHz, on a linear or logarithmic grid.
+ * While open, the plot follows circuit edits. The curve can be exported as CSV.
+ *
+ * Usage:
+ *   ImpedancePanel.for(circuitService, circuitRenderer).open();
+ */
+export class ImpedancePanel {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @param {import('../renderers/CircuitRenderer.js').CircuitRenderer} [circuitRenderer]
+     */
+    constructor(circuitService, circuitRenderer) {
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.nodeService = new NodeExtractionService(circuitService);
+        this.analysisService = new ImpedanceAnalysisService(circuitService, this.nodeService);
+        this.panel = SidePanel.for('impedance', { title: 'Impedance' });
+
+        /** @type {Object<string, number>} Values typed in for label-only components. */
+        this.labelValues = {};
+        this.settings = {
+            nodeA: null,
+            nodeB: GROUND_NODE,
+            fMinGHz: 1,
+            fMaxGHz: 10,
+            points: 501,
+            scale: 'linear',
+        };
+
+        this._onUpdate = debounce(() => this.refresh(), 300);
+        this._listening = false;
+        this._pick = null;
+
+        this.panel.onClose(() => {
+            this._stopListening();
+            this._stopPicking();
+        });
+    }
+
+    /**
+     * Returns the panel attached to `circuitService`, creating it on first use.
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @param {import('../renderers/CircuitRenderer.js').CircuitRenderer} [circuitRenderer]
+     * @returns {ImpedancePanel}
+     */
+    static for(circuitService, circuitRenderer) {
+        if (!ImpedancePanel._instances.has(circuitService)) {
+            ImpedancePanel._instances.set(circuitService, new ImpedancePanel(circuitService, circuitRenderer));
+        }
+        return ImpedancePanel._instances.get(circuitService);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Show the panel and start following circuit updates. */
+    open() {
+        this.refresh();
+        this.panel.open();
+        if (!this._listening) {
+            this.circuitService.on('update', this._onUpdate);
+            this._listening = true;
+        }
+    }
+
+    /** Hide the panel. */
+    close() {
+        this.panel.close();
+    }
+
+    /**
+     * Compute the impedance curve with the current settings.
+     * @returns {import('../../application/ImpedanceAnalysisService.js').ImpedancePoint[]|{ error: string }}
+     */
+    analyze() {
+        const { nodeA, nodeB, fMinGHz, fMaxGHz, points, scale } = this.settings;
+        if (nodeA === null || nodeB === null) return { error: 'Choose two nodes.' };
+        if (!(fMinGHz > 0 && fMaxGHz > fMinGHz)) return { error: 'The frequency range must satisfy 0 < min < max.' };
+
+        const frequencies = ImpedanceAnalysisService.frequencyGrid(fMinGHz * 1e9, fMaxGHz * 1e9, points, scale);
+        try {
+            return this.analysisService.compute(nodeA, nodeB, frequencies, this.labelValues);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * @returns {string|null} The current curve as CSV, or null if the analysis failed.
+     */
+    exportCSV() {
+        const result = this.analyze();
+        return result.error ? null : ImpedanceAnalysisService.toCSV(result);
+    }
+
+    /** Re-run the analysis and redraw the panel body. */
+    refresh() {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        this._validateNodes();
+        const content = document.createElement('div');
+        const labels = this.analysisService.modeAnalysis.getUnresolvedLabels({});
+        if (labels.length) content.appendChild(createLabelValueInputs(labels, this.labelValues, () => this.refresh()));
+
+        content.appendChild(this._createSettings());
+        content.appendChild(this._createResultView(this.analyze()));
+        this.panel.setContent(content);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Rendering                                                          */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createSettings() {
+        const form = document.createElement('div');
+        form.style.cssText = 'padding: 8px 0; border-bottom: 1px solid #eee;';
+
+        const nodeIds = this.nodeService.getNodeIds();
+        ['nodeA', 'nodeB'].forEach((key, i) => {
+            const select = document.createElement('select');
+            select.name = key;
+            select.style.cssText = 'flex: 1; padding: 4px; min-width: 0;';
+            const none = new Option('—', '');
+            select.add(none);
+            nodeIds.forEach(id => select.add(new Option(this._describeNode(id), String(id))));
+            select.value = this.settings[key] === null ? '' : String(this.settings[key]);
+            select.addEventListener('change', () => {
+                this.settings[key] = select.value === '' ? null : Number(select.value);
+                this.refresh();
+            });
+            form.appendChild(ImpedancePanel._row(i === 0 ? 'Node A' : 'Node B', select));
+        });
+
+        const btnPick = ImpedancePanel._button(this._pick ? 'Click a terminal…' : 'Pick on canvas');
+        btnPick.disabled = !!this._pick || !this.circuitRenderer;
+        btnPick.addEventListener('click', () => this._startPicking());
+        form.appendChild(btnPick);
+
+        const number = (key, step) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.name = key;
+            input.step = step;
+            input.value = this.settings[key];
+            input.style.cssText = 'flex: 1; padding: 4px; min-width: 0;';
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) this.settings[key] = value;
+                this.refresh();
+            });
+            return input;
+        };
+        form.appendChild(ImpedancePanel._row('f min (GHz)', number('fMinGHz', 'any')));
+        form.appendChild(ImpedancePanel._row('f max (GHz)', number('fMaxGHz', 'any')));
+        form.appendChild(ImpedancePanel._row('Points', number('points', '1')));
+
+        const scale = document.createElement('select');
+        scale.name = 'scale';
+        scale.style.cssText = 'flex: 1; padding: 4px;';
+        scale.add(new Option('Linear', 'linear'));
+        scale.add(new Option('Logarithmic', 'log'));
+        scale.value = this.settings.scale;
+        scale.addEventListener('change', () => {
+            this.settings.scale = scale.value;
+            this.refresh();
+        });
+        form.appendChild(ImpedancePanel._row('Frequency axis', scale));
+        return form;
+    }
+
+    /**
+     * @param {object} result - Output of analyze().
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createResultView(result) {
+        if (result.error) {
+            const error = document.createElement('p');
+            error.textContent = result.error;
+            error.style.cssText = 'margin: 8px 0; color: #f44336;';
+            return error;
+        }
+
+        const view = document.createElement('div');
+        const xs = result.map(p => p.frequency / 1e9);
+        const xLog = this.settings.scale === 'log';
+
+        const magnitude = new LinePlot({ xLabel: 'f (GHz)', yLabel: '|Z| (Ω)', xLog, yLog: true });
+        const phase = new LinePlot({ xLabel: 'f (GHz)', yLabel: 'arg Z (°)', xLog, color: '#e65100' });
+        view.append(magnitude.canvas, phase.canvas);
+        magnitude.draw(xs, result.map(p => p.magnitude));
+        phase.draw(xs, result.map(p => p.phase));
+
+        const btnExport = ImpedancePanel._button('Export CSV');
+        btnExport.style.marginTop = '12px';
+        btnExport.addEventListener('click', () => {
+            const csv = this.exportCSV();
+            if (csv) downloadFile(csv, timestampedFilename('impedance', 'csv'), 'text/csv');
+        });
+        view.appendChild(btnExport);
+        return view;
+    }
+
+    /**
+     * @param {number} nodeId
+     * @returns {string} e.g. "1 (C1, J1)", "0 (ground)".
+     * @private
+     */
+    _describeNode(nodeId) {
+        const ids = this.nodeService.getElementsOnNode(nodeId, { includeWires: false })
+            .filter(el => el.type !== 'ground')
+            .map(el => el.id);
+        if (nodeId === GROUND_NODE && this.nodeService.getGraph().hasGround) ids.unshift('ground');
+        return ids.length ? `${nodeId} (${ids.join(', ')})` : String(nodeId);
+    }
+
+    /**
+     * Forget selected nodes that no longer exist after an edit, and default
+     * node A to the first node other than node B.
+     * @private
+     */
+    _validateNodes() {
+        const nodeIds = this.nodeService.getNodeIds();
+        ['nodeA', 'nodeB'].forEach(key => {
+            if (this.settings[key] !== null && !nodeIds.includes(this.settings[key])) this.settings[key] = null;
+        });
+        if (this.settings.nodeA === null) {
+            this.settings.nodeA = nodeIds.find(id => id !== this.settings.nodeB) ?? null;
+        }
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Picking nodes on the canvas                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Capture the next two clicks on the canvas as node A and node B.
+     * Mouse events are intercepted in the capture phase so the editor does not
+     * select or drag elements meanwhile. Escape cancels.
+     * @private
+     */
+    _startPicking() {
+        const canvas = this.circuitRenderer?.canvas;
+        if (!canvas || this._pick) return;
+
+        const target = canvas.parentElement || canvas;
+        const picked = [];
+        const block = event => {
+            if (event.target !== canvas) return;
+            event.stopPropagation();
+            event.preventDefault();
+        };
+        const onMouseDown = event => {
+            if (event.target !== canvas || event.button !== 0) return;
+            block(event);
+
+            const renderer = this.circuitRenderer;
+            const rect = canvas.getBoundingClientRect();
+            const x = (event.clientX - rect.left - renderer.offsetX) / renderer.scale;
+            const y = (event.clientY - rect.top - renderer.offsetY) / renderer.scale;
+            const node = this.nodeService.findNodeAt(x, y, 10 / renderer.scale + 5);
+            if (node === null) return;
+
+            picked.push(node);
+            this.settings[picked.length === 1 ? 'nodeA' : 'nodeB'] = node;
+            if (picked.length === 2) this._stopPicking();
+            this.refresh();
+        };
+        const onKeyDown = event => {
+            if (event.key !== 'Escape') return;
+            this._stopPicking();
+            this.refresh();
+        };
+
+        target.addEventListener('mousedown', onMouseDown, true);
+        target.addEventListener('mouseup', block, true);
+        target.addEventListener('click', block, true);
+        document.addEventListener('keydown', onKeyDown);
+        canvas.style.cursor = 'crosshair';
+
+        this._pick = { canvas, target, onMouseDown, block, onKeyDown };
+        this.refresh();
+    }
+
+    /** @private */
+    _stopPicking() {
+        if (!this._pick) return;
+        const { canvas, target, onMouseDown, block, onKeyDown } = this._pick;
+        target.removeEventListener('mousedown', onMouseDown, true);
+        target.removeEventListener('mouseup', block, true);
+        target.removeEventListener('click', block, true);
+        document.removeEventListener('keydown', onKeyDown);
+        canvas.style.cursor = '';
+        this._pick = null;
+    }
+
+    /** @private */
+    _stopListening() {
+        if (!this._listening) return;
+        this.circuitService.off('update', this._onUpdate);
+        this._listening = false;
+    }
+
+    /**
+     * @param {string} text
+     * @param {HTMLElement} control
+     * @returns {HTMLElement}
+     * @private
+     */
+    static _row(text, control) {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 4px;';
+        const name = document.createElement('span');
+        name.textContent = text;
+        name.style.cssText = 'min-width: 90px;';
+        row.append(name, control);
+        return row;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    static _button(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 6px 14px; border: 1px solid #ccc;
+            border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;
+        `;
+        return button;
+    }
+}
+
+/** @type {WeakMap<object, ImpedancePanel>} */
+ImpedancePanel._instances = new WeakMap();
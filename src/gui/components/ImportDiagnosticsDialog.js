@@ -0,0 +1,112 @@
+/**
+ * ImportDiagnosticsDialog
+ *
+ * Modal dialog listing the problems found while importing a netlist, one row
+ * per line with its number, text and reason. When some lines are valid it
+ * can offer to load them anyway.
+ *
+ * Usage:
+ *   const load = await ImportDiagnosticsDialog.show({
+ *       title: 'Problems in the netlist',
+ *       problems,                          // [{ line, text, reason, severity }]
+ *       loadLabel: 'Load 12 valid lines',  // omit for an informative dialog
+ *   });
+ */
+export class ImportDiagnosticsDialog {
+    /**
+     * Show the dialog.
+     *
+     * @param {Object} options
+     * @param {string} options.title - Dialog title.
+     * @param {import('../../infrastructure/adapters/NetlistImportError.js').ImportProblem[]} options.problems - Problems to list.
+     * @param {string} [options.loadLabel] - Label of a button to load the valid lines; no such button when omitted.
+     * @returns {Promise<boolean>} True if the user chose to load the valid
+     *   lines; false when the dialog is closed (and outside a browser).
+     */
+    static show({ title, problems, loadLabel }) {
+        if (typeof document === 'undefined' || !document.body) return Promise.resolve(false);
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed; inset: 0;
+            background: rgba(0,0,0,0.45);
+            display: flex; align-items: center; justify-content: center;
+            z-index: 10000;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: #fff; border-radius: 8px;
+            padding: 24px; width: 620px; max-width: 90vw;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+            font-family: Arial, sans-serif; font-size: 13px;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        heading.style.cssText = 'margin: 0 0 8px; font-size: 16px; color: #2c3e50;';
+
+        const errors = problems.filter(problem => problem.severity === 'error').length;
+        const summary = document.createElement('p');
+        summary.textContent = [
+            errors > 0 ? `${errors} line(s) cannot be imported` : '',
+            problems.length > errors ? `${problems.length - errors} warning(s)` : '',
+        ].filter(Boolean).join(', ') + '.';
+        summary.style.cssText = 'margin: 0 0 12px; color: #666;';
+
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 300px; overflow: auto; border: 1px solid #ddd; border-radius: 4px;';
+        for (const { line, text, reason, severity } of problems) {
+            const row = document.createElement('div');
+            row.style.cssText = `padding: 6px 10px; border-bottom: 1px solid #eee; border-left: 3px solid ${severity === 'error' ? '#e74c3c' : '#f39c12'};`;
+            const where = document.createElement('div');
+            where.textContent = `Line ${line}: ${reason}`;
+            where.style.cssText = 'color: #333;';
+            const source = document.createElement('code');
+            source.textContent = text.trim();
+            source.style.cssText = 'display: block; margin-top: 2px; color: #777; font-size: 12px; white-space: pre-wrap; word-break: break-all;';
+            row.append(where, source);
+            list.appendChild(row);
+        }
+
+        const btnBar = document.createElement('div');
+        btnBar.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
+        const btnClose = document.createElement('button');
+        btnClose.textContent = loadLabel ? 'Cancel' : 'Close';
+        btnClose.style.cssText = 'padding: 8px 18px; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;';
+        btnBar.appendChild(btnClose);
+        let btnLoad = null;
+        if (loadLabel) {
+            btnLoad = document.createElement('button');
+            btnLoad.textContent = loadLabel;
+            btnLoad.style.cssText = 'padding: 8px 18px; border: none; border-radius: 4px; background: #3498db; color: #fff; cursor: pointer; font-size: 13px;';
+            btnBar.appendChild(btnLoad);
+        }
+
+        dialog.append(heading, summary, list, btnBar);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        (btnLoad ?? btnClose).focus();
+
+        return new Promise((resolve) => {
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    close(false);
+                }
+            };
+            const close = (load) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                if (overlay.parentNode) document.body.removeChild(overlay);
+                resolve(load);
+            };
+
+            btnClose.addEventListener('click', () => close(false));
+            btnLoad?.addEventListener('click', () => close(true));
+            document.addEventListener('keydown', onKeydown, true);
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(false);
+            });
+        });
+    }
+}
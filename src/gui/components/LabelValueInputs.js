@@ -0,0 +1,60 @@
+import { parseEngineeringValue, formatExactWithPrefix } from '../../utils/engineeringNotation.js';
+
+/**
+ * LabelValueInputs
+ *
+ * Form with one text input per label-only component (e.g. a junction labelled
+ * "Lj"), shared by the analysis panels. Values are parsed in engineering
+ * notation (e.g. "10n") as SI values; clearing an input removes the value, and
+ * an input that cannot be parsed is outlined in red with the error as tooltip.
+ *
+ * Usage:
+ *   const form = createLabelValueInputs(['Lj'], values, () => panel.refresh());
+ */
+
+/**
+ * @param {string[]} labels - Labels needing a value.
+ * @param {Object<string, number>} values - Current values, updated in place.
+ * @param {Function} onChange - Called after a value changed.
+ * @returns {HTMLElement}
+ */
+export function createLabelValueInputs(labels, values, onChange) {
+    const form = document.createElement('div');
+    form.style.cssText = 'padding-bottom: 8px; border-bottom: 1px solid #eee;';
+
+    const hint = document.createElement('p');
+    hint.textContent = 'Values of label-only components (SI units):';
+    hint.style.cssText = 'margin: 0 0 6px; color: #666;';
+    form.appendChild(hint);
+
+    labels.forEach(label => {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 4px;';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        name.style.cssText = 'min-width: 60px; font-family: monospace;';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = label;
+        input.value = label in values ? formatExactWithPrefix(values[label], '') : '';
+        input.style.cssText = 'flex: 1; padding: 4px; border: 1px solid #ccc; border-radius: 4px;';
+        input.addEventListener('change', () => {
+            const text = input.value.trim();
+            try {
+                if (text === '') delete values[label];
+                else values[label] = parseEngineeringValue(text);
+            } catch (error) {
+                input.title = error.message;
+                input.style.borderColor = '#f44336';
+                return;
+            }
+            onChange();
+        });
+
+        row.append(name, input);
+        form.appendChild(row);
+    });
+    return form;
+}
@@ -0,0 +1,199 @@
+/**
+ * LinePlot
+ *
+ * Minimal canvas line plot for analysis panels: one or more curves sharing
+ * the x values, axes with ticks, optional logarithmic axes. Points that cannot
+ * be shown (NaN, or ≤ 0 on a log axis) break the curve instead of being connected.
+ *
+ * Usage:
+ *   const plot = new LinePlot({ xLabel: 'f (GHz)', yLabel: '|Z| (Ω)', yLog: true });
+ *   panelBody.appendChild(plot.canvas);
+ *   plot.draw(xs, ys);
+ *   plot.drawSeries(xs, [mode0, mode1]);
+ */
+export class LinePlot {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.width=296] - Width in CSS pixels.
+     * @param {number} [options.height=180] - Height in CSS pixels.
+     * @param {string} [options.xLabel='']
+     * @param {string} [options.yLabel='']
+     * @param {boolean} [options.xLog=false]
+     * @param {boolean} [options.yLog=false]
+     * @param {string} [options.color='#1976d2']
+     */
+    constructor({ width = 296, height = 180, xLabel = '', yLabel = '', xLog = false, yLog = false, color = '#1976d2' } = {}) {
+        this.width = width;
+        this.height = height;
+        this.xLabel = xLabel;
+        this.yLabel = yLabel;
+        this.xLog = xLog;
+        this.yLog = yLog;
+        this.color = color;
+
+        const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+        this.canvas.style.cssText = `width: ${width}px; height: ${height}px; display: block; margin-top: 8px;`;
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.scale(ratio, ratio);
+    }
+
+    /**
+     * Redraw the plot with a single curve.
+     * @param {number[]} xs
+     * @param {number[]} ys
+     */
+    draw(xs, ys) {
+        this.drawSeries(xs, [ys]);
+    }
+
+    /**
+     * Redraw the plot with one curve per series. The first curve uses the
+     * plot colour, the others cycle through `LinePlot.PALETTE`.
+     * @param {number[]} xs
+     * @param {number[][]} series - One array of y values (aligned with xs) per curve.
+     */
+    drawSeries(xs, series) {
+        const { ctx, width, height } = this;
+        const margin = { left: 52, right: 8, top: 8, bottom: 32 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px Arial, sans-serif';
+        ctx.fillStyle = '#333';
+
+        const tx = LinePlot._axisTransform(xs, this.xLog);
+        const ty = LinePlot._axisTransform(series.flat(), this.yLog);
+        if (!tx || !ty) {
+            ctx.textAlign = 'center';
+            ctx.fillText('No data', width / 2, height / 2);
+            return;
+        }
+
+        const px = x => margin.left + ((tx.map(x) - tx.min) / (tx.max - tx.min)) * plotWidth;
+        const py = y => margin.top + plotHeight - ((ty.map(y) - ty.min) / (ty.max - ty.min)) * plotHeight;
+
+        // Grid and tick labels
+        ctx.strokeStyle = '#eee';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        LinePlot._ticks(tx).forEach(x => {
+            const X = px(x);
+            ctx.beginPath();
+            ctx.moveTo(X, margin.top);
+            ctx.lineTo(X, margin.top + plotHeight);
+            ctx.stroke();
+            ctx.fillText(LinePlot.formatTick(x), X, margin.top + plotHeight + 3);
+        });
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        LinePlot._ticks(ty).forEach(y => {
+            const Y = py(y);
+            ctx.beginPath();
+            ctx.moveTo(margin.left, Y);
+            ctx.lineTo(margin.left + plotWidth, Y);
+            ctx.stroke();
+            ctx.fillText(LinePlot.formatTick(y), margin.left - 3, Y);
+        });
+
+        // Frame and axis labels
+        ctx.strokeStyle = '#999';
+        ctx.strokeRect(margin.left, margin.top, plotWidth, plotHeight);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(this.xLabel, margin.left + plotWidth / 2, height - 1);
+        ctx.save();
+        ctx.translate(10, margin.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.yLabel, 0, 0);
+        ctx.restore();
+
+        // Curves
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(margin.left, margin.top, plotWidth, plotHeight);
+        ctx.clip();
+        ctx.lineWidth = 1.5;
+        series.forEach((ys, k) => {
+            ctx.strokeStyle = k === 0 ? this.color : LinePlot.PALETTE[(k - 1) % LinePlot.PALETTE.length];
+            ctx.beginPath();
+            let penDown = false;
+            xs.forEach((x, i) => {
+                const y = ys[i];
+                if (!tx.valid(x) || !ty.valid(y)) {
+                    penDown = false;
+                    return;
+                }
+                if (penDown) ctx.lineTo(px(x), py(y));
+                else ctx.moveTo(px(x), py(y));
+                penDown = true;
+            });
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * @param {number} value
+     * @returns {string} Compact label, e.g. "2.5", "1e+6", "1.5e-9".
+     */
+    static formatTick(value) {
+        if (value === 0) return '0';
+        const abs = Math.abs(value);
+        if (abs >= 1e4 || abs < 1e-3) return Number(value.toPrecision(3)).toExponential();
+        return Number(value.toPrecision(3)).toString();
+    }
+
+    /**
+     * @param {number[]} values
+     * @param {boolean} log
+     * @returns {{min: number, max: number, log: boolean, map: Function, valid: Function}|null}
+     *   Range in axis units (decades on a log axis), or null if nothing can be drawn.
+     * @private
+     */
+    static _axisTransform(values, log) {
+        const valid = v => Number.isFinite(v) && (!log || v > 0);
+        const map = v => (log ? Math.log10(v) : v);
+        const mapped = values.filter(valid).map(map);
+        if (mapped.length === 0) return null;
+
+        let min = Math.min(...mapped);
+        let max = Math.max(...mapped);
+        if (min === max) {
+            const pad = log ? 0.5 : Math.abs(min) * 0.1 || 1;
+            min -= pad;
+            max += pad;
+        }
+        return { min, max, log, map, valid };
+    }
+
+    /**
+     * @param {{min: number, max: number, log: boolean}} axis
+     * @returns {number[]} Tick positions in data units.
+     * @private
+     */
+    static _ticks({ min, max, log }) {
+        if (log) {
+            const ticks = [];
+            const step = Math.max(1, Math.ceil((max - min) / 6));
+            for (let d = Math.ceil(min); d <= max; d += step) ticks.push(10 ** d);
+            return ticks;
+        }
+        const raw = (max - min) / 5;
+        const magnitude = 10 ** Math.floor(Math.log10(raw));
+        const step = [1, 2, 5, 10].map(k => k * magnitude).find(s => s >= raw);
+        const ticks = [];
+        for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+            ticks.push(Math.abs(t) < step * 1e-9 ? 0 : t);
+        }
+        return ticks;
+    }
+}
+
+/** Colours of the second and following curves. */
+LinePlot.PALETTE = ['#e65100', '#2e7d32', '#6a1b9a', '#c62828', '#00838f', '#5d4037'];
@@ -0,0 +1,73 @@
+import { NetlistImporter } from '../../infrastructure/adapters/NetlistImporter.js';
+import { QucatNetlistAdapter } from '../../infrastructure/adapters/QucatNetlistAdapter.js';
+
+/**
+ * NetlistFormatOptions
+ *
+ * Import options of a QuCat netlist, shared by the open and paste dialogs:
+ * shows the format version detected from the component spans and its
+ * confidence, lets the user read the netlist as v1.0 or v2.0 instead, and
+ * resize components of a non-standard span. Hidden for SPICE decks.
+ *
+ * Usage:
+ *   const formatOptions = new NetlistFormatOptions();
+ *   dialog.appendChild(formatOptions.element);
+ *   formatOptions.update(text, filename);   // whenever the netlist changes
+ *   NetlistImporter.importFromString(text, filename, formatOptions.options);
+ */
+export class NetlistFormatOptions {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.style.cssText = 'margin-top: 12px; font-size: 13px; color: #333; display: none;';
+
+        this.detected = document.createElement('p');
+        this.detected.style.cssText = 'margin: 0 0 8px; color: #666;';
+
+        const versionRow = document.createElement('label');
+        versionRow.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px;';
+        versionRow.append('Read as');
+        this.version = document.createElement('select');
+        this.version.style.cssText = 'padding: 3px;';
+        for (const [value, text] of [['', 'Detected version'], ['v1.0', 'v1.0 (1 interval per component)'], ['v2.0', 'v2.0 (5 intervals per component)']]) {
+            this.version.add(new Option(text, value));
+        }
+        versionRow.appendChild(this.version);
+
+        const normalizeRow = document.createElement('label');
+        normalizeRow.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        this.normalize = document.createElement('input');
+        this.normalize.type = 'checkbox';
+        normalizeRow.append(this.normalize, 'Resize components of a non-standard span to the standard length');
+
+        this.element.append(this.detected, versionRow, normalizeRow);
+    }
+
+    /**
+     * Show the detection result for a netlist, or hide the options if it is
+     * not a QuCat netlist.
+     *
+     * @param {string} content - The netlist text.
+     * @param {string} [filename] - Name of the file it was read from, if any.
+     */
+    update(content, filename) {
+        let isQucat = false;
+        try {
+            isQucat = NetlistImporter.detectFormat(content, filename) === 'qucat';
+        } catch {
+            // Not recognised (yet): nothing to choose
+        }
+        this.element.style.display = isQucat ? '' : 'none';
+        if (!isQucat) return;
+
+        const { version, confidence, reasoning } = QucatNetlistAdapter.detectVersion(content);
+        this.detected.textContent = `Detected QuCat ${version} with ${confidence}% confidence: ${reasoning}.`;
+        this.version.options[0].text = `Detected version (${version})`;
+    }
+
+    /**
+     * @returns {{version: 'v1.0'|'v2.0'|undefined, normalizeSpans: boolean}} Options for NetlistImporter.importFromString.
+     */
+    get options() {
+        return { version: this.version.value || undefined, normalizeSpans: this.normalize.checked };
+    }
+}
@@ -0,0 +1,86 @@
+import { NetlistFormatOptions } from './NetlistFormatOptions.js';
+
+/**
+ * NetlistImportOptionsDialog
+ *
+ * Modal dialog shown when opening a QuCat netlist file: shows the detected
+ * format version and lets the user change the import options (see
+ * NetlistFormatOptions) before the file is loaded.
+ *
+ * Usage:
+ *   const options = await NetlistImportOptionsDialog.show({ content, filename });
+ *   if (options) NetlistImporter.importFromString(content, filename, options);
+ */
+export class NetlistImportOptionsDialog {
+    /**
+     * Show the dialog.
+     *
+     * @param {Object} params
+     * @param {string} params.content - The netlist text.
+     * @param {string} params.filename - Name of the file.
+     * @returns {Promise<{version: 'v1.0'|'v2.0'|undefined, normalizeSpans: boolean}|null>}
+     *   The chosen options, or null if cancelled (and outside a browser).
+     */
+    static show({ content, filename }) {
+        if (typeof document === 'undefined' || !document.body) return Promise.resolve(null);
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed; inset: 0;
+            background: rgba(0,0,0,0.45);
+            display: flex; align-items: center; justify-content: center;
+            z-index: 10000;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: #fff; border-radius: 8px;
+            padding: 24px; width: 480px; max-width: 90vw;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+            font-family: Arial, sans-serif;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.textContent = `Open ${filename}`;
+        heading.style.cssText = 'margin: 0 0 8px; font-size: 16px; color: #2c3e50; word-break: break-all;';
+
+        const formatOptions = new NetlistFormatOptions();
+        formatOptions.update(content, filename);
+
+        const btnBar = document.createElement('div');
+        btnBar.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
+        const btnCancel = document.createElement('button');
+        btnCancel.textContent = 'Cancel';
+        btnCancel.style.cssText = 'padding: 8px 18px; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;';
+        const btnImport = document.createElement('button');
+        btnImport.textContent = 'Import';
+        btnImport.style.cssText = 'padding: 8px 18px; border: none; border-radius: 4px; background: #3498db; color: #fff; cursor: pointer; font-size: 13px;';
+        btnBar.append(btnCancel, btnImport);
+
+        dialog.append(heading, formatOptions.element, btnBar);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        btnImport.focus();
+
+        return new Promise((resolve) => {
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    close(null);
+                }
+            };
+            const close = (options) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                if (overlay.parentNode) document.body.removeChild(overlay);
+                resolve(options);
+            };
+
+            btnCancel.addEventListener('click', () => close(null));
+            btnImport.addEventListener('click', () => close(formatOptions.options));
+            document.addEventListener('keydown', onKeydown, true);
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+        });
+    }
+}
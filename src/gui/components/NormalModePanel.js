@@ -0,0 +1,237 @@
+import { SidePanel } from './SidePanel.js';
+import { createLabelValueInputs } from './LabelValueInputs.js';
+import { NormalModeAnalysisService } from '../../application/NormalModeAnalysisService.js';
+import { debounce } from '../../utils/PerformanceUtils.js';
+import { downloadFile, timestampedFilename } from '../../utils/downloadFile.js';
+
+/**
+ * NormalModePanel
+ *
+ * Side panel listing the normal modes of the circuit: frequency, Q and, when
+ * the circuit has junctions, the anharmonicity of each mode and the cross-Kerr
+ * matrix. While open, it re-runs the analysis shortly after each circuit
+ * change, so editing values in the PropertyPanel updates the tables live.
+ * The results can be exported as JSON.
+ *
+ * Components defined only by a label (e.g. a junction labelled "Lj") get an
+ * input field in the panel, playing the role of QuCat's keyword arguments.
+ *
+ * Usage:
+ *   NormalModePanel.for(circuitService).open();
+ */
+export class NormalModePanel {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     */
+    constructor(circuitService) {
+        this.circuitService = circuitService;
+        this.analysisService = new NormalModeAnalysisService(circuitService);
+        this.panel = SidePanel.for('normalModes', { title: 'Normal Modes' });
+        /** @type {Object<string, number>} Values typed in for label-only components. */
+        this.labelValues = {};
+        this._onUpdate = debounce(() => this.refresh(), 300);
+        this._listening = false;
+
+        this.panel.onClose(() => this._stopListening());
+    }
+
+    /**
+     * Returns the panel attached to `circuitService`, creating it on first use.
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @returns {NormalModePanel}
+     */
+    static for(circuitService) {
+        if (!NormalModePanel._instances.has(circuitService)) {
+            NormalModePanel._instances.set(circuitService, new NormalModePanel(circuitService));
+        }
+        return NormalModePanel._instances.get(circuitService);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Show the panel and start following circuit updates. */
+    open() {
+        this.refresh();
+        this.panel.open();
+        if (!this._listening) {
+            this.circuitService.on('update', this._onUpdate);
+            this._listening = true;
+        }
+    }
+
+    /** Hide the panel. */
+    close() {
+        this.panel.close();
+    }
+
+    /**
+     * Run the analysis with the current label values.
+     * @returns {ReturnType<NormalModeAnalysisService['computeKerr']>|{ error: string }}
+     */
+    analyze() {
+        try {
+            return this.analysisService.computeKerr(this.labelValues);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Serialise the current results, in the units and names of QuCat's `f_k_A_chi`.
+     * @returns {string|null} Pretty-printed JSON, or null if the analysis failed.
+     */
+    exportJSON() {
+        const result = this.analyze();
+        if (result.error) return null;
+
+        return JSON.stringify({
+            units: { f: 'Hz', k: 'Hz', A: 'Hz', chi: 'Hz' },
+            labelValues: this.labelValues,
+            f: result.f,
+            k: result.k,
+            A: result.A,
+            chi: result.chi,
+            // JSON has no Infinity: lossless modes are written as null.
+            Q: result.Q.map(Q => (Number.isFinite(Q) ? Q : null)),
+            junctions: result.junctions,
+            participation: result.participation,
+        }, null, 2);
+    }
+
+    /** Re-run the analysis and redraw the panel body. */
+    refresh() {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const content = document.createElement('div');
+        const labels = this.analysisService.getUnresolvedLabels({});
+        if (labels.length) content.appendChild(createLabelValueInputs(labels, this.labelValues, () => this.refresh()));
+
+        const result = this.analyze();
+        content.appendChild(this._createResultView(result));
+        this.panel.setContent(content);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Rendering                                                          */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @param {object} result - Output of analyze().
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createResultView(result) {
+        if (result.error) {
+            const error = document.createElement('p');
+            error.textContent = result.error;
+            error.style.cssText = 'margin: 8px 0; color: #f44336;';
+            return error;
+        }
+
+        if (result.f.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No modes: the circuit needs both capacitors and inductors or junctions.';
+            empty.style.cssText = 'margin: 8px 0; color: #666;';
+            return empty;
+        }
+
+        const view = document.createElement('div');
+        const hasJunctions = result.junctions.length > 0;
+
+        const columns = ['Mode', 'Frequency', 'Q'];
+        if (hasJunctions) columns.push('Anharmonicity');
+        view.appendChild(NormalModePanel._createTable(columns, result.f.map((f, m) => {
+            const row = [String(m), NormalModePanel.formatFrequency(f), NormalModePanel.formatQ(result.Q[m])];
+            if (hasJunctions) row.push(NormalModePanel.formatFrequency(result.A[m]));
+            return row;
+        })));
+
+        if (hasJunctions && result.f.length > 1) {
+            const caption = document.createElement('p');
+            caption.textContent = 'Cross-Kerr χ (diagonal = 2·A)';
+            caption.style.cssText = 'margin: 12px 0 0; color: #666;';
+            view.appendChild(caption);
+            view.appendChild(NormalModePanel._createTable(
+                ['', ...result.f.map((_, n) => String(n))],
+                result.chi.map((row, m) => [String(m), ...row.map(x => NormalModePanel.formatFrequency(x))])
+            ));
+        }
+
+        const btnExport = document.createElement('button');
+        btnExport.textContent = 'Export JSON';
+        btnExport.style.cssText = `
+            margin-top: 12px; padding: 6px 14px; border: 1px solid #ccc;
+            border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;
+        `;
+        btnExport.addEventListener('click', () => {
+            const json = this.exportJSON();
+            if (json) downloadFile(json, timestampedFilename('modes', 'json'), 'application/json');
+        });
+        view.appendChild(btnExport);
+        return view;
+    }
+
+    /**
+     * @param {string[]} columns - Header cells.
+     * @param {string[][]} rows - Body cells.
+     * @returns {HTMLTableElement}
+     * @private
+     */
+    static _createTable(columns, rows) {
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; margin-top: 8px;';
+        const header = table.insertRow();
+        columns.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            th.style.cssText = 'text-align: left; padding: 4px; border-bottom: 1px solid #ddd;';
+            header.appendChild(th);
+        });
+
+        rows.forEach(cells => {
+            const row = table.insertRow();
+            cells.forEach(text => {
+                const cell = row.insertCell();
+                cell.textContent = text;
+                cell.style.cssText = 'padding: 4px; font-variant-numeric: tabular-nums;';
+            });
+        });
+        return table;
+    }
+
+    /** @private */
+    _stopListening() {
+        if (!this._listening) return;
+        this.circuitService.off('update', this._onUpdate);
+        this._listening = false;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Formatting                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @param {number} hz
+     * @returns {string} e.g. "5.0123 GHz"
+     */
+    static formatFrequency(hz) {
+        const abs = Math.abs(hz);
+        if (abs >= 1e9) return `${(hz / 1e9).toFixed(4)} GHz`;
+        if (abs >= 1e6) return `${(hz / 1e6).toFixed(4)} MHz`;
+        if (abs >= 1e3) return `${(hz / 1e3).toFixed(4)} kHz`;
+        return `${hz.toFixed(4)} Hz`;
+    }
+
+    /**
+     * @param {number} Q
+     * @returns {string} "∞" for lossless modes, otherwise 4 significant digits.
+     */
+    static formatQ(Q) {
+        return Number.isFinite(Q) ? Number(Q.toPrecision(4)).toString() : '∞';
+    }
+}
+
+/** @type {WeakMap<object, NormalModePanel>} */
+NormalModePanel._instances = new WeakMap();
@@ -0,0 +1,260 @@
+import { SidePanel } from './SidePanel.js';
+import { VALUE_KEYS } from '../../application/ElectricalRuleCheckService.js';
+import { debounce } from '../../utils/PerformanceUtils.js';
+import { parseEngineeringValue, formatExactWithPrefix } from '../../utils/engineeringNotation.js';
+
+/**
+ * ParametersPanel
+ *
+ * Side panel editing the circuit parameters: named symbolic values such as
+ * `Lj` or `Cc` that element properties can be bound to. A bound element has
+ * the value "variable" and the parameter name as label, so it is exported to
+ * the QuCat netlist as a label and its value can be passed to QuCat as a
+ * keyword argument. The analysis panels use the parameter values directly.
+ *
+ * "Bind selection" binds the selected resistors, capacitors, inductors and
+ * junctions to a parameter.
+ *
+ * Usage:
+ *   ParametersPanel.for(circuitService, circuitRenderer).open();
+ */
+export class ParametersPanel {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @param {import('../renderers/CircuitRenderer.js').CircuitRenderer} [circuitRenderer]
+     */
+    constructor(circuitService, circuitRenderer) {
+        this.circuitService = circuitService;
+        this.circuitRenderer = circuitRenderer;
+        this.panel = SidePanel.for('parameters', { title: 'Parameters' });
+        this._error = '';
+        this._onUpdate = debounce(() => this.refresh(), 300);
+        this._listening = false;
+
+        this.panel.onClose(() => this._stopListening());
+    }
+
+    /**
+     * Returns the panel attached to `circuitService`, creating it on first use.
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @param {import('../renderers/CircuitRenderer.js').CircuitRenderer} [circuitRenderer]
+     * @returns {ParametersPanel}
+     */
+    static for(circuitService, circuitRenderer) {
+        if (!ParametersPanel._instances.has(circuitService)) {
+            ParametersPanel._instances.set(circuitService, new ParametersPanel(circuitService, circuitRenderer));
+        }
+        return ParametersPanel._instances.get(circuitService);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Show the panel and start following circuit updates. */
+    open() {
+        this.refresh();
+        this.panel.open();
+        if (!this._listening) {
+            this.circuitService.on('update', this._onUpdate);
+            this._listening = true;
+        }
+    }
+
+    /** Hide the panel. */
+    close() {
+        this.panel.close();
+    }
+
+    /**
+     * Define a parameter, or change its value.
+     * @param {string} name
+     * @param {string} text - The value as typed, in engineering notation (e.g. "10n");
+     *   empty leaves the parameter unset.
+     * @returns {boolean} False if the name or value was rejected (see the panel error).
+     */
+    setParameter(name, text) {
+        const trimmed = String(text ?? '').trim();
+        try {
+            const value = trimmed === '' ? undefined : parseEngineeringValue(trimmed);
+            this.circuitService.setParameter(name.trim(), value);
+        } catch (error) {
+            return this._fail(error.message);
+        }
+        this._error = '';
+        return true;
+    }
+
+    /**
+     * Bind the selected components to a parameter.
+     * @param {string} name
+     * @returns {number} The number of elements bound.
+     */
+    bindSelection(name) {
+        const selected = this.circuitRenderer?.getSelectedElements() ?? [];
+        const bindable = selected.filter(el => el.type in VALUE_KEYS);
+        if (bindable.length === 0) {
+            this._fail('Select resistors, capacitors, inductors or junctions to bind.');
+            return 0;
+        }
+        bindable.forEach(el => this.circuitService.bindElementToParameter(el.id, VALUE_KEYS[el.type], name));
+        this._error = '';
+        return bindable.length;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string[]} IDs of the components whose label is the parameter name.
+     */
+    getBoundElementIds(name) {
+        return this.circuitService.getElements()
+            .filter(el => el.type in VALUE_KEYS && (el.label?.value ?? el.label) === name)
+            .map(el => el.id);
+    }
+
+    /** Redraw the panel body. */
+    refresh() {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const content = document.createElement('div');
+        const parameters = Object.entries(this.circuitService.getParameters());
+
+        if (parameters.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No parameters yet. Add one below, then bind components to it.';
+            empty.style.cssText = 'margin: 8px 0; color: #666;';
+            content.appendChild(empty);
+        }
+        parameters.forEach(([name, value]) => content.appendChild(this._createRow(name, value)));
+        content.appendChild(this._createAddForm());
+
+        if (this._error) {
+            const error = document.createElement('p');
+            error.textContent = this._error;
+            error.style.cssText = 'margin: 8px 0; color: #f44336;';
+            content.appendChild(error);
+        }
+        this.panel.setContent(content);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Rendering                                                          */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @param {string} name
+     * @param {number|undefined} value
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createRow(name, value) {
+        const row = document.createElement('div');
+        row.dataset.parameter = name;
+        row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid #eee;';
+
+        const line = document.createElement('div');
+        line.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+
+        const label = document.createElement('span');
+        label.textContent = name;
+        label.style.cssText = 'min-width: 60px; font-family: monospace;';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = name;
+        input.value = value === undefined ? '' : formatExactWithPrefix(value, '');
+        input.placeholder = 'unset';
+        input.style.cssText = 'flex: 1; min-width: 0; padding: 4px; border: 1px solid #ccc; border-radius: 4px;';
+        input.addEventListener('change', () => {
+            this.setParameter(name, input.value);
+            this.refresh();
+        });
+
+        const btnBind = ParametersPanel._button('Bind selection');
+        btnBind.disabled = !this.circuitRenderer;
+        btnBind.addEventListener('click', () => {
+            this.bindSelection(name);
+            this.refresh();
+        });
+
+        const btnRemove = ParametersPanel._button('×');
+        btnRemove.title = `Remove ${name}`;
+        btnRemove.addEventListener('click', () => {
+            this.circuitService.removeParameter(name);
+            this.refresh();
+        });
+
+        line.append(label, input, btnBind, btnRemove);
+        row.appendChild(line);
+
+        const bound = this.getBoundElementIds(name);
+        const usage = document.createElement('div');
+        usage.textContent = bound.length ? `Used by ${bound.join(', ')}` : 'Not used';
+        usage.style.cssText = 'margin-top: 2px; color: #888; font-size: 12px;';
+        row.appendChild(usage);
+        return row;
+    }
+
+    /**
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createAddForm() {
+        const form = document.createElement('div');
+        form.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-top: 12px;';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.placeholder = 'Name, e.g. Lj';
+        name.style.cssText = 'width: 90px; padding: 4px; border: 1px solid #ccc; border-radius: 4px;';
+
+        const value = document.createElement('input');
+        value.type = 'text';
+        value.placeholder = 'Value, e.g. 10n';
+        value.style.cssText = 'flex: 1; min-width: 0; padding: 4px; border: 1px solid #ccc; border-radius: 4px;';
+
+        const btnAdd = ParametersPanel._button('Add');
+        const add = () => {
+            this.setParameter(name.value, value.value);
+            this.refresh();
+        };
+        btnAdd.addEventListener('click', add);
+        value.addEventListener('keydown', event => {
+            if (event.key === 'Enter') add();
+        });
+
+        form.append(name, value, btnAdd);
+        return form;
+    }
+
+    /** @private */
+    _fail(message) {
+        this._error = message;
+        return false;
+    }
+
+    /** @private */
+    _stopListening() {
+        if (!this._listening) return;
+        this.circuitService.off('update', this._onUpdate);
+        this._listening = false;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    static _button(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 4px 8px; border: 1px solid #ccc;
+            border-radius: 4px; background: #fff; cursor: pointer; font-size: 12px;
+        `;
+        return button;
+    }
+}
+
+/** @type {WeakMap<object, ParametersPanel>} */
+ParametersPanel._instances = new WeakMap();
@@ -0,0 +1,98 @@
+/**
+ * ProjectPropertiesDialog
+ *
+ * Modal dialog to edit the project information saved in project files:
+ * title, author and notes.
+ *
+ * Usage:
+ *   ProjectPropertiesDialog.show({
+ *       values: { title: 'Transmon', author: '', notes: '' },
+ *       onSave: (values) => { ... },   // { title, author, notes }
+ *   });
+ */
+export class ProjectPropertiesDialog {
+    /**
+     * Show the dialog. Does nothing outside a browser.
+     *
+     * @param {Object} options
+     * @param {{title: string, author: string, notes: string}} options.values - Current values.
+     * @param {(values: {title: string, author: string, notes: string}) => void} options.onSave -
+     *   Called with the edited values when the user clicks Save.
+     */
+    static show({ values, onSave }) {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed; inset: 0;
+            background: rgba(0,0,0,0.45);
+            display: flex; align-items: center; justify-content: center;
+            z-index: 10000;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: #fff; border-radius: 8px;
+            padding: 24px; width: 420px; max-width: 90vw;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+            font-family: Arial, sans-serif; font-size: 13px;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Project Properties';
+        heading.style.cssText = 'margin: 0 0 12px; font-size: 16px; color: #2c3e50;';
+        dialog.appendChild(heading);
+
+        const field = (name, text, multiline = false) => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; flex-direction: column; gap: 4px; margin-bottom: 10px; color: #333;';
+            const input = document.createElement(multiline ? 'textarea' : 'input');
+            input.name = name;
+            input.value = values[name] ?? '';
+            if (multiline) input.rows = 5;
+            input.style.cssText = 'padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font: inherit; resize: vertical;';
+            row.append(document.createTextNode(text), input);
+            dialog.appendChild(row);
+            return input;
+        };
+        const title = field('title', 'Title');
+        const author = field('author', 'Author');
+        const notes = field('notes', 'Notes', true);
+
+        const btnBar = document.createElement('div');
+        btnBar.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
+        const btnCancel = document.createElement('button');
+        btnCancel.textContent = 'Cancel';
+        btnCancel.style.cssText = 'padding: 8px 18px; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;';
+        const btnSave = document.createElement('button');
+        btnSave.textContent = 'Save';
+        btnSave.style.cssText = 'padding: 8px 18px; border: none; border-radius: 4px; background: #3498db; color: #fff; cursor: pointer; font-size: 13px;';
+        btnBar.append(btnCancel, btnSave);
+        dialog.appendChild(btnBar);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        title.focus();
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeydown, true);
+            if (overlay.parentNode) document.body.removeChild(overlay);
+        };
+
+        btnSave.addEventListener('click', () => {
+            close();
+            onSave({ title: title.value.trim(), author: author.value.trim(), notes: notes.value });
+        });
+        btnCancel.addEventListener('click', close);
+        document.addEventListener('keydown', onKeydown, true);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+    }
+}
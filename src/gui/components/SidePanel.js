@@ -0,0 +1,181 @@
+/**
+ * SidePanel
+ *
+ * Reusable panel docked to the left or right edge of the editor, below the
+ * menu bar. Used for tool output that should stay visible while the user keeps
+ * editing the circuit (rule-check results, analysis tables, plots).
+ *
+ * Panels are keyed by id: asking for the same id again returns the existing
+ * panel, so re-running a command refreshes its panel instead of stacking a new one.
+ *
+ * Usage:
+ *   import { SidePanel } from './SidePanel.js';
+ *
+ *   const panel = SidePanel.for('erc', { title: 'Circuit Check' });
+ *   panel.setContent(listElement);
+ *   panel.open();
+ */
+export class SidePanel {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Unique panel id.
+     * @param {string} [options.title='']
+     * @param {'left'|'right'} [options.side='right']
+     * @param {number} [options.width=320] - Width in CSS pixels.
+     */
+    constructor({ id, title = '', side = 'right', width = 320 }) {
+        this.id = id;
+        this.title = title;
+        this.side = side;
+        this.width = width;
+        this.root = null;
+        this.body = null;
+        /** @type {Function[]} */
+        this._closeListeners = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Returns the panel registered under `id`, creating it on first use.
+     * @param {string} id
+     * @param {Object} [options] - Constructor options, used on creation only.
+     * @returns {SidePanel}
+     */
+    static for(id, options = {}) {
+        if (!SidePanel._instances.has(id)) {
+            SidePanel._instances.set(id, new SidePanel({ ...options, id }));
+        }
+        return SidePanel._instances.get(id);
+    }
+
+    /** Show the panel, building its DOM on first use. */
+    open() {
+        if (!this._ensureDom()) return;
+        this.root.style.display = 'flex';
+    }
+
+    /** Hide the panel and notify close listeners. */
+    close() {
+        if (!this.root) return;
+        this.root.style.display = 'none';
+        this._closeListeners.forEach(listener => listener());
+    }
+
+    /** @returns {boolean} Whether the panel is currently shown. */
+    isOpen() {
+        return !!this.root && this.root.style.display !== 'none';
+    }
+
+    /**
+     * Register a callback invoked when the user closes the panel.
+     * @param {Function} listener
+     */
+    onClose(listener) {
+        this._closeListeners.push(listener);
+    }
+
+    /** @param {string} title */
+    setTitle(title) {
+        this.title = title;
+        if (this._titleEl) this._titleEl.textContent = title;
+    }
+
+    /**
+     * Replace the panel body.
+     * @param {Node|string} content - A DOM node, or plain text.
+     */
+    setContent(content) {
+        if (!this._ensureDom()) return;
+        this.body.replaceChildren();
+        if (typeof content === 'string') {
+            this.body.textContent = content;
+        } else if (content) {
+            this.body.appendChild(content);
+        }
+    }
+
+    /**
+     * Dock the panel to the other edge of the editor.
+     * @param {'left'|'right'} side
+     */
+    setSide(side) {
+        this.side = side;
+        if (this.root) this._applySide();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internal                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @returns {boolean} False outside a browser (unit tests without a DOM).
+     * @private
+     */
+    _ensureDom() {
+        if (this.root && this.root.isConnected) return true;
+        if (typeof document === 'undefined' || !document.body) return false;
+
+        const menubar = document.getElementById('menubar');
+        const top = menubar ? menubar.getBoundingClientRect().bottom : 0;
+
+        this.root = document.createElement('div');
+        this.root.dataset.panel = this.id;
+        this.root.style.cssText = `
+            position: fixed; top: ${top}px; bottom: 0;
+            width: ${this.width}px; max-width: 90vw;
+            display: none; flex-direction: column;
+            background: #fff; border: 1px solid #ccc;
+            box-shadow: 0 2px 12px rgba(0,0,0,0.15);
+            z-index: 9000; font-family: Arial, sans-serif; font-size: 13px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex; align-items: center; gap: 8px;
+            padding: 8px 12px; border-bottom: 1px solid #eee;
+        `;
+
+        this._titleEl = document.createElement('h3');
+        this._titleEl.textContent = this.title;
+        this._titleEl.style.cssText = 'margin: 0; flex: 1; font-size: 14px; color: #2c3e50;';
+
+        const btnClose = document.createElement('button');
+        btnClose.textContent = '×';
+        btnClose.title = 'Close';
+        btnClose.style.cssText = `
+            border: none; background: none; cursor: pointer;
+            font-size: 18px; line-height: 1; color: #666;
+        `;
+        btnClose.addEventListener('click', () => this.close());
+
+        this._btnDock = document.createElement('button');
+        this._btnDock.style.cssText = btnClose.style.cssText;
+        this._btnDock.style.fontSize = '14px';
+        this._btnDock.addEventListener('click', () => this.setSide(this.side === 'left' ? 'right' : 'left'));
+
+        this.body = document.createElement('div');
+        this.body.style.cssText = 'flex: 1; overflow: auto; padding: 8px 12px;';
+
+        header.append(this._titleEl, this._btnDock, btnClose);
+        this.root.append(header, this.body);
+        this._applySide();
+        document.body.appendChild(this.root);
+        return true;
+    }
+
+    /** @private */
+    _applySide() {
+        this.root.style.left = this.side === 'left' ? '0' : '';
+        this.root.style.right = this.side === 'left' ? '' : '0';
+        if (this._btnDock) {
+            this._btnDock.textContent = this.side === 'left' ? '⇥' : '⇤';
+            this._btnDock.title = this.side === 'left' ? 'Dock right' : 'Dock left';
+        }
+    }
+}
+
+/** @type {Map<string, SidePanel>} */
+SidePanel._instances = new Map();
@@ -0,0 +1,316 @@
+import { SidePanel } from './SidePanel.js';
+import { LinePlot } from './LinePlot.js';
+import { createLabelValueInputs } from './LabelValueInputs.js';
+import { ParameterSweepService } from '../../application/ParameterSweepService.js';
+import { downloadFile, timestampedFilename } from '../../utils/downloadFile.js';
+import { parseEngineeringValue, formatExactWithPrefix } from '../../utils/engineeringNotation.js';
+
+/**
+ * SweepPanel
+ *
+ * Side panel sweeping a circuit parameter (defined in the Parameters panel)
+ * over a range and plotting the normal-mode frequencies against it, e.g. to
+ * flux-tune a junction or scan a coupling capacitor. The sweep runs in a Web
+ * Worker with a progress indicator and can be cancelled; results can be
+ * exported as CSV.
+ *
+ * Unlike the other analysis panels, the sweep does not re-run on every edit:
+ * it can be long, so it only runs when the user presses "Run".
+ *
+ * Usage:
+ *   SweepPanel.for(circuitService).open();
+ */
+export class SweepPanel {
+    /**
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     */
+    constructor(circuitService) {
+        this.circuitService = circuitService;
+        this.sweepService = new ParameterSweepService(circuitService);
+        this.panel = SidePanel.for('sweep', { title: 'Parameter Sweep' });
+
+        /** @type {Object<string, number>} Values typed in for label-only components. */
+        this.labelValues = {};
+        this.settings = {
+            parameter: null,
+            start: '',
+            stop: '',
+            steps: 51,
+            scale: 'linear',
+        };
+        /** @type {import('../../application/ParameterSweepService.js').SweepResult|null} */
+        this.result = null;
+        this._error = '';
+        this._progress = null;
+        this._abort = null;
+
+        this.panel.onClose(() => this.cancel());
+    }
+
+    /**
+     * Returns the panel attached to `circuitService`, creating it on first use.
+     * @param {import('../../application/CircuitService.js').CircuitService} circuitService
+     * @returns {SweepPanel}
+     */
+    static for(circuitService) {
+        if (!SweepPanel._instances.has(circuitService)) {
+            SweepPanel._instances.set(circuitService, new SweepPanel(circuitService));
+        }
+        return SweepPanel._instances.get(circuitService);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Show the panel. */
+    open() {
+        this.refresh();
+        this.panel.open();
+    }
+
+    /** Hide the panel (cancels a running sweep). */
+    close() {
+        this.panel.close();
+    }
+
+    /**
+     * Run the sweep with the current settings.
+     * @returns {Promise<void>} Resolves when the sweep finished, failed or was cancelled.
+     */
+    async run() {
+        this.cancel();
+        const { parameter, start, stop, steps, scale } = this.settings;
+        if (!parameter) return this._fail('Define a parameter in the Parameters panel first.');
+        let from, to;
+        try {
+            from = parseEngineeringValue(start);
+            to = parseEngineeringValue(stop);
+        } catch (error) {
+            return this._fail(error.message);
+        }
+        if (!(from > 0 && to > 0 && from !== to)) return this._fail('Start and stop must be different positive numbers.');
+
+        const values = ParameterSweepService.valueGrid(from, to, steps, scale);
+        const abort = new AbortController();
+        this._abort = abort;
+        this._error = '';
+        this._progress = [0, values.length];
+        this.refresh();
+
+        try {
+            const result = await this.sweepService.run(parameter, values, this.labelValues, {
+                signal: abort.signal,
+                onProgress: (done, total) => {
+                    this._progress = [done, total];
+                    this._updateProgress();
+                },
+            });
+            if (!abort.signal.aborted) this.result = result;
+        } catch (error) {
+            if (!abort.signal.aborted) this._error = error.message;
+        } finally {
+            if (this._abort === abort) {
+                this._abort = null;
+                this._progress = null;
+                this.refresh();
+            }
+        }
+    }
+
+    /** Stop a running sweep after the current chunk. */
+    cancel() {
+        if (!this._abort) return;
+        this._abort.abort();
+        this._abort = null;
+        this._progress = null;
+    }
+
+    /**
+     * @returns {string|null} The last result as CSV, or null if there is none.
+     */
+    exportCSV() {
+        return this.result ? ParameterSweepService.toCSV(this.result) : null;
+    }
+
+    /** Redraw the panel body. */
+    refresh() {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const parameters = Object.keys(this.circuitService.getParameters());
+        if (!parameters.includes(this.settings.parameter)) this.settings.parameter = parameters[0] ?? null;
+        this._defaultRange();
+
+        const content = document.createElement('div');
+        const labels = this.sweepService.modeAnalysis.getUnresolvedLabels({})
+            .filter(label => label !== this.settings.parameter);
+        if (labels.length) content.appendChild(createLabelValueInputs(labels, this.labelValues, () => this.refresh()));
+
+        content.appendChild(this._createSettings(parameters));
+
+        this._statusEl = document.createElement('p');
+        this._statusEl.style.cssText = 'margin: 8px 0; color: #666;';
+        if (this._error) {
+            this._statusEl.textContent = this._error;
+            this._statusEl.style.color = '#f44336';
+        }
+        content.appendChild(this._statusEl);
+        this._updateProgress();
+
+        if (this.result) content.appendChild(this._createResultView(this.result));
+        this.panel.setContent(content);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Rendering                                                          */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @param {string[]} parameters
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createSettings(parameters) {
+        const form = document.createElement('div');
+        form.style.cssText = 'padding: 8px 0; border-bottom: 1px solid #eee;';
+
+        const select = document.createElement('select');
+        select.name = 'parameter';
+        select.style.cssText = 'flex: 1; padding: 4px; min-width: 0;';
+        parameters.forEach(name => select.add(new Option(name, name)));
+        select.value = this.settings.parameter ?? '';
+        select.addEventListener('change', () => {
+            this.settings.parameter = select.value;
+            this.settings.start = '';
+            this.settings.stop = '';
+            this.refresh();
+        });
+        form.appendChild(SweepPanel._row('Parameter', select));
+
+        const text = (key) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.name = key;
+            input.value = this.settings[key];
+            input.style.cssText = 'flex: 1; padding: 4px; min-width: 0;';
+            input.addEventListener('change', () => {
+                this.settings[key] = key === 'steps' ? Math.max(2, Math.round(Number(input.value)) || 2) : input.value.trim();
+            });
+            return input;
+        };
+        form.appendChild(SweepPanel._row('Start (SI)', text('start')));
+        form.appendChild(SweepPanel._row('Stop (SI)', text('stop')));
+        form.appendChild(SweepPanel._row('Steps', text('steps')));
+
+        const scale = document.createElement('select');
+        scale.name = 'scale';
+        scale.style.cssText = 'flex: 1; padding: 4px;';
+        scale.add(new Option('Linear', 'linear'));
+        scale.add(new Option('Logarithmic', 'log'));
+        scale.value = this.settings.scale;
+        scale.addEventListener('change', () => { this.settings.scale = scale.value; });
+        form.appendChild(SweepPanel._row('Spacing', scale));
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 8px; margin-top: 8px;';
+        const btnRun = SweepPanel._button('Run');
+        btnRun.disabled = !!this._abort || parameters.length === 0;
+        btnRun.addEventListener('click', () => this.run());
+        const btnCancel = SweepPanel._button('Cancel');
+        btnCancel.disabled = !this._abort;
+        btnCancel.addEventListener('click', () => {
+            this.cancel();
+            this.refresh();
+        });
+        actions.append(btnRun, btnCancel);
+        form.appendChild(actions);
+        return form;
+    }
+
+    /**
+     * @param {import('../../application/ParameterSweepService.js').SweepResult} result
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createResultView(result) {
+        const view = document.createElement('div');
+        const modes = Math.max(0, ...result.frequencies.map(f => f.length));
+        const series = Array.from({ length: modes }, (_, m) => result.frequencies.map(f => (f[m] ?? NaN) / 1e9));
+
+        const plot = new LinePlot({
+            xLabel: result.parameter,
+            yLabel: 'f (GHz)',
+            xLog: this.settings.scale === 'log',
+        });
+        view.appendChild(plot.canvas);
+        plot.drawSeries(result.values, series);
+
+        const btnExport = SweepPanel._button('Export CSV');
+        btnExport.style.marginTop = '12px';
+        btnExport.addEventListener('click', () => {
+            const csv = this.exportCSV();
+            if (csv) downloadFile(csv, timestampedFilename(`sweep_${result.parameter}`, 'csv'), 'text/csv');
+        });
+        view.appendChild(btnExport);
+        return view;
+    }
+
+    /**
+     * Default the range to ±50 % around the current parameter value.
+     * @private
+     */
+    _defaultRange() {
+        const value = this.circuitService.getParameters()[this.settings.parameter];
+        if (this.settings.start === '' && this.settings.stop === '' && typeof value === 'number' && value > 0) {
+            this.settings.start = formatExactWithPrefix(value / 2, '');
+            this.settings.stop = formatExactWithPrefix(value * 1.5, '');
+        }
+    }
+
+    /** @private */
+    _updateProgress() {
+        if (!this._statusEl || !this._progress) return;
+        const [done, total] = this._progress;
+        this._statusEl.textContent = `Sweeping… ${done}/${total}`;
+    }
+
+    /** @private */
+    _fail(message) {
+        this._error = message;
+        this.refresh();
+    }
+
+    /**
+     * @param {string} text
+     * @param {HTMLElement} control
+     * @returns {HTMLElement}
+     * @private
+     */
+    static _row(text, control) {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 4px;';
+        const name = document.createElement('span');
+        name.textContent = text;
+        name.style.cssText = 'min-width: 90px;';
+        row.append(name, control);
+        return row;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    static _button(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 6px 14px; border: 1px solid #ccc;
+            border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;
+        `;
+        return button;
+    }
+}
+
+/** @type {WeakMap<object, SweepPanel>} */
+SweepPanel._instances = new WeakMap();
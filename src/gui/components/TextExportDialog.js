@@ -0,0 +1,130 @@
+import { downloadFile } from '../../utils/downloadFile.js';
+
+/**
+ * TextExportDialog
+ *
+ * Modal dialog showing exported text (e.g. a LaTeX snippet) in a read-only
+ * textarea, with buttons to copy it to the clipboard or save it as a file.
+ *
+ * Usage:
+ *   TextExportDialog.show({
+ *       title: 'circuitikz Export',
+ *       text: snippet,
+ *       filename: 'circuit.tex',
+ *       notify,
+ *   });
+ */
+export class TextExportDialog {
+    /**
+     * Show the dialog. Does nothing outside a browser.
+     *
+     * @param {Object} options
+     * @param {string} options.title - Dialog title.
+     * @param {string} [options.description] - Line of text above the textarea.
+     * @param {string} options.text - The exported text.
+     * @param {string} options.filename - Suggested filename for "Download".
+     * @param {string} [options.mimeType='text/plain'] - MIME type of the download.
+     * @param {(message: string, type: 'success'|'error') => void} [options.notify] - Notification callback.
+     */
+    static show({ title, description = '', text, filename, mimeType = 'text/plain', notify = () => {} }) {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed; inset: 0;
+            background: rgba(0,0,0,0.45);
+            display: flex; align-items: center; justify-content: center;
+            z-index: 10000;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: #fff; border-radius: 8px;
+            padding: 24px; width: 640px; max-width: 90vw;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+            font-family: Arial, sans-serif;
+        `;
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        heading.style.cssText = 'margin: 0 0 8px; font-size: 16px; color: #2c3e50;';
+        dialog.appendChild(heading);
+
+        if (description) {
+            const desc = document.createElement('p');
+            desc.textContent = description;
+            desc.style.cssText = 'margin: 0 0 12px; font-size: 13px; color: #666;';
+            dialog.appendChild(desc);
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.readOnly = true;
+        textarea.spellcheck = false;
+        textarea.style.cssText = `
+            width: 100%; height: 260px;
+            padding: 10px; font-family: monospace; font-size: 12px;
+            border: 1px solid #ccc; border-radius: 4px;
+            resize: vertical; box-sizing: border-box; white-space: pre;
+        `;
+
+        const btnBar = document.createElement('div');
+        btnBar.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
+        const btnClose = TextExportDialog._button('Close');
+        const btnDownload = TextExportDialog._button('Download');
+        const btnCopy = TextExportDialog._button('Copy', true);
+        btnBar.append(btnClose, btnDownload, btnCopy);
+
+        dialog.append(textarea, btnBar);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        textarea.focus();
+        textarea.select();
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        };
+        const close = () => {
+            document.removeEventListener('keydown', onKeydown, true);
+            if (overlay.parentNode) document.body.removeChild(overlay);
+        };
+
+        btnCopy.addEventListener('click', () => {
+            if (!navigator.clipboard?.writeText) {
+                textarea.select();
+                notify('Press Ctrl+C to copy the selected text', 'error');
+                return;
+            }
+            navigator.clipboard.writeText(text)
+                .then(() => {
+                    notify('Copied to clipboard', 'success');
+                    close();
+                })
+                .catch(() => notify('Failed to copy to clipboard', 'error'));
+        });
+        btnDownload.addEventListener('click', () => downloadFile(text, filename, mimeType));
+        btnClose.addEventListener('click', close);
+        document.addEventListener('keydown', onKeydown, true);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+    }
+
+    /**
+     * @param {string} text
+     * @param {boolean} [primary=false]
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    static _button(text, primary = false) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = primary
+            ? 'padding: 8px 18px; border: none; border-radius: 4px; background: #3498db; color: #fff; cursor: pointer; font-size: 13px;'
+            : 'padding: 8px 18px; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer; font-size: 13px;';
+        return button;
+    }
+}
@@ -49,6 +49,8 @@
 
 import { Circuit } from "../domain/aggregates/Circuit.js";
 import { CircuitService } from "../application/CircuitService.js";
+import { AutosaveService } from "../application/AutosaveService.js";
+import { DocumentService } from "../application/DocumentService.js";
 import { GUIAdapter } from "./adapters/GUIAdapter.js";
 import {
   ElementRegistry,
@@ -59,6 +61,9 @@ import {
 import { initMenu } from "./menu/initMenu.js";
 import { Logger } from "../utils/Logger.js";
 import { globalPerformanceMonitor } from "../utils/PerformanceUtils.js";
+import { ShareLinkAdapter } from "../infrastructure/adapters/ShareLinkAdapter.js";
+import { AutosaveStore } from "../infrastructure/adapters/AutosaveStore.js";
+import { ProjectFileAdapter } from "../infrastructure/adapters/ProjectFileAdapter.js";
 
 /**
  * HiDPI Canvas Utilities
@@ -154,7 +159,8 @@ initMenu();
 /* ---------- Commands, first render, reveal, THEN start resize observer ---------- */
 globalPerformanceMonitor.startTiming('app-initialization');
 
-setupCommands(circuitService, guiAdapter.circuitRenderer);
+const documentService = new DocumentService(circuitService);  // current file and unsaved changes
+setupCommands(circuitService, guiAdapter.circuitRenderer, documentService);
 guiAdapter.initialize();                  // this will call first render
 setupHiDPICanvas(canvas, () => {
     guiAdapter.circuitRenderer.reCenter(); // Re-center after canvas resize
@@ -189,6 +195,48 @@ if (Logger.isDev) {
   
 }
 
+/* ---------- Title bar: file name, with a dot when there are unsaved changes ---------- */
+const appTitle = document.title;
+documentService.on('change', () => {
+  document.title = `${documentService.dirty ? '● ' : ''}${documentService.displayName} - ${appTitle}`;
+});
+
+/* ---------- Share links: circuit in the URL fragment ---------- */
+/**
+ * Open the circuit of a share link (`jscircuit.html#circuit=...`), on startup
+ * and when a link is pasted into the address bar of an open editor. Going
+ * through the command history makes it undoable.
+ */
+function openShareLink() {
+  if (!ShareLinkAdapter.readFragment(window.location.hash)) return;
+  const command = GUICommandRegistry.get('openShareLink');
+  if (command) guiAdapter.commandHistory.executeCommand(command, circuitService);
+}
+
+/* ---------- Autosave: rolling revisions in localStorage ---------- */
+/**
+ * The circuit is saved as a project a moment after each change, so that a
+ * closed tab or a crash loses nothing. On startup the last session is offered
+ * for restoring if it ended with unsaved changes, unless a share link is
+ * being opened; autosave starts after that choice so that the revisions of
+ * the last session are kept.
+ */
+const autosave = new AutosaveService(circuitService, new AutosaveStore(), {
+  serialize: () => ProjectFileAdapter.exportToString(circuitService, { compact: true }),
+});
+const restoreLastSession = ShareLinkAdapter.readFragment(window.location.hash)
+  ? Promise.resolve(false)
+  : GUICommandRegistry.get('restoreAutosave').offerRestore();
+restoreLastSession.finally(() => autosave.start());
+// A circuit that is saved to (or opened from) a file is not unsaved work
+documentService.on('change', () => {
+  if (!documentService.dirty) autosave.markSaved();
+});
+window.addEventListener('pagehide', () => autosave.flush());
+
+openShareLink();
+window.addEventListener('hashchange', openShareLink);
+
 /* ---------- Documentation Integration: PostMessage Support ---------- */
 /**
  * Listen for postMessage commands from parent documentation pages.
@@ -208,16 +256,11 @@ window.addEventListener('message', function(event) {
     try {
       Logger.info('[Documentation] Loading example circuit from documentation');
       
-      // Get the openNetlist command and use its internal methods
-      const openCommand = guiCommandRegistry.get('openNetlist');
+      // Load the netlist content with the openNetlist command, through the
+      // command history so that it can be undone
+      const openCommand = GUICommandRegistry.get('openNetlist');
       if (openCommand) {
-        // Store current state for undo
-        openCommand.previousState = circuitService.exportState();
-        
-        // Parse and load the netlist content directly
-        openCommand._parseNetlistContent(data.netlist).then(elements => {
-          return openCommand._loadElementsIntoCircuit(elements);
-        }).then(() => {
+        const load = () => openCommand.loadContent(data.netlist).then(() => {
           // Auto-zoom to fit the loaded circuit after a short delay
           setTimeout(() => {
             guiAdapter.circuitRenderer.zoomToFit();
@@ -228,6 +271,7 @@ window.addEventListener('message', function(event) {
         }).catch(error => {
           Logger.error('[Documentation] Failed to load example circuit:', error);
         });
+        guiAdapter.commandHistory.executeCommand({ execute: load }, circuitService);
       } else {
         Logger.error('[Documentation] OpenNetlist command not available');
       }
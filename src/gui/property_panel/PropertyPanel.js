@@ -7,6 +7,34 @@ import { CircuitService } from '../../application/CircuitService.js';
 import { UpdateElementPropertiesCommand } from '../commands/UpdateElementPropertiesCommand.js';
 import { CommandHistory } from '../commands/CommandHistory.js';
 import guiConfig from '../../config/gui.config.js';
+import { parseEngineeringValue, formatWithPrefix, formatExactWithPrefix } from '../../utils/engineeringNotation.js';
+import {
+    PLANCK,
+    josephsonEnergyFromInductance,
+    inductanceFromJosephsonEnergy,
+    criticalCurrentFromInductance,
+    inductanceFromCriticalCurrent
+} from '../../utils/physicalConstants.js';
+
+/**
+ * Quantities that can be entered instead of a stored property (fields with
+ * `derivedFrom` in gui.config.yaml), e.g. a junction's Josephson energy or
+ * critical current instead of its inductance. Each has the units accepted on
+ * input (with the factor to the field unit) and the conversions from and to
+ * the stored property.
+ */
+const DERIVED_QUANTITIES = {
+    josephson_energy: {
+        units: { Hz: 1, J: 1 / PLANCK },
+        fromBase: (inductance) => josephsonEnergyFromInductance(inductance) / PLANCK,
+        toBase: (frequency) => inductanceFromJosephsonEnergy(frequency * PLANCK)
+    },
+    critical_current: {
+        units: { A: 1 },
+        fromBase: criticalCurrentFromInductance,
+        toBase: inductanceFromCriticalCurrent
+    }
+};
 
 /**
  * PropertyPanel class for displaying and editing element properties
@@ -21,6 +49,8 @@ export class PropertyPanel {
         this.panelElement = null;
         this.overlayElement = null;
         this.boundKeyDownHandler = null; // Store bound handler for cleanup
+        this.fieldErrors = {}; // Parse errors of value fields, by field key
+        this.conversionSources = {}; // Field edited last, by the property it converts to
     }
 
     /**
@@ -47,6 +77,7 @@ export class PropertyPanel {
         this.onSave = onSave;
         this.onCancel = onCancel;
         this.isVisible = true;
+        this.conversionSources = {};
 
         this.createPanelHTML();
         this.setupEventListeners();
@@ -122,19 +153,30 @@ export class PropertyPanel {
 
         // Generate property fields from config
         const propertyFields = config.fields.map(field => {
-            const currentValue = field.key === 'label' ? currentLabel : (properties.values[field.key] || '');
-            const inputType = field.type === 'text' ? 'text' : 'number';
-            const stepAttribute = inputType === 'number' ? 'step="any"' : '';
+            // Value fields are text inputs so that engineering notation ("4.5 nH", "10k") can be typed
+            const isValue = field.type !== 'text';
+            const derivedFrom = isValue && DERIVED_QUANTITIES[field.key] ? field.derivedFrom : undefined;
+            let currentValue;
+            if (field.key === 'label') {
+                currentValue = currentLabel;
+            } else if (derivedFrom) {
+                currentValue = this.formatConvertedValue(field.key, field.unit, properties.values[derivedFrom]);
+            } else {
+                currentValue = this.formatFieldValue(properties.values[field.key], isValue ? field.unit || '' : null);
+            }
+            const placeholder = field.placeholder || (isValue ? 'e.g. 10n, 1.5 k, 2*4.5e-9' : '');
             
             return `
                 <div class="property-field">
                     <label for="${field.key}">${field.label}${field.unit ? ` (${field.unit})` : ''}</label>
-                    <input type="${inputType}"
+                    <input type="text"
                            id="${field.key}"
                            name="${field.key}"
                            value="${currentValue}"
-                           ${stepAttribute}
-                           placeholder="${field.placeholder || ''}">
+                           ${isValue ? `data-unit="${field.unit || ''}" autocomplete="off"` : ''}
+                           ${derivedFrom ? `data-derived-from="${derivedFrom}"` : ''}
+                           placeholder="${placeholder}">
+                    ${isValue ? '<div class="field-error"></div>' : ''}
                 </div>
             `;
         }).join('');
@@ -158,6 +200,80 @@ export class PropertyPanel {
         `;
     }
 
+    /**
+     * Format a property value for its input field. Numbers are shown with an SI
+     * prefix, with all the digits needed to read back the same value.
+     * @param {number|string|undefined} value - The property value
+     * @param {string|null} unit - The field unit, or null for free-text fields
+     * @returns {string} Input field value
+     * @private
+     */
+    formatFieldValue(value, unit) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'number' && unit !== null) return formatExactWithPrefix(value, unit);
+        return `${value}`;
+    }
+
+    /**
+     * Format a value shown for conversion only, with 4 significant digits
+     * @param {string} key - Field key: a stored property or a derived quantity
+     * @param {string} unit - The field unit
+     * @param {number|string|undefined} baseValue - Value of the stored property
+     * @returns {string} Input field value, or '' if there is nothing to convert
+     * @private
+     */
+    formatConvertedValue(key, unit, baseValue) {
+        if (typeof baseValue !== 'number' || !(baseValue > 0)) return '';
+        const derived = DERIVED_QUANTITIES[key];
+        return formatWithPrefix(derived ? derived.fromBase(baseValue) : baseValue, unit, 4);
+    }
+
+    /**
+     * Read a value field: a number in the unit of the property it is stored in
+     * (converted for derived quantities), or "variable" for parameter-bound values
+     * @param {HTMLInputElement} input - The value input
+     * @returns {number|string} The value
+     * @throws {Error} If the value cannot be parsed
+     * @private
+     */
+    readFieldValue(input) {
+        const value = input.value.trim();
+        const derived = input.dataset.derivedFrom && DERIVED_QUANTITIES[input.name];
+        if (derived) {
+            return derived.toBase(parseEngineeringValue(value, derived.units));
+        }
+        if (value === 'variable') {
+            // Bound to a circuit parameter
+            return value;
+        }
+        return parseEngineeringValue(value, input.dataset.unit || undefined);
+    }
+
+    /**
+     * Update the fields converted from or to an edited value field, e.g. the
+     * Josephson energy and critical current when the inductance is edited
+     * @param {HTMLInputElement} input - The edited input
+     * @private
+     */
+    updateConvertedFields(input) {
+        const baseKey = input.dataset.derivedFrom || input.name;
+        const fields = Array.from(this.panelElement.querySelectorAll('input[data-unit]'))
+            .filter(field => field !== input && (field.name === baseKey || field.dataset.derivedFrom === baseKey));
+        if (!fields.some(field => field.dataset.derivedFrom) && !input.dataset.derivedFrom) return;
+
+        this.conversionSources[baseKey] = input.name;
+        let baseValue;
+        try {
+            baseValue = input.value.trim() === '' ? undefined : this.readFieldValue(input);
+        } catch {
+            return; // Reported when saving
+        }
+        fields.forEach(field => {
+            field.value = this.formatConvertedValue(field.name, field.dataset.unit, baseValue);
+            this.setFieldError(field, '');
+        });
+    }
+
     /**
      * Generate fallback content for unknown element types
      * @param {string} elementType - The element type name
@@ -209,6 +325,14 @@ export class PropertyPanel {
         this.boundKeyDownHandler = this.handleKeyDown.bind(this);
         document.addEventListener('keydown', this.boundKeyDownHandler, true); // Use capture phase
 
+        // Clear a value field's error as soon as it is edited, and convert it to related fields
+        this.panelElement.querySelectorAll('input[data-unit]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.setFieldError(input, '');
+                this.updateConvertedFields(input);
+            });
+        });
+
         // Click outside to close
         this.overlayElement.addEventListener('click', (event) => {
             if (event.target === this.overlayElement) {
@@ -253,6 +377,11 @@ export class PropertyPanel {
     handleSave() {
         const newProperties = this.collectFormData();
         
+        // Values that could not be parsed are reported next to their field
+        if (this.showFieldErrors()) {
+            return;
+        }
+        
         // Validation: Check if at least a label or one property is specified
         const hasLabel = newProperties.label && newProperties.label.trim() !== '';
         const hasProperties = Object.keys(newProperties).some(key =>
@@ -271,6 +400,37 @@ export class PropertyPanel {
         this.hide();
     }
 
+    /**
+     * Show the errors found by collectFormData() next to their fields
+     * @returns {boolean} True if there are errors
+     * @private
+     */
+    showFieldErrors() {
+        const inputs = Array.from(this.panelElement.querySelectorAll('input[data-unit]'));
+        inputs.forEach(input => this.setFieldError(input, this.fieldErrors[input.name] || ''));
+
+        const firstInvalid = inputs.find(input => this.fieldErrors[input.name]);
+        if (firstInvalid) {
+            firstInvalid.focus();
+            firstInvalid.select();
+        }
+        return !!firstInvalid;
+    }
+
+    /**
+     * Show or clear the error message of a value field
+     * @param {HTMLInputElement} input - The value input
+     * @param {string} message - Error message, or '' to clear it
+     * @private
+     */
+    setFieldError(input, message) {
+        input.classList.toggle('invalid', !!message);
+        const errorElement = input.parentNode.querySelector('.field-error');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    }
+
     /**
      * Show validation warning dialog
      * @private
@@ -363,12 +523,17 @@ export class PropertyPanel {
     }
 
     /**
-     * Collect form data into properties object
+     * Collect form data into properties object.
+     * Value fields are parsed as engineering notation; fields that cannot be
+     * parsed are left out and their errors are stored in `fieldErrors`. Of a
+     * stored property and the quantities derived from it, only the field
+     * edited last is read.
      * @returns {Object} Properties object with updated values
      * @private
      */
     collectFormData() {
         const properties = {};
+        this.fieldErrors = {};
         
         // Get label
         const labelInput = this.panelElement.querySelector('#label');
@@ -387,10 +552,15 @@ export class PropertyPanel {
             const value = input.value.trim();
             
             if (key && value !== '') {
-                if (input.type === 'number') {
-                    const numValue = parseFloat(value);
-                    if (!isNaN(numValue)) {
-                        properties[key] = numValue;
+                if (input.dataset && input.dataset.unit !== undefined) {
+                    const baseKey = input.dataset.derivedFrom || key;
+                    if ((this.conversionSources[baseKey] || baseKey) !== key) {
+                        return;
+                    }
+                    try {
+                        properties[baseKey] = this.readFieldValue(input);
+                    } catch (error) {
+                        this.fieldErrors[key] = error.message;
                     }
                 } else if (input.type === 'select-one' || input.tagName === 'SELECT') {
                     // Handle select elements
@@ -410,7 +580,7 @@ export class PropertyPanel {
      */
     focusFirstInput() {
         // Focus the first property input if available, otherwise the label input
-        const firstPropertyInput = this.panelElement.querySelector('.property-field input[type="number"]');
+        const firstPropertyInput = this.panelElement.querySelector('.property-field input[data-unit]');
         const labelInput = this.panelElement.querySelector('#label');
         
         if (firstPropertyInput) {
@@ -542,6 +712,20 @@ export class PropertyPanel {
                 border-color: #007bff;
             }
 
+            .property-field input.invalid {
+                border-color: #f44336;
+            }
+
+            .field-error {
+                margin-top: 4px;
+                font-size: 12px;
+                color: #f44336;
+            }
+
+            .field-error:empty {
+                display: none;
+            }
+
             .field-help {
                 display: block;
                 margin-top: 4px;
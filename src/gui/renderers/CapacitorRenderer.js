@@ -51,6 +51,16 @@ export class CapacitorRenderer extends ImageRenderer {
         this.context.strokeStyle = '#000000';
         this.context.lineWidth = 2;
 
+        // Draw leads from the connection points to the plates
+        this.context.lineWidth = 1;
+        this.context.beginPath();
+        this.context.moveTo(-20, 0);
+        this.context.lineTo(-5, 0);
+        this.context.moveTo(5, 0);
+        this.context.lineTo(20, 0);
+        this.context.stroke();
+        this.context.lineWidth = 2;
+
         // Draw capacitor plates (two parallel lines)
         const plateOffset = 10;
 
@@ -159,6 +159,9 @@ export class CircuitRenderer {
             this.drawGrid();
         }
 
+        // Parameter values are shown next to the labels of bound elements
+        const parameters = this.circuitService.getParameters ? this.circuitService.getParameters() : {};
+
         // Iterate over circuit elements and render them
         this.circuitService.getElements().forEach((element) => {
             if (!this.renderers.has(element.type)) {
@@ -171,6 +174,7 @@ export class CircuitRenderer {
             }
 
             const renderer = this.renderers.get(element.type);
+            renderer.parameters = parameters;
             const isHovered = this.hoveredElement === element;
             const isSelected = this.selectedElements.has(element) || this.selectedElement === element;
             
@@ -201,11 +205,6 @@ export class CircuitRenderer {
     * The grid spacing is configurable (this.gridSpacing).
     */
     drawGrid() {
-        const ctx = this.context;
-        const spacing = this.gridSpacing;
-        const dotRadius = 0.8; // Radius of each grid dot
-        ctx.fillStyle = this.gridColor;
-
         // The context is already transformed (translated & scaled)
         // Determine the visible logical area:
         const logicalWidth = this.canvas.width / this.scale;
@@ -216,14 +215,32 @@ export class CircuitRenderer {
         const startX = -this.offsetX / this.scale;
         const startY = -this.offsetY / this.scale;
 
-        // Find the first visible vertical grid line:
-        const firstX = Math.floor(startX / spacing) * spacing;
-        // Find the first visible horizontal grid line:
-        const firstY = Math.floor(startY / spacing) * spacing;
+        CircuitRenderer.drawGridDots(this.context, this.gridSpacing, this.gridColor,
+            startX, startY, startX + logicalWidth, startY + logicalHeight);
+    }
+
+    /**
+     * Draws grid dots on the multiples of `spacing` inside an area given in
+     * logical coordinates (used for the canvas and for image export).
+     * @param {CanvasRenderingContext2D} ctx - Context, transformed to logical coordinates.
+     * @param {number} spacing - Grid spacing.
+     * @param {string} color - Dot color.
+     * @param {number} left
+     * @param {number} top
+     * @param {number} right
+     * @param {number} bottom
+     */
+    static drawGridDots(ctx, spacing, color, left, top, right, bottom) {
+        const dotRadius = 0.8; // Radius of each grid dot
+        ctx.fillStyle = color;
+
+        // Find the first visible vertical and horizontal grid lines:
+        const firstX = Math.floor(left / spacing) * spacing;
+        const firstY = Math.floor(top / spacing) * spacing;
 
         // Iterate over visible grid points and draw dots
-        for (let x = firstX; x <= startX + logicalWidth; x += spacing) {
-            for (let y = firstY; y <= startY + logicalHeight; y += spacing) {
+        for (let x = firstX; x <= right; x += spacing) {
+            for (let y = firstY; y <= bottom; y += spacing) {
                 ctx.beginPath();
                 ctx.arc(x, y, dotRadius, 0, Math.PI * 2); // Draw a circle at each grid point
                 ctx.fill(); // Fill the dot with the current fillStyle
@@ -821,7 +838,42 @@ export class CircuitRenderer {
         
         // Trigger re-render to apply the new centering
         this.render();
-        
+
+    }
+
+    /**
+     * Zooms and pans so the given elements fill the visible part of the canvas.
+     * The scale is clamped to the same limits as mouse-wheel zoom.
+     *
+     * @param {Element[]} [elements] - Elements to fit; defaults to the whole circuit.
+     * @param {number} [padding=40] - Margin around the elements, in screen pixels.
+     */
+    zoomToFit(elements = this.circuitService.getElements(), padding = 40) {
+        const nodes = elements.flatMap(element => element.nodes);
+        if (nodes.length === 0) return;
+
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x));
+        const minY = Math.min(...nodes.map(n => n.y));
+        const maxY = Math.max(...nodes.map(n => n.y));
+
+        // The canvas is larger than its scrollable container; fit into what is visible.
+        const container = this.canvas.parentElement;
+        const rect = this.canvas.getBoundingClientRect();
+        const viewLeft = container ? container.scrollLeft : 0;
+        const viewTop = container ? container.scrollTop : 0;
+        const viewWidth = (container && container.clientWidth) || rect.width;
+        const viewHeight = (container && container.clientHeight) || rect.height;
+
+        const fitX = (viewWidth - 2 * padding) / Math.max(maxX - minX, 1);
+        const fitY = (viewHeight - 2 * padding) / Math.max(maxY - minY, 1);
+        this.scale = Math.min(3.0, Math.max(1.0, Math.min(fitX, fitY)));
+
+        this.offsetX = viewLeft + viewWidth / 2 - ((minX + maxX) / 2) * this.scale;
+        this.offsetY = viewTop + viewHeight / 2 - ((minY + maxY) / 2) * this.scale;
+
+        this.render();
+        this.emitPanEvent();
     }
 
     /**
@@ -1,3 +1,5 @@
+import { formatWithPrefix } from '../../utils/engineeringNotation.js';
+
 /**
  * @class ElementRenderer
  * @description
@@ -44,6 +46,8 @@ export class ElementRenderer {
     // You can configure the guide color and size here:
     this.alignmentGuideColor = "red";
     this.alignmentGuideSize = 4; // pixels radius for the guide cross
+    // Circuit parameters (name → value), set by CircuitRenderer before each frame
+    this.parameters = {};
   }
 
   /**
@@ -102,31 +106,7 @@ export class ElementRenderer {
    * @returns {string} Formatted string with prefix and unit
    */
   formatWithPrefix(value, unit) {
-    if (value === 0) return `0 ${unit}`;
-    
-    const prefixes = [
-      { threshold: 1e9, symbol: 'G' },
-      { threshold: 1e6, symbol: 'M' },
-      { threshold: 1e3, symbol: 'k' },
-      { threshold: 1, symbol: '' },
-      { threshold: 1e-3, symbol: 'm' },
-      { threshold: 1e-6, symbol: 'μ' },
-      { threshold: 1e-9, symbol: 'n' },
-      { threshold: 1e-12, symbol: 'p' },
-      { threshold: 1e-15, symbol: 'f' }
-    ];
-    
-    const absValue = Math.abs(value);
-    for (const prefix of prefixes) {
-      if (absValue >= prefix.threshold) {
-        const scaledValue = value / prefix.threshold;
-        const formattedValue = scaledValue % 1 === 0 ? scaledValue.toString() : scaledValue.toPrecision(3);
-        return `${formattedValue} ${prefix.symbol}${unit}`;
-      }
-    }
-    
-    // For very small values, use scientific notation
-    return `${value.toExponential(2)} ${unit}`;
+    return formatWithPrefix(value, unit);
   }
 
   /**
@@ -152,7 +132,13 @@ export class ElementRenderer {
     
     // Get the primary property value for this component type
     const primaryProperty = this.getPrimaryProperty(element);
-    const propertyValue = primaryProperty ? properties.values[primaryProperty] : null;
+    let propertyValue = primaryProperty ? properties.values[primaryProperty] : null;
+
+    // Label-only and "variable" values show the value of the parameter named by the label
+    if (label && (propertyValue === 'variable' || propertyValue === undefined || propertyValue === null)) {
+      const parameterValue = this.parameters?.[label];
+      propertyValue = typeof parameterValue === 'number' ? parameterValue : null;
+    }
     
     // Build the display text
     let displayText = '';
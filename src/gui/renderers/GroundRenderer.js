@@ -10,6 +10,7 @@ export class GroundRenderer extends ImageRenderer {
      * Override drawImage to provide special selection positioning for ground
      */
     drawImage(x, y, rotation = 0) {
+        if (!this.useImages) return false;
         const currentImage = this.getCurrentImage();
         if (!this.isImageReady() || !currentImage) return false;
 
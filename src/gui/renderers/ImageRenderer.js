@@ -16,6 +16,9 @@ export class ImageRenderer extends ElementRenderer {
         this.hoverImageLoading = false;
         this.isHovered = false;
         this.isSelected = false;
+        // When false, images are neither loaded nor drawn and renderers draw
+        // their vector fallback (used by the SVG export)
+        this.useImages = true;
 
         // Define proper dimensions for the element image
         this.SCALED_WIDTH = scaledWidth;
@@ -28,6 +31,8 @@ export class ImageRenderer extends ElementRenderer {
     }
 
     async initImageIfNeeded(loadHover = false) {
+        if (!this.useImages) return;
+
         // Load normal image
         if (!this.image && !this.imageLoading) {
             this.imageLoading = true;
@@ -112,6 +117,7 @@ export class ImageRenderer extends ElementRenderer {
      * Draw the image with proper aspect ratio
      */
     drawImage(x, y, rotation = 0) {
+        if (!this.useImages) return false;
         const currentImage = this.getCurrentImage();
         if (!this.isImageReady() || !currentImage) return false;
 
@@ -51,13 +51,15 @@ export class InductorRenderer extends ImageRenderer {
         this.context.strokeStyle = '#000000';
         this.context.lineWidth = 2;
         
-        const coilWidth = 40;
-        const coilHeight = 20;
+        // Four loops on top, between the connection points
+        const coilWidth = (this.SCALED_WIDTH / 2 - 5) * 2;
+        const loops = 4;
+        const loopRadius = coilWidth / loops / 2;
 
-        for (let i = 0; i < 3; i++) {
-            const x = midX - coilWidth/2 + (i * coilWidth/3);
+        for (let i = 0; i < loops; i++) {
+            const x = midX - coilWidth / 2 + (2 * i + 1) * loopRadius;
             this.context.beginPath();
-            this.context.arc(x, midY, coilHeight/2, 0, Math.PI, false);
+            this.context.arc(x, midY, loopRadius, Math.PI, 0, false);
             this.context.stroke();
         }
 
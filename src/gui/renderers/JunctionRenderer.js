@@ -46,6 +46,14 @@ export class JunctionRenderer extends ImageRenderer {
         this.context.strokeStyle = '#000000';
         this.context.lineWidth = 2;
 
+        // Line through the junction, joining the connections
+        this.context.lineWidth = 1;
+        this.context.beginPath();
+        this.context.moveTo(midX - 15, midY);
+        this.context.lineTo(midX + 15, midY);
+        this.context.stroke();
+        this.context.lineWidth = 2;
+
         const size = 12;
         this.context.beginPath();
         this.context.moveTo(midX - size, midY - size);
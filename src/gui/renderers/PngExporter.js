@@ -0,0 +1,112 @@
+import { CircuitRenderer } from './CircuitRenderer.js';
+import { drawElements, measureElements } from './drawElements.js';
+import { setPngDpi } from '../../utils/pngDpi.js';
+
+/** Resolution of one canvas pixel at scale 1 (CSS reference pixel). */
+export const SCREEN_DPI = 96;
+
+/** Largest canvas side browsers reliably allocate. */
+const MAX_CANVAS_SIDE = 16384;
+
+/**
+ * PngExporter
+ *
+ * Renders circuit elements offscreen at a chosen resolution, cropped to
+ * their bounding box plus padding, and encodes the result as PNG. Elements
+ * are drawn as vector symbols (see drawElements), so they stay sharp at any
+ * scale. The canvas is transformed like the CircuitRenderer view, with a
+ * translation to the crop corner followed by the scale.
+ *
+ * @example
+ * const canvas = PngExporter.render(elements, rendererFactory, { dpi: 300 });
+ * const blob = await PngExporter.toBlob(canvas, 300);
+ */
+export class PngExporter {
+    /**
+     * Draw elements on a new canvas.
+     *
+     * @param {Element[]} elements - The elements to draw.
+     * @param {RendererFactory} rendererFactory - Creates the element renderers.
+     * @param {Object} [options]
+     * @param {number} [options.dpi=96] - Output resolution; 96 keeps the on-screen size.
+     * @param {Object<string, number>} [options.parameters={}] - Circuit parameters, for the values of bound elements.
+     * @param {boolean} [options.showGrid=false] - Draw the dot grid behind the circuit.
+     * @param {boolean} [options.transparent=false] - Leave the background transparent instead of white.
+     * @param {number} [options.padding=20] - Space around the drawing (circuit pixels).
+     * @param {number} [options.gridSpacing=10] - Grid dot spacing (circuit pixels).
+     * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} [options.createCanvas] -
+     *   Canvas factory; an OffscreenCanvas, or a detached canvas element, by default.
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The rendered canvas.
+     * @throws {Error} If there is nothing to draw, or the image would be too large.
+     */
+    static render(elements, rendererFactory, {
+        dpi = SCREEN_DPI,
+        parameters = {},
+        showGrid = false,
+        transparent = false,
+        padding = 20,
+        gridSpacing = 10,
+        createCanvas = PngExporter.createCanvas,
+    } = {}) {
+        const bounds = measureElements(elements, rendererFactory, parameters);
+        if (!bounds) throw new Error('Nothing to export.');
+
+        const scale = dpi / SCREEN_DPI;
+        const x = Math.floor(bounds.minX - padding);
+        const y = Math.floor(bounds.minY - padding);
+        const width = Math.ceil(bounds.maxX + padding) - x;
+        const height = Math.ceil(bounds.maxY + padding) - y;
+        const pixelWidth = Math.ceil(width * scale);
+        const pixelHeight = Math.ceil(height * scale);
+        if (pixelWidth > MAX_CANVAS_SIDE || pixelHeight > MAX_CANVAS_SIDE) {
+            throw new Error(`The image would be ${pixelWidth} × ${pixelHeight} pixels; choose a lower resolution.`);
+        }
+
+        const canvas = createCanvas(pixelWidth, pixelHeight);
+        const context = canvas.getContext('2d');
+        context.translate(-x * scale, -y * scale);
+        context.scale(scale, scale);
+
+        if (!transparent) {
+            context.fillStyle = '#ffffff';
+            context.fillRect(x, y, width, height);
+        }
+        if (showGrid) {
+            CircuitRenderer.drawGridDots(context, gridSpacing, 'gray', x, y, x + width, y + height);
+        }
+        drawElements(context, elements, rendererFactory, parameters);
+        return canvas;
+    }
+
+    /**
+     * Encode a rendered canvas as PNG, recording its resolution in the file.
+     *
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {number} [dpi=96] - Resolution the canvas was rendered at.
+     * @returns {Promise<Blob>} The PNG file.
+     */
+    static async toBlob(canvas, dpi = SCREEN_DPI) {
+        const blob = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type: 'image/png' })
+            : await new Promise((resolve, reject) => canvas.toBlob(
+                result => result ? resolve(result) : reject(new Error('The image could not be encoded.')),
+                'image/png'
+            ));
+        const png = setPngDpi(new Uint8Array(await blob.arrayBuffer()), dpi);
+        return new Blob([png], { type: 'image/png' });
+    }
+
+    /**
+     * Default canvas factory.
+     * @param {number} width
+     * @param {number} height
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+}
@@ -50,18 +50,28 @@ export class ResistorRenderer extends ImageRenderer {
     }
 
     renderFallback(resistor, midX, midY) {
-        // Fallback: draw a simple rectangle representation
+        // Fallback: zigzag between two short leads, like the resistor image
         this.context.save();
-        this.context.strokeStyle = '#8B4513'; // Brown color for resistor
-        this.context.fillStyle = '#D2B48C';   // Light brown fill
+        this.context.strokeStyle = '#000000';
         this.context.lineWidth = 2;
-        
-        const rectX = midX - this.SCALED_WIDTH / 2;
-        const rectY = midY - this.SCALED_HEIGHT / 2;
-        
-        this.context.fillRect(rectX, rectY, this.SCALED_WIDTH, this.SCALED_HEIGHT);
-        this.context.strokeRect(rectX, rectY, this.SCALED_WIDTH, this.SCALED_HEIGHT);
-        
+        this.context.lineJoin = 'round';
+
+        const halfWidth = this.SCALED_WIDTH / 2;
+        const zigzagHalfWidth = halfWidth * 0.6;
+        const amplitude = this.SCALED_HEIGHT / 3;
+        const peaks = 6;
+
+        this.context.beginPath();
+        this.context.moveTo(midX - halfWidth, midY);
+        this.context.lineTo(midX - zigzagHalfWidth, midY);
+        for (let i = 0; i < peaks; i++) {
+            const x = midX - zigzagHalfWidth + (i + 0.5) * (2 * zigzagHalfWidth / peaks);
+            this.context.lineTo(x, midY + (i % 2 === 0 ? -amplitude : amplitude));
+        }
+        this.context.lineTo(midX + zigzagHalfWidth, midY);
+        this.context.lineTo(midX + halfWidth, midY);
+        this.context.stroke();
+
         this.context.restore();
     }
 
@@ -0,0 +1,302 @@
+/**
+ * Format a coordinate or length for SVG output (two decimals at most).
+ * @param {number} value
+ * @returns {string}
+ */
+const num = (value) => String(Math.round(value * 100) / 100 + 0);
+
+/**
+ * Escape text for XML content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeXml = (text) =>
+    String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+const TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const BASELINES = { top: 'hanging', hanging: 'hanging', middle: 'central', alphabetic: 'alphabetic', ideographic: 'ideographic', bottom: 'text-after-edge' };
+
+/**
+ * SvgContext
+ *
+ * Records drawing calls of the CanvasRenderingContext2D subset used by the
+ * element renderers (paths, arcs, rectangles, text, transforms and
+ * save/restore) as SVG elements, so that the renderers can draw a vector
+ * copy of the schematic. Images are not drawn: renderers then fall back to
+ * their vector symbols.
+ *
+ * @example
+ * const ctx = new SvgContext();
+ * new ResistorRenderer(ctx).renderElement(resistor);
+ * const markup = ctx.getMarkup();   // "<path .../>..."
+ * const { minX, minY, maxX, maxY } = ctx.bounds;
+ */
+export class SvgContext {
+    constructor() {
+        /** Not backed by a canvas. */
+        this.canvas = null;
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+
+        /** Bounding box of everything drawn, in output coordinates. */
+        this.bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+        this._matrix = [1, 0, 0, 1, 0, 0];
+        this._lineDash = [];
+        this._stack = [];
+        this._path = '';
+        this._pathBounds = [];
+        this._elements = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  State and transforms                                               */
+    /* ------------------------------------------------------------------ */
+
+    save() {
+        const { fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, textAlign, textBaseline, globalAlpha } = this;
+        this._stack.push({
+            fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, textAlign, textBaseline, globalAlpha,
+            matrix: [...this._matrix], lineDash: [...this._lineDash],
+        });
+    }
+
+    restore() {
+        const state = this._stack.pop();
+        if (!state) return;
+        const { matrix, lineDash, ...styles } = state;
+        Object.assign(this, styles);
+        this._matrix = matrix;
+        this._lineDash = lineDash;
+    }
+
+    translate(x, y) {
+        const [a, b, c, d, e, f] = this._matrix;
+        this._matrix = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+    }
+
+    rotate(angle) {
+        const [a, b, c, d, e, f] = this._matrix;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this._matrix = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f];
+    }
+
+    scale(x, y) {
+        const [a, b, c, d, e, f] = this._matrix;
+        this._matrix = [a * x, b * x, c * y, d * y, e, f];
+    }
+
+    setLineDash(segments) {
+        this._lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this._lineDash];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Paths                                                              */
+    /* ------------------------------------------------------------------ */
+
+    beginPath() {
+        this._path = '';
+        this._pathBounds = [];
+    }
+
+    moveTo(x, y) {
+        const [px, py] = this._point(x, y);
+        this._path += `M${num(px)} ${num(py)}`;
+    }
+
+    lineTo(x, y) {
+        const [px, py] = this._point(x, y);
+        this._path += `${this._path ? 'L' : 'M'}${num(px)} ${num(py)}`;
+    }
+
+    closePath() {
+        if (this._path) this._path += 'Z';
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    /**
+     * Circular arc, with the semantics of CanvasRenderingContext2D.arc.
+     * Transforms are assumed to be rotations, translations and uniform scales.
+     */
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        const TAU = 2 * Math.PI;
+        let sweep = endAngle - startAngle;
+        const full = anticlockwise ? -sweep >= TAU : sweep >= TAU;
+        if (full) sweep = anticlockwise ? -TAU : TAU;
+        else if (anticlockwise) sweep = -(((-sweep % TAU) + TAU) % TAU);
+        else sweep = ((sweep % TAU) + TAU) % TAU;
+
+        const [a, b, c, d] = this._matrix;
+        const det = a * d - b * c;
+        const r = num(radius * Math.sqrt(Math.abs(det)));
+        const at = angle => this._point(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+        // SVG sweep flag 1 = increasing angle, which a mirroring transform reverses
+        const sweepFlag = (sweep > 0) === (det > 0) ? 1 : 0;
+
+        const [sx, sy] = at(startAngle);
+        this._path += `${this._path ? 'L' : 'M'}${num(sx)} ${num(sy)}`;
+        if (full) {
+            const [mx, my] = at(startAngle + sweep / 2);
+            this._path += `A${r} ${r} 0 0 ${sweepFlag} ${num(mx)} ${num(my)}A${r} ${r} 0 0 ${sweepFlag} ${num(sx)} ${num(sy)}`;
+        } else if (sweep !== 0) {
+            const [ex, ey] = at(startAngle + sweep);
+            this._path += `A${r} ${r} 0 ${Math.abs(sweep) > Math.PI ? 1 : 0} ${sweepFlag} ${num(ex)} ${num(ey)}`;
+        }
+
+        const [cx, cy] = this._point(x, y);
+        const rr = radius * Math.sqrt(Math.abs(det));
+        this._pathBounds.push([cx - rr, cy - rr], [cx + rr, cy + rr]);
+    }
+
+    stroke() {
+        if (!this._path) return;
+        const dash = this._lineDash.length ? ` stroke-dasharray="${this._lineDash.map(num).join(' ')}"` : '';
+        this._emit(`<path d="${this._path}" fill="none" stroke="${escapeXml(this.strokeStyle)}" stroke-width="${num(this._scaled(this.lineWidth))}" stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${dash}${this._opacity()}/>`);
+        this._extendBounds(this._pathBounds, this._scaled(this.lineWidth) / 2);
+    }
+
+    fill() {
+        if (!this._path) return;
+        this._emit(`<path d="${this._path}" fill="${escapeXml(this.fillStyle)}"${this._opacity()}/>`);
+        this._extendBounds(this._pathBounds, 0);
+    }
+
+    fillRect(x, y, width, height) {
+        this._drawRect(x, y, width, height, () => this.fill());
+    }
+
+    strokeRect(x, y, width, height) {
+        this._drawRect(x, y, width, height, () => this.stroke());
+    }
+
+    /** Nothing to clear: the output only holds what was drawn. */
+    clearRect() {}
+
+    /** Images are not exported; renderers draw their vector fallback instead. */
+    drawImage() {}
+
+    /* ------------------------------------------------------------------ */
+    /*  Text                                                               */
+    /* ------------------------------------------------------------------ */
+
+    fillText(text, x, y) {
+        const [px, py] = this._point(x, y);
+        const { size, family, weight } = this._parseFont();
+        const [a, b] = this._matrix;
+        const angle = Math.atan2(b, a) * 180 / Math.PI;
+        const fontSize = size * Math.hypot(a, b);
+        const rotation = Math.abs(angle) > 1e-9 ? ` transform="rotate(${num(angle)} ${num(px)} ${num(py)})"` : '';
+        const fontWeight = weight ? ` font-weight="${weight}"` : '';
+
+        this._emit(
+            `<text x="${num(px)}" y="${num(py)}" font-family="${escapeXml(family)}" font-size="${num(fontSize)}"${fontWeight}` +
+            ` text-anchor="${TEXT_ANCHORS[this.textAlign] ?? 'start'}" dominant-baseline="${BASELINES[this.textBaseline] ?? 'alphabetic'}"` +
+            ` fill="${escapeXml(this.fillStyle)}"${rotation}${this._opacity()}>${escapeXml(text)}</text>`
+        );
+
+        // Text extent, estimated from an average glyph width
+        const width = this.measureText(text).width * Math.hypot(a, b);
+        const anchor = TEXT_ANCHORS[this.textAlign] ?? 'start';
+        const left = anchor === 'middle' ? px - width / 2 : anchor === 'end' ? px - width : px;
+        const top = this.textBaseline === 'middle' ? py - fontSize / 2 : this.textBaseline === 'top' ? py : py - fontSize;
+        this._extendBounds([[left, top], [left + width, top + fontSize]], 0);
+    }
+
+    /**
+     * Estimated text metrics (no font data is available outside a canvas).
+     * @param {string} text
+     * @returns {{width: number}}
+     */
+    measureText(text) {
+        return { width: String(text).length * this._parseFont().size * 0.6 };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Output                                                             */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @returns {string} The recorded SVG elements.
+     */
+    getMarkup() {
+        return this._elements.join('\n');
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internal                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** @private */
+    _point(x, y) {
+        const [a, b, c, d, e, f] = this._matrix;
+        const point = [a * x + c * y + e, b * x + d * y + f];
+        this._pathBounds.push(point);
+        return point;
+    }
+
+    /** @private */
+    _scaled(length) {
+        const [a, b, c, d] = this._matrix;
+        return length * Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    /** @private */
+    _drawRect(x, y, width, height, paint) {
+        const path = this._path;
+        const pathBounds = this._pathBounds;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        paint();
+        this._path = path;
+        this._pathBounds = pathBounds;
+    }
+
+    /** @private */
+    _emit(element) {
+        this._elements.push(element);
+    }
+
+    /** @private */
+    _opacity() {
+        return this.globalAlpha < 1 ? ` opacity="${num(this.globalAlpha)}"` : '';
+    }
+
+    /** @private */
+    _extendBounds(points, margin) {
+        for (const [x, y] of points) {
+            this.bounds.minX = Math.min(this.bounds.minX, x - margin);
+            this.bounds.minY = Math.min(this.bounds.minY, y - margin);
+            this.bounds.maxX = Math.max(this.bounds.maxX, x + margin);
+            this.bounds.maxY = Math.max(this.bounds.maxY, y + margin);
+        }
+    }
+
+    /**
+     * Parse a CSS font shorthand such as "bold 9px Arial".
+     * @private
+     */
+    _parseFont() {
+        const match = /(?:(bold|normal|[1-9]00)\s+)?(?:\S+\s+)*?([\d.]+)px\s+(.+)$/.exec(this.font);
+        if (!match) return { size: 10, family: 'sans-serif', weight: null };
+        return { size: Number(match[2]), family: match[3].trim(), weight: match[1] && match[1] !== 'normal' ? match[1] : null };
+    }
+}
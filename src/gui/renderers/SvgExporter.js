@@ -0,0 +1,67 @@
+import { SvgContext } from './SvgContext.js';
+import { drawElements } from './drawElements.js';
+
+/**
+ * SvgExporter
+ *
+ * Draws circuit elements into a standalone SVG document, using the element
+ * renderers on an SvgContext (see drawElements): symbols come out as vector
+ * paths, and labels and values exactly as `ElementRenderer.renderProperties`
+ * draws them.
+ *
+ * @example
+ * const svg = SvgExporter.export(circuitService.getElements(), rendererFactory, {
+ *     parameters: circuitService.getParameters(),
+ *     showGrid: true,
+ * });
+ */
+export class SvgExporter {
+    /**
+     * Export elements as an SVG document.
+     *
+     * @param {Element[]} elements - The elements to draw.
+     * @param {RendererFactory} rendererFactory - Creates the element renderers.
+     * @param {Object} [options]
+     * @param {Object<string, number>} [options.parameters={}] - Circuit parameters, for the values of bound elements.
+     * @param {boolean} [options.showGrid=false] - Draw the dot grid behind the circuit.
+     * @param {boolean} [options.transparent=false] - Leave the background transparent instead of white.
+     * @param {number} [options.margin=20] - Space around the drawing (pixels).
+     * @param {number} [options.gridSpacing=10] - Grid dot spacing (pixels).
+     * @returns {string} The SVG document.
+     */
+    static export(elements, rendererFactory, { parameters = {}, showGrid = false, transparent = false, margin = 20, gridSpacing = 10 } = {}) {
+        const context = new SvgContext();
+        drawElements(context, elements, rendererFactory, parameters);
+
+        const { bounds } = context;
+        const empty = !Number.isFinite(bounds.minX);
+        const x = empty ? 0 : Math.floor(bounds.minX - margin);
+        const y = empty ? 0 : Math.floor(bounds.minY - margin);
+        const width = empty ? 2 * margin : Math.ceil(bounds.maxX + margin) - x;
+        const height = empty ? 2 * margin : Math.ceil(bounds.maxY + margin) - y;
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+        ];
+        if (!transparent) {
+            lines.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#ffffff"/>`);
+        }
+        if (showGrid) {
+            // Dots on multiples of the spacing, like the canvas grid
+            const half = gridSpacing / 2;
+            lines.push(
+                '<defs>',
+                `<pattern id="grid" x="${-half}" y="${-half}" width="${gridSpacing}" height="${gridSpacing}" patternUnits="userSpaceOnUse">`,
+                `<circle cx="${half}" cy="${half}" r="0.8" fill="gray"/>`,
+                '</pattern>',
+                '</defs>',
+                `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="url(#grid)"/>`
+            );
+        }
+        lines.push('<title>JSCircuit schematic</title>');
+        if (!empty) lines.push(context.getMarkup());
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+}
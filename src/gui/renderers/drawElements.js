@@ -0,0 +1,41 @@
+import { SvgContext } from './SvgContext.js';
+
+/**
+ * Draws elements for export (SVG, PNG): with fresh renderers on `context`,
+ * without hover or selection states, and with vector symbols instead of the
+ * bitmaps from `assets/`, which would blur when scaled.
+ *
+ * @param {CanvasRenderingContext2D|SvgContext} context - Target context, already transformed.
+ * @param {Element[]} elements - The elements to draw.
+ * @param {RendererFactory} rendererFactory - Creates the element renderers.
+ * @param {Object<string, number>} [parameters={}] - Circuit parameters, for the values of bound elements.
+ */
+export function drawElements(context, elements, rendererFactory, parameters = {}) {
+    const renderers = new Map();
+    for (const element of elements) {
+        if (!renderers.has(element.type)) {
+            const renderer = rendererFactory.create(element.type, context);
+            renderer.useImages = false;
+            renderers.set(element.type, renderer);
+        }
+        const renderer = renderers.get(element.type);
+        renderer.parameters = parameters;
+        if (renderer.renderElementWithStates) renderer.renderElementWithStates(element, false, false);
+        else renderer.renderElement(element);
+    }
+}
+
+/**
+ * Bounding box of what `drawElements` draws, labels and values included.
+ *
+ * @param {Element[]} elements
+ * @param {RendererFactory} rendererFactory
+ * @param {Object<string, number>} [parameters={}]
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} In
+ *   circuit coordinates, or null if nothing is drawn.
+ */
+export function measureElements(elements, rendererFactory, parameters = {}) {
+    const context = new SvgContext();
+    drawElements(context, elements, rendererFactory, parameters);
+    return Number.isFinite(context.bounds.minX) ? { ...context.bounds } : null;
+}
@@ -0,0 +1,98 @@
+/** localStorage key under which the revisions are kept. */
+export const AUTOSAVE_KEY = 'jscircuit.autosave';
+
+/**
+ * @typedef {Object} AutosaveRevision
+ * @property {number} time - When it was saved (ms since the epoch).
+ * @property {string} content - The saved circuit.
+ * @property {string} title - Project title, for listing.
+ * @property {number} elementCount - Number of elements, for listing.
+ * @property {boolean} [saved] - The circuit was also saved to a file (see markSaved).
+ */
+
+/**
+ * AutosaveStore
+ *
+ * Keeps the last few autosaved revisions of the circuit in localStorage,
+ * newest first. When the storage is full the oldest revisions are dropped
+ * to make room.
+ *
+ * @example
+ * const store = new AutosaveStore();
+ * store.save(projectJson, { title: 'Transmon', elementCount: 12 });
+ * store.list()[0].content;  // projectJson
+ */
+export class AutosaveStore {
+    /**
+     * @param {Storage} [storage=globalThis.localStorage] - Where to keep the revisions.
+     * @param {Object} [options]
+     * @param {number} [options.maxRevisions=10] - Number of revisions kept.
+     */
+    constructor(storage = globalThis.localStorage, { maxRevisions = 10 } = {}) {
+        this.storage = storage;
+        this.maxRevisions = maxRevisions;
+    }
+
+    /**
+     * Saved revisions, newest first.
+     * @returns {AutosaveRevision[]} Empty if there are none or they cannot be read.
+     */
+    list() {
+        try {
+            const revisions = JSON.parse(this.storage?.getItem(AUTOSAVE_KEY) ?? '[]');
+            return Array.isArray(revisions) ? revisions : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Save a new revision, unless it is the same as the latest one.
+     *
+     * @param {string} content - The circuit to save.
+     * @param {{title?: string, elementCount?: number}} [info] - Shown when listing revisions.
+     * @param {number} [time=Date.now()] - Time of the revision.
+     * @returns {boolean} True if a revision was added.
+     * @throws {Error} If the storage cannot hold even this revision alone.
+     */
+    save(content, { title = '', elementCount = 0 } = {}, time = Date.now()) {
+        const revisions = this.list();
+        if (revisions[0]?.content === content) return false;
+
+        revisions.unshift({ time, content, title, elementCount });
+        revisions.length = Math.min(revisions.length, this.maxRevisions);
+        while (true) {
+            try {
+                this.storage.setItem(AUTOSAVE_KEY, JSON.stringify(revisions));
+                return true;
+            } catch (error) {
+                // Storage full: drop the oldest revision and try again
+                if (revisions.length === 1) throw error;
+                revisions.pop();
+            }
+        }
+    }
+
+    /**
+     * Record that a circuit was saved to a file, so that it is not offered
+     * as unsaved work: it becomes the latest revision, marked as saved. A
+     * later change adds an unmarked revision.
+     *
+     * @param {string} content - The saved circuit.
+     * @param {{title?: string, elementCount?: number}} [info] - Shown when listing revisions.
+     * @param {number} [time=Date.now()] - Time of the revision.
+     * @throws {Error} If the storage cannot hold the revision.
+     */
+    markSaved(content, info, time = Date.now()) {
+        this.save(content, info, time);
+        const revisions = this.list();
+        if (revisions[0]?.content !== content || revisions[0].saved) return;
+        revisions[0].saved = true;
+        this.storage.setItem(AUTOSAVE_KEY, JSON.stringify(revisions));
+    }
+
+    /** Remove all revisions. */
+    clear() {
+        this.storage?.removeItem(AUTOSAVE_KEY);
+    }
+}
@@ -0,0 +1,156 @@
+import { CoordinateAdapter } from './CoordinateAdapter.js';
+import { Position } from '../../domain/valueObjects/Position.js';
+import { VALUE_KEYS } from '../../application/ElectricalRuleCheckService.js';
+import { formatExactWithPrefix } from '../../utils/engineeringNotation.js';
+
+/**
+ * circuitikz bipole and unit per component type.
+ */
+const bipoles = {
+    resistor: { bipole: 'R', unit: 'Ω' },
+    capacitor: { bipole: 'C', unit: 'F' },
+    inductor: { bipole: 'L', unit: 'H' },
+    junction: { bipole: 'barrier', unit: 'H' }
+};
+
+/** siunitx spelling of prefixes and units that are not plain letters. */
+const SIUNITX = { 'μ': '\\micro ', 'Ω': '\\ohm' };
+
+/** Rotation of the circuitikz ground symbol (which points down) per direction of the ground body. */
+const groundRotations = { down: 0, right: 90, up: 180, left: 270 };
+
+/**
+ * CircuitikzAdapter
+ *
+ * Writes the schematic as a circuitikz snippet for LaTeX documents:
+ *   \begin{circuitikz}[x=3mm, y=3mm]
+ *     \draw (0,5) to[C, l=$C_{1}$, a=\SI{100}{fF}] (0,0);
+ *     \draw (5,5) to[barrier, l=$L_{J}$] (5,0);
+ *     \draw (0,0) node[ground]{};
+ *   \end{circuitikz}
+ *
+ * Coordinates are v2 grid positions, shifted to start at the origin and with
+ * y pointing up; one grid unit is 3 mm, so a component is 1.5 cm long, about
+ * the circuitikz bipole length. Labels are set in math mode (`L_J` → `L_{J}`)
+ * and values with siunitx (`\SI{10}{nH}`); values bound to a parameter only
+ * show the parameter name. Points where three or more wires meet get a dot.
+ *
+ * The snippet needs `\usepackage{circuitikz}` and `\usepackage{siunitx}`.
+ */
+export class CircuitikzAdapter {
+    /**
+     * Export the circuit, or some of its elements, to a circuitikz snippet.
+     *
+     * @param {Circuit} circuit - The domain aggregate.
+     * @param {Object} [options]
+     * @param {string[]} [options.elementIds] - Only export these elements (e.g. the selection).
+     * @param {string} [options.unit='3mm'] - Length of one grid unit.
+     * @returns {string} The circuitikz environment.
+     */
+    static exportToString(circuit, { elementIds, unit = '3mm' } = {}) {
+        const elements = circuit.getSerializedElements()
+            .filter(el => !elementIds || elementIds.includes(el.id))
+            .map(el => ({ ...el, points: el.nodes.map(node => CoordinateAdapter.pixelToGrid(new Position(node.x, node.y))) }));
+
+        const all = elements.flatMap(el => el.points);
+        const minX = Math.min(...all.map(p => p.x));
+        const maxY = Math.max(...all.map(p => p.y));
+        const coordinate = p => `(${p.x - minX},${maxY - p.y})`;
+
+        const lines = ['% Requires \\usepackage{circuitikz} and \\usepackage{siunitx}', `\\begin{circuitikz}[x=${unit}, y=${unit}]`];
+        for (const el of elements) {
+            const [a, b] = el.points;
+            if (el.type === 'wire') {
+                lines.push(`  \\draw ${coordinate(a)} -- ${coordinate(b)};`);
+            } else if (el.type === 'ground') {
+                const rotation = groundRotations[this._direction(a, b)];
+                lines.push(`  \\draw ${coordinate(a)} node[ground${rotation ? `, rotate=${rotation}` : ''}]{};`);
+            } else if (el.type in bipoles) {
+                lines.push(`  \\draw ${coordinate(a)} to[${this._bipoleOptions(el).join(', ')}] ${coordinate(b)};`);
+            } else {
+                lines.push(`  % ${el.id}: no circuitikz symbol for "${el.type}"`);
+            }
+        }
+        for (const point of this._junctionDots(elements)) {
+            lines.push(`  \\draw ${coordinate(point)} node[circ]{};`);
+        }
+        lines.push('\\end{circuitikz}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format a label in LaTeX: math mode with a subscript for names such as
+     * "Lj", "L_J" or "C1", escaped text otherwise.
+     *
+     * @param {string} label
+     * @returns {string} e.g. "$L_{J}$".
+     */
+    static formatLabel(label) {
+        const text = String(label).trim();
+        const name = /^([A-Za-z])_?([A-Za-z0-9]*)$/.exec(text);
+        if (name) return name[2] ? `$${name[1]}_{${name[2]}}$` : `$${name[1]}$`;
+        return text.replace(/[\\#$%&_{}~^]/g, c => ({ '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' }[c] ?? `\\${c}`));
+    }
+
+    /**
+     * Format a value with siunitx.
+     *
+     * @param {number} value - The value in SI units.
+     * @param {string} unit - The unit (Ω, F or H).
+     * @returns {string} e.g. "\SI{10}{nH}".
+     */
+    static formatValue(value, unit) {
+        const [number, units = ''] = formatExactWithPrefix(value, unit).split(' ');
+        return `\\SI{${number}}{${[...units].map(c => SIUNITX[c] ?? c).join('').trim()}}`;
+    }
+
+    /**
+     * Internal: the options of the `to[...]` path of a component.
+     *
+     * @param {Object} el - Serialized element.
+     * @returns {string[]} e.g. ["R", "l=$R_{1}$", "a=\SI{50}{\ohm}"].
+     */
+    static _bipoleOptions(el) {
+        const { bipole, unit } = bipoles[el.type];
+        const options = [bipole];
+        if (el.label) options.push(`l=${this.formatLabel(el.label)}`);
+        const value = el.properties?.[VALUE_KEYS[el.type]];
+        if (typeof value === 'number' && Number.isFinite(value)) options.push(`a=${this.formatValue(value, unit)}`);
+        return options;
+    }
+
+    /**
+     * Internal: direction from `a` to `b` on the screen grid.
+     *
+     * @returns {'up'|'down'|'left'|'right'}
+     */
+    static _direction(a, b) {
+        if (!b) return 'down';
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? 'right' : 'left';
+        return dy < 0 ? 'up' : 'down';
+    }
+
+    /**
+     * Internal: points where three or more wires and terminals meet, counting
+     * a terminal on the body of a wire as two.
+     *
+     * @param {Array<{type: string, points: GridCoordinate[]}>} elements
+     * @returns {GridCoordinate[]}
+     */
+    static _junctionDots(elements) {
+        const terminals = elements.flatMap(el => (el.type === 'ground' ? el.points.slice(0, 1) : el.points));
+        const wires = elements.filter(el => el.type === 'wire');
+        const counts = new Map();
+        for (const p of terminals) {
+            const key = `${p.x},${p.y}`;
+            const onBody = wires.some(({ points: [a, b] }) =>
+                (a.x === b.x && p.x === a.x && p.y > Math.min(a.y, b.y) && p.y < Math.max(a.y, b.y)) ||
+                (a.y === b.y && p.y === a.y && p.x > Math.min(a.x, b.x) && p.x < Math.max(a.x, b.x)));
+            const [count, point] = counts.get(key) ?? [onBody ? 2 : 0, p];
+            counts.set(key, [count + 1, point]);
+        }
+        return [...counts.values()].filter(([count]) => count >= 3).map(([, point]) => point);
+    }
+}
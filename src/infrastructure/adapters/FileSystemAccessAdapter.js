@@ -0,0 +1,86 @@
+/** File picker type of QuCat netlists. */
+export const NETLIST_FILE_TYPE = { description: 'QuCat netlist', accept: { 'text/plain': ['.txt', '.qucat'] } };
+
+/** File picker type of SPICE decks (read only: netlists are saved in the QuCat format). */
+export const SPICE_FILE_TYPE = { description: 'SPICE deck', accept: { 'text/plain': ['.cir', '.sp', '.spice', '.net', '.ckt'] } };
+
+/** File picker type of JSCircuit projects. */
+export const PROJECT_FILE_TYPE = { description: 'JSCircuit project', accept: { 'application/json': ['.json'] } };
+
+/**
+ * FileSystemAccessAdapter
+ *
+ * Thin wrapper around the File System Access API (showOpenFilePicker,
+ * showSaveFilePicker), which gives a handle to the file the user picked, so
+ * that later saves can write to the same file instead of downloading a new
+ * copy. Only some browsers have it: check isSupported() and fall back to
+ * `<input type="file">` and downloads otherwise.
+ */
+export class FileSystemAccessAdapter {
+    /**
+     * @returns {boolean} True if the browser can open and save files through handles.
+     */
+    static isSupported() {
+        return typeof window !== 'undefined'
+            && typeof window.showOpenFilePicker === 'function'
+            && typeof window.showSaveFilePicker === 'function';
+    }
+
+    /**
+     * Ask the user for a file to open.
+     *
+     * @param {Array<{description: string, accept: Object<string, string[]>}>} types - Accepted file types.
+     * @returns {Promise<{file: File, handle: FileSystemFileHandle}|null>} null if the user cancelled.
+     */
+    static async openFile(types) {
+        try {
+            const [handle] = await window.showOpenFilePicker({ types, multiple: false });
+            return { file: await handle.getFile(), handle };
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Ask the user where to save, then write the file.
+     *
+     * @param {string} content - The file content.
+     * @param {Object} options
+     * @param {string} options.suggestedName - Proposed file name.
+     * @param {Array<{description: string, accept: Object<string, string[]>}>} options.types - File types offered.
+     * @returns {Promise<FileSystemFileHandle|null>} The handle of the saved file, or null if the user cancelled.
+     */
+    static async saveFile(content, { suggestedName, types }) {
+        let handle;
+        try {
+            handle = await window.showSaveFilePicker({ suggestedName, types });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+        await this.writeFile(handle, content);
+        return handle;
+    }
+
+    /**
+     * Replace the content of a file, asking for permission to write to it if
+     * needed (a handle from the open picker may only allow reading).
+     *
+     * @param {FileSystemFileHandle} handle - The file.
+     * @param {string} content - The new content.
+     * @returns {Promise<void>}
+     * @throws {Error} If the user does not allow writing to the file.
+     */
+    static async writeFile(handle, content) {
+        const mode = { mode: 'readwrite' };
+        if (typeof handle.queryPermission === 'function'
+            && await handle.queryPermission(mode) !== 'granted'
+            && await handle.requestPermission(mode) !== 'granted') {
+            throw new Error(`Permission to write to ${handle.name} was denied.`);
+        }
+        const writable = await handle.createWritable();
+        await writable.write(content);
+        await writable.close();
+    }
+}
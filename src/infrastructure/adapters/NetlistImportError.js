@@ -0,0 +1,37 @@
+/**
+ * @typedef {Object} ImportProblem
+ * @property {number} line - Line number in the netlist (1-based).
+ * @property {string} text - The line as written.
+ * @property {string} reason - What is wrong with it.
+ * @property {'error'|'warning'} severity - Errors prevent the line from being
+ *   imported; warnings are imported anyway.
+ */
+
+/**
+ * Formats a problem for messages and logs.
+ *
+ * @param {ImportProblem} problem
+ * @returns {string} e.g. `Line 3: Unknown element type "X" (X;0,0;1,0;;)`
+ */
+export const formatImportProblem = ({ line, text, reason }) => `Line ${line}: ${reason} (${text.trim()})`;
+
+/**
+ * NetlistImportError
+ *
+ * Thrown by a strict netlist import that found errors. Lists every problem
+ * of the netlist, not only the first one, and how many lines could still be
+ * imported, so that the user can choose to load those.
+ */
+export class NetlistImportError extends Error {
+    /**
+     * @param {ImportProblem[]} problems - All problems, errors and warnings.
+     * @param {number} validCount - Number of elements a lenient import would load.
+     */
+    constructor(problems, validCount) {
+        const errors = problems.filter(problem => problem.severity === 'error');
+        super(`${errors.length} problem(s) in the netlist:\n${errors.map(formatImportProblem).join('\n')}`);
+        this.name = 'NetlistImportError';
+        this.problems = problems;
+        this.validCount = validCount;
+    }
+}
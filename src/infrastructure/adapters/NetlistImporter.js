@@ -0,0 +1,71 @@
+import { QucatNetlistAdapter } from './QucatNetlistAdapter.js';
+import { SpiceNetlistAdapter } from './SpiceNetlistAdapter.js';
+import { NetlistImportError } from './NetlistImportError.js';
+
+/** File extensions of SPICE decks. */
+const SPICE_EXTENSIONS = ['cir', 'sp', 'spice', 'net', 'ckt'];
+
+/**
+ * NetlistImporter
+ *
+ * Reads a netlist in any of the supported formats, so that opening and
+ * pasting netlists work the same way for QuCat netlists and SPICE decks.
+ * Problems are reported the same way for both formats, with line numbers:
+ * lines that cannot be imported are errors, and a strict import throws a
+ * NetlistImportError listing all of them.
+ */
+export class NetlistImporter {
+    /**
+     * Detect the format of a netlist.
+     *
+     * @param {string} content - The netlist text.
+     * @param {string} [filename] - Name of the file it was read from, if any.
+     * @returns {'qucat'|'spice'}
+     * @throws {Error} If the format is not recognised.
+     */
+    static detectFormat(content, filename = '') {
+        const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+        if (SPICE_EXTENSIONS.includes(extension)) return 'spice';
+
+        const lines = String(content ?? '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (/^\w+;/.test(lines[0] ?? '')) return 'qucat';
+        if (lines.some(line => /^[RCLX]\w*\s+\S+\s+\S+\s+\S+/i.test(line))) return 'spice';
+
+        throw new Error('Netlist format not recognised: expected a QuCat netlist or a SPICE deck');
+    }
+
+    /**
+     * Import a netlist in any supported format.
+     *
+     * @param {string} content - The netlist text.
+     * @param {string} [filename] - Name of the file it was read from, if any.
+     * @param {Object} [options]
+     * @param {boolean} [options.lenient=false] - Import the valid lines and report the others, instead of throwing.
+     * @param {'v1.0'|'v2.0'} [options.version] - QuCat format version to read, instead of the detected one.
+     * @param {boolean} [options.normalizeSpans=false] - Resize QuCat components of a non-standard span.
+     * @returns {{format: 'qucat'|'spice', elements: Element[], parameters: Map<string, number|undefined>,
+     *   problems: import('./NetlistImportError.js').ImportProblem[], detection: Object|null}}
+     *   `parameters` is only filled for SPICE decks, and `detection` (the QuCat
+     *   format version detection) for QuCat netlists. In strict mode `problems`
+     *   only holds warnings.
+     * @throws {NetlistImportError} In strict mode, if some lines cannot be imported.
+     * @throws {Error} If the format is not recognised.
+     */
+    static importFromString(content, filename, { lenient = false, version, normalizeSpans = false } = {}) {
+        const format = this.detectFormat(content, filename);
+        if (format === 'qucat') {
+            return {
+                format,
+                ...QucatNetlistAdapter.importNetlist(content, { lenient, version, normalizeSpans }),
+                parameters: new Map(),
+            };
+        }
+
+        const { elements, parameters, skipped } = SpiceNetlistAdapter.importDeck(content);
+        const problems = skipped.map(({ card, reason, line }) => ({ line, text: card, reason, severity: 'error' }));
+        if (!lenient && problems.length > 0) {
+            throw new NetlistImportError(problems, elements.filter(el => el.type !== 'wire' && el.type !== 'ground').length);
+        }
+        return { format, elements, parameters, problems, detection: null };
+    }
+}
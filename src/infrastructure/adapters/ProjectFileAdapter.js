@@ -0,0 +1,160 @@
+/** Value of the `format` field, which identifies project files. */
+export const PROJECT_FORMAT = 'jscircuit-project';
+
+/** Schema version written by this version of the editor. */
+export const PROJECT_VERSION = 1;
+
+/**
+ * Forward migrations: `MIGRATIONS[n]` turns a version n project into a
+ * version n + 1 project. Add one whenever the schema changes, and bump
+ * PROJECT_VERSION.
+ */
+const MIGRATIONS = {
+    // Version 0: a bare CircuitService.exportState() snapshot ({ elements, parameters },
+    // and project information and annotations in later snapshots)
+    0: (data) => ({
+        format: PROJECT_FORMAT,
+        version: 1,
+        title: data.metadata?.title ?? '',
+        author: data.metadata?.author ?? '',
+        notes: data.metadata?.notes ?? '',
+        viewport: null,
+        parameters: data.parameters ?? {},
+        annotations: data.annotations ?? [],
+        elements: data.elements,
+    }),
+};
+
+/**
+ * ProjectFileAdapter
+ *
+ * Reads and writes the native project format, a versioned JSON document
+ * that keeps everything the QuCat netlist loses: element IDs, parameters,
+ * the view, project information and annotations.
+ *   {
+ *     "format": "jscircuit-project",
+ *     "version": 1,
+ *     "title": "Transmon", "author": "", "notes": "",
+ *     "viewport": { "scale": 1.5, "offsetX": 0, "offsetY": 0 },
+ *     "parameters": { "Lj": 1e-8 },
+ *     "annotations": [],
+ *     "elements": [{ "id": "C1", "type": "capacitor", "label": "C_1", "nodes": [...], "properties": {...} }]
+ *   }
+ *
+ * Apart from `viewport`, the fields are those of CircuitService.exportState(),
+ * with the project information at the top level.
+ * Older files are upgraded on reading, one version at a time (see
+ * MIGRATIONS); files from a newer editor are refused.
+ */
+export class ProjectFileAdapter {
+    /**
+     * Export the circuit as a project file.
+     *
+     * @param {CircuitService} circuitService - The circuit service.
+     * @param {Object} [options]
+     * @param {{scale: number, offsetX: number, offsetY: number}|null} [options.viewport=null] - The view to restore.
+     * @param {boolean} [options.compact=false] - Leave out the indentation, e.g. for autosaves and share links.
+     * @returns {string} The project, as JSON.
+     */
+    static exportToString(circuitService, { viewport = null, compact = false } = {}) {
+        const { elements, parameters, metadata, annotations } = JSON.parse(circuitService.exportState());
+        const { title, author, notes } = metadata;
+
+        const project = {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            title,
+            author,
+            notes,
+            viewport: viewport && { scale: viewport.scale, offsetX: viewport.offsetX, offsetY: viewport.offsetY },
+            parameters,
+            annotations,
+            elements,
+        };
+        return compact ? JSON.stringify(project) : JSON.stringify(project, null, 2) + '\n';
+    }
+
+    /**
+     * Import a project file, upgrading it to the current version.
+     *
+     * @param {string} content - The project, as JSON.
+     * @returns {{state: string, viewport: {scale: number, offsetX: number, offsetY: number}|null}}
+     *   `state` is a snapshot for CircuitService.importState(), project information and
+     *   annotations included.
+     * @throws {Error} If the content is not a project, or comes from a newer version.
+     */
+    static importFromString(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Not a JSCircuit project: ${error.message}`);
+        }
+
+        const project = this.migrate(data);
+        if (!Array.isArray(project.elements)) {
+            throw new Error('Not a JSCircuit project: no element list');
+        }
+
+        return {
+            state: JSON.stringify({
+                elements: project.elements,
+                parameters: project.parameters ?? {},
+                metadata: {
+                    title: String(project.title ?? ''),
+                    author: String(project.author ?? ''),
+                    notes: String(project.notes ?? ''),
+                },
+                annotations: Array.isArray(project.annotations) ? project.annotations : [],
+            }),
+            viewport: this._readViewport(project.viewport),
+        };
+    }
+
+    /**
+     * Upgrade a parsed project to PROJECT_VERSION.
+     *
+     * @param {Object} data - A parsed project, or a bare exportState() snapshot.
+     * @returns {Object} The project in the current schema.
+     * @throws {Error} If the version is unknown or newer than this editor's.
+     */
+    static migrate(data) {
+        if (data === null || typeof data !== 'object') {
+            throw new Error('Not a JSCircuit project');
+        }
+        if (data.format !== undefined && data.format !== PROJECT_FORMAT) {
+            throw new Error(`Not a JSCircuit project (format "${data.format}")`);
+        }
+
+        let project = data;
+        let version = data.format === undefined ? 0 : data.version;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error(`Invalid project version: ${data.version}`);
+        }
+        if (version > PROJECT_VERSION) {
+            throw new Error(`This project was saved by a newer version of JSCircuit (format version ${version}); please update the editor.`);
+        }
+        while (version < PROJECT_VERSION) {
+            project = MIGRATIONS[version](project);
+            version = project.version;
+        }
+        return project;
+    }
+
+    /**
+     * Whether some content looks like a project file (or a state snapshot).
+     *
+     * @param {string} content
+     * @returns {boolean}
+     */
+    static isProject(content) {
+        return /^\s*\{/.test(content) && /"(format|elements)"\s*:/.test(content);
+    }
+
+    /** @private */
+    static _readViewport(viewport) {
+        if (!viewport) return null;
+        const { scale, offsetX, offsetY } = viewport;
+        return [scale, offsetX, offsetY].every(Number.isFinite) && scale > 0 ? { scale, offsetX, offsetY } : null;
+    }
+}
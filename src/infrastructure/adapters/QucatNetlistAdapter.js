@@ -5,6 +5,7 @@ import { Label } from '../../domain/valueObjects/Label.js';
 import { ElementFactory } from '../../domain/factories/ElementFactory.js';
 import { CoordinateAdapter } from './CoordinateAdapter.js';
 import { GridCoordinate } from '../../domain/valueObjects/GridCoordinate.js';
+import { NetlistImportError } from './NetlistImportError.js';
 
 /**
  * Type mapping between short code (used in .qucat format)
@@ -14,7 +15,7 @@ const typeMap = {
     R: { fullType: 'resistor', propertyKey: 'resistance' },
     C: { fullType: 'capacitor', propertyKey: 'capacitance' },
     L: { fullType: 'inductor', propertyKey: 'inductance' },
-    J: { fullType: 'junction', propertyKey: 'value' },
+    J: { fullType: 'junction', propertyKey: 'inductance' },
     G: { fullType: 'ground', propertyKey: 'value' },
     W: { fullType: 'wire', propertyKey: 'value' }
 };
@@ -49,15 +50,152 @@ export class QucatNetlistAdapter {
         return this._serializeElements(serialized);
     }
 
+    /**
+     * Export some elements of a circuit, e.g. the selection, to a .qucat-style
+     * netlist string.
+     *
+     * @param {Element[]} elements - The elements to export.
+     * @param {Object} [options]
+     * @param {boolean} [options.toOrigin=false] - Translate the elements so that
+     *   their bounding box starts at the origin (0,0).
+     * @returns {string} The netlist content as a string.
+     */
+    static exportElementsToString(elements, { toOrigin = false } = {}) {
+        const nodes = elements.flatMap(el => el.nodes);
+        const dx = toOrigin && nodes.length > 0 ? -Math.min(...nodes.map(p => p.x)) : 0;
+        const dy = toOrigin && nodes.length > 0 ? -Math.min(...nodes.map(p => p.y)) : 0;
+
+        return this._serializeElements(elements.map(el => ({
+            id: el.id,
+            type: el.type,
+            nodes: el.nodes.map(p => ({ x: p.x + dx, y: p.y + dy })),
+            properties: el.properties.values,
+            label: el.label ? el.label.value : null,
+        })));
+    }
+
     /**
      * Import elements from a .qucat-style netlist string.
      * 
      * @param {string} content - The netlist content as a string.
      * @returns {Element[]} An array of Element instances.
+     * @throws {NetlistImportError} If any line is invalid (see importNetlist).
      */
     static importFromString(content) {
-        const lines = content.trim().split('\n').filter(line => line.trim());
-        return this._deserializeElements(lines);
+        return this.importNetlist(content).elements;
+    }
+
+    /**
+     * Import a .qucat-style netlist, checking every line.
+     *
+     * Unknown element types, malformed coordinates, non-numeric values,
+     * elements whose two ends coincide and duplicates of an earlier line are
+     * errors. Components whose span does not match the format version
+     * (1 grid unit in v1.0, 5 in v2.0) are imported with a warning.
+     *
+     * The format version is detected from the component spans unless given.
+     * With `normalizeSpans`, horizontal and vertical components of another
+     * span are resized to the canonical length (5 intervals on the editor
+     * grid) from their first end; wires attached to the moved end follow it.
+     *
+     * @param {string} content - The netlist content as a string.
+     * @param {Object} [options]
+     * @param {boolean} [options.lenient=false] - Import the valid lines and report the others, instead of throwing.
+     * @param {'v1.0'|'v2.0'} [options.version] - Format version to read, instead of the detected one.
+     * @param {boolean} [options.normalizeSpans=false] - Resize components of a non-standard span.
+     * @returns {{elements: Element[], problems: import('./NetlistImportError.js').ImportProblem[], detection: Object}}
+     *   The problems are sorted by line; `detection` is the result of the
+     *   format detection (see detectVersion), whether or not it was used.
+     * @throws {NetlistImportError} In strict mode, if any line has an error.
+     */
+    static importNetlist(content, { lenient = false, version, normalizeSpans = false } = {}) {
+        const problems = [];
+        const valid = [];
+        const seen = new Map(); // "type;end;end" → line number
+        String(content ?? '').split(/\r?\n/).forEach((text, index) => {
+            if (!text.trim()) return;
+            const line = index + 1;
+            const parsed = this._parseLine(text);
+            if (typeof parsed === 'string') {
+                problems.push({ line, text, reason: parsed, severity: 'error' });
+                return;
+            }
+            const key = [parsed.shortType, ...[parsed.pos1, parsed.pos2].map(String).sort()].join(';');
+            if (seen.has(key)) {
+                problems.push({ line, text, reason: `Duplicate of line ${seen.get(key)}`, severity: 'error' });
+                return;
+            }
+            seen.set(key, line);
+            valid.push({ ...parsed, line, text });
+        });
+
+        const lines = valid.map(entry => entry.text.trim());
+        const detection = this._detectFormatByComponentSpans(lines);
+        const format = version ? { ...detection, version, reasoning: `${version} chosen on import` } : detection;
+        const expectedSpan = format.version === 'v1.0' ? 1 : 5;
+        for (const { shortType, pos1, pos2, line, text } of valid) {
+            if (!['R', 'C', 'L', 'J'].includes(shortType)) continue;
+            const dx = Math.abs(pos2[0] - pos1[0]);
+            const dy = Math.abs(pos2[1] - pos1[1]);
+            if (dx !== 0 && dy !== 0) {
+                problems.push({ line, text, reason: 'Component is neither horizontal nor vertical', severity: 'warning' });
+            } else if (dx + dy !== expectedSpan) {
+                problems.push({
+                    line, text, severity: 'warning',
+                    reason: `Component spans ${dx + dy} grid unit(s); ${expectedSpan} expected in the ${format.version} format`
+                        + (normalizeSpans ? ' (resized)' : ''),
+                });
+            }
+        }
+        problems.sort((a, b) => a.line - b.line);
+
+        if (!lenient && problems.some(problem => problem.severity === 'error')) {
+            throw new NetlistImportError(problems, valid.length);
+        }
+        return { elements: this._deserializeElements(lines, format, { normalizeSpans }), problems, detection };
+    }
+
+    /**
+     * Detect the format version of a .qucat-style netlist from its component
+     * spans, ignoring invalid lines.
+     *
+     * @param {string} content - The netlist content as a string.
+     * @returns {{version: 'v1.0'|'v2.0', confidence: number, componentCount: number, reasoning: string}}
+     */
+    static detectVersion(content) {
+        const lines = String(content ?? '').split(/\r?\n/)
+            .filter(text => text.trim() && typeof this._parseLine(text) !== 'string');
+        return this._detectFormatByComponentSpans(lines);
+    }
+
+    /**
+     * Internal: Check the fields of a netlist line.
+     *
+     * @param {string} text - A netlist line.
+     * @returns {{shortType: string, pos1: number[], pos2: number[]}|string} The
+     *   type and grid positions, or why the line is invalid.
+     */
+    static _parseLine(text) {
+        const [shortType, pos1, pos2, valueStr] = text.trim().split(';');
+        if (pos2 === undefined) return 'Expected <type>;<x1,y1>;<x2,y2>;<value>;<label>';
+        if (!typeMap[shortType]) return `Unknown element type "${shortType}"`;
+
+        const positions = [];
+        for (const pos of [pos1, pos2]) {
+            const coordinates = pos.split(',');
+            if (coordinates.length !== 2 || coordinates.some(c => c.trim() === '' || !Number.isInteger(Number(c)))) {
+                return `Malformed coordinates "${pos}"`;
+            }
+            positions.push(coordinates.map(Number));
+        }
+        if (positions[0][0] === positions[1][0] && positions[0][1] === positions[1][1]) {
+            return `Both ends are at ${pos1.trim()}`;
+        }
+
+        const raw = valueStr?.trim();
+        if (raw && !Number.isFinite(Number(raw))) return `Value "${raw}" is not a number`;
+
+        return { shortType, pos1: positions[0], pos2: positions[1] };
     }
 
     /**
@@ -110,8 +248,11 @@ export class QucatNetlistAdapter {
             const mapEntry = typeMap[shortType];
             const { propertyKey } = mapEntry;
             
-            // Extract the main value (resistance, capacitance, etc.)
-            const value = propertyKey && properties[propertyKey] !== undefined ? properties[propertyKey] : '';
+            // Extract the main value (resistance, capacitance, etc.).
+            // A "variable" value is bound to a parameter named by the label: QuCat
+            // expects an empty value and takes the label as keyword argument.
+            const rawValue = propertyKey ? properties[propertyKey] : undefined;
+            const value = rawValue !== undefined && rawValue !== 'variable' ? rawValue : '';
             const labelStr = label ?? '';
 
             let vFormatted = value;
@@ -135,48 +276,36 @@ export class QucatNetlistAdapter {
      * Converts logical coordinates from file back to pixel coordinates for internal use.
      * 
      * @param {string[]} lines - Each line follows the .qucat format.
+     * @param {Object} [detectedFormat] - Format version, detected from the lines if not given.
+     * @param {Object} [options]
+     * @param {boolean} [options.normalizeSpans=false] - Resize components of a non-standard span (see importNetlist).
      * @returns {Element[]} Instantiated domain elements.
      */
-    static _deserializeElements(lines) {
-        // First, detect format by analyzing component spans
-        const detectedFormat = this._detectFormatByComponentSpans(lines);
+    static _deserializeElements(lines, detectedFormat = this._detectFormatByComponentSpans(lines), { normalizeSpans = false } = {}) {
         console.log(`� QuCat Format Detection: ${detectedFormat.version} with ${detectedFormat.confidence}% confidence - ${detectedFormat.reasoning}`);
-        
-        const elements = [];
-    
-        for (const line of lines) {
-            const [shortType, pos1, pos2, valueStr, labelStr] = line.trim().split(';');
-    
-            const mapEntry = typeMap[shortType];
-            if (!mapEntry) throw new Error(`Unknown element type: ${shortType}`);
-    
-            const { fullType, propertyKey } = mapEntry;
-    
-            // Parse logical coordinates from file
-            const [logicalX1, logicalY1] = pos1.split(',').map(Number);
-            const [logicalX2, logicalY2] = pos2.split(',').map(Number);
-            
-            let pixelPos1, pixelPos2;
-            
-            if (detectedFormat.version === 'v1.0') {
-                // v1.0 coordinates need to be scaled to v2.0 then converted to pixels
-                const v1Pos1 = new GridCoordinate(logicalX1, logicalY1);
-                const v1Pos2 = new GridCoordinate(logicalX2, logicalY2);
-
-                const v2Pos1 = CoordinateAdapter.v1ToV2Grid(v1Pos1);
-                const v2Pos2 = CoordinateAdapter.v1ToV2Grid(v1Pos2);
 
-                pixelPos1 = CoordinateAdapter.gridToPixel(v2Pos1);
-                pixelPos2 = CoordinateAdapter.gridToPixel(v2Pos2);
-
-            } else {
-                // v2.0 coordinates can be directly converted to pixels
-                const logicalPos1 = new GridCoordinate(logicalX1, logicalY1);
-                const logicalPos2 = new GridCoordinate(logicalX2, logicalY2);
+        // Parse logical coordinates from file; v1.0 coordinates are scaled to v2.0
+        let entries = lines.map(line => {
+            const [shortType, pos1, pos2, valueStr, labelStr] = line.trim().split(';');
+            if (!typeMap[shortType]) throw new Error(`Unknown element type: ${shortType}`);
+
+            const ends = [pos1, pos2].map(pos => {
+                const [x, y] = pos.split(',').map(Number);
+                const logicalPos = new GridCoordinate(x, y);
+                return detectedFormat.version === 'v1.0' ? CoordinateAdapter.v1ToV2Grid(logicalPos) : logicalPos;
+            });
+            return { shortType, ends, valueStr, labelStr };
+        });
+
+        if (normalizeSpans) {
+            entries = this._normalizeSpans(entries);
+        }
 
-                pixelPos1 = CoordinateAdapter.gridToPixel(logicalPos1);
-                pixelPos2 = CoordinateAdapter.gridToPixel(logicalPos2);
-            }
+        const elements = [];
+    
+        for (const { shortType, ends, valueStr, labelStr } of entries) {
+            const { fullType, propertyKey } = typeMap[shortType];
+            const [pixelPos1, pixelPos2] = ends.map(end => CoordinateAdapter.gridToPixel(end));
             
             // Ground import: swap from QuCat convention to JSCircuit standard ordering
             // QuCat: pos1 = body, pos2 = connection
@@ -187,7 +316,7 @@ export class QucatNetlistAdapter {
     
             // Parse the main property value
             const raw = valueStr?.trim();
-            const parsedValue = raw === '' || raw === undefined ? undefined : parseFloat(raw);
+            const parsedValue = raw === '' || raw === undefined ? undefined : Number(raw);
 
             const label = labelStr && labelStr.trim() !== '' ? new Label(labelStr.trim()) : null;
 
@@ -219,6 +348,59 @@ export class QucatNetlistAdapter {
         return elements;
     }
 
+    /**
+     * Internal: Resize horizontal and vertical components whose span is not the
+     * canonical v2.0 length, keeping their first end in place. Every element
+     * end on the moved end of a component follows it: wire ends are moved on
+     * their own, while other elements (components, grounds) are shifted whole,
+     * which can in turn move what touches their other end. Wires that end up
+     * with both ends at the same point are dropped.
+     *
+     * @param {Array<{shortType: string, ends: GridCoordinate[]}>} entries - Parsed lines on the v2.0 grid.
+     * @returns {Array<{shortType: string, ends: GridCoordinate[]}>} The entries to create.
+     */
+    static _normalizeSpans(entries) {
+        const span = CoordinateAdapter.CONFIG.V2_COMPONENT_SPAN;
+        const resizable = entry => {
+            if (!['R', 'C', 'L', 'J'].includes(entry.shortType)) return false;
+            const [first, second] = entry.ends;
+            const dx = second.x - first.x;
+            const dy = second.y - first.y;
+            return (dx === 0 || dy === 0) && Math.abs(dx + dy) !== span;
+        };
+
+        // old end "x,y" → new end, recomputed until moves have spread along
+        // chains of touching elements (bounded in case of conflicting moves)
+        let moved = new Map();
+        for (let pass = 0; pass <= entries.length; pass++) {
+            const next = new Map();
+            const moveTo = (end, target) => {
+                if (!end.equals(target) && !next.has(end.toString())) next.set(end.toString(), target);
+            };
+            for (const entry of entries) {
+                if (entry.shortType === 'W') continue;
+                const [first, second] = entry.ends;
+                const newFirst = moved.get(first.toString()) ?? first;
+                if (resizable(entry)) {
+                    const direction = new GridCoordinate(Math.sign(second.x - first.x), Math.sign(second.y - first.y));
+                    moveTo(second, newFirst.add(direction.scale(span)));
+                } else if (!newFirst.equals(first)) {
+                    moveTo(second, second.add(newFirst.subtract(first)));
+                } else if (moved.has(second.toString())) {
+                    moveTo(first, first.add(moved.get(second.toString()).subtract(second)));
+                }
+            }
+            const settled = next.size === moved.size
+                && [...next].every(([key, end]) => moved.get(key)?.equals(end));
+            moved = next;
+            if (settled) break;
+        }
+
+        return entries
+            .map(entry => ({ ...entry, ends: entry.ends.map(end => moved.get(end.toString()) ?? end) }))
+            .filter(entry => entry.shortType !== 'W' || !entry.ends[0].equals(entry.ends[1]));
+    }
+
     /**
      * Analyzes component spans in netlist to detect QuCat format version.
      * v1.0: Components span 1 interval (R;0,0;1,0 = 1 unit span)
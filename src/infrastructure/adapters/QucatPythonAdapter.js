@@ -0,0 +1,114 @@
+import { NodeExtractionService } from '../../application/NodeExtractionService.js';
+import { VALUE_KEYS } from '../../application/ElectricalRuleCheckService.js';
+
+/**
+ * QuCat constructor per component type.
+ */
+const constructors = {
+    resistor: 'R',
+    capacitor: 'C',
+    inductor: 'L',
+    junction: 'J'
+};
+
+const PYTHON_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * QucatPythonAdapter
+ *
+ * Writes the circuit as a Python script that builds it with QuCat's
+ * programmatic interface, without the schematic coordinates:
+ *   from qucat import Network, R, L, C, J
+ *
+ *   cir = Network([
+ *       C(0, 1, 1e-13),
+ *       J(0, 1, 'Lj'),
+ *       R(0, 1, 1000000),
+ *   ])
+ *
+ *   # cir.f_k_A_chi(pretty_print=True, Lj=1e-8)
+ *
+ * Node numbers come from node extraction (ground is node 0). A component
+ * takes its value and its label, as in `C(0, 1, 1e-13, 'C_c')`; one bound to
+ * a parameter, or with a label but no value, only takes the label, and the
+ * parameter value is passed as a keyword argument to the analysis calls,
+ * which are left commented out.
+ */
+export class QucatPythonAdapter {
+    /**
+     * Export the circuit to a QuCat Python script.
+     *
+     * @param {Circuit} circuit - The domain aggregate.
+     * @param {Object} [options]
+     * @param {string} [options.variable='cir'] - Name of the Network variable.
+     * @returns {string} The Python script.
+     */
+    static exportToString(circuit, { variable = 'cir' } = {}) {
+        const graph = NodeExtractionService.extract(circuit.elements);
+        const parameters = circuit.parameters ?? new Map();
+        const components = circuit.elements.filter(el => el.type in VALUE_KEYS);
+
+        // Labels standing for a value, in order of appearance
+        const keywords = [];
+        const body = components.map(element => {
+            const [minus, plus] = graph.terminalNodes.get(element.id);
+            const call = `${constructors[element.type]}(${minus}, ${plus}`;
+            const value = element.properties?.values?.[VALUE_KEYS[element.type]];
+            const label = String(element.label?.value ?? element.label ?? '').trim();
+            const hasValue = typeof value === 'number' && Number.isFinite(value);
+
+            if (hasValue) return label ? `${call}, ${value}, ${this.formatString(label)}),` : `${call}, ${value}),`;
+            if (!label) return `# ${call}),  # ${element.id} has no value or label`;
+            if (!keywords.includes(label)) keywords.push(label);
+            return `${call}, ${this.formatString(label)}),`;
+        });
+
+        const lines = [
+            '# QuCat script exported from JSCircuit (https://qucat.org)',
+            `from qucat import ${['Network', ...new Set(components.map(el => constructors[el.type]))].join(', ')}`,
+            '',
+        ];
+        if (!graph.hasGround) {
+            lines.push('# Note: the schematic had no ground; node 0 is an arbitrary node');
+        }
+        lines.push(`${variable} = Network([`, ...body.map(line => `    ${line}`), '])', '');
+
+        const missing = keywords.filter(name => parameters.get(name) === undefined);
+        if (missing.length > 0) {
+            lines.push(`# No value in the schematic for ${missing.join(', ')}: replace the "..." below`);
+        }
+        const keywordArguments = this.formatKeywords(keywords, parameters);
+        lines.push(
+            '# Eigenfrequencies, losses, anharmonicities and cross-Kerr couplings',
+            `# ${variable}.f_k_A_chi(${['pretty_print=True', keywordArguments].filter(Boolean).join(', ')})`,
+            '',
+            '# Plot the circuit (for networks built with qucat.GUI, which have a schematic)',
+            `# ${variable}.show()`
+        );
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Python keyword arguments for labelled values, e.g. `Lj=1e-8, Cc=...`.
+     * Labels that are not Python identifiers are passed with `**{...}`.
+     *
+     * @param {string[]} names - Labels, in order.
+     * @param {Map<string, number|undefined>} parameters - Known values.
+     * @returns {string}
+     */
+    static formatKeywords(names, parameters) {
+        const value = name => parameters.get(name) ?? '...';
+        const plain = names.filter(name => PYTHON_IDENTIFIER.test(name)).map(name => `${name}=${value(name)}`);
+        const other = names.filter(name => !PYTHON_IDENTIFIER.test(name)).map(name => `${this.formatString(name)}: ${value(name)}`);
+        return [...plain, ...(other.length ? [`**{${other.join(', ')}}`] : [])].join(', ');
+    }
+
+    /**
+     * Python string literal.
+     * @param {string} text
+     * @returns {string} e.g. `'L_J'`
+     */
+    static formatString(text) {
+        return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+}
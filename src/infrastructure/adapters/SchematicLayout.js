@@ -0,0 +1,160 @@
+import { ElementFactory } from '../../domain/factories/ElementFactory.js';
+import { Properties } from '../../domain/valueObjects/Properties.js';
+import { Label } from '../../domain/valueObjects/Label.js';
+import { GridCoordinate } from '../../domain/valueObjects/GridCoordinate.js';
+import { CoordinateAdapter } from './CoordinateAdapter.js';
+
+/**
+ * Layout dimensions, in v2 grid units.
+ */
+const SPAN = CoordinateAdapter.CONFIG.V2_COMPONENT_SPAN; // component length
+const LEAD = 2;            // wire between a bus and a series component
+const ROW_PITCH = 5;       // vertical distance between rows of series components
+const SHUNT_PITCH = 5;     // horizontal distance between shunt components of a node
+const MIN_BUS_PITCH = 10;  // minimum horizontal distance between node buses
+const ORIGIN = 10;         // margin from the top-left corner
+
+/**
+ * @typedef {Object} Branch
+ * @property {string} type - Element type: 'resistor', 'capacitor', 'inductor' or 'junction'.
+ * @property {string[]} nodes - The two (different) node names; `groundNode` is ground.
+ * @property {Object} values - Element property values (e.g. `{ resistance: 50 }`).
+ * @property {string|null} [label] - Element label.
+ */
+
+/**
+ * SchematicLayout
+ *
+ * Places two-terminal branches that have no coordinates (e.g. from a SPICE
+ * deck) on the v2 grid, and connects them with wires:
+ *
+ *     ┌──[R1]────┐        series components, in rows above
+ *     │          │        node buses (vertical wires)
+ *     ├──┐       │
+ *    [C1][J1]   [C2]      shunt components, side by side
+ *     └──┴───────┴── ⏚    ground rail and ground symbol
+ *
+ * Every non-ground node gets a vertical bus. Branches to ground hang below
+ * their node's bus and end on a common ground rail. Branches between two
+ * nodes are horizontal, in rows above; branches whose spans do not overlap
+ * share a row. Crossing wires only meet at their bodies, which does not
+ * connect them (see NodeExtractionService), so the drawn connectivity is the
+ * connectivity of the branches.
+ */
+export class SchematicLayout {
+    /**
+     * Create the elements and wires of a schematic for the given branches.
+     *
+     * @param {Branch[]} branches - Two-terminal branches. Branches whose ends are on the
+     *   same node are ignored, as they carry no current.
+     * @param {Object} [options]
+     * @param {string} [options.groundNode='0'] - Name of the ground node.
+     * @returns {Element[]} Components, wires and ground symbols, in pixel coordinates.
+     */
+    static place(branches, { groundNode = '0' } = {}) {
+        // Nodes in order of first appearance
+        const placed = branches.filter(({ nodes: [a, b] }) => a !== b);
+        const nodes = [];
+        for (const { nodes: ends } of placed) {
+            for (const node of ends) {
+                if (node !== groundNode && !nodes.includes(node)) nodes.push(node);
+            }
+        }
+
+        const shunts = new Map(nodes.map(node => [node, []]));
+        const series = [];
+        for (const branch of placed) {
+            const [a, b] = branch.nodes;
+            if (a === groundNode || b === groundNode) shunts.get(a === groundNode ? b : a).push(branch);
+            else series.push(branch);
+        }
+
+        // Bus x positions, leaving room for the shunt components of each node
+        const busX = new Map();
+        let x = 0;
+        for (const node of nodes) {
+            busX.set(node, x);
+            x += Math.max(MIN_BUS_PITCH, SHUNT_PITCH * (shunts.get(node).length + 1));
+        }
+
+        // Rows of series branches: first row whose occupied spans do not overlap
+        const rows = [];
+        const placedSeries = series.map(branch => {
+            const [left, right] = [...branch.nodes].sort((p, q) => busX.get(p) - busX.get(q));
+            const from = busX.get(left);
+            const to = busX.get(right);
+            let row = rows.findIndex(spans => spans.every(([s, e]) => to <= s || from >= e));
+            if (row === -1) {
+                row = rows.length;
+                rows.push([]);
+            }
+            rows[row].push([from, to]);
+            return { branch, left, right, from, to, row };
+        });
+
+        const top = rows.length * ROW_PITCH;
+        const at = (gx, gy) => CoordinateAdapter.gridToPixel(new GridCoordinate(gx + ORIGIN, gy + ORIGIN + top));
+        const rowY = row => -(row + 1) * ROW_PITCH;
+        const elements = [];
+        const wire = (x1, y1, x2, y2) => {
+            if (x1 !== x2 || y1 !== y2) elements.push(this._create('wire', [at(x1, y1), at(x2, y2)]));
+        };
+
+        // Series components, each with a lead to its left bus and a wire to its right bus
+        const busYs = new Map(nodes.map(node => [node, []]));
+        for (const { branch, left, right, from, to, row } of placedSeries) {
+            const y = rowY(row);
+            wire(from, y, from + LEAD, y);
+            elements.push(this._create(branch.type, [at(from + LEAD, y), at(from + LEAD + SPAN, y)], branch));
+            wire(from + LEAD + SPAN, y, to, y);
+            busYs.get(left).push(y);
+            busYs.get(right).push(y);
+        }
+
+        // Shunt components, side by side below their bus, chained at y = 0
+        const railXs = [];
+        for (const node of nodes) {
+            const x0 = busX.get(node);
+            const list = shunts.get(node);
+            list.forEach((branch, k) => {
+                const sx = x0 + k * SHUNT_PITCH;
+                if (k > 0) wire(sx - SHUNT_PITCH, 0, sx, 0);
+                elements.push(this._create(branch.type, [at(sx, 0), at(sx, SPAN)], branch));
+                railXs.push(sx);
+            });
+            if (list.length > 0) busYs.get(node).push(0);
+        }
+
+        // Buses join the rows and the shunt chain of each node
+        for (const node of nodes) {
+            const ys = busYs.get(node);
+            if (ys.length > 1) wire(busX.get(node), Math.min(...ys), busX.get(node), Math.max(...ys));
+        }
+
+        // Ground rail along the bottom of the shunt components, with one ground symbol
+        if (railXs.length > 0) {
+            const minX = Math.min(...railXs);
+            const maxX = Math.max(...railXs);
+            wire(minX, SPAN, maxX, SPAN);
+            elements.push(this._create('ground', [at(minX, SPAN), at(minX, 2 * SPAN)], null, 270));
+        }
+
+        return elements;
+    }
+
+    /**
+     * Internal: create an element through the factory.
+     *
+     * @param {string} type - Element type.
+     * @param {Position[]} nodes - Terminal positions (pixels).
+     * @param {Branch|null} [branch] - Values and label of components.
+     * @param {number} [orientation] - Orientation of ground symbols (degrees).
+     * @returns {Element}
+     */
+    static _create(type, nodes, branch = null, orientation) {
+        const values = { ...(branch?.values ?? {}) };
+        if (orientation !== undefined) values.orientation = orientation;
+        const label = branch?.label ? new Label(branch.label) : null;
+        return ElementFactory.create(type, null, nodes, new Properties(values), label);
+    }
+}
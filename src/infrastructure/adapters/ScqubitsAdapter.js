@@ -0,0 +1,123 @@
+import { NodeExtractionService } from '../../application/NodeExtractionService.js';
+import { VALUE_KEYS } from '../../application/ElectricalRuleCheckService.js';
+import {
+    PLANCK,
+    chargingEnergyFromCapacitance,
+    josephsonEnergyFromInductance
+} from '../../utils/physicalConstants.js';
+
+/**
+ * Energy in GHz (E / h), to six significant digits.
+ * @param {number} energy - Energy (J).
+ * @returns {number}
+ */
+const toGHz = (energy) => Number((energy / PLANCK / 1e9).toPrecision(6));
+
+/**
+ * scqubits energy per component type: symbol prefix and conversion of the
+ * component value (SI) to an energy (J). Inductors and junctions share the
+ * expression φ0² / L.
+ */
+const energies = {
+    capacitor: { prefix: 'EC', fromValue: chargingEnergyFromCapacitance },
+    inductor: { prefix: 'EL', fromValue: josephsonEnergyFromInductance },
+    junction: { prefix: 'EJ', fromValue: josephsonEnergyFromInductance }
+};
+
+/**
+ * ScqubitsAdapter
+ *
+ * Writes the circuit as the branch-list YAML read by `scqubits.Circuit`:
+ *   branches:
+ *   - ["JJ", 1, 0, EJ_Lj = 16.3462, 1.93702]
+ *   - ["L", 1, 0, 0.544872]
+ *   - ["C", 1, 2, 19.3702]
+ *
+ * Node numbers come from node extraction (ground is node 0). Values become
+ * energies in GHz: E_C = e²/2C for capacitors, E_L = φ0²/L for inductors and
+ * E_J = φ0²/L_J for junctions. scqubits junctions also need their charging
+ * energy E_CJ: it is taken from a capacitor in parallel with the junction,
+ * which then does not appear as a branch of its own. Resistors have no
+ * scqubits branch and are left out.
+ *
+ * A value bound to a parameter becomes a scqubits symbol named after the
+ * energy and the parameter (`EJ_Lj` for a junction bound to `Lj`), initialised
+ * on its first use; its sweeps then run in scqubits.
+ */
+export class ScqubitsAdapter {
+    /**
+     * Export the circuit to scqubits circuit YAML.
+     *
+     * @param {Circuit} circuit - The domain aggregate.
+     * @returns {string} The YAML document.
+     * @throws {Error} If a component or parameter has no value, or a junction
+     *   has no capacitor in parallel; the message lists every such problem.
+     */
+    static exportToString(circuit) {
+        const graph = NodeExtractionService.extract(circuit.elements);
+        const parameters = circuit.parameters ?? new Map();
+        const components = circuit.elements.filter(el => el.type in VALUE_KEYS);
+        const problems = [];
+        const declared = new Set();
+
+        /** Branch energy: a number, or a symbol (declared with its value the first time). */
+        const energy = (element) => {
+            const { prefix, fromValue } = energies[element.type];
+            const value = element.properties?.values?.[VALUE_KEYS[element.type]];
+            if (typeof value === 'number' && Number.isFinite(value) && value > 0) return String(toGHz(fromValue(value)));
+
+            const label = String(element.label?.value ?? element.label ?? '').trim();
+            const parameter = parameters.get(label);
+            if (value !== 'variable' || !label) {
+                problems.push(`${element.id} has no value`);
+            } else if (!(typeof parameter === 'number' && parameter > 0)) {
+                problems.push(`parameter ${label} has no value`);
+            } else {
+                const symbol = `${prefix}_${label.replace(/\W/g, '_')}`;
+                if (declared.has(symbol)) return symbol;
+                declared.add(symbol);
+                return `${symbol} = ${toGHz(fromValue(parameter))}`;
+            }
+            return null;
+        };
+        const nodesOf = (element) => graph.terminalNodes.get(element.id);
+        const samePair = (a, b) => {
+            const [a1, a2] = nodesOf(a);
+            const [b1, b2] = nodesOf(b);
+            return (a1 === b1 && a2 === b2) || (a1 === b2 && a2 === b1);
+        };
+
+        // Pair each junction with a capacitor across the same nodes
+        const shunts = new Map();
+        for (const junction of components.filter(el => el.type === 'junction')) {
+            const capacitor = components.find(el =>
+                el.type === 'capacitor' && samePair(el, junction) && ![...shunts.values()].includes(el));
+            if (capacitor) shunts.set(junction, capacitor);
+            else problems.push(`${junction.id} has no capacitor in parallel (scqubits needs the junction charging energy)`);
+        }
+
+        const lines = ['# scqubits circuit exported from JSCircuit; energies in GHz', 'branches:'];
+        const skipped = [];
+        for (const element of components) {
+            const [n1, n2] = nodesOf(element);
+            if (element.type === 'resistor') {
+                skipped.push(element.id);
+            } else if (element.type === 'junction') {
+                const capacitor = shunts.get(element);
+                const ej = energy(element);
+                const ecj = capacitor ? energy(capacitor) : null;
+                lines.push(`- ["JJ", ${n1}, ${n2}, ${ej}, ${ecj}]`);
+            } else if (![...shunts.values()].includes(element)) {
+                lines.push(`- ["${element.type === 'capacitor' ? 'C' : 'L'}", ${n1}, ${n2}, ${energy(element)}]`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Cannot export to scqubits: ${problems.join('; ')}.`);
+        }
+        if (skipped.length > 0) {
+            lines.splice(1, 0, `# Left out (no resistive branches in scqubits): ${skipped.join(', ')}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
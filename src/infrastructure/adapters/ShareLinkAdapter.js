@@ -0,0 +1,72 @@
+/** Name of the URL fragment parameter holding the circuit, as in `#circuit=...`. */
+export const SHARE_LINK_PARAM = 'circuit';
+
+/**
+ * ShareLinkAdapter
+ *
+ * Encodes a circuit (a JSON project or a netlist) into the `#fragment` of the
+ * editor URL, so that a link is enough to open it: the text is compressed
+ * with deflate (CompressionStream) and written as base64url. The fragment is
+ * never sent to a server, so this also works with the standalone HTML file.
+ *
+ * Format:
+ *   jscircuit.html#circuit=<base64url of the deflate-raw compressed text>
+ */
+export class ShareLinkAdapter {
+    /**
+     * Build a share link for a circuit.
+     *
+     * @param {string} text - The project JSON or netlist.
+     * @param {string} baseUrl - The editor URL; any fragment is replaced.
+     * @returns {Promise<string>} The link.
+     */
+    static async createLink(text, baseUrl) {
+        return `${baseUrl.split('#')[0]}#${SHARE_LINK_PARAM}=${await this.encode(text)}`;
+    }
+
+    /**
+     * Read the encoded circuit from a URL fragment.
+     *
+     * @param {string} hash - The fragment, e.g. `location.hash`.
+     * @returns {string|null} The encoded circuit, or null if the fragment has none.
+     */
+    static readFragment(hash) {
+        const value = new URLSearchParams(String(hash ?? '').replace(/^#/, '')).get(SHARE_LINK_PARAM);
+        return value || null;
+    }
+
+    /**
+     * Compress and encode a text for a URL.
+     *
+     * @param {string} text
+     * @returns {Promise<string>} base64url, without padding.
+     */
+    static async encode(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode and decompress a text encoded by encode().
+     *
+     * @param {string} data - base64url.
+     * @returns {Promise<string>}
+     * @throws {Error} If the data is not a valid share link.
+     */
+    static async decode(data) {
+        try {
+            const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return await new Response(stream).text();
+        } catch (error) {
+            throw new Error(`Invalid share link: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,327 @@
+import { NodeExtractionService } from '../../application/NodeExtractionService.js';
+import { VALUE_KEYS } from '../../application/ElectricalRuleCheckService.js';
+import { SchematicLayout } from './SchematicLayout.js';
+
+/**
+ * SPICE element letter per component type (junctions depend on the junction model).
+ */
+const spiceLetters = {
+    resistor: 'R',
+    capacitor: 'C',
+    inductor: 'L'
+};
+
+/**
+ * Component type per SPICE element letter, on import.
+ */
+const componentTypes = {
+    R: 'resistor',
+    C: 'capacitor',
+    L: 'inductor'
+};
+
+/**
+ * SPICE scale factors (case-insensitive), as decimal exponents. "mil" is a
+ * thousandth of an inch.
+ */
+const SCALE_EXPONENTS = { t: 12, g: 9, meg: 6, k: 3, m: -3, u: -6, n: -9, p: -12, f: -15 };
+const SPICE_NUMBER = /^([+-]?(?:\d+\.?\d*|\.\d+))(?:e([+-]?\d+))?(meg|mil|[tgkmunpf])?[a-z]*$/i;
+
+/** Node names that stand for ground. */
+const GROUND_NAMES = new Set(['0', 'gnd']);
+
+/**
+ * SpiceNetlistAdapter
+ *
+ * Writes the circuit as a SPICE deck for classical simulation, e.g. in ngspice:
+ *   * JSCircuit export
+ *   R1 1 0 50
+ *   C2 1 2 1e-13
+ *   LJ3 2 0 1e-08
+ *   .end
+ *
+ * Node numbers come from node extraction, so ground is node 0. Wires and
+ * ground symbols do not appear in the deck. Junctions are written either as
+ * linear inductors (their Josephson inductance) or as instances of a
+ * subcircuit stub that can be replaced by a junction model.
+ *
+ * Values bound to a parameter (or label-only values) are written as
+ * `{label}` expressions, with a `.param` line for each parameter that has a value.
+ *
+ * Decks can also be read back: R, C and L cards (and junctions, written
+ * either way) become components, `.param` lines become circuit parameters,
+ * and since SPICE has no coordinates the schematic is drawn by SchematicLayout.
+ */
+export class SpiceNetlistAdapter {
+    /**
+     * Export the circuit to a SPICE deck.
+     *
+     * @param {Circuit} circuit - The domain aggregate.
+     * @param {Object} [options]
+     * @param {'inductor'|'subcircuit'} [options.junctionModel='inductor'] - How junctions are written.
+     * @param {string} [options.subcircuitName='JJ'] - Name of the junction subcircuit stub.
+     * @param {string} [options.title='JSCircuit export'] - Title line of the deck.
+     * @returns {string} The SPICE deck.
+     */
+    static exportToString(circuit, { junctionModel = 'inductor', subcircuitName = 'JJ', title = 'JSCircuit export' } = {}) {
+        if (junctionModel !== 'inductor' && junctionModel !== 'subcircuit') {
+            throw new Error(`Unknown junction model: ${junctionModel}`);
+        }
+
+        const graph = NodeExtractionService.extract(circuit.elements);
+        const parameters = circuit.parameters ?? new Map();
+        const components = circuit.elements.filter(el => el.type in VALUE_KEYS);
+        const hasJunctions = components.some(el => el.type === 'junction');
+
+        const lines = [`* ${title}`];
+        if (!graph.hasGround) {
+            lines.push('* Warning: the circuit has no ground; SPICE requires a node 0');
+        }
+
+        // Parameters referenced by labels, with or without a value
+        const referenced = new Set();
+        const body = components.map(element => {
+            const nodes = graph.terminalNodes.get(element.id).join(' ');
+            const value = this._formatValue(element, referenced);
+
+            if (element.type === 'junction' && junctionModel === 'subcircuit') {
+                const name = this._elementName('X', element.id);
+                return value === null
+                    ? `* ${name} ${nodes} ${subcircuitName} (no value)`
+                    : `${name} ${nodes} ${subcircuitName} params: Lj=${value}`;
+            }
+
+            const name = this._elementName(spiceLetters[element.type] ?? 'L', element.id);
+            return value === null ? `* ${name} ${nodes} (no value)` : `${name} ${nodes} ${value}`;
+        });
+
+        for (const [name, value] of parameters) {
+            if (value !== undefined) lines.push(`.param ${name}=${value}`);
+        }
+        for (const name of referenced) {
+            if (parameters.get(name) === undefined) {
+                lines.push(`* Parameter ${name} has no value: add ".param ${name}=..." before simulating`);
+            }
+        }
+
+        if (hasJunctions && junctionModel === 'subcircuit') {
+            lines.push(
+                `.subckt ${subcircuitName} p n params: Lj=1e-9`,
+                '* Linear stub: replace with a Josephson junction model for nonlinear simulation',
+                'L1 p n {Lj}',
+                `.ends ${subcircuitName}`
+            );
+        } else if (hasJunctions) {
+            lines.push('* Junctions are linearised as their Josephson inductance (LJ...)');
+        }
+
+        lines.push(...body, '.end');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Import a SPICE deck as schematic elements.
+     *
+     * @param {string} content - The SPICE deck.
+     * @returns {Element[]} Components, wires and ground symbols, laid out on the grid.
+     */
+    static importFromString(content) {
+        return this.importDeck(content).elements;
+    }
+
+    /**
+     * Import a SPICE deck, with its parameters and the cards that could not be imported.
+     *
+     * Element cards other than R, C, L and junctions (sources, transistors,
+     * other subcircuits...) are skipped with a warning; analysis and option
+     * cards are ignored. Node "0" (or "gnd") is ground.
+     *
+     * @param {string} content - The SPICE deck, or just its element cards.
+     * @returns {{elements: Element[], parameters: Map<string, number|undefined>, skipped: Array<{card: string, reason: string, line: number}>}}
+     *   `parameters` also holds the parameters used by components but not defined by a .param card.
+     */
+    static importDeck(content) {
+        const branches = [];
+        const parameters = new Map();
+        const skipped = [];
+        let lineNumber = 0;
+        const skip = (card, reason) => {
+            skipped.push({ card, reason, line: lineNumber });
+            console.warn(`[SpiceNetlistAdapter] Skipped "${card}": ${reason}`);
+        };
+
+        const { cards, lineNumbers, hasTitle } = this._cards(content);
+        let inSubcircuit = false;
+        for (const [index, card] of cards.entries()) {
+            lineNumber = lineNumbers[index];
+            const [name, ...args] = card.split(/\s+/);
+            const keyword = name.toLowerCase();
+
+            if (inSubcircuit) {
+                if (keyword === '.ends') inSubcircuit = false;
+                continue;
+            }
+            if (keyword === '.end') break;
+            if (keyword === '.subckt') {
+                // Definitions are not expanded; junction stubs are read from their instances
+                inSubcircuit = true;
+                continue;
+            }
+            if (keyword === '.param') {
+                this._readParameters(args, parameters, card, skip);
+                continue;
+            }
+            if (keyword.startsWith('.')) continue;
+
+            const branch = this._readBranch(name, args);
+            if (typeof branch !== 'string') branches.push(branch);
+            // Without an .end card this may be a snippet: a first line that is not a card is its title
+            else if (index > 0 || hasTitle) skip(card, branch);
+        }
+
+        // Parameters used without a .param card are defined without a value
+        for (const { values, label } of branches) {
+            if (Object.values(values).includes('variable') && !parameters.has(label)) parameters.set(label, undefined);
+        }
+
+        return { elements: SchematicLayout.place(branches, { groundNode: '0' }), parameters, skipped };
+    }
+
+    /**
+     * Internal: split a deck into cards, joining "+" continuation lines and
+     * dropping comments and the title line.
+     *
+     * @param {string} content
+     * @returns {{cards: string[], lineNumbers: number[], hasTitle: boolean}}
+     *   `lineNumbers` holds the (1-based) line on which each card starts.
+     *   `hasTitle` is true for a complete deck (one with an .end card), whose
+     *   first line was the title.
+     */
+    static _cards(content) {
+        const lines = String(content ?? '').split(/\r?\n/);
+        const hasTitle = lines.some(line => /^\s*\.end\s*$/i.test(line));
+        const titleIndex = hasTitle ? lines.findIndex(line => line.trim() !== '') : -1;
+
+        const cards = [];
+        const lineNumbers = [];
+        for (const [index, raw] of lines.entries()) {
+            if (index === titleIndex) continue;
+            const line = raw.replace(/(^|\s)[;$].*$/, '').trim();
+            if (line === '' || line.startsWith('*')) continue;
+            if (line.startsWith('+') && cards.length > 0) {
+                cards[cards.length - 1] += ` ${line.slice(1).trim()}`;
+            } else {
+                cards.push(line);
+                lineNumbers.push(index + 1);
+            }
+        }
+        return { cards: cards.map(card => card.replace(/\s*=\s*/g, '=')), lineNumbers, hasTitle };
+    }
+
+    /**
+     * Internal: read an element card as a branch for SchematicLayout.
+     *
+     * LJ... inductors and two-terminal X... instances with an `Lj` parameter
+     * (as written by exportToString) are read as junctions.
+     *
+     * @param {string} name - SPICE element name, e.g. "R1".
+     * @param {string[]} args - The rest of the card.
+     * @returns {Branch|string} The branch, or why the card cannot be imported.
+     */
+    static _readBranch(name, args) {
+        const letter = name[0].toUpperCase();
+        let type, nodes, value;
+        if (letter in componentTypes) {
+            if (args.length < 3) return 'expected two nodes and a value';
+            type = letter === 'L' && /^LJ/i.test(name) ? 'junction' : componentTypes[letter];
+            nodes = args.slice(0, 2);
+            value = args[2];
+        } else if (letter === 'X') {
+            const firstParameter = args.findIndex(arg => arg.includes('=') || arg.toLowerCase() === 'params:');
+            nodes = args.slice(0, (firstParameter === -1 ? args.length : firstParameter) - 1);
+            const lj = args.map(arg => arg.split('=')).find(([key]) => key.toLowerCase() === 'lj');
+            if (nodes.length !== 2 || !lj) return 'only two-terminal subcircuits with an Lj parameter (junctions) are supported';
+            type = 'junction';
+            value = lj[1];
+        } else {
+            return `unsupported element type "${letter}"`;
+        }
+
+        nodes = nodes.map(node => (GROUND_NAMES.has(node.toLowerCase()) ? '0' : node.toLowerCase()));
+        if (nodes[0] === nodes[1]) return `both ends are on node ${nodes[0]}`;
+
+        const key = VALUE_KEYS[type];
+        const label = type === 'junction' ? name.slice(1) : name;
+        const parameter = /^\{([A-Za-z_]\w*)\}$/.exec(value);
+        if (parameter) return { type, nodes, values: { [key]: 'variable' }, label: parameter[1] };
+
+        const number = this._parseNumber(value);
+        if (number === null) return `cannot read the value "${value}"`;
+        return { type, nodes, values: { [key]: number }, label };
+    }
+
+    /**
+     * Internal: read the `name=value` pairs of a .param card. Values that are
+     * expressions are skipped.
+     *
+     * @param {string[]} args
+     * @param {Map<string, number>} parameters - Receives the parameters.
+     * @param {string} card - The card, for warnings.
+     * @param {function(string, string): void} skip
+     */
+    static _readParameters(args, parameters, card, skip) {
+        for (const arg of args) {
+            const [name, text] = arg.split('=');
+            const value = this._parseNumber(text ?? '');
+            if (/^[A-Za-z_]\w*$/.test(name) && value !== null) parameters.set(name, value);
+            else skip(card, `cannot read parameter "${arg}"`);
+        }
+    }
+
+    /**
+     * Internal: read a SPICE number, e.g. "50", "1.5e-9", "100f", "10pF" or
+     * "2Meg". Letters after the scale factor (units) are ignored, as in SPICE.
+     *
+     * @param {string} text
+     * @returns {number|null} The value, or null if `text` is not a number.
+     */
+    static _parseNumber(text) {
+        const match = SPICE_NUMBER.exec(text);
+        if (!match) return null;
+        const [, mantissa, exponent = '0', scale = ''] = match;
+        if (scale.toLowerCase() === 'mil') return Number(`${mantissa}e${exponent}`) * 25.4e-6;
+        return Number(`${mantissa}e${Number(exponent) + (SCALE_EXPONENTS[scale.toLowerCase()] ?? 0)}`);
+    }
+
+    /**
+     * Internal: SPICE value of a component: a number, a `{parameter}`
+     * expression, or null if it has neither a value nor a label.
+     *
+     * @param {Element} element
+     * @param {Set<string>} referenced - Collects the parameter names used.
+     * @returns {string|null}
+     */
+    static _formatValue(element, referenced) {
+        const value = element.properties?.values?.[VALUE_KEYS[element.type]];
+        if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+
+        const label = element.label?.value ?? element.label;
+        if (typeof label === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(label.trim())) {
+            referenced.add(label.trim());
+            return `{${label.trim()}}`;
+        }
+        return null;
+    }
+
+    /**
+     * Internal: SPICE element name, which must start with the element letter.
+     *
+     * @param {string} letter - SPICE element letter (R, C, L, X).
+     * @param {string} id - Element ID, e.g. "R1" or "J3".
+     * @returns {string} e.g. "R1", or "LJ3" for a junction written as an inductor.
+     */
+    static _elementName(letter, id) {
+        const name = String(id).replace(/[^A-Za-z0-9_]/g, '_');
+        return name[0]?.toUpperCase() === letter ? name : `${letter}${name}`;
+    }
+}
@@ -0,0 +1,34 @@
+// src/utils/downloadFile.js
+
+/**
+ * Builds a filename stamped with the current date and time,
+ * e.g. `circuit_20260317T142501.txt`.
+ *
+ * @param {string} prefix - Leading part of the name (e.g. "circuit").
+ * @param {string} extension - File extension without the dot (e.g. "txt").
+ * @returns {string} The filename.
+ */
+export const timestampedFilename = (prefix, extension) =>
+    `${prefix}_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.${extension}`;
+
+/**
+ * Triggers a browser download of in-memory content.
+ *
+ * @param {string|Blob} content - Text (or a ready-made Blob) to save.
+ * @param {string} filename - Suggested filename.
+ * @param {string} [mimeType='text/plain'] - MIME type used when `content` is text.
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,166 @@
+/**
+ * @file engineeringNotation.js
+ * @description
+ * Parsing and formatting of component values in engineering notation, e.g.
+ * "10 kΩ", "4.5nH", "1 fF" or "2*4.5e-9".
+ *
+ * Values are scaled by rewriting the decimal exponent ("4.5n" is read as
+ * `Number("4.5e-9")`), so a value formatted by `formatExactWithPrefix` parses
+ * back to exactly the same number.
+ */
+
+/** SI prefixes accepted on input, with their decimal exponent. */
+const PREFIX_EXPONENTS = { f: -15, p: -12, n: -9, u: -6, 'µ': -6, 'μ': -6, m: -3, k: 3, M: 6, G: 9 };
+
+/** Unit spellings accepted on input, with the unit they stand for. */
+const UNIT_ALIASES = { 'Ω': 'Ω', ohm: 'Ω', ohms: 'Ω', Ohm: 'Ω', Ohms: 'Ω', F: 'F', H: 'H', A: 'A', Hz: 'Hz', J: 'J' };
+
+/** Prefixes used for display, largest first. */
+const DISPLAY_PREFIXES = [
+    { threshold: 1e9, symbol: 'G' },
+    { threshold: 1e6, symbol: 'M' },
+    { threshold: 1e3, symbol: 'k' },
+    { threshold: 1, symbol: '' },
+    { threshold: 1e-3, symbol: 'm' },
+    { threshold: 1e-6, symbol: 'μ' },
+    { threshold: 1e-9, symbol: 'n' },
+    { threshold: 1e-12, symbol: 'p' },
+    { threshold: 1e-15, symbol: 'f' }
+];
+
+const NUMBER = /(\d+(?:\.\d*)?|\.\d+)(?:[eE]([+-]?\d+))?/y;
+const SUFFIX = /\s*([fpnuµμmkMG]?)(Ω|[oO]hms?|F|Hz|H|A|J)?(?![\p{L}\d_])/uy;
+
+/**
+ * Parses a value typed in engineering notation.
+ *
+ * Accepts numbers with an optional SI prefix (f, p, n, μ/u, m, k, M, G) and
+ * unit (Ω/ohm, F, H, A, Hz, J), combined with + - * / and parentheses.
+ *
+ * @param {string} text - The value as typed, e.g. "1 fF", "10k", "2*4.5e-9".
+ * @param {string|Object<string, number>} [unit] - Expected unit; a different unit
+ *   in `text` is rejected. Or a map of accepted units to the factor converting
+ *   them to the first one, e.g. `{ Hz: 1, J: 1 / PLANCK }`.
+ * @returns {number} The value in SI units.
+ * @throws {Error} If the text is empty, cannot be parsed, uses another unit,
+ *   or does not evaluate to a finite number.
+ */
+export function parseEngineeringValue(text, unit) {
+    const source = String(text ?? '').trim();
+    const units = typeof unit === 'string' ? { [unit]: 1 } : unit;
+    let pos = 0;
+
+    const fail = (reason) => {
+        throw new Error(`Cannot read "${source}": ${reason}`);
+    };
+    const peek = () => {
+        while (pos < source.length && /\s/.test(source[pos])) pos++;
+        return source[pos];
+    };
+    const unexpected = () => fail(pos < source.length ? `unexpected "${source.slice(pos)}"` : 'unexpected end of input');
+
+    const quantity = () => {
+        NUMBER.lastIndex = pos;
+        const number = NUMBER.exec(source);
+        if (!number) unexpected();
+        pos = NUMBER.lastIndex;
+
+        SUFFIX.lastIndex = pos;
+        const suffix = SUFFIX.exec(source);
+        if (!suffix) return Number(number[0]);
+        pos = SUFFIX.lastIndex;
+
+        const [, prefix, unitText] = suffix;
+        const factor = unitText && units ? units[UNIT_ALIASES[unitText]] : 1;
+        if (factor === undefined) {
+            fail(`expected a value in ${Object.keys(units).join(' or ')}, not ${UNIT_ALIASES[unitText]}`);
+        }
+        const exponent = Number(number[2] ?? 0) + (PREFIX_EXPONENTS[prefix] ?? 0);
+        const value = Number(`${number[1]}e${exponent}`);
+        return factor === 1 ? value : value * factor;
+    };
+
+    const factor = () => {
+        const c = peek();
+        if (c === '+' || c === '-') {
+            pos++;
+            const value = factor();
+            return c === '-' ? -value : value;
+        }
+        if (c === '(') {
+            pos++;
+            const value = expression();
+            if (peek() !== ')') fail('missing ")"');
+            pos++;
+            return value;
+        }
+        return quantity();
+    };
+
+    const term = () => {
+        let value = factor();
+        for (let op = peek(); op === '*' || op === '/'; op = peek()) {
+            pos++;
+            value = op === '*' ? value * factor() : value / factor();
+        }
+        return value;
+    };
+
+    const expression = () => {
+        let value = term();
+        for (let op = peek(); op === '+' || op === '-'; op = peek()) {
+            pos++;
+            value = op === '+' ? value + term() : value - term();
+        }
+        return value;
+    };
+
+    if (source === '') fail('no value');
+    const value = expression();
+    if (peek() !== undefined) unexpected();
+    if (!Number.isFinite(value)) fail('the result is not a finite number');
+    return value;
+}
+
+/**
+ * Formats a number with an SI prefix and unit for display.
+ *
+ * @param {number} value - The numeric value.
+ * @param {string} unit - The base unit (e.g. 'Ω', 'F', 'H').
+ * @param {number} [precision=3] - Significant digits of non-integer values.
+ * @returns {string} Formatted string, e.g. "4.50 nH".
+ */
+export function formatWithPrefix(value, unit, precision = 3) {
+    if (value === 0) return `0 ${unit}`;
+
+    const absValue = Math.abs(value);
+    for (const prefix of DISPLAY_PREFIXES) {
+        if (absValue >= prefix.threshold) {
+            const scaledValue = value / prefix.threshold;
+            const formattedValue = scaledValue % 1 === 0 ? scaledValue.toString() : scaledValue.toPrecision(precision);
+            return `${formattedValue} ${prefix.symbol}${unit}`;
+        }
+    }
+
+    // For very small values, use scientific notation
+    return `${value.toExponential(precision - 1)} ${unit}`;
+}
+
+/**
+ * Formats a number with an SI prefix and unit, with as few digits as
+ * possible while still parsing back to exactly `value`. Used to fill input
+ * fields, so that confirming an unchanged field keeps the value.
+ *
+ * @param {number} value - The numeric value.
+ * @param {string} unit - The base unit (e.g. 'Ω', 'F', 'H').
+ * @returns {string} Formatted string, e.g. "4.5 nH".
+ */
+export function formatExactWithPrefix(value, unit) {
+    if (Number.isFinite(value)) {
+        for (let precision = 1; precision <= 17; precision++) {
+            const text = formatWithPrefix(value, unit, precision);
+            if (parseEngineeringValue(text, unit) === value) return text;
+        }
+    }
+    return `${value} ${unit}`.trim();
+}
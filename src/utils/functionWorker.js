@@ -0,0 +1,86 @@
+/**
+ * @file functionWorker.js
+ * @description
+ * Runs plain functions in a Web Worker built from their source text.
+ *
+ * The editor also ships as a single HTML file, where a worker cannot be loaded
+ * from a separate script URL. Instead, the source of self-contained functions
+ * (functions that only call each other) is concatenated into a Blob and the
+ * worker is started from its object URL. Function names stay consistent under
+ * minification, since declarations and calls are renamed together.
+ */
+
+/**
+ * @typedef {Object} FunctionWorker
+ * @property {function(*): Promise<*>} run - Calls the entry function with a structured-cloneable input.
+ * @property {function(): void} terminate - Stops the worker; pending runs are rejected.
+ */
+
+/**
+ * Creates a worker that runs `entry`, with `dependencies` in scope.
+ *
+ * @param {Function[]} dependencies - Functions called by `entry`, directly or not.
+ * @param {Function} entry - The function to run; must be a named function declaration.
+ * @returns {FunctionWorker|null} Null where workers are unavailable (Node, or blocked by a CSP).
+ */
+export function createFunctionWorker(dependencies, entry) {
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' ||
+        typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') {
+        return null;
+    }
+
+    const source = [...dependencies, entry].map(fn => fn.toString()).join('\n\n') + `
+
+self.onmessage = (event) => {
+    const { id, input } = event.data;
+    try {
+        self.postMessage({ id, result: ${entry.name}(input) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+
+    let worker;
+    try {
+        worker = new Worker(url);
+    } catch {
+        URL.revokeObjectURL(url);
+        return null;
+    }
+
+    const pending = new Map();
+    let nextId = 0;
+    const rejectAll = (message) => {
+        pending.forEach(({ reject }) => reject(new Error(message)));
+        pending.clear();
+    };
+
+    worker.onmessage = ({ data }) => {
+        const call = pending.get(data.id);
+        if (!call) return;
+        pending.delete(data.id);
+        if (data.error !== undefined) call.reject(new Error(data.error));
+        else call.resolve(data.result);
+    };
+    worker.onerror = (event) => {
+        event.preventDefault?.();
+        rejectAll(event.message || 'Worker error');
+    };
+
+    return {
+        run(input) {
+            return new Promise((resolve, reject) => {
+                const id = nextId++;
+                pending.set(id, { resolve, reject });
+                worker.postMessage({ id, input });
+            });
+        },
+        terminate() {
+            worker.terminate();
+            URL.revokeObjectURL(url);
+            rejectAll('Worker terminated');
+        },
+    };
+}
@@ -12,3 +12,14 @@ export const generateId = (prefix = '') => {
     counter += 1;
     return `${prefix}${counter}`;
 };
+
+/**
+ * Records an ID that is already in use (e.g. loaded from a project), so that
+ * generateId() never returns it: the counter is moved past its number.
+ *
+ * @param {string} id - An element ID (e.g., "R12").
+ */
+export const reserveId = (id) => {
+    const match = /(\d+)$/.exec(String(id));
+    if (match) counter = Math.max(counter, Number(match[1]));
+};
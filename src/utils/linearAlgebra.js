@@ -0,0 +1,283 @@
+/**
+ * @file linearAlgebra.js
+ * @description
+ * Small dense linear-algebra helpers for circuit analysis (matrices are arrays of rows).
+ *
+ * Circuits drawn in the editor have at most a few dozen nodes, so plain O(n³)
+ * algorithms are fast enough and keep the bundle free of numeric dependencies.
+ *
+ * Every function is self-contained (it only calls other functions of this file),
+ * so the module can also be shipped to a Web Worker as source text.
+ */
+
+/**
+ * Creates a rows × cols matrix of zeros.
+ *
+ * @param {number} rows
+ * @param {number} [cols=rows]
+ * @returns {number[][]}
+ */
+export function zeros(rows, cols = rows) {
+    return Array.from({ length: rows }, () => new Array(cols).fill(0));
+}
+
+/**
+ * Evenly spaced values from start to stop, both included.
+ *
+ * @param {number} start
+ * @param {number} stop
+ * @param {number} count - Number of values (≥ 2).
+ * @returns {number[]}
+ */
+export function linspace(start, stop, count) {
+    const n = Math.max(2, Math.round(count));
+    return Array.from({ length: n }, (_, i) => start + ((stop - start) * i) / (n - 1));
+}
+
+/**
+ * Values evenly spaced on a log scale from start to stop, both included
+ * (numpy's `geomspace`).
+ *
+ * @param {number} start - First value (> 0).
+ * @param {number} stop - Last value (> 0).
+ * @param {number} count - Number of values (≥ 2).
+ * @returns {number[]}
+ */
+export function geomspace(start, stop, count) {
+    const n = Math.max(2, Math.round(count));
+    return Array.from({ length: n }, (_, i) => start * Math.pow(stop / start, i / (n - 1)));
+}
+
+/**
+ * @param {number[][]} A
+ * @returns {number[][]} Aᵀ
+ */
+export function transpose(A) {
+    if (A.length === 0) return [];
+    return A[0].map((_, j) => A.map(row => row[j]));
+}
+
+/**
+ * @param {number[][]} A - n × m matrix.
+ * @param {number[][]} B - m × p matrix.
+ * @returns {number[][]} A·B
+ */
+export function matMul(A, B) {
+    const p = B.length ? B[0].length : 0;
+    return A.map(row => {
+        const out = new Array(p).fill(0);
+        row.forEach((a, k) => {
+            if (a === 0) return;
+            const bRow = B[k];
+            for (let j = 0; j < p; j++) out[j] += a * bRow[j];
+        });
+        return out;
+    });
+}
+
+/**
+ * Eigen-decomposition of a real symmetric matrix (cyclic Jacobi rotations).
+ *
+ * @param {number[][]} A - Symmetric matrix.
+ * @param {number} [maxSweeps=100]
+ * @returns {{values: number[], vectors: number[][]}} Eigenvalues ascending;
+ *   `vectors[k]` is the unit eigenvector of `values[k]`.
+ */
+export function symmetricEigen(A, maxSweeps = 100) {
+    const n = A.length;
+    const a = A.map(row => row.slice());
+    const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+        let off = 0;
+        let total = 0;
+        for (let i = 0; i < n; i++) {
+            total += a[i][i] * a[i][i];
+            for (let j = i + 1; j < n; j++) off += a[i][j] * a[i][j];
+        }
+        if (off === 0 || off <= 1e-30 * (total + off)) break;
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = a.map((_, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+    return {
+        values: order.map(i => a[i][i]),
+        vectors: order.map(k => v.map(row => row[k])),
+    };
+}
+
+/**
+ * Moore–Penrose pseudo-inverse of a symmetric matrix.
+ *
+ * @param {number[][]} A - Symmetric matrix.
+ * @param {number} [relTol=1e-12] - Eigenvalues below relTol·max|λ| are treated as zero.
+ * @returns {number[][]}
+ */
+export function pseudoInverseSymmetric(A, relTol = 1e-12) {
+    const n = A.length;
+    const { values, vectors } = symmetricEigen(A);
+    const max = Math.max(0, ...values.map(Math.abs));
+    const out = zeros(n);
+    values.forEach((lambda, k) => {
+        if (Math.abs(lambda) <= relTol * max) return;
+        const vec = vectors[k];
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) out[i][j] += (vec[i] * vec[j]) / lambda;
+        }
+    });
+    return out;
+}
+
+/**
+ * Solves the generalized symmetric eigenproblem K·x = λ·M·x, with M positive
+ * semi-definite (e.g. a capacitance matrix with nodes that carry no capacitance).
+ *
+ * Directions in the null space of M have no "mass": they are eliminated with a
+ * Schur complement of K, and the reduced problem is made symmetric by scaling with M^(-1/2).
+ *
+ * @param {number[][]} K - Symmetric stiffness matrix.
+ * @param {number[][]} M - Symmetric positive semi-definite mass matrix.
+ * @param {number} [relTol=1e-12] - Relative threshold for the null space of M.
+ * @returns {{values: number[], vectors: number[][]}} Eigenvalues ascending;
+ *   `vectors[k]` is normalised so that xᵀ·M·x = 1.
+ */
+export function generalizedSymmetricEigen(K, M, relTol = 1e-12) {
+    const n = K.length;
+    if (n === 0) return { values: [], vectors: [] };
+
+    const mass = symmetricEigen(M);
+    const maxMass = Math.max(0, ...mass.values.map(Math.abs));
+    if (maxMass === 0) return { values: [], vectors: [] };
+
+    const range = [];
+    const nullSpace = [];
+    mass.values.forEach((lambda, k) => (lambda > relTol * maxMass ? range : nullSpace).push(k));
+
+    // K expressed in the eigenbasis of M: Kt = Uᵀ·K·U, where the columns of U are M's eigenvectors.
+    const U = transpose(mass.vectors);
+    const Kt = matMul(mass.vectors, matMul(K, U));
+    const block = (rows, cols) => rows.map(i => cols.map(j => Kt[i][j]));
+
+    let Keff = block(range, range);
+    let elimination = null;
+    if (nullSpace.length) {
+        const Knr = block(nullSpace, range);
+        elimination = matMul(pseudoInverseSymmetric(block(nullSpace, nullSpace), relTol), Knr);
+        const correction = matMul(transpose(Knr), elimination);
+        Keff = Keff.map((row, i) => row.map((x, j) => x - correction[i][j]));
+    }
+
+    const scale = range.map(k => 1 / Math.sqrt(mass.values[k]));
+    const A = Keff.map((row, i) => row.map((x, j) => x * scale[i] * scale[j]));
+    const reduced = symmetricEigen(A.map((row, i) => row.map((x, j) => (x + A[j][i]) / 2)));
+
+    const vectors = reduced.vectors.map(z => {
+        const y = new Array(n).fill(0);
+        const yRange = z.map((x, i) => x * scale[i]);
+        range.forEach((k, i) => { y[k] = yRange[i]; });
+        if (elimination) {
+            nullSpace.forEach((k, i) => {
+                y[k] = -elimination[i].reduce((sum, x, j) => sum + x * yRange[j], 0);
+            });
+        }
+        return U.map(row => row.reduce((sum, x, j) => sum + x * y[j], 0));
+    });
+
+    return { values: reduced.values, vectors };
+}
+
+/**
+ * Solves the complex linear system (Ar + i·Ai)·x = br + i·bi by Gaussian
+ * elimination with partial pivoting.
+ *
+ * @param {number[][]} Ar - Real part of the matrix.
+ * @param {number[][]} Ai - Imaginary part of the matrix.
+ * @param {number[]} br - Real part of the right-hand side.
+ * @param {number[]} bi - Imaginary part of the right-hand side.
+ * @returns {{re: number[], im: number[]}} The solution.
+ * @throws {Error} If the matrix is singular.
+ */
+export function solveComplex(Ar, Ai, br, bi) {
+    const n = Ar.length;
+    const ar = Ar.map(row => row.slice());
+    const ai = Ai.map(row => row.slice());
+    const xr = br.slice();
+    const xi = bi.slice();
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        let best = ar[col][col] ** 2 + ai[col][col] ** 2;
+        for (let row = col + 1; row < n; row++) {
+            const mag = ar[row][col] ** 2 + ai[row][col] ** 2;
+            if (mag > best) { best = mag; pivot = row; }
+        }
+        if (best === 0) throw new Error('Singular matrix');
+
+        if (pivot !== col) {
+            [ar[col], ar[pivot]] = [ar[pivot], ar[col]];
+            [ai[col], ai[pivot]] = [ai[pivot], ai[col]];
+            [xr[col], xr[pivot]] = [xr[pivot], xr[col]];
+            [xi[col], xi[pivot]] = [xi[pivot], xi[col]];
+        }
+
+        const pr = ar[col][col];
+        const pi = ai[col][col];
+        for (let row = col + 1; row < n; row++) {
+            // factor = a[row][col] / a[col][col]
+            const fr = (ar[row][col] * pr + ai[row][col] * pi) / best;
+            const fi = (ai[row][col] * pr - ar[row][col] * pi) / best;
+            if (fr === 0 && fi === 0) continue;
+            for (let k = col; k < n; k++) {
+                ar[row][k] -= fr * ar[col][k] - fi * ai[col][k];
+                ai[row][k] -= fr * ai[col][k] + fi * ar[col][k];
+            }
+            xr[row] -= fr * xr[col] - fi * xi[col];
+            xi[row] -= fr * xi[col] + fi * xr[col];
+        }
+    }
+
+    for (let row = n - 1; row >= 0; row--) {
+        let sr = xr[row];
+        let si = xi[row];
+        for (let k = row + 1; k < n; k++) {
+            sr -= ar[row][k] * xr[k] - ai[row][k] * xi[k];
+            si -= ar[row][k] * xi[k] + ai[row][k] * xr[k];
+        }
+        const dr = ar[row][row];
+        const di = ai[row][row];
+        const mag = dr * dr + di * di;
+        xr[row] = (sr * dr + si * di) / mag;
+        xi[row] = (si * dr - sr * di) / mag;
+    }
+
+    return { re: xr, im: xi };
+}
@@ -0,0 +1,62 @@
+// src/utils/physicalConstants.js
+
+/**
+ * Physical constants (CODATA 2018 exact SI values) used by circuit analysis.
+ */
+
+/** Planck constant h (J·s). */
+export const PLANCK = 6.62607015e-34;
+
+/** Reduced Planck constant ħ = h / 2π (J·s). */
+export const HBAR = PLANCK / (2 * Math.PI);
+
+/** Elementary charge e (C). */
+export const ELEMENTARY_CHARGE = 1.602176634e-19;
+
+/** Reduced flux quantum φ0 = ħ / 2e (Wb). */
+export const REDUCED_FLUX_QUANTUM = HBAR / (2 * ELEMENTARY_CHARGE);
+
+/**
+ * Josephson energy of a junction from its Josephson inductance: E_J = φ0² / L_J.
+ *
+ * @param {number} inductance - Josephson inductance L_J (H).
+ * @returns {number} E_J (J).
+ */
+export const josephsonEnergyFromInductance = (inductance) =>
+    REDUCED_FLUX_QUANTUM ** 2 / inductance;
+
+/**
+ * Charging energy of a capacitance: E_C = e² / 2C.
+ *
+ * @param {number} capacitance - Capacitance C (F).
+ * @returns {number} E_C (J).
+ */
+export const chargingEnergyFromCapacitance = (capacitance) =>
+    ELEMENTARY_CHARGE ** 2 / (2 * capacitance);
+
+/**
+ * Josephson inductance of a junction from its Josephson energy: L_J = φ0² / E_J.
+ *
+ * @param {number} energy - Josephson energy E_J (J).
+ * @returns {number} L_J (H).
+ */
+export const inductanceFromJosephsonEnergy = (energy) =>
+    REDUCED_FLUX_QUANTUM ** 2 / energy;
+
+/**
+ * Critical current of a junction from its Josephson inductance: I_c = φ0 / L_J.
+ *
+ * @param {number} inductance - Josephson inductance L_J (H).
+ * @returns {number} I_c (A).
+ */
+export const criticalCurrentFromInductance = (inductance) =>
+    REDUCED_FLUX_QUANTUM / inductance;
+
+/**
+ * Josephson inductance of a junction from its critical current: L_J = φ0 / I_c.
+ *
+ * @param {number} current - Critical current I_c (A).
+ * @returns {number} L_J (H).
+ */
+export const inductanceFromCriticalCurrent = (current) =>
+    REDUCED_FLUX_QUANTUM / current;
@@ -0,0 +1,57 @@
+// src/utils/pngDpi.js
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Records a resolution in a PNG file (pHYs chunk), so that word processors
+ * and slide tools place the image at its physical size instead of 96 DPI.
+ * An existing pHYs chunk is replaced.
+ *
+ * @param {Uint8Array} png - The PNG file, as produced by `canvas.toBlob()`.
+ * @param {number} dpi - Dots per inch.
+ * @returns {Uint8Array} A new PNG file.
+ * @throws {Error} If `png` is not a PNG file.
+ */
+export const setPngDpi = (png, dpi) => {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    if (png.length < 33 || view.getUint32(0) !== 0x89504e47 || view.getUint32(12) !== 0x49484452) {
+        throw new Error('Not a PNG file');
+    }
+
+    // Signature (8 bytes) and IHDR (25 bytes) come first; drop any pHYs
+    const chunks = [png.subarray(0, 33)];
+    for (let offset = 33; offset + 8 <= png.length;) {
+        const end = offset + 12 + view.getUint32(offset);
+        if (view.getUint32(offset + 4) !== 0x70485973) chunks.push(png.subarray(offset, end));
+        offset = end;
+    }
+
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const phys = new Uint8Array(21);
+    const physView = new DataView(phys.buffer);
+    physView.setUint32(0, 9);
+    phys.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    physView.setUint32(8, pixelsPerMetre);
+    physView.setUint32(12, pixelsPerMetre);
+    phys[16] = 1; // unit: metre
+    physView.setUint32(17, crc32(phys.subarray(4, 17)));
+    chunks.splice(1, 0, phys);
+
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, position);
+        position += chunk.length;
+    }
+    return result;
+};
@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { AutosaveService } from '../../src/application/AutosaveService.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('AutosaveService', () => {
+    let clock;
+    let circuitService;
+    let store;
+    let autosave;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        store = { save: sinon.stub().returns(true), markSaved: sinon.stub() };
+        autosave = new AutosaveService(circuitService, store, { delay: 1000 });
+        autosave.start();
+    });
+
+    afterEach(() => {
+        autosave.stop();
+        clock.restore();
+    });
+
+    it('should save once when the changes stop', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+        clock.tick(600);
+        circuitService.setParameter('Lj', 1e-8);
+        clock.tick(600);
+        expect(store.save.called).to.be.false;
+
+        clock.tick(400);
+        expect(store.save.calledOnce).to.be.true;
+        const [content, info] = store.save.firstCall.args;
+        expect(content).to.equal(circuitService.exportState());
+        expect(info).to.deep.equal({ title: '', elementCount: 1 });
+    });
+
+    it('should save a pending change on flush, and nothing after stop', () => {
+        circuitService.setParameter('Lj', 1e-8);
+        autosave.flush();
+        autosave.flush();
+        expect(store.save.calledOnce).to.be.true;
+
+        autosave.stop();
+        circuitService.setParameter('Lj', 2e-8);
+        clock.tick(5000);
+        expect(store.save.calledOnce).to.be.true;
+    });
+
+    it('should mark the circuit as saved instead of a pending save', () => {
+        circuitService.setParameter('Lj', 1e-8);
+        autosave.markSaved();
+        clock.tick(5000);
+
+        expect(store.save.called).to.be.false;
+        expect(store.markSaved.calledOnceWith(circuitService.exportState(), { title: '', elementCount: 0 })).to.be.true;
+    });
+
+    it('should not throw when the store fails', () => {
+        store.save.throws(new Error('QuotaExceededError'));
+        sinon.stub(console, 'warn');
+        try {
+            expect(autosave.save()).to.be.false;
+        } finally {
+            console.warn.restore();
+        }
+    });
+});
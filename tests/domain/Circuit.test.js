@@ -104,4 +104,42 @@ describe('Circuit Tests', () => {
             );
         });
     });
+
+    describe('parameters', () => {
+        it('should define, update and remove parameters', () => {
+            circuit.setParameter('Lj', 10e-9);
+            circuit.setParameter('Cc', undefined);
+            circuit.setParameter('Lj', 12e-9);
+
+            expect([...circuit.parameters]).to.deep.equal([['Lj', 12e-9], ['Cc', undefined]]);
+            expect(circuit.removeParameter('Cc')).to.be.true;
+            expect(circuit.removeParameter('Cc')).to.be.false;
+        });
+
+        it('should reject names that are not Python identifiers', () => {
+            ['', '2L', 'L j', 'L-j'].forEach(name => {
+                expect(() => circuit.setParameter(name, 1)).to.throw(`Invalid parameter name "${name}"`);
+            });
+            expect(Circuit.isValidParameterName('_Lj2')).to.be.true;
+        });
+
+        it('should reject non-numeric values', () => {
+            expect(() => circuit.setParameter('Lj', 'variable')).to.throw('Invalid value for parameter "Lj"');
+            expect(() => circuit.setParameter('Lj', NaN)).to.throw('Invalid value for parameter "Lj"');
+        });
+    });
+
+    describe('metadata', () => {
+        it('should change the given project fields only', () => {
+            circuit.setMetadata({ title: 'Transmon', notes: 'Design A' });
+
+            expect(circuit.metadata).to.deep.equal({ title: 'Transmon', author: '', notes: 'Design A' });
+        });
+
+        it('should reject unknown fields and non-string values', () => {
+            expect(() => circuit.setMetadata({ date: '2026' })).to.throw('Unknown project field "date"');
+            expect(() => circuit.setMetadata({ title: 3 })).to.throw('Invalid value for project field "title"');
+            expect(circuit.metadata.title).to.equal('');
+        });
+    });
 });
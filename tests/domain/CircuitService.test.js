@@ -5,6 +5,9 @@ import { CircuitService } from '../../src/application/CircuitService.js';
 import { MockElement } from './MockElement.js'; // A mock element class for testing
 import { Position } from '../../src/domain/valueObjects/Position.js';
 import { ElementRegistry } from '../../src/config/registry.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
 
 describe('CircuitService Tests', () => {
     let circuit;
@@ -195,4 +198,53 @@ describe('CircuitService Tests', () => {
             expect(connections).to.be.an('array').that.is.empty;
         });
     });
-});
\ No newline at end of file
+
+    describe('parameters', () => {
+        const junction = (id) => new Junction(id, [new Position(0, 0), new Position(0, 50)], null, new Properties({ inductance: 10e-9 }));
+
+        it('should set, list and remove parameters with update events', () => {
+            circuitService.setParameter('Lj', 10e-9);
+            expect(circuitService.getParameters()).to.deep.equal({ Lj: 10e-9 });
+            expect(emitSpy.calledWith('update', { type: 'setParameter', name: 'Lj', value: 10e-9 })).to.be.true;
+
+            expect(circuitService.removeParameter('Lj')).to.be.true;
+            expect(circuitService.getParameters()).to.deep.equal({});
+            expect(emitSpy.calledWith('update', { type: 'removeParameter', name: 'Lj' })).to.be.true;
+        });
+
+        it('should bind an element property to a new parameter holding its value', () => {
+            circuitService.addElement(junction('J1'));
+            circuitService.bindElementToParameter('J1', 'inductance', 'Lj');
+
+            const element = circuitService.getElementByID('J1');
+            expect(element.getProperties().values.inductance).to.equal('variable');
+            expect(element.label.value).to.equal('Lj');
+            expect(circuitService.getParameters()).to.deep.equal({ Lj: 10e-9 });
+        });
+
+        it('should keep the value of an existing parameter when binding', () => {
+            circuitService.setParameter('Lj', 8e-9);
+            circuitService.addElement(junction('J1'));
+            circuitService.bindElementToParameter('J1', 'inductance', 'Lj');
+
+            expect(circuitService.getParameters()).to.deep.equal({ Lj: 8e-9 });
+            expect(() => circuitService.bindElementToParameter('missing', 'inductance', 'Lj')).to.throw('Element with ID missing not found');
+        });
+
+        it('should save and restore parameters with the circuit state', () => {
+            circuitService.setParameter('Lj', 10e-9);
+            circuitService.setParameter('Cc', undefined);
+            circuitService.addElement(new Resistor('R1', [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 })));
+            circuitService.bindElementToParameter('R1', 'resistance', 'Rq');
+            const snapshot = circuitService.exportState();
+
+            circuitService.removeParameter('Lj');
+            circuitService.importState(snapshot);
+            expect(circuitService.getParameters()).to.deep.equal({ Lj: 10e-9, Cc: undefined, Rq: 50 });
+            expect(circuitService.getElementByID('R1').getProperties().values.resistance).to.equal('variable');
+
+            circuitService.importState(JSON.stringify({ elements: [] }));
+            expect(circuitService.getParameters()).to.deep.equal({});
+        });
+    });
+});
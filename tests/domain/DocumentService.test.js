@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { DocumentService } from '../../src/application/DocumentService.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('DocumentService', () => {
+    let circuitService;
+    let doc;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        doc = new DocumentService(circuitService);
+    });
+
+    it('should become dirty on the first change and clean when saved', () => {
+        const onChange = sinon.spy();
+        doc.on('change', onChange);
+        expect(doc).to.include({ displayName: 'Untitled', dirty: false });
+
+        circuitService.emit('update', { type: 'movePreview' });
+        expect(doc.dirty).to.be.false;
+
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+        circuitService.setParameter('Lj', 1e-8);
+        expect(doc.dirty).to.be.true;
+        expect(onChange.calledOnce).to.be.true;
+
+        doc.setFile({ name: 'transmon.txt', handle: 'handle', format: 'netlist' });
+        expect(doc).to.include({ displayName: 'transmon.txt', handle: 'handle', format: 'netlist', dirty: false });
+        expect(onChange.calledTwice).to.be.true;
+    });
+
+    it('should become dirty when the project information changes', () => {
+        circuitService.setMetadata({ title: 'My chip' });
+
+        expect(doc.dirty).to.be.true;
+    });
+
+    it('should compare the circuit once a drag settles, not on every mouse move', () => {
+        const clock = sinon.useFakeTimers();
+        try {
+            const resistor = new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 }));
+            circuitService.addElement(resistor);
+            doc.markSaved();
+            const exportState = sinon.spy(circuitService, 'exportState');
+
+            for (let x = 10; x <= 50; x += 10) {
+                resistor.nodes = [p(x, 0), p(x + 50, 0)];
+                circuitService.emit('update', { type: 'dragElement', element: resistor });
+            }
+            expect(exportState.called).to.be.false;
+            expect(doc.dirty).to.be.false;
+
+            clock.tick(300);
+            expect(exportState.calledOnce).to.be.true;
+            expect(doc.dirty).to.be.true;
+        } finally {
+            clock.restore();
+        }
+    });
+});
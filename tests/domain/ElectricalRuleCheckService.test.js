@@ -0,0 +1,121 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { ElectricalRuleCheckService } from '../../src/application/ElectricalRuleCheckService.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Wire } from '../../src/domain/entities/Wire.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('ElectricalRuleCheckService Tests', () => {
+    let circuitService;
+    let erc;
+
+    const codes = () => erc.check().map(issue => issue.code);
+
+    /** Transmon: C and J in parallel between node (0,0)-(50,0) rail and ground. */
+    const addTransmon = () => {
+        circuitService.addElement(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 1e-13 })));
+        circuitService.addElement(new Junction('J1', [p(50, 0), p(50, 50)], new Label('Lj'), new Properties({})));
+        circuitService.addElement(new Wire('W1', [p(0, 0), p(50, 0)]));
+        circuitService.addElement(new Wire('W2', [p(0, 50), p(50, 50)]));
+        circuitService.addElement(new Ground('G1', [p(0, 50), p(0, 100)], null, new Properties({ orientation: 180 })));
+    };
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        erc = new ElectricalRuleCheckService(circuitService);
+    });
+
+    it('should report no issues for a well-formed circuit', () => {
+        addTransmon();
+        expect(erc.check()).to.deep.equal([]);
+    });
+
+    it('should report nothing for an empty circuit', () => {
+        expect(erc.check()).to.deep.equal([]);
+    });
+
+    it('should flag floating terminals', () => {
+        addTransmon();
+        circuitService.addElement(new Resistor('R1', [p(200, 0), p(250, 0)], null, new Properties({ resistance: 50 })));
+
+        const floating = erc.check().filter(issue => issue.code === 'floating-terminal');
+        expect(floating).to.have.length(2);
+        expect(floating[0].elementIds).to.deep.equal(['R1']);
+        expect(floating[0].severity).to.equal('error');
+    });
+
+    it('should flag dangling wires', () => {
+        addTransmon();
+        circuitService.addElement(new Wire('W3', [p(50, 0), p(100, 0)]));
+
+        const issues = erc.check().filter(issue => issue.code === 'dangling-wire');
+        expect(issues.map(issue => issue.elementIds[0])).to.deep.equal(['W3']);
+    });
+
+    it('should not flag a wire ending on the body of another wire', () => {
+        addTransmon();
+        circuitService.addElement(new Wire('W3', [p(25, 0), p(25, -50)]));
+        circuitService.addElement(new Wire('W4', [p(0, -50), p(50, -50)]));
+
+        // W3 reaches both W1's body and W4's body; W4's ends touch nothing.
+        const dangling = erc.check().filter(issue => issue.code === 'dangling-wire').map(issue => issue.elementIds[0]);
+        expect(dangling).to.deep.equal(['W4']);
+    });
+
+    it('should flag elements shorted by a wire', () => {
+        addTransmon();
+        circuitService.addElement(new Wire('W3', [p(0, 0), p(0, 50)]));
+
+        expect(codes()).to.include('shorted-element');
+        const shorted = erc.check().filter(issue => issue.code === 'shorted-element').map(issue => issue.elementIds[0]);
+        expect(shorted).to.have.members(['C1', 'J1']);
+    });
+
+    it('should warn when there is no ground', () => {
+        circuitService.addElement(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 1e-13 })));
+        circuitService.addElement(new Junction('J1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: 1e-8 })));
+
+        const issue = erc.check().find(i => i.code === 'missing-ground');
+        expect(issue.severity).to.equal('warning');
+        expect(issue.elementIds).to.deep.equal([]);
+    });
+
+    it('should flag components with neither value nor label', () => {
+        addTransmon();
+        circuitService.getElementByID('J1').label = null;
+
+        const issue = erc.check().find(i => i.code === 'missing-value');
+        expect(issue.elementIds).to.deep.equal(['J1']);
+    });
+
+    it('should accept a label in place of a value', () => {
+        addTransmon();
+        expect(codes()).to.not.include('missing-value');
+    });
+
+    it('should flag overlapping components', () => {
+        circuitService.addElement(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 1e-13 })));
+        circuitService.addElement(new Junction('J1', [p(0, 50), p(0, 0)], null, new Properties({ inductance: 1e-8 })));
+        circuitService.addElement(new Resistor('R1', [p(0, 50), p(0, 100)], null, new Properties({ resistance: 50 })));
+
+        const overlaps = erc.check().filter(issue => issue.code === 'overlapping-components');
+        expect(overlaps).to.have.length(1);
+        expect(overlaps[0].elementIds).to.deep.equal(['C1', 'J1']);
+    });
+
+    it('should list errors before warnings', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 50 })));
+
+        const severities = erc.check().map(issue => issue.severity);
+        expect(severities).to.deep.equal(['error', 'error', 'warning']);
+    });
+});
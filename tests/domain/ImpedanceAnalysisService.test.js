@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { ImpedanceAnalysisService } from '../../src/application/ImpedanceAnalysisService.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Inductor } from '../../src/domain/entities/Inductor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('ImpedanceAnalysisService Tests', () => {
+    let circuitService;
+    let impedance;
+
+    const add = (element) => circuitService.addElement(element);
+    const nodeOf = (id, terminal) => impedance.nodeExtractionService.getNodeOfTerminal(id, terminal);
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        impedance = new ImpedanceAnalysisService(circuitService);
+        add(new Ground('G1', [p(0, 50), p(0, 100)], null, new Properties({ orientation: 180 })));
+    });
+
+    it('should give the resistance of a resistor to ground', () => {
+        add(new Resistor('R1', [p(0, 0), p(0, 50)], null, new Properties({ resistance: 50 })));
+
+        const [point] = impedance.compute(nodeOf('R1', 0), 0, [5e9]);
+        expect(point.re).to.be.closeTo(50, 1e-6);
+        expect(point.im).to.be.closeTo(0, 1e-6);
+        expect(point.phase).to.be.closeTo(0, 1e-6);
+    });
+
+    it('should peak at the resonance of a damped parallel LC', () => {
+        const R = 1e4, L = 10e-9, C = 100e-15;
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: C })));
+        add(new Inductor('L1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: L })));
+        add(new Resistor('R1', [p(0, 0), p(0, 50)], null, new Properties({ resistance: R })));
+
+        const f0 = 1 / (2 * Math.PI * Math.sqrt(L * C));
+        const [below, resonance, above] = impedance.compute(nodeOf('C1', 0), 0, [0.9 * f0, f0, 1.1 * f0]);
+
+        expect(resonance.magnitude).to.be.closeTo(R, 1e-3);
+        expect(below.magnitude).to.be.lessThan(resonance.magnitude);
+        expect(above.magnitude).to.be.lessThan(resonance.magnitude);
+        // Inductive below resonance, capacitive above.
+        expect(below.phase).to.be.greaterThan(0);
+        expect(above.phase).to.be.lessThan(0);
+    });
+
+    it('should be symmetric and vanish between a node and itself', () => {
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 100e-15 })));
+        add(new Junction('J1', [p(0, 0), p(50, 0)], new Label('Lj'), new Properties({})));
+        add(new Capacitor('C2', [p(50, 0), p(50, 50)], null, new Properties({ capacitance: 50e-15 })));
+        add(new Ground('G2', [p(50, 50), p(50, 100)], null, new Properties({ orientation: 180 })));
+
+        const a = nodeOf('C1', 0);
+        const b = nodeOf('C2', 0);
+        expect(() => impedance.compute(a, b, [5e9])).to.throw('Missing values for: Lj');
+
+        const [ab] = impedance.compute(a, b, [5e9], { Lj: 10e-9 });
+        const [ba] = impedance.compute(b, a, [5e9], { Lj: 10e-9 });
+        expect(ab.re).to.be.closeTo(ba.re, 1e-9);
+        expect(ab.im).to.be.closeTo(ba.im, 1e-9);
+        expect(impedance.compute(a, a, [5e9], { Lj: 10e-9 })[0].magnitude).to.equal(0);
+        expect(() => impedance.compute(a, 42, [5e9])).to.throw('Unknown node: 42');
+    });
+
+    it('should build linear and logarithmic frequency grids', () => {
+        expect(ImpedanceAnalysisService.frequencyGrid(1, 3, 3)).to.deep.equal([1, 2, 3]);
+        const log = ImpedanceAnalysisService.frequencyGrid(1e6, 1e9, 4, 'log');
+        [1e6, 1e7, 1e8, 1e9].forEach((f, i) => expect(log[i] / f).to.be.closeTo(1, 1e-12));
+    });
+
+    it('should export the curve as CSV', () => {
+        const csv = ImpedanceAnalysisService.toCSV([{ frequency: 1e9, re: 50, im: 0, magnitude: 50, phase: 0 }]);
+        expect(csv).to.equal('frequency_Hz,re_Z_Ohm,im_Z_Ohm,abs_Z_Ohm,phase_deg\n1000000000,50,0,50,0\n');
+    });
+});
@@ -0,0 +1,107 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { NodeExtractionService, GROUND_NODE } from '../../src/application/NodeExtractionService.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Wire } from '../../src/domain/entities/Wire.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('NodeExtractionService Tests', () => {
+    let circuitService;
+    let nodes;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        nodes = new NodeExtractionService(circuitService);
+    });
+
+    it('should merge shared terminals into one node', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+        circuitService.addElement(new Capacitor('C1', [p(50, 0), p(100, 0)], null, new Properties({ capacitance: 1 })));
+
+        expect(nodes.getNodeOfTerminal('R1', 1)).to.equal(nodes.getNodeOfTerminal('C1', 0));
+        expect(nodes.getNodeOfTerminal('R1', 0)).to.not.equal(nodes.getNodeOfTerminal('R1', 1));
+        expect(nodes.getNodeIds()).to.have.length(3);
+    });
+
+    it('should merge the two ends of a wire', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+        circuitService.addElement(new Wire('W1', [p(50, 0), p(50, 100)]));
+        circuitService.addElement(new Capacitor('C1', [p(50, 100), p(100, 100)], null, new Properties({ capacitance: 1 })));
+
+        expect(nodes.getNodeOfTerminal('R1', 1)).to.equal(nodes.getNodeOfTerminal('C1', 0));
+        const onNode = nodes.getElementsOnNode(nodes.getNodeOfTerminal('R1', 1)).map(el => el.id);
+        expect(onNode).to.have.members(['R1', 'W1', 'C1']);
+    });
+
+    it('should connect a terminal lying on the body of a wire', () => {
+        circuitService.addElement(new Wire('W1', [p(0, 0), p(100, 0)]));
+        circuitService.addElement(new Resistor('R1', [p(50, 0), p(50, 50)], null, new Properties({ resistance: 1 })));
+
+        expect(nodes.getNodeOfTerminal('R1', 0)).to.equal(nodes.getNodeOfTerminal('W1', 0));
+    });
+
+    it('should not connect crossing wires', () => {
+        circuitService.addElement(new Wire('W1', [p(0, 50), p(100, 50)]));
+        circuitService.addElement(new Wire('W2', [p(50, 0), p(50, 100)]));
+
+        expect(nodes.getNodeOfTerminal('W1', 0)).to.not.equal(nodes.getNodeOfTerminal('W2', 0));
+    });
+
+    it('should number the ground net 0 and ignore the ground body terminal', () => {
+        circuitService.addElement(new Junction('J1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: 1e-8 })));
+        circuitService.addElement(new Ground('G1', [p(0, 50), p(0, 100)], null, new Properties({ orientation: 180 })));
+
+        expect(nodes.getNodeOfTerminal('J1', 1)).to.equal(GROUND_NODE);
+        expect(nodes.getNodeOfTerminal('G1', 0)).to.equal(GROUND_NODE);
+        expect(nodes.getNodeOfTerminal('G1', 1)).to.be.null;
+        expect(nodes.getNodeOfTerminal('J1', 0)).to.equal(1);
+        expect(nodes.getGraph().hasGround).to.be.true;
+    });
+
+    it('should number nodes from 1 when there is no ground', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+
+        expect(nodes.getNodeIds()).to.deep.equal([1, 2]);
+        expect(nodes.getGraph().hasGround).to.be.false;
+    });
+
+    it('should filter wires out of node members on request', () => {
+        circuitService.addElement(new Wire('W1', [p(0, 0), p(50, 0)]));
+        circuitService.addElement(new Resistor('R1', [p(50, 0), p(100, 0)], null, new Properties({ resistance: 1 })));
+
+        const node = nodes.getNodeOfTerminal('R1', 0);
+        expect(nodes.getElementsOnNode(node, { includeWires: false }).map(el => el.id)).to.deep.equal(['R1']);
+    });
+
+    it('should return null for unknown elements or terminals', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+
+        expect(nodes.getNodeOfTerminal('missing', 0)).to.be.null;
+        expect(nodes.getNodeOfTerminal('R1', 5)).to.be.null;
+    });
+
+    it('should rebuild the graph after the circuit changes', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+        circuitService.addElement(new Capacitor('C1', [p(100, 0), p(150, 0)], null, new Properties({ capacitance: 1 })));
+        expect(nodes.getNodeOfTerminal('R1', 1)).to.not.equal(nodes.getNodeOfTerminal('C1', 0));
+
+        circuitService.addElement(new Wire('W1', [p(50, 0), p(100, 0)]));
+        expect(nodes.getNodeOfTerminal('R1', 1)).to.equal(nodes.getNodeOfTerminal('C1', 0));
+    });
+
+    it('should find the node closest to a point', () => {
+        circuitService.addElement(new Resistor('R1', [p(0, 0), p(50, 0)], null, new Properties({ resistance: 1 })));
+
+        expect(nodes.findNodeAt(48, 3)).to.equal(nodes.getNodeOfTerminal('R1', 1));
+        expect(nodes.findNodeAt(2, 0)).to.equal(nodes.getNodeOfTerminal('R1', 0));
+        expect(nodes.findNodeAt(25, 0)).to.be.null;
+    });
+});
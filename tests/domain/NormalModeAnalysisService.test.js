@@ -0,0 +1,180 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { NormalModeAnalysisService } from '../../src/application/NormalModeAnalysisService.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Inductor } from '../../src/domain/entities/Inductor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+const lcFrequency = (L, C) => 1 / (2 * Math.PI * Math.sqrt(L * C));
+
+describe('NormalModeAnalysisService Tests', () => {
+    let circuitService;
+    let analysis;
+
+    const add = (element) => circuitService.addElement(element);
+    const ground = (id, x, y) => add(new Ground(id, [p(x, y), p(x, y + 50)], null, new Properties({ orientation: 180 })));
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        analysis = new NormalModeAnalysisService(circuitService);
+    });
+
+    it('should find the frequency of an LC resonator', () => {
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 100e-15 })));
+        add(new Inductor('L1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: 10e-9 })));
+        ground('G1', 0, 50);
+
+        const { modes } = analysis.analyze();
+        expect(modes).to.have.length(1);
+        expect(modes[0].frequency).to.be.closeTo(lcFrequency(10e-9, 100e-15), 1);
+        expect(modes[0].Q).to.equal(Infinity);
+        expect(modes[0].kappa).to.equal(0);
+    });
+
+    it('should take label-only junction values from labelValues', () => {
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 100e-15 })));
+        add(new Junction('J1', [p(0, 0), p(0, 50)], new Label('Lj'), new Properties({})));
+        ground('G1', 0, 50);
+
+        expect(analysis.getUnresolvedLabels()).to.deep.equal(['Lj']);
+        expect(() => analysis.analyze()).to.throw('Missing values for: Lj');
+
+        const { modes } = analysis.analyze({ Lj: 10e-9 });
+        expect(modes[0].frequency).to.be.closeTo(lcFrequency(10e-9, 100e-15), 1);
+        expect(analysis.getUnresolvedLabels({ Lj: 10e-9 })).to.deep.equal([]);
+    });
+
+    it('should take junction values from circuit parameters', () => {
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 100e-15 })));
+        add(new Junction('J1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: 4e-9 })));
+        ground('G1', 0, 50);
+        circuitService.bindElementToParameter('J1', 'inductance', 'Lj');
+        circuitService.setParameter('Lj', 10e-9);
+
+        expect(analysis.getUnresolvedLabels()).to.deep.equal([]);
+        // Parameter values take precedence over labelValues
+        const { modes } = analysis.analyze({ Lj: 1e-9 });
+        expect(modes[0].frequency).to.be.closeTo(lcFrequency(10e-9, 100e-15), 1);
+    });
+
+    it('should compute Q from a parallel resistor', () => {
+        const R = 1e6, L = 10e-9, C = 100e-15;
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: C })));
+        add(new Inductor('L1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: L })));
+        add(new Resistor('R1', [p(0, 0), p(0, 50)], null, new Properties({ resistance: R })));
+        ground('G1', 0, 50);
+
+        const [mode] = analysis.analyze().modes;
+        expect(mode.Q / (mode.omega * R * C)).to.be.closeTo(1, 1e-9);
+        expect(mode.kappa).to.be.closeTo(1 / (R * C), 1e-3);
+    });
+
+    it('should eliminate nodes without capacitance', () => {
+        // C to ground at node A; L1 from A to B; L2 from B to ground: effective L = L1 + L2.
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 100e-15 })));
+        add(new Inductor('L1', [p(0, 0), p(50, 0)], null, new Properties({ inductance: 4e-9 })));
+        add(new Inductor('L2', [p(50, 0), p(50, 50)], null, new Properties({ inductance: 6e-9 })));
+        ground('G1', 0, 50);
+        ground('G2', 50, 50);
+
+        const { modes } = analysis.analyze();
+        expect(modes).to.have.length(1);
+        expect(modes[0].frequency).to.be.closeTo(lcFrequency(10e-9, 100e-15), 1);
+    });
+
+    it('should split the modes of two capacitively coupled resonators', () => {
+        const L = 10e-9, C = 100e-15, Cc = 5e-15;
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: C })));
+        add(new Inductor('L1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: L })));
+        add(new Capacitor('Cc', [p(0, 0), p(50, 0)], null, new Properties({ capacitance: Cc })));
+        add(new Capacitor('C2', [p(50, 0), p(50, 50)], null, new Properties({ capacitance: C })));
+        add(new Inductor('L2', [p(50, 0), p(50, 50)], null, new Properties({ inductance: L })));
+        ground('G1', 0, 50);
+        ground('G2', 50, 50);
+
+        const { modes } = analysis.analyze();
+        expect(modes).to.have.length(2);
+        expect(modes[0].frequency).to.be.closeTo(lcFrequency(L, C + 2 * Cc), 1);
+        expect(modes[1].frequency).to.be.closeTo(lcFrequency(L, C), 1);
+    });
+
+    it('should drop zero-frequency solutions of an ungrounded circuit', () => {
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 100e-15 })));
+        add(new Inductor('L1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: 10e-9 })));
+
+        const { modes } = analysis.analyze();
+        expect(modes).to.have.length(1);
+        expect(modes[0].frequency).to.be.closeTo(lcFrequency(10e-9, 100e-15), 1);
+    });
+});
+
+describe('NormalModeAnalysisService Kerr Tests', () => {
+    const HBAR = 6.62607015e-34 / (2 * Math.PI);
+    const E = 1.602176634e-19;
+    const PHI0 = HBAR / (2 * E);
+
+    let circuitService;
+    let analysis;
+
+    const add = (element) => circuitService.addElement(element);
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        analysis = new NormalModeAnalysisService(circuitService);
+        add(new Ground('G1', [p(0, 50), p(0, 100)], null, new Properties({ orientation: 180 })));
+    });
+
+    it('should give the charging energy as transmon anharmonicity', () => {
+        const C = 100e-15;
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: C })));
+        add(new Junction('J1', [p(0, 0), p(0, 50)], new Label('Lj'), new Properties({})));
+
+        const { f, A, chi, participation, junctions } = analysis.computeKerr({ Lj: 10e-9 });
+        const chargingEnergyHz = E ** 2 / (2 * C) / (2 * Math.PI * HBAR);
+
+        expect(f).to.have.length(1);
+        expect(participation[0][0]).to.be.closeTo(1, 1e-12);
+        expect(A[0] / chargingEnergyHz).to.be.closeTo(1, 1e-9);
+        expect(chi[0][0]).to.be.closeTo(2 * A[0], 1e-6);
+        expect(junctions).to.deep.equal([{ id: 'J1', label: 'Lj', inductance: 10e-9 }]);
+    });
+
+    it('should weight junctions by their energy participation', () => {
+        const C = 100e-15, Lj = 10e-9;
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: C })));
+        add(new Junction('J1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: Lj })));
+        add(new Inductor('L1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: Lj })));
+
+        const { f, A, participation } = analysis.computeKerr();
+        const omega = 2 * Math.PI * f[0];
+        const expected = 0.25 * HBAR * omega ** 2 / (8 * PHI0 ** 2 / Lj) / (2 * Math.PI);
+
+        expect(participation[0][0]).to.be.closeTo(0.5, 1e-12);
+        expect(A[0] / expected).to.be.closeTo(1, 1e-9);
+    });
+
+    it('should give a symmetric cross-Kerr matrix for coupled transmons', () => {
+        add(new Ground('G2', [p(50, 50), p(50, 100)], null, new Properties({ orientation: 180 })));
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: 100e-15 })));
+        add(new Junction('J1', [p(0, 0), p(0, 50)], null, new Properties({ inductance: 10e-9 })));
+        add(new Capacitor('Cc', [p(0, 0), p(50, 0)], null, new Properties({ capacitance: 2e-15 })));
+        add(new Capacitor('C2', [p(50, 0), p(50, 50)], null, new Properties({ capacitance: 90e-15 })));
+        add(new Junction('J2', [p(50, 0), p(50, 50)], null, new Properties({ inductance: 12e-9 })));
+
+        const { f, A, chi, k } = analysis.computeKerr();
+        expect(f).to.have.length(2);
+        expect(chi[0][1]).to.be.closeTo(chi[1][0], 1e-6);
+        expect(chi[0][1]).to.be.greaterThan(0);
+        // First order: χ_mn ≤ 2·sqrt(A_m·A_n), with equality for a single junction.
+        expect(chi[0][1]).to.be.lessThan(2 * Math.sqrt(A[0] * A[1]));
+        expect(k).to.deep.equal([0, 0]);
+    });
+});
@@ -0,0 +1,92 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { ParameterSweepService, sweepModeFrequencies } from '../../src/application/ParameterSweepService.js';
+import { NormalModeAnalysisService } from '../../src/application/NormalModeAnalysisService.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Inductor } from '../../src/domain/entities/Inductor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+const lcFrequency = (L, C) => 1 / (2 * Math.PI * Math.sqrt(L * C));
+
+describe('ParameterSweepService Tests', () => {
+    const C = 100e-15;
+    let circuitService;
+    let sweep;
+
+    const add = (element) => circuitService.addElement(element);
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        sweep = new ParameterSweepService(circuitService);
+        add(new Ground('G1', [p(0, 50), p(0, 100)], null, new Properties({ orientation: 180 })));
+        add(new Capacitor('C1', [p(0, 0), p(0, 50)], null, new Properties({ capacitance: C })));
+        add(new Junction('J1', [p(0, 0), p(0, 50)], new Label('Lj'), new Properties({})));
+        circuitService.setParameter('Lj', 10e-9);
+    });
+
+    it('should sweep the frequency of a transmon against Lj', async () => {
+        const values = ParameterSweepService.valueGrid(5e-9, 20e-9, 25);
+        const progress = [];
+        const result = await sweep.run('Lj', values, {}, {
+            chunkSize: 10,
+            onProgress: (done, total) => progress.push([done, total]),
+        });
+
+        expect(result.parameter).to.equal('Lj');
+        expect(result.frequencies).to.have.length(25);
+        result.values.forEach((L, i) => {
+            expect(result.frequencies[i]).to.have.length(1);
+            expect(result.frequencies[i][0]).to.be.closeTo(lcFrequency(L, C), 1);
+        });
+        expect(progress).to.deep.equal([[10, 25], [20, 25], [25, 25]]);
+    });
+
+    it('should match the normal-mode analysis for coupled resonators', () => {
+        add(new Ground('G2', [p(50, 50), p(50, 100)], null, new Properties({ orientation: 180 })));
+        add(new Capacitor('Cc', [p(0, 0), p(50, 0)], null, new Properties({ capacitance: 5e-15 })));
+        add(new Capacitor('C2', [p(50, 0), p(50, 50)], null, new Properties({ capacitance: 90e-15 })));
+        add(new Inductor('L2', [p(50, 0), p(50, 50)], null, new Properties({ inductance: 10e-9 })));
+
+        const [frequencies] = sweepModeFrequencies(sweep.prepare('Lj', [12e-9]));
+        circuitService.setParameter('Lj', 12e-9);
+        const { modes } = new NormalModeAnalysisService(circuitService).analyze();
+
+        expect(frequencies).to.have.length(2);
+        frequencies.forEach((f, m) => expect(f).to.be.closeTo(modes[m].frequency, 1e-3));
+    });
+
+    it('should reject unused parameters and invalid values', () => {
+        circuitService.setParameter('Cc', 1e-15);
+        expect(() => sweep.prepare('Cc', [1e-15])).to.throw('No component uses parameter "Cc"');
+        expect(() => sweep.prepare('Lj', [0, 1e-9])).to.throw('Sweep values must be positive numbers');
+    });
+
+    it('should stop when cancelled', async () => {
+        const abort = new AbortController();
+        const promise = sweep.run('Lj', ParameterSweepService.valueGrid(5e-9, 20e-9, 30), {}, {
+            chunkSize: 10,
+            signal: abort.signal,
+            onProgress: () => abort.abort(),
+        });
+
+        let error = null;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an('error').with.property('message', 'Sweep cancelled');
+    });
+
+    it('should export one column per mode as CSV', () => {
+        const csv = ParameterSweepService.toCSV({ parameter: 'Lj', values: [1e-9, 2e-9], frequencies: [[5e9, 7e9], [4e9]] });
+        expect(csv).to.equal('Lj,f0_Hz,f1_Hz\n1e-9,5000000000,7000000000\n2e-9,4000000000,\n');
+    });
+});
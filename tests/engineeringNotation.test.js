@@ -0,0 +1,59 @@
+import { expect } from 'chai';
+import {
+    parseEngineeringValue,
+    formatWithPrefix,
+    formatExactWithPrefix,
+} from '../src/utils/engineeringNotation.js';
+
+describe('engineeringNotation', () => {
+    it('should parse SI prefixes and optional units', () => {
+        expect(parseEngineeringValue('1 fF', 'F')).to.equal(1e-15);
+        expect(parseEngineeringValue('1f')).to.equal(1e-15);
+        expect(parseEngineeringValue('4.5nH', 'H')).to.equal(4.5e-9);
+        expect(parseEngineeringValue('10 kΩ', 'Ω')).to.equal(1e4);
+        expect(parseEngineeringValue('50 ohm', 'Ω')).to.equal(50);
+        expect(parseEngineeringValue('2.2 uF')).to.equal(2.2e-6);
+        expect(parseEngineeringValue('2.2 μF')).to.equal(2.2e-6);
+        expect(parseEngineeringValue('1 m')).to.equal(1e-3);
+        expect(parseEngineeringValue('1 M')).to.equal(1e6);
+        expect(parseEngineeringValue('1e-15')).to.equal(1e-15);
+    });
+
+    it('should convert between accepted units', () => {
+        const units = { Hz: 1, J: 2 };
+        expect(parseEngineeringValue('20 GHz', units)).to.equal(2e10);
+        expect(parseEngineeringValue('20G', units)).to.equal(2e10);
+        expect(parseEngineeringValue('3 J', units)).to.equal(6);
+        expect(() => parseEngineeringValue('1 H', units)).to.throw('expected a value in Hz or J, not H');
+    });
+
+    it('should evaluate simple arithmetic', () => {
+        expect(parseEngineeringValue('2*4.5e-9')).to.equal(9e-9);
+        expect(parseEngineeringValue('(10n + 5n) / 3')).to.be.closeTo(5e-9, 1e-24);
+        expect(parseEngineeringValue('-2 * -3k')).to.equal(6000);
+    });
+
+    it('should reject input it cannot read', () => {
+        expect(() => parseEngineeringValue('')).to.throw('no value');
+        expect(() => parseEngineeringValue('1 xF')).to.throw('Cannot read "1 xF": unexpected "xF"');
+        expect(() => parseEngineeringValue('1 nH', 'F')).to.throw('expected a value in F, not H');
+        expect(() => parseEngineeringValue('(1')).to.throw('missing ")"');
+        expect(() => parseEngineeringValue('1/0')).to.throw('not a finite number');
+    });
+
+    it('should round-trip through formatWithPrefix', () => {
+        [4.5e-9, 100e-15, 50, 10e3, 1.5e9, 0].forEach(value => {
+            expect(parseEngineeringValue(formatWithPrefix(value, 'H'), 'H')).to.equal(value);
+        });
+        expect(formatWithPrefix(4.5678e-9, 'H')).to.equal('4.57 nH');
+        expect(parseEngineeringValue(formatWithPrefix(1.5e-6, 'F'), 'F')).to.be.closeTo(1.5e-6, 1e-18);
+    });
+
+    it('should format values exactly for input fields', () => {
+        [4.5678e-9, 1 / 3 * 1e-12, 1e-16, 12345.678, -7.25e-3].forEach(value => {
+            expect(parseEngineeringValue(formatExactWithPrefix(value, 'F'), 'F')).to.equal(value);
+        });
+        expect(formatExactWithPrefix(4.5e-9, 'H')).to.equal('4.5 nH');
+        expect(formatExactWithPrefix(1e-8, '')).to.equal('10 n');
+    });
+});
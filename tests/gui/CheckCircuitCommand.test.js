@@ -0,0 +1,90 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { CheckCircuitCommand } from "../../src/gui/commands/CheckCircuitCommand.js";
+import { ElectricalRuleCheckService } from "../../src/application/ElectricalRuleCheckService.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("CheckCircuitCommand Tests", function () {
+    let circuitService;
+    let circuitRenderer;
+    let notify;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        notify = sinon.spy();
+    });
+
+    it("should notify success on an empty circuit", function () {
+        const command = new CheckCircuitCommand(circuitService, circuitRenderer, notify);
+        const result = command.execute();
+
+        expect(result.undo).to.be.a("function");
+        expect(notify.calledOnceWith(sinon.match(/no issues/), "success")).to.be.true;
+    });
+
+    it("should notify an error summary when issues are found", function () {
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 })));
+
+        new CheckCircuitCommand(circuitService, circuitRenderer, notify).execute();
+
+        expect(notify.calledOnceWith(sinon.match(/2 error\(s\), 1 warning\(s\)/), "error")).to.be.true;
+    });
+
+    it("should select and zoom to the elements of an issue", function () {
+        const resistor = new Resistor("R1", [new Position(100, 100), new Position(150, 100)], null, new Properties({ resistance: 50 }));
+        circuitService.addElement(resistor);
+
+        const command = new CheckCircuitCommand(circuitService, circuitRenderer, notify);
+        command._focusIssue({ code: "floating-terminal", severity: "error", message: "", elementIds: ["R1"] });
+
+        expect(circuitRenderer.getSelectedElements()).to.deep.equal([resistor]);
+        // Element centre (125, 100) lands in the middle of the 800x600 view.
+        expect(125 * circuitRenderer.scale + circuitRenderer.offsetX).to.be.closeTo(400, 1e-9);
+        expect(100 * circuitRenderer.scale + circuitRenderer.offsetY).to.be.closeTo(300, 1e-9);
+    });
+
+    it("should not add circuit listeners on repeated runs", function () {
+        const ercService = new ElectricalRuleCheckService(circuitService);
+        const listeners = circuitService.events.update.length;
+
+        for (let run = 0; run < 3; run++) {
+            new CheckCircuitCommand(circuitService, circuitRenderer, notify, ercService).execute();
+        }
+
+        expect(circuitService.events.update).to.have.length(listeners);
+        ercService.nodeExtractionService.dispose();
+        expect(circuitService.events.update).to.have.length(listeners - 1);
+    });
+});
+
+describe("CircuitRenderer.zoomToFit", function () {
+    it("should clamp the scale to the zoom limits", function () {
+        const circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        const renderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 1 })));
+        renderer.zoomToFit();
+        expect(renderer.scale).to.equal(3.0);
+
+        circuitService.addElement(new Resistor("R2", [new Position(0, 0), new Position(5000, 0)], null, new Properties({ resistance: 1 })));
+        renderer.zoomToFit();
+        expect(renderer.scale).to.equal(1.0);
+    });
+
+    it("should do nothing for an empty circuit", function () {
+        const circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        const renderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        const { scale, offsetX, offsetY } = renderer;
+
+        renderer.zoomToFit();
+        expect([renderer.scale, renderer.offsetX, renderer.offsetY]).to.deep.equal([scale, offsetX, offsetY]);
+    });
+});
@@ -0,0 +1,79 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { DocumentService } from "../../src/application/DocumentService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { DropFileCommand } from "../../src/gui/commands/DropFileCommand.js";
+import { ProjectFileAdapter } from "../../src/infrastructure/adapters/ProjectFileAdapter.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Label } from "../../src/domain/valueObjects/Label.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { CommandHistory } from "../../src/gui/commands/CommandHistory.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+const droppedFile = (name, content) => ({ name, text: async () => content });
+
+describe("DropFileCommand", function () {
+    let circuitService;
+    let circuitRenderer;
+    let documentService;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        documentService = new DocumentService(circuitService);
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(50, 0)], new Label("R_1"), new Properties({ resistance: 50 })));
+    });
+
+    it("should replace the circuit with a dropped netlist and record the file", async function () {
+        const file = droppedFile("qubit.txt", "C;0,0;0,5;1e-13;C_1\nL;5,0;5,5;1e-8;L_1");
+        circuitService.setMetadata({ title: "Before" });
+        const history = new CommandHistory();
+
+        await history.executeCommand(new DropFileCommand(circuitService, circuitRenderer, documentService, sinon.spy(), { file, position: { x: 0, y: 0 } }), circuitService);
+
+        expect(circuitService.getElements().map(el => el.type)).to.deep.equal(["capacitor", "inductor"]);
+        expect(documentService.name).to.equal("qubit.txt");
+        expect(documentService.format).to.equal("netlist");
+        expect(documentService.handle).to.be.null;
+        expect(circuitService.getMetadata().title).to.equal("");
+        history.undo(circuitService);
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R1"]);
+        expect(circuitService.getMetadata().title).to.equal("Before");
+    });
+
+    it("should insert a dropped project at the drop point with renumbered IDs", async function () {
+        const source = new CircuitService(new Circuit(), ElementRegistry);
+        source.addElement(new Resistor("R1", [new Position(0, 0), new Position(100, 0)], new Label("R_2"), new Properties({ resistance: 75 })));
+        source.setParameter("Lj", 8e-9);
+        const file = droppedFile("block.json", ProjectFileAdapter.exportToString(source));
+        const notify = sinon.spy();
+
+        const history = new CommandHistory();
+
+        await history.executeCommand(new DropFileCommand(circuitService, circuitRenderer, documentService, notify, { file, position: { x: 520, y: 290 }, merge: true }), circuitService);
+
+        const inserted = circuitService.getElements().find(el => el.label?.value === "R_2");
+        expect(circuitService.getElements()).to.have.length(2);
+        expect(inserted.id).to.equal("R2");
+        // Centre (50, 0) moved onto (520, 290) by whole grid steps
+        expect(inserted.nodes.map(({ x, y }) => [x, y])).to.deep.equal([[450, 300], [550, 300]]);
+        expect(circuitService.circuit.parameters.get("Lj")).to.equal(8e-9);
+        expect(circuitRenderer.getSelectedElements()).to.deep.equal([inserted]);
+        expect(notify.calledWithMatch(/Inserted 1 element/, "success")).to.be.true;
+        history.undo(circuitService);
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R1"]);
+    });
+
+    it("should report a file it cannot read", async function () {
+        const notify = sinon.spy();
+
+        await new DropFileCommand(circuitService, circuitRenderer, documentService, notify, { file: droppedFile("notes.txt", "not a circuit"), position: { x: 0, y: 0 } }).execute();
+
+        expect(notify.calledWithMatch(/Could not open notes.txt/, "error")).to.be.true;
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R1"]);
+    });
+});
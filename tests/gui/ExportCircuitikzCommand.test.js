@@ -0,0 +1,47 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { ExportCircuitikzCommand } from "../../src/gui/commands/ExportCircuitikzCommand.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { Capacitor } from "../../src/domain/entities/Capacitor.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("ExportCircuitikzCommand Tests", function () {
+    let circuitService;
+    let circuitRenderer;
+    let notify;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        notify = sinon.spy();
+    });
+
+    it("should notify an error on an empty circuit", function () {
+        const command = new ExportCircuitikzCommand(circuitService, circuitRenderer, notify);
+        command.execute();
+
+        expect(command.snippet).to.be.null;
+        expect(notify.calledOnceWith(sinon.match(/No circuit elements/), "error")).to.be.true;
+    });
+
+    it("should export the selection, or the whole circuit if nothing is selected", function () {
+        const resistor = new Resistor("R1", [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 }));
+        const capacitor = new Capacitor("C1", [new Position(50, 0), new Position(100, 0)], null, new Properties({ capacitance: 1e-12 }));
+        circuitService.addElement(resistor);
+        circuitService.addElement(capacitor);
+
+        const command = new ExportCircuitikzCommand(circuitService, circuitRenderer, notify);
+        command.execute();
+        expect(command.snippet).to.contain("to[R").and.to.contain("to[C");
+
+        circuitRenderer.setSelectedElements([capacitor]);
+        command.execute();
+        expect(command.snippet).to.contain("\\draw (0,0) to[C, a=\\SI{1}{pF}] (5,0);").and.not.to.contain("to[R");
+    });
+});
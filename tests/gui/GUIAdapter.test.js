@@ -12,11 +12,17 @@ import {
 import { Circuit } from '../../src/domain/aggregates/Circuit.js';
 import { CircuitService } from '../../src/application/CircuitService.js';
 import { GUIAdapter } from '../../src/gui/adapters/GUIAdapter.js';
+import { InsertElementsCommand } from '../../src/gui/commands/InsertElementsCommand.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
 
 import { createMockCanvas } from './canvasFixture.js';
 import { setupJsdom } from '../setup/jsdomSetup.js';
 
 const nextTick = () => Promise.resolve();
+const canvasHandler = (canvas, type) =>
+  canvas.addEventListener.getCalls().find(call => call.args[0] === type).args[1];
 
 describe('GUIAdapter (declarative actions)', () => {
   let canvas;
@@ -166,4 +172,31 @@ describe('GUIAdapter (declarative actions)', () => {
     await nextTick();
     expect(true).to.equal(true); // no throw
   });
+
+  it('places an inserted block with the mouse and puts it down on the grid', () => {
+    guiAdapter.initialize();
+    Object.assign(guiAdapter.circuitRenderer, { scale: 1, offsetX: 0, offsetY: 0 });
+    const block = [new Resistor('R1', [new Position(0, 0), new Position(100, 0)], null, new Properties({ resistance: 50 }))];
+    new InsertElementsCommand(circuitService, guiAdapter.circuitRenderer, block, { place: true }).execute();
+    const [placed] = circuitService.getElements();
+
+    canvasHandler(canvas, 'mousemove')({ clientX: 330, clientY: 240, button: 0 });
+    expect(placed.nodes.map(({ x, y }) => [x, y])).to.deep.equal([[280, 240], [380, 240]]);
+
+    canvasHandler(canvas, 'mousedown')({ clientX: 330, clientY: 240, button: 0 });
+    expect(placed.nodes.map(({ x, y }) => [x, y])).to.deep.equal([[300, 250], [400, 250]]);
+    expect(guiAdapter.placingBlock).to.be.null;
+    expect(guiAdapter.circuitRenderer.getSelectedElements()).to.deep.equal([placed]);
+  });
+
+  it('removes a block being placed on Escape', () => {
+    guiAdapter.initialize();
+    const block = [new Resistor('R1', [new Position(0, 0), new Position(100, 0)], null, new Properties({ resistance: 50 }))];
+    new InsertElementsCommand(circuitService, guiAdapter.circuitRenderer, block, { place: true }).execute();
+
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(circuitService.getElements()).to.be.empty;
+    expect(guiAdapter.placingBlock).to.be.null;
+  });
 });
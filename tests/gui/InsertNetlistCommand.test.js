@@ -0,0 +1,42 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { InsertNetlistCommand } from "../../src/gui/commands/InsertNetlistCommand.js";
+import { NetlistImporter } from "../../src/infrastructure/adapters/NetlistImporter.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("InsertNetlistCommand", function () {
+    let circuitService;
+    let circuitRenderer;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+    });
+
+    it("should add a netlist to the circuit as a block to place, without ID clashes", function () {
+        const netlist = "C;0,0;0,5;1e-13;C_1\nJ;0,5;5,5;;Lj";
+        circuitService.setParameter("Lj", 8e-9);
+        const command = new InsertNetlistCommand(circuitService, circuitRenderer);
+        const onPlacing = sinon.spy();
+        circuitService.on("startPlacing", onPlacing);
+
+        // The same elements twice: the second copies need new IDs
+        const parsed = NetlistImporter.importFromString(netlist);
+        command.insert(parsed);
+        parsed.parameters.set("Lj", 1e-9);
+        const { undo } = command.insert(parsed);
+
+        const ids = circuitService.getElements().map(el => el.id);
+        expect(ids).to.have.length(4);
+        expect(new Set(ids).size).to.equal(4);
+        expect(circuitService.circuit.parameters.get("Lj")).to.equal(8e-9);
+        expect(onPlacing.lastCall.args[0].elements).to.deep.equal(circuitService.getElements().slice(2));
+        expect(circuitRenderer.getSelectedElements()).to.deep.equal(circuitService.getElements().slice(2));
+        undo();
+        expect(circuitService.getElements()).to.have.length(2);
+    });
+});
@@ -0,0 +1,37 @@
+import { expect } from "chai";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { OpenNetlistCommand } from "../../src/gui/commands/OpenNetlistCommand.js";
+import { CommandHistory } from "../../src/gui/commands/CommandHistory.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("OpenNetlistCommand", function () {
+    it("should not keep the parameters, project information or annotations of the previous circuit", async function () {
+        const circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        const circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 })));
+        circuitService.setParameter("Lj", 8e-9);
+        circuitService.setMetadata({ title: "Old Bench", author: "Someone" });
+        circuitService.circuit.annotations = [{ text: "old note", x: 0, y: 0 }];
+        const command = new OpenNetlistCommand(circuitService, circuitRenderer);
+        const history = new CommandHistory();
+
+        await history.executeCommand({ execute: () => command.loadContent("C;0,0;0,5;1e-13;C_1", "new.txt") }, circuitService);
+
+        expect(circuitService.getElements().map(el => el.type)).to.deep.equal(["capacitor"]);
+        expect([...circuitService.circuit.parameters.keys()]).to.be.empty;
+        expect(circuitService.getMetadata()).to.deep.equal({ title: "", author: "", notes: "" });
+        expect(circuitService.circuit.annotations).to.be.empty;
+
+        history.undo(circuitService);
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R1"]);
+        expect(circuitService.circuit.parameters.get("Lj")).to.equal(8e-9);
+        expect(circuitService.getMetadata()).to.include({ title: "Old Bench", author: "Someone" });
+        expect(circuitService.circuit.annotations).to.deep.equal([{ text: "old note", x: 0, y: 0 }]);
+    });
+});
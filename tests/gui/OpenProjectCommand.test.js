@@ -0,0 +1,90 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { OpenProjectCommand } from "../../src/gui/commands/OpenProjectCommand.js";
+import { SaveProjectCommand } from "../../src/gui/commands/SaveProjectCommand.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Label } from "../../src/domain/valueObjects/Label.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { AddElementCommand } from "../../src/gui/commands/AddElementCommand.js";
+import { CommandHistory } from "../../src/gui/commands/CommandHistory.js";
+import { generateId } from "../../src/utils/idGenerator.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("Project commands", function () {
+    let circuitService;
+    let circuitRenderer;
+    let project;
+
+    beforeEach(() => {
+        // Save a one-resistor project with a zoomed view...
+        const source = new CircuitService(new Circuit(), ElementRegistry);
+        source.addElement(new Resistor("R9", [new Position(0, 0), new Position(50, 0)], new Label("R_9"), new Properties({ resistance: 50 })));
+        source.setMetadata({ title: "Test Bench" });
+        const sourceRenderer = new CircuitRenderer(createMockCanvas(), source, rendererFactory, () => false);
+        Object.assign(sourceRenderer, { scale: 3, offsetX: 40, offsetY: 20 });
+
+        const save = new SaveProjectCommand(source, sourceRenderer);
+        project = save._serialize();
+        expect(save._filename()).to.equal("test-bench.jscircuit.json");
+
+        // ...and open it in an editor holding another circuit
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(0, 50)], null, new Properties({ resistance: 1 })));
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+    });
+
+    it("should replace the circuit and restore the saved view", function () {
+        const command = new OpenProjectCommand(circuitService, circuitRenderer, sinon.spy());
+        command.load(project);
+
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R9"]);
+        expect(circuitService.getMetadata().title).to.equal("Test Bench");
+        expect(circuitRenderer).to.include({ scale: 3, offsetX: 40, offsetY: 20 });
+    });
+
+    it("should undo through the command history to the previous circuit and information", function () {
+        circuitService.setMetadata({ title: "Old Bench" });
+        circuitService.circuit.annotations = [{ text: "old note", x: 0, y: 0 }];
+        const history = new CommandHistory();
+        const command = new OpenProjectCommand(circuitService, circuitRenderer, sinon.spy());
+
+        history.executeCommand({ execute: () => command.load(project) }, circuitService);
+        expect(circuitService.circuit.annotations).to.be.empty;
+        history.undo(circuitService);
+
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R1"]);
+        expect(circuitService.getMetadata().title).to.equal("Old Bench");
+        expect(circuitService.circuit.annotations).to.deep.equal([{ text: "old note", x: 0, y: 0 }]);
+        history.redo(circuitService);
+        expect(circuitService.getMetadata().title).to.equal("Test Bench");
+    });
+
+    it("should leave the circuit unchanged when the file cannot be read", function () {
+        const command = new OpenProjectCommand(circuitService, circuitRenderer, sinon.spy());
+
+        expect(() => command.load("not json")).to.throw(/Not a JSCircuit project/);
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R1"]);
+    });
+
+    it("should not reuse the opened element IDs for new elements", function () {
+        // An ID the counter has not reached yet, as in a project from an earlier session
+        const savedId = `R${Number(generateId()) + 1}`;
+        const saved = JSON.stringify({
+            elements: [{ id: savedId, type: "resistor", label: null, nodes: [{ x: 0, y: 0 }, { x: 50, y: 0 }], properties: { resistance: 50 } }],
+            parameters: {},
+        });
+        new OpenProjectCommand(circuitService, circuitRenderer, sinon.spy()).load(saved);
+
+        new AddElementCommand(circuitService, circuitRenderer, ElementRegistry, "resistor").execute();
+
+        const ids = circuitService.getElements().map(el => el.id);
+        expect(ids).to.have.length(2);
+        expect(ids[0]).to.equal(savedId);
+        expect(ids[1]).to.not.equal(savedId);
+    });
+});
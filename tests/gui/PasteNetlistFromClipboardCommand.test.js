@@ -1,4 +1,5 @@
 import { expect } from "chai";
+import sinon from "sinon";
 import { createMockCanvas } from "./canvasFixture.js";
 import { Circuit } from "../../src/domain/aggregates/Circuit.js";
 import { CircuitService } from "../../src/application/CircuitService.js";
@@ -8,6 +9,7 @@ import { Position } from "../../src/domain/valueObjects/Position.js";
 import { Properties } from "../../src/domain/valueObjects/Properties.js";
 import { Resistor } from "../../src/domain/entities/Resistor.js";
 import { QucatNetlistAdapter } from "../../src/infrastructure/adapters/QucatNetlistAdapter.js";
+import { CommandHistory } from "../../src/gui/commands/CommandHistory.js";
 import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
 
 describe("PasteNetlistFromClipboardCommand Tests", function () {
@@ -167,4 +169,27 @@ describe("PasteNetlistFromClipboardCommand Tests", function () {
         // Restore
         Object.defineProperty(document, 'body', { value: originalBody, configurable: true });
     });
+
+    it("should not keep the parameters, project information or annotations of the previous circuit", async function () {
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 })));
+        circuitService.setParameter("Lj", 8e-9);
+        circuitService.setMetadata({ title: "Old Bench", author: "Someone" });
+        circuitService.circuit.annotations = [{ text: "old note", x: 0, y: 0 }];
+        const command = new PasteNetlistFromClipboardCommand(circuitService, circuitRenderer, notify);
+        sinon.stub(command, "_showPasteDialog").callsFake((onImport) => onImport("C;0,0;0,5;1e-13;C_1", {}));
+        const history = new CommandHistory();
+
+        await history.executeCommand(command, circuitService);
+
+        expect(circuitService.getElements().map(el => el.type)).to.deep.equal(["capacitor"]);
+        expect([...circuitService.circuit.parameters.keys()]).to.be.empty;
+        expect(circuitService.getMetadata()).to.deep.equal({ title: "", author: "", notes: "" });
+        expect(circuitService.circuit.annotations).to.be.empty;
+
+        history.undo(circuitService);
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R1"]);
+        expect(circuitService.circuit.parameters.get("Lj")).to.equal(8e-9);
+        expect(circuitService.getMetadata()).to.include({ title: "Old Bench", author: "Someone" });
+        expect(circuitService.circuit.annotations).to.deep.equal([{ text: "old note", x: 0, y: 0 }]);
+    });
 });
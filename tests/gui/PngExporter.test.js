@@ -0,0 +1,77 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { SvgContext } from "../../src/gui/renderers/SvgContext.js";
+import { PngExporter } from "../../src/gui/renderers/PngExporter.js";
+import { ExportPngCommand } from "../../src/gui/commands/ExportPngCommand.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Label } from "../../src/domain/valueObjects/Label.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { Capacitor } from "../../src/domain/entities/Capacitor.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+/** Canvas factory whose context records the drawing, so pixel positions can be checked. */
+const recordingCanvas = (width, height) => {
+    const context = new SvgContext();
+    return { width, height, context, getContext: () => context };
+};
+
+describe("PngExporter", function () {
+    let circuitService;
+    let circuitRenderer;
+    let resistor;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        resistor = new Resistor("R1", [new Position(0, 0), new Position(50, 0)], new Label("R1"), new Properties({ resistance: 50 }));
+        circuitService.addElement(resistor);
+        circuitService.addElement(new Capacitor("C1", [new Position(200, 100), new Position(250, 100)], new Label("C1"), new Properties({ capacitance: 1e-15 })));
+    });
+
+    it("should scale the canvas with the resolution and crop to the drawing", function () {
+        const options = { padding: 20, transparent: true, createCanvas: recordingCanvas };
+        const screen = PngExporter.render(circuitService.getElements(), rendererFactory, options);
+        const print = PngExporter.render(circuitService.getElements(), rendererFactory, { ...options, dpi: 300 });
+
+        expect(print.width).to.be.closeTo(screen.width * 300 / 96, 1);
+        expect(print.height).to.be.closeTo(screen.height * 300 / 96, 1);
+
+        // The drawing sits inside the canvas, with the padding around it
+        const { minX, minY, maxX, maxY } = print.context.bounds;
+        const padding = 20 * 300 / 96;
+        expect(minX).to.be.within(padding - 4, padding + 4);
+        expect(minY).to.be.within(padding - 4, padding + 4);
+        expect(print.width - maxX).to.be.within(padding - 4, padding + 4);
+        expect(print.height - maxY).to.be.within(padding - 4, padding + 4);
+    });
+
+    it("should fill the background and draw the grid on request", function () {
+        const canvas = PngExporter.render(circuitService.getElements(), rendererFactory, { showGrid: true, createCanvas: recordingCanvas });
+        const markup = canvas.context.getMarkup();
+
+        expect(markup.split("\n")[0]).to.contain('fill="#ffffff"');
+        expect(markup).to.contain('fill="gray"');
+    });
+
+    it("should refuse images too large for a canvas", function () {
+        expect(() => PngExporter.render(circuitService.getElements(), rendererFactory, { dpi: 20000, createCanvas: recordingCanvas }))
+            .to.throw(/choose a lower resolution/);
+    });
+
+    it("should crop to the selection when asked", function () {
+        const command = new ExportPngCommand(circuitService, circuitRenderer, sinon.spy());
+        circuitRenderer.setSelectedElements([resistor]);
+
+        const selection = command.buildCanvas({ selectionOnly: true, dpi: 96, createCanvas: recordingCanvas });
+        const whole = command.buildCanvas({ dpi: 96, createCanvas: recordingCanvas });
+
+        expect(selection.context.getMarkup()).to.contain("R1=").and.not.to.contain("C1=");
+        expect(selection.width).to.be.below(whole.width);
+        expect(selection.height).to.be.below(whole.height);
+    });
+});
@@ -1,5 +1,9 @@
 import assert from "assert";
 import { ResistorRenderer } from "../../src/gui/renderers/ResistorRenderer.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Label } from "../../src/domain/valueObjects/Label.js";
 
 describe("ResistorRenderer", () => {
   it("initializes correctly and sets image properties", () => {
@@ -18,4 +22,21 @@ describe("ResistorRenderer", () => {
     renderer.image.onload(); // simulate image load
     assert.strictEqual(renderer.imageLoaded, true);
   });
+
+  it("shows the parameter value next to a bound label", () => {
+    const texts = [];
+    const context = {
+      save() {}, restore() {},
+      fillText: (text) => texts.push(text),
+    };
+    const renderer = new ResistorRenderer(context);
+    renderer.parameters = { Rq: 50 };
+
+    const bound = new Resistor("R1", [new Position(0, 0), new Position(50, 0)], new Label("Rq"), new Properties({ resistance: "variable" }));
+    renderer.renderProperties(bound, 25, 0);
+    const unset = new Resistor("R2", [new Position(0, 0), new Position(50, 0)], new Label("Rx"), new Properties({ resistance: "variable" }));
+    renderer.renderProperties(unset, 25, 0);
+
+    assert.deepStrictEqual(texts, ["Rq=50 Ω", "Rx"]);
+  });
 });
@@ -0,0 +1,76 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { RestoreAutosaveCommand } from "../../src/gui/commands/RestoreAutosaveCommand.js";
+import { ProjectFileAdapter } from "../../src/infrastructure/adapters/ProjectFileAdapter.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { AddElementCommand } from "../../src/gui/commands/AddElementCommand.js";
+import { CommandHistory } from "../../src/gui/commands/CommandHistory.js";
+import { generateId } from "../../src/utils/idGenerator.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("RestoreAutosaveCommand", function () {
+    let circuitService;
+    let circuitRenderer;
+    let revision;
+
+    beforeEach(() => {
+        const source = new CircuitService(new Circuit(), ElementRegistry);
+        source.addElement(new Resistor("R5", [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 })));
+        source.setMetadata({ title: "Autosaved" });
+        revision = { time: 0, content: ProjectFileAdapter.exportToString(source), title: "Autosaved", elementCount: 1 };
+
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+    });
+
+    it("should restore a revision, undoably", function () {
+        const command = new RestoreAutosaveCommand(circuitService, circuitRenderer, sinon.spy(), { list: () => [revision] });
+        circuitService.setMetadata({ title: "Current" });
+        const history = new CommandHistory();
+
+        history.executeCommand({ execute: () => command.restore(revision) }, circuitService);
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["R5"]);
+        expect(circuitService.getMetadata().title).to.equal("Autosaved");
+
+        history.undo(circuitService);
+        expect(circuitService.getElements()).to.be.empty;
+        expect(circuitService.getMetadata().title).to.equal("Current");
+    });
+
+    it("should offer nothing when the last session left an empty circuit", async function () {
+        const command = new RestoreAutosaveCommand(circuitService, circuitRenderer, sinon.spy(),
+            { list: () => [{ ...revision, elementCount: 0 }, revision] });
+
+        expect(await command.offerRestore()).to.be.false;
+        expect(circuitService.getElements()).to.be.empty;
+    });
+
+    it("should offer nothing when the last session ended saved", async function () {
+        const command = new RestoreAutosaveCommand(circuitService, circuitRenderer, sinon.spy(),
+            { list: () => [{ ...revision, saved: true }] });
+
+        expect(await command.offerRestore()).to.be.false;
+        expect(circuitService.getElements()).to.be.empty;
+    });
+
+    it("should let new elements be added to a restored session", function () {
+        // Saved by an earlier page load, whose ID counter went further than this one's
+        const content = JSON.stringify({
+            elements: [{ id: `R${Number(generateId()) + 1}`, type: "resistor", label: null, nodes: [{ x: 0, y: 0 }, { x: 50, y: 0 }], properties: { resistance: 50 } }],
+            parameters: {},
+        });
+        new RestoreAutosaveCommand(circuitService, circuitRenderer, sinon.spy()).restore({ ...revision, content });
+
+        new AddElementCommand(circuitService, circuitRenderer, ElementRegistry, "resistor").execute();
+
+        const ids = circuitService.getElements().map(el => el.id);
+        expect(ids).to.have.length(2);
+        expect(new Set(ids).size).to.equal(2);
+    });
+});
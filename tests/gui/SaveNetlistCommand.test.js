@@ -0,0 +1,80 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { DocumentService } from "../../src/application/DocumentService.js";
+import { SaveNetlistCommand } from "../../src/gui/commands/SaveNetlistCommand.js";
+import { SaveProjectCommand } from "../../src/gui/commands/SaveProjectCommand.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { ElementRegistry } from "../../src/config/registry.js";
+
+/** A FileSystemFileHandle that records what is written to it. */
+const createHandle = (name) => {
+    const handle = { name, written: [] };
+    handle.createWritable = async () => ({
+        write: async (content) => handle.written.push(content),
+        close: async () => {},
+    });
+    return handle;
+};
+
+describe("SaveNetlistCommand with a DocumentService", function () {
+    let circuitService;
+    let documentService;
+    let renderer;
+    let previousWindow;
+
+    beforeEach(() => {
+        previousWindow = globalThis.window;
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 })));
+        documentService = new DocumentService(circuitService);
+        renderer = { scale: 1, offsetX: 0, offsetY: 0 };
+        globalThis.window = { showOpenFilePicker: sinon.stub(), showSaveFilePicker: sinon.stub() };
+    });
+
+    afterEach(() => {
+        globalThis.window = previousWindow;
+    });
+
+    it("should write back to the opened file", async function () {
+        const handle = createHandle("transmon.txt");
+        documentService.setFile({ name: "transmon.txt", handle, format: "netlist" });
+        circuitService.setParameter("Lj", 1e-8);
+        expect(documentService.dirty).to.be.true;
+
+        await new SaveNetlistCommand(circuitService, renderer, documentService).execute();
+
+        expect(handle.written).to.have.length(1);
+        expect(handle.written[0]).to.match(/^R;/);
+        expect(window.showSaveFilePicker.called).to.be.false;
+        expect(documentService.dirty).to.be.false;
+    });
+
+    it("should ask for a file on Save As, and for a file of another format", async function () {
+        const opened = createHandle("transmon.txt");
+        const picked = createHandle("copy.txt");
+        window.showSaveFilePicker.resolves(picked);
+        documentService.setFile({ name: "transmon.txt", handle: opened, format: "netlist" });
+
+        await new SaveNetlistCommand(circuitService, renderer, documentService, { saveAs: true }).execute();
+        expect(window.showSaveFilePicker.firstCall.args[0].suggestedName).to.equal("transmon.txt");
+        expect(opened.written).to.be.empty;
+        expect(documentService).to.include({ name: "copy.txt", handle: picked });
+
+        window.showSaveFilePicker.resolves(createHandle("project.jscircuit.json"));
+        await new SaveProjectCommand(circuitService, renderer, documentService).execute();
+        expect(picked.written).to.have.length(1);
+        expect(documentService.format).to.equal("project");
+    });
+
+    it("should keep the current file when the picker is cancelled", async function () {
+        window.showSaveFilePicker.rejects(Object.assign(new Error("cancelled"), { name: "AbortError" }));
+
+        await new SaveNetlistCommand(circuitService, renderer, documentService).execute();
+
+        expect(documentService).to.include({ name: null, handle: null });
+    });
+});
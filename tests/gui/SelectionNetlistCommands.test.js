@@ -0,0 +1,48 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { CopySelectionAsNetlistCommand } from "../../src/gui/commands/CopySelectionAsNetlistCommand.js";
+import { SaveSelectionCommand } from "../../src/gui/commands/SaveSelectionCommand.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Label } from "../../src/domain/valueObjects/Label.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { Capacitor } from "../../src/domain/entities/Capacitor.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("Selection netlist commands", function () {
+    let circuitService;
+    let circuitRenderer;
+    let capacitor;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        circuitService.addElement(new Resistor("R1", [new Position(0, 0), new Position(50, 0)], new Label("R_1"), new Properties({ resistance: 50 })));
+        capacitor = new Capacitor("C1", [new Position(300, 200), new Position(300, 250)], new Label("C_c"), new Properties({ capacitance: 1e-15 }));
+        circuitService.addElement(capacitor);
+        circuitRenderer.setSelectedElements([capacitor]);
+    });
+
+    it("should copy only the selection, moved to the origin if asked", function () {
+        const command = new CopySelectionAsNetlistCommand(circuitService, circuitRenderer, sinon.spy(), { toOrigin: true });
+        const copy = sinon.stub(command, "_copyToClipboard");
+
+        command.execute();
+
+        expect(copy.firstCall.args[0]).to.equal("C;0,0;0,1;1.0e-15;C_c");
+    });
+
+    it("should save only the selection, at its own coordinates by default", function () {
+        const command = new SaveSelectionCommand(circuitService, circuitRenderer);
+        const download = sinon.stub(command, "_downloadNetlist");
+
+        command.execute();
+
+        expect(download.firstCall.args[0]).to.equal("C;6,4;6,5;1.0e-15;C_c");
+        expect(command._filename()).to.match(/^selection_.*\.txt$/);
+    });
+});
@@ -0,0 +1,72 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { CopyShareLinkCommand } from "../../src/gui/commands/CopyShareLinkCommand.js";
+import { OpenShareLinkCommand } from "../../src/gui/commands/OpenShareLinkCommand.js";
+import { ShareLinkAdapter } from "../../src/infrastructure/adapters/ShareLinkAdapter.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Label } from "../../src/domain/valueObjects/Label.js";
+import { Junction } from "../../src/domain/entities/Junction.js";
+import { AddElementCommand } from "../../src/gui/commands/AddElementCommand.js";
+import { CommandHistory } from "../../src/gui/commands/CommandHistory.js";
+import { generateId } from "../../src/utils/idGenerator.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("Share link commands", function () {
+    let circuitService;
+    let circuitRenderer;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+    });
+
+    it("should open a shared circuit with its parameters and project information", async function () {
+        const source = new CircuitService(new Circuit(), ElementRegistry);
+        source.addElement(new Junction("J4", [new Position(0, 0), new Position(0, 50)], new Label("Lj"), new Properties({ inductance: "variable" })));
+        source.setParameter("Lj", 8e-9);
+        source.setMetadata({ title: "Shared" });
+        const link = await new CopyShareLinkCommand(source, sinon.spy()).buildLink("file:///tmp/jscircuit.html");
+
+        const command = new OpenShareLinkCommand(circuitService, circuitRenderer, sinon.spy());
+        circuitService.circuit.annotations = [{ text: "mine", x: 0, y: 0 }];
+        const history = new CommandHistory();
+        await history.executeCommand({ execute: () => command.load(ShareLinkAdapter.readFragment(link.split("#")[1])) }, circuitService);
+
+        expect(circuitService.getElements().map(el => el.id)).to.deep.equal(["J4"]);
+        expect(circuitService.circuit.parameters.get("Lj")).to.equal(8e-9);
+        expect(circuitService.getMetadata().title).to.equal("Shared");
+        history.undo(circuitService);
+        expect(circuitService.getElements()).to.be.empty;
+        expect(circuitService.getMetadata().title).to.equal("");
+        expect(circuitService.circuit.annotations).to.deep.equal([{ text: "mine", x: 0, y: 0 }]);
+    });
+
+    it("should open a netlist link", async function () {
+        const data = await ShareLinkAdapter.encode("R;0,0;0,5;50;R1\nC;0,5;5,5;1e-13;C_1");
+
+        await new OpenShareLinkCommand(circuitService, circuitRenderer, sinon.spy()).load(data);
+
+        expect(circuitService.getElements().map(el => el.type)).to.deep.equal(["resistor", "capacitor"]);
+    });
+
+    it("should let new elements be added to a shared project", async function () {
+        // Shared from another editor, whose ID counter went further than this one's
+        const sharedId = `J${Number(generateId()) + 1}`;
+        const data = await ShareLinkAdapter.encode(JSON.stringify({
+            elements: [{ id: sharedId, type: "junction", label: "Lj", nodes: [{ x: 0, y: 0 }, { x: 0, y: 50 }], properties: { inductance: 1e-8 } }],
+            parameters: {},
+        }));
+        await new OpenShareLinkCommand(circuitService, circuitRenderer, sinon.spy()).load(data);
+
+        new AddElementCommand(circuitService, circuitRenderer, ElementRegistry, "junction").execute();
+
+        const ids = circuitService.getElements().map(el => el.id);
+        expect(ids).to.have.length(2);
+        expect(ids[1]).to.not.equal(sharedId);
+    });
+});
@@ -0,0 +1,97 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { createMockCanvas } from "./canvasFixture.js";
+import { Circuit } from "../../src/domain/aggregates/Circuit.js";
+import { CircuitService } from "../../src/application/CircuitService.js";
+import { CircuitRenderer } from "../../src/gui/renderers/CircuitRenderer.js";
+import { SvgContext } from "../../src/gui/renderers/SvgContext.js";
+import { SvgExporter } from "../../src/gui/renderers/SvgExporter.js";
+import { ExportSvgCommand } from "../../src/gui/commands/ExportSvgCommand.js";
+import { Position } from "../../src/domain/valueObjects/Position.js";
+import { Properties } from "../../src/domain/valueObjects/Properties.js";
+import { Label } from "../../src/domain/valueObjects/Label.js";
+import { Resistor } from "../../src/domain/entities/Resistor.js";
+import { Junction } from "../../src/domain/entities/Junction.js";
+import { Wire } from "../../src/domain/entities/Wire.js";
+import { ElementRegistry, rendererFactory } from "../../src/config/registry.js";
+
+describe("SvgContext", function () {
+    it("should record transformed paths and text", function () {
+        const ctx = new SvgContext();
+        ctx.translate(10, 20);
+        ctx.save();
+        ctx.rotate(Math.PI / 2);
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(5, 0);
+        ctx.stroke();
+        ctx.restore();
+        ctx.font = "9px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText("R1 <50 Ω>", 0, 0);
+
+        const markup = ctx.getMarkup();
+        expect(markup).to.contain('<path d="M10 20L10 25" fill="none" stroke="#000000" stroke-width="1"');
+        expect(markup).to.contain('<text x="10" y="20" font-family="Arial" font-size="9" text-anchor="middle"');
+        expect(markup).to.contain(">R1 &lt;50 Ω&gt;</text>");
+        expect(ctx.bounds.minY).to.be.below(20).and.above(10);
+    });
+
+    it("should write arcs with the canvas direction", function () {
+        const ctx = new SvgContext();
+        ctx.beginPath();
+        ctx.arc(0, 0, 5, Math.PI, 0, false); // upper half, clockwise on screen
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(0, 0, 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        const [upper, circle] = ctx.getMarkup().split("\n");
+        expect(upper).to.contain('d="M-5 0A5 5 0 0 1 5 0"');
+        expect(circle).to.contain('d="M2 0A2 2 0 0 1 -2 0A2 2 0 0 1 2 0"');
+        expect(ctx.bounds.minY).to.equal(-5.5);
+    });
+});
+
+describe("SvgExporter", function () {
+    let circuitService;
+    let circuitRenderer;
+    let resistor;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitRenderer = new CircuitRenderer(createMockCanvas(), circuitService, rendererFactory, () => false);
+        resistor = new Resistor("R1", [new Position(0, 0), new Position(50, 0)], new Label("R1"), new Properties({ resistance: 50 }));
+        circuitService.addElement(resistor);
+        circuitService.addElement(new Wire("W1", [new Position(50, 0), new Position(50, 50)]));
+        circuitService.addElement(new Junction("J1", [new Position(50, 50), new Position(100, 50)], new Label("Lj"), new Properties({ inductance: "variable" })));
+        circuitService.setParameter("Lj", 10e-9);
+    });
+
+    it("should draw vector symbols and the labels of renderProperties", function () {
+        const svg = SvgExporter.export(circuitService.getElements(), rendererFactory, { parameters: circuitService.getParameters() });
+
+        expect(svg).to.match(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        expect(svg).to.not.contain("<image");
+        expect(svg).to.contain(">R1=50 Ω</text>");
+        expect(svg).to.contain(">Lj=10 nH</text>");
+        expect(svg).to.match(/<rect x="-?\d+" y="-?\d+" width="\d+" height="\d+" fill="#ffffff"\/>/);
+        expect(svg).to.not.contain('id="grid"');
+        expect(svg.trim().endsWith("</svg>")).to.be.true;
+    });
+
+    it("should draw the grid and leave out the background on request", function () {
+        const svg = SvgExporter.export(circuitService.getElements(), rendererFactory, { showGrid: true, transparent: true });
+
+        expect(svg).to.contain('<pattern id="grid"');
+        expect(svg).to.not.contain('fill="#ffffff"');
+    });
+
+    it("should export only the selection when asked", function () {
+        const command = new ExportSvgCommand(circuitService, circuitRenderer, sinon.spy());
+        circuitRenderer.setSelectedElements([resistor]);
+
+        expect(command.buildSvg({ selectionOnly: true })).to.contain("R1=").and.not.to.contain("Lj=");
+        expect(command.buildSvg()).to.contain("R1=").and.to.contain("Lj=");
+    });
+});
@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { AutosaveStore, AUTOSAVE_KEY } from '../../src/infrastructure/adapters/AutosaveStore.js';
+
+/** In-memory Storage that refuses values longer than `capacity` characters. */
+class MemoryStorage {
+    constructor(capacity = Infinity) {
+        this.items = new Map();
+        this.capacity = capacity;
+    }
+    getItem(key) { return this.items.get(key) ?? null; }
+    setItem(key, value) {
+        if (value.length > this.capacity) throw new Error('QuotaExceededError');
+        this.items.set(key, value);
+    }
+    removeItem(key) { this.items.delete(key); }
+}
+
+describe('AutosaveStore', () => {
+    it('should keep the last revisions, newest first, skipping unchanged ones', () => {
+        const store = new AutosaveStore(new MemoryStorage(), { maxRevisions: 3 });
+
+        expect(store.save('a', { title: 'T', elementCount: 1 }, 1)).to.be.true;
+        expect(store.save('a', {}, 2)).to.be.false;
+        ['b', 'c', 'd'].forEach((content, i) => store.save(content, { elementCount: i }, 3 + i));
+
+        expect(store.list().map(({ content, time }) => [content, time])).to.deep.equal([['d', 5], ['c', 4], ['b', 3]]);
+        expect(store.list()[0]).to.include({ title: '', elementCount: 2 });
+    });
+
+    it('should drop the oldest revisions when the storage is full', () => {
+        const storage = new MemoryStorage(260);
+        const store = new AutosaveStore(storage);
+        ['x', 'y'].forEach(char => store.save(char.repeat(60)));
+
+        store.save('z'.repeat(60));
+
+        expect(store.list().map(({ content }) => content[0])).to.deep.equal(['z', 'y']);
+        expect(() => store.save('w'.repeat(300))).to.throw('QuotaExceededError');
+    });
+
+    it('should mark the saved circuit until the next change', () => {
+        const store = new AutosaveStore(new MemoryStorage());
+        store.save('a', { elementCount: 1 }, 1);
+
+        store.markSaved('a', { elementCount: 1 }, 2);
+        expect(store.list().map(({ content, saved }) => [content, saved])).to.deep.equal([['a', true]]);
+        store.save('b', { elementCount: 2 }, 3);
+        expect(store.list()[0].saved).to.be.undefined;
+    });
+
+    it('should read unreadable or missing storage as no revisions', () => {
+        const storage = new MemoryStorage();
+        storage.setItem(AUTOSAVE_KEY, '{broken');
+
+        expect(new AutosaveStore(storage).list()).to.deep.equal([]);
+        expect(new AutosaveStore(undefined).list()).to.deep.equal([]);
+        new AutosaveStore(storage).clear();
+        expect(storage.getItem(AUTOSAVE_KEY)).to.be.null;
+    });
+});
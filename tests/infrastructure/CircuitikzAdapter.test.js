@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitikzAdapter } from '../../src/infrastructure/adapters/CircuitikzAdapter.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Wire } from '../../src/domain/entities/Wire.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('CircuitikzAdapter', () => {
+    let circuit;
+
+    // C1 and J1 in parallel to ground (grid units of 10 px), R1 above them
+    beforeEach(() => {
+        circuit = new Circuit();
+        [
+            new Capacitor('C1', [p(100, 100), p(100, 150)], new Label('C1'), new Properties({ capacitance: 100e-15 })),
+            new Junction('J1', [p(150, 100), p(150, 150)], new Label('L_J'), new Properties({ inductance: 10e-9 })),
+            new Wire('W1', [p(100, 100), p(150, 100)]),
+            new Wire('W2', [p(100, 150), p(150, 150)]),
+            new Resistor('R1', [p(100, 100), p(100, 50)], null, new Properties({ resistance: 50 })),
+            new Ground('G1', [p(100, 150), p(100, 200)], null, new Properties({ orientation: 270 })),
+        ].forEach(el => circuit.elements.push(el));
+    });
+
+    it('should draw components as bipoles on grid coordinates, with y up', () => {
+        const lines = CircuitikzAdapter.exportToString(circuit).trim().split('\n');
+
+        expect(lines).to.include('\\begin{circuitikz}[x=3mm, y=3mm]');
+        expect(lines).to.include('  \\draw (0,10) to[C, l=$C_{1}$, a=\\SI{100}{fF}] (0,5);');
+        expect(lines).to.include('  \\draw (5,10) to[barrier, l=$L_{J}$, a=\\SI{10}{nH}] (5,5);');
+        expect(lines).to.include('  \\draw (0,10) to[R, a=\\SI{50}{\\ohm}] (0,15);');
+        expect(lines).to.include('  \\draw (0,10) -- (5,10);');
+        expect(lines).to.include('  \\draw (0,5) node[ground]{};');
+        expect(lines[lines.length - 1]).to.equal('\\end{circuitikz}');
+    });
+
+    it('should put a dot where three or more terminals meet', () => {
+        const dots = CircuitikzAdapter.exportToString(circuit).split('\n').filter(line => line.includes('node[circ]'));
+        expect(dots).to.deep.equal(['  \\draw (0,10) node[circ]{};', '  \\draw (0,5) node[circ]{};']);
+    });
+
+    it('should export only the given elements', () => {
+        const snippet = CircuitikzAdapter.exportToString(circuit, { elementIds: ['J1'] });
+        expect(snippet).to.contain('\\draw (0,5) to[barrier, l=$L_{J}$, a=\\SI{10}{nH}] (0,0);');
+        expect(snippet).to.not.contain('to[C');
+    });
+
+    it('should show only the label of parameter-bound values', () => {
+        circuit.elements.find(el => el.id === 'J1').properties.values.inductance = 'variable';
+        expect(CircuitikzAdapter.exportToString(circuit)).to.contain('to[barrier, l=$L_{J}$] (5,5);');
+    });
+
+    it('should format labels and values in LaTeX', () => {
+        expect(CircuitikzAdapter.formatLabel('Lj')).to.equal('$L_{j}$');
+        expect(CircuitikzAdapter.formatLabel('C')).to.equal('$C$');
+        expect(CircuitikzAdapter.formatLabel('C_c 2')).to.equal('C\\_c 2');
+        expect(CircuitikzAdapter.formatValue(10e3, 'Ω')).to.equal('\\SI{10}{k\\ohm}');
+        expect(CircuitikzAdapter.formatValue(2.2e-6, 'F')).to.equal('\\SI{2.2}{\\micro F}');
+    });
+});
@@ -0,0 +1,40 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { FileSystemAccessAdapter } from '../../src/infrastructure/adapters/FileSystemAccessAdapter.js';
+
+/** A FileSystemFileHandle with read access only, whose user answers `answer` when asked for more. */
+const createHandle = (answer) => {
+    const handle = { name: 'transmon.txt', written: [] };
+    handle.queryPermission = sinon.stub().resolves('prompt');
+    handle.requestPermission = sinon.stub().resolves(answer);
+    handle.createWritable = async () => ({
+        write: async (content) => handle.written.push(content),
+        close: async () => {},
+    });
+    return handle;
+};
+
+describe('FileSystemAccessAdapter', () => {
+    it('should ask for write permission before writing', async () => {
+        const handle = createHandle('granted');
+
+        await FileSystemAccessAdapter.writeFile(handle, 'R;0,0;5,0;50;R1');
+
+        expect(handle.requestPermission.calledOnceWith({ mode: 'readwrite' })).to.be.true;
+        expect(handle.written).to.deep.equal(['R;0,0;5,0;50;R1']);
+    });
+
+    it('should not write when the permission is refused', async () => {
+        const handle = createHandle('denied');
+
+        let error;
+        try {
+            await FileSystemAccessAdapter.writeFile(handle, 'R;0,0;5,0;50;R1');
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        expect(error?.message).to.equal('Permission to write to transmon.txt was denied.');
+        expect(handle.written).to.be.empty;
+    });
+});
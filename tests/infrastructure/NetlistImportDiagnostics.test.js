@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import '../../src/config/registry.js';
+import { QucatNetlistAdapter } from '../../src/infrastructure/adapters/QucatNetlistAdapter.js';
+import { NetlistImporter } from '../../src/infrastructure/adapters/NetlistImporter.js';
+import { NetlistImportError } from '../../src/infrastructure/adapters/NetlistImportError.js';
+
+const NETLIST = [
+    'R;0,0;0,5;50;R1',
+    'X;0,0;5,0;;',
+    'C;5,0;5,5;1e-13;C1',
+    'L;2,a;2,5;1e-9;L1',
+    '',
+    'C;0,0;5,0;abc;C2',
+    'W;5,5;0,5;;',
+    'R;0,5;0,0;;R2',
+].join('\n');
+
+describe('Netlist import diagnostics', () => {
+    it('should report every invalid line with its number and reason', () => {
+        let error;
+        try {
+            QucatNetlistAdapter.importFromString(NETLIST);
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(NetlistImportError);
+        expect(error.validCount).to.equal(3);
+        expect(error.problems.map(({ line, reason }) => [line, reason])).to.deep.equal([
+            [2, 'Unknown element type "X"'],
+            [4, 'Malformed coordinates "2,a"'],
+            [6, 'Value "abc" is not a number'],
+            [8, 'Duplicate of line 1'],
+        ]);
+        expect(error.message).to.match(/^4 problem\(s\) in the netlist:\nLine 2: Unknown element type "X" \(X;0,0;5,0;;\)/);
+    });
+
+    it('should load the valid lines in lenient mode', () => {
+        const { elements, problems } = QucatNetlistAdapter.importNetlist(NETLIST, { lenient: true });
+
+        expect(elements.map(el => el.type)).to.deep.equal(['resistor', 'capacitor', 'wire']);
+        expect(problems).to.have.length(4);
+        expect(problems.every(problem => problem.severity === 'error')).to.be.true;
+    });
+
+    it('should import components of an unexpected span with a warning', () => {
+        const { elements, problems } = QucatNetlistAdapter.importNetlist('R;0,0;0,5;50;R1\nC;0,5;5,5;1e-13;C1\nL;0,0;3,0;1e-9;L1\nJ;0,0;5,5;;Lj');
+
+        expect(elements).to.have.length(4);
+        expect(problems.map(({ line, reason, severity }) => [line, reason, severity])).to.deep.equal([
+            [3, 'Component spans 3 grid unit(s); 5 expected in the v2.0 format', 'warning'],
+            [4, 'Component is neither horizontal nor vertical', 'warning'],
+        ]);
+    });
+
+    it('should number the skipped cards of a SPICE deck', () => {
+        const deck = '* title\nR1 1 0 50\n\nQ1 1 2 3 npn\nC1 1 2 1p\n.end';
+
+        expect(() => NetlistImporter.importFromString(deck, 'test.cir')).to.throw(NetlistImportError, /Line 4: /);
+        const { elements, problems } = NetlistImporter.importFromString(deck, 'test.cir', { lenient: true });
+        expect(problems.map(({ line, text }) => [line, text])).to.deep.equal([[4, 'Q1 1 2 3 npn']]);
+        expect(elements.filter(el => el.type === 'resistor' || el.type === 'capacitor')).to.have.length(2);
+    });
+});
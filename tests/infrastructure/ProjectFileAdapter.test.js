@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { ProjectFileAdapter, PROJECT_FORMAT, PROJECT_VERSION } from '../../src/infrastructure/adapters/ProjectFileAdapter.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('ProjectFileAdapter', () => {
+    let circuitService;
+
+    beforeEach(() => {
+        circuitService = new CircuitService(new Circuit(), ElementRegistry);
+        circuitService.addElement(new Capacitor('C7', [p(100, 100), p(100, 150)], new Label('C_1'), new Properties({ capacitance: 100e-15 })));
+        circuitService.addElement(new Junction('J3', [p(150, 100), p(150, 150)], new Label('Lj'), new Properties({ inductance: 'variable' })));
+        circuitService.setParameter('Lj', 10e-9);
+        circuitService.setParameter('Cc', undefined);
+        circuitService.setMetadata({ title: 'Transmon', author: 'A. Author', notes: 'First design' });
+        circuitService.circuit.annotations = [{ text: 'readout', x: 200, y: 100 }];
+    });
+
+    it('should write a versioned project with metadata, view, parameters and elements', () => {
+        const project = JSON.parse(ProjectFileAdapter.exportToString(circuitService, { viewport: { scale: 2, offsetX: 10, offsetY: -5 } }));
+
+        expect(project).to.include({ format: PROJECT_FORMAT, version: PROJECT_VERSION, title: 'Transmon', author: 'A. Author', notes: 'First design' });
+        expect(project.viewport).to.deep.equal({ scale: 2, offsetX: 10, offsetY: -5 });
+        expect(project.parameters).to.deep.equal({ Lj: 10e-9, Cc: null });
+        expect(project.annotations).to.deep.equal([{ text: 'readout', x: 200, y: 100 }]);
+        expect(project.elements.map(el => el.id)).to.deep.equal(['C7', 'J3']);
+    });
+
+    it('should read back the same circuit, with its element IDs', () => {
+        const content = ProjectFileAdapter.exportToString(circuitService, { viewport: { scale: 2, offsetX: 10, offsetY: -5 } });
+        const project = ProjectFileAdapter.importFromString(content);
+
+        const restored = new CircuitService(new Circuit(), ElementRegistry);
+        restored.importState(project.state);
+
+        const [capacitor, junction] = restored.getElements();
+        expect(capacitor).to.include({ id: 'C7', type: 'capacitor' });
+        expect(capacitor.label.value).to.equal('C_1');
+        expect(capacitor.properties.values.capacitance).to.equal(100e-15);
+        expect(junction).to.include({ id: 'J3', type: 'junction' });
+        expect(junction.nodes.map(({ x, y }) => [x, y])).to.deep.equal([[150, 100], [150, 150]]);
+        expect(junction.properties.values.inductance).to.equal('variable');
+        expect([...restored.circuit.parameters]).to.deep.equal([['Lj', 10e-9], ['Cc', undefined]]);
+        expect(restored.getMetadata()).to.deep.equal({ title: 'Transmon', author: 'A. Author', notes: 'First design' });
+        expect(restored.circuit.annotations).to.deep.equal([{ text: 'readout', x: 200, y: 100 }]);
+        expect(project.viewport).to.deep.equal({ scale: 2, offsetX: 10, offsetY: -5 });
+    });
+
+    it('should write a compact project on request', () => {
+        const content = ProjectFileAdapter.exportToString(circuitService, { compact: true });
+
+        expect(content).to.not.match(/\n/);
+        expect(JSON.parse(content)).to.deep.equal(JSON.parse(ProjectFileAdapter.exportToString(circuitService)));
+    });
+
+    it('should migrate a bare state snapshot', () => {
+        const project = ProjectFileAdapter.importFromString(circuitService.exportState());
+
+        expect(project.state).to.equal(circuitService.exportState());
+        expect(JSON.parse(ProjectFileAdapter.importFromString('{"elements": []}').state).metadata).to.deep.equal({ title: '', author: '', notes: '' });
+        expect(project.viewport).to.be.null;
+        expect(ProjectFileAdapter.isProject(circuitService.exportState())).to.be.true;
+        expect(ProjectFileAdapter.isProject('R;0,0;1,0;50;R1')).to.be.false;
+    });
+
+    it('should refuse projects from a newer version and other JSON', () => {
+        const newer = JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION + 1, elements: [] });
+
+        expect(() => ProjectFileAdapter.importFromString(newer)).to.throw(/saved by a newer version of JSCircuit/);
+        expect(() => ProjectFileAdapter.importFromString('{"format": "other"}')).to.throw('Not a JSCircuit project (format "other")');
+        expect(() => ProjectFileAdapter.importFromString('{"title": "x"}')).to.throw('Not a JSCircuit project: no element list');
+        expect(() => ProjectFileAdapter.importFromString('R;0,0')).to.throw(/^Not a JSCircuit project: /);
+    });
+});
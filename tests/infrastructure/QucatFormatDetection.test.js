@@ -294,4 +294,44 @@ C;10,0;11,0;1e-6;C1`;
             expect(capacitor.nodes[1].x).to.equal(110);  // (11,0) -> 110 pixels
         });
     });
-});
\ No newline at end of file
+
+    describe('Format Override and Span Normalization', () => {
+        const mixedContent = `R;0,0;5,0;1000;R1
+C;10,0;11,0;1e-6;C1
+W;11,0;11,5;;`;
+
+        it('should report the detection and read the netlist as the chosen version', () => {
+            const { elements, detection } = QucatNetlistAdapter.importNetlist('R;0,0;1,0;50;R1', { version: 'v2.0' });
+
+            expect(QucatNetlistAdapter.detectVersion('R;0,0;1,0;50;R1\nX;bad')).to.include({ version: 'v1.0', confidence: 100 });
+            expect(detection.version).to.equal('v1.0');
+            expect(elements[0].nodes[1].x).to.equal(10);   // (1,0) read as v2.0 -> 10 pixels
+        });
+
+        it('should resize components to 5 intervals and move the wires attached to them', () => {
+            const { elements, problems } = QucatNetlistAdapter.importNetlist(mixedContent, { normalizeSpans: true });
+            const [resistor, capacitor, wire] = elements;
+
+            expect(resistor.nodes[1].x).to.equal(50);
+            expect(capacitor.nodes.map(({ x, y }) => [x, y])).to.deep.equal([[100, 0], [150, 0]]);
+            expect(wire.nodes.map(({ x, y }) => [x, y])).to.deep.equal([[150, 0], [110, 50]]);
+            expect(problems.map(({ line, reason }) => [line, reason])).to.deep.equal([
+                [2, 'Component spans 1 grid unit(s); 5 expected in the v2.0 format (resized)'],
+            ]);
+        });
+
+        it('should keep components and grounds that touch a resized component without a wire connected', () => {
+            const content = `C;10,0;11,0;1e-6;C1
+L;11,0;12,0;1e-9;L1
+R;12,0;17,0;50;R1
+G;17,0;17,1;;`;
+            const { elements } = QucatNetlistAdapter.importNetlist(content, { normalizeSpans: true });
+            const [capacitor, inductor, resistor, ground] = elements.map(({ nodes }) => nodes.map(({ x, y }) => [x, y]));
+
+            expect(capacitor).to.deep.equal([[100, 0], [150, 0]]);
+            expect(inductor).to.deep.equal([[150, 0], [200, 0]]);     // resized too, from its moved first end
+            expect(resistor).to.deep.equal([[200, 0], [250, 0]]);     // right span: shifted whole
+            expect(ground).to.have.deep.members([[250, 0], [250, 10]]);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { QucatPythonAdapter } from '../../src/infrastructure/adapters/QucatPythonAdapter.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Wire } from '../../src/domain/entities/Wire.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('QucatPythonAdapter', () => {
+    let circuit;
+
+    // C1, J1 and R1 in parallel between node 1 and ground
+    beforeEach(() => {
+        circuit = new Circuit();
+        [
+            new Capacitor('C1', [p(100, 100), p(100, 150)], new Label('C_1'), new Properties({ capacitance: 100e-15 })),
+            new Junction('J1', [p(150, 100), p(150, 150)], new Label('Lj'), new Properties({ inductance: 'variable' })),
+            new Resistor('R1', [p(200, 100), p(200, 150)], null, new Properties({ resistance: 1e6 })),
+            new Wire('W1', [p(100, 100), p(200, 100)]),
+            new Wire('W2', [p(100, 150), p(200, 150)]),
+            new Ground('G1', [p(100, 150), p(100, 200)], null, new Properties({ orientation: 270 })),
+        ].forEach(el => circuit.elements.push(el));
+        circuit.setParameter('Lj', 10e-9);
+    });
+
+    it('should build a Network on the extracted nodes', () => {
+        const script = QucatPythonAdapter.exportToString(circuit);
+
+        expect(script).to.contain('from qucat import Network, C, J, R\n');
+        expect(script).to.contain([
+            'cir = Network([',
+            "    C(1, 0, 1e-13, 'C_1'),",
+            "    J(1, 0, 'Lj'),",
+            '    R(1, 0, 1000000),',
+            '])',
+        ].join('\n'));
+        expect(script).to.not.contain('no ground');
+    });
+
+    it('should pass parameters as keyword arguments of the commented-out calls', () => {
+        const lines = QucatPythonAdapter.exportToString(circuit).trim().split('\n');
+
+        expect(lines).to.include('# cir.f_k_A_chi(pretty_print=True, Lj=1e-8)');
+        expect(lines[lines.length - 1]).to.equal('# cir.show()');
+    });
+
+    it('should leave a placeholder for labels without a value', () => {
+        circuit.setParameter('Lj', undefined);
+        circuit.elements.push(new Capacitor('C2', [p(200, 100), p(250, 100)], new Label("C'c"), new Properties({ capacitance: undefined })));
+
+        const script = QucatPythonAdapter.exportToString(circuit);
+        expect(script).to.contain("    C(1, 2, 'C\\'c'),");
+        expect(script).to.contain('# No value in the schematic for Lj, C\'c: replace the "..." below');
+        expect(script).to.contain("# cir.f_k_A_chi(pretty_print=True, Lj=..., **{'C\\'c': ...})");
+    });
+
+    it('should comment out components with neither value nor label', () => {
+        circuit.elements.push(new Resistor('R2', [p(200, 100), p(250, 100)], null, new Properties({ resistance: undefined })));
+
+        expect(QucatPythonAdapter.exportToString(circuit)).to.contain('    # R(1, 2),  # R2 has no value or label');
+    });
+});
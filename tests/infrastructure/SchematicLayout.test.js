@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import { SchematicLayout } from '../../src/infrastructure/adapters/SchematicLayout.js';
+import { CoordinateAdapter } from '../../src/infrastructure/adapters/CoordinateAdapter.js';
+import { NodeExtractionService } from '../../src/application/NodeExtractionService.js';
+import '../../src/config/registry.js'; // registers the element types
+
+const branch = (label, a, b, type = 'capacitor') => ({ type, nodes: [a, b], values: { capacitance: 1e-12 }, label });
+
+describe('SchematicLayout', () => {
+    it('should place components as valid v2 components and route wires along the grid', () => {
+        const elements = SchematicLayout.place([
+            branch('C1', 'a', '0'), branch('C2', 'a', '0'), branch('C3', 'b', '0'),
+            branch('C4', 'a', 'b'), branch('C5', 'b', 'c'), branch('C6', 'a', 'c'),
+        ]);
+        const grid = el => el.nodes.map(node => CoordinateAdapter.pixelToGrid(node));
+
+        for (const el of elements.filter(el => el.type === 'capacitor')) {
+            expect(CoordinateAdapter.isValidV2Component(...grid(el)), el.label.value).to.be.true;
+        }
+        for (const el of elements.filter(el => el.type === 'wire')) {
+            const [from, to] = grid(el);
+            expect(from.x === to.x || from.y === to.y).to.be.true;
+        }
+        expect(elements.filter(el => el.type === 'ground')).to.have.lengthOf(1);
+    });
+
+    it('should connect exactly the terminals on the same node', () => {
+        const branches = [
+            branch('C1', 'a', '0'), branch('C2', 'b', '0'), branch('C3', 'c', '0'),
+            branch('C4', 'a', 'b'), branch('C5', 'b', 'c'), branch('C6', 'a', 'c'), branch('C7', 'c', 'd'),
+        ];
+        const elements = SchematicLayout.place(branches);
+        const { terminalNodes } = NodeExtractionService.extract(elements);
+
+        const nodeOf = new Map();
+        for (const { label, nodes } of branches) {
+            const el = elements.find(e => e.label?.value === label);
+            terminalNodes.get(el.id).forEach((node, k) => {
+                // Each SPICE node is drawn as one extracted node, and vice versa
+                if (!nodeOf.has(nodes[k])) nodeOf.set(nodes[k], node);
+                expect(node, `${label}:${k}`).to.equal(nodeOf.get(nodes[k]));
+            });
+        }
+        expect(nodeOf.get('0')).to.equal(0);
+        expect(new Set(nodeOf.values()).size).to.equal(nodeOf.size);
+    });
+
+    it('should ignore branches whose ends are on the same node', () => {
+        const elements = SchematicLayout.place([branch('C1', 'a', 'a')]);
+        expect(elements).to.be.empty;
+    });
+});
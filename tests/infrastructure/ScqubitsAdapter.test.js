@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { ScqubitsAdapter } from '../../src/infrastructure/adapters/ScqubitsAdapter.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Inductor } from '../../src/domain/entities/Inductor.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Wire } from '../../src/domain/entities/Wire.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { Label } from '../../src/domain/valueObjects/Label.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('ScqubitsAdapter', () => {
+    let circuit;
+
+    // Fluxonium-like: C1, J1 and L1 in parallel to ground, C2 coupling to node 2, R1 to ground
+    beforeEach(() => {
+        circuit = new Circuit();
+        [
+            new Capacitor('C1', [p(100, 100), p(100, 150)], new Label('C_1'), new Properties({ capacitance: 10e-15 })),
+            new Junction('J1', [p(150, 100), p(150, 150)], new Label('Lj'), new Properties({ inductance: 'variable' })),
+            new Inductor('L1', [p(200, 100), p(200, 150)], null, new Properties({ inductance: 300e-9 })),
+            new Capacitor('C2', [p(200, 100), p(250, 100)], null, new Properties({ capacitance: 1e-15 })),
+            new Resistor('R1', [p(250, 100), p(250, 150)], null, new Properties({ resistance: 50 })),
+            new Wire('W1', [p(100, 100), p(200, 100)]),
+            new Wire('W2', [p(100, 150), p(250, 150)]),
+            new Ground('G1', [p(100, 150), p(100, 200)], null, new Properties({ orientation: 270 })),
+        ].forEach(el => circuit.elements.push(el));
+        circuit.setParameter('Lj', 10e-9);
+    });
+
+    it('should write branches with energies in GHz', () => {
+        const lines = ScqubitsAdapter.exportToString(circuit).trim().split('\n');
+
+        // E_J = φ0²/L_J/h, E_C = e²/2C/h, E_L = φ0²/L/h
+        expect(lines.slice(2)).to.deep.equal([
+            'branches:',
+            '- ["JJ", 1, 0, EJ_Lj = 16.3462, 1.93702]',
+            '- ["L", 1, 0, 0.544872]',
+            '- ["C", 1, 2, 19.3702]',
+        ]);
+        expect(lines[1]).to.equal('# Left out (no resistive branches in scqubits): R1');
+    });
+
+    it('should declare a symbol once and reuse it', () => {
+        circuit.elements.push(
+            new Junction('J2', [p(150, 100), p(150, 50)], new Label('Lj'), new Properties({ inductance: 'variable' })),
+            new Capacitor('C3', [p(150, 50), p(100, 100)], null, new Properties({ capacitance: 10e-15 }))
+        );
+
+        const branches = ScqubitsAdapter.exportToString(circuit).split('\n').filter(line => line.startsWith('- ["JJ"'));
+        expect(branches).to.deep.equal([
+            '- ["JJ", 1, 0, EJ_Lj = 16.3462, 1.93702]',
+            '- ["JJ", 1, 3, EJ_Lj, 1.93702]',
+        ]);
+    });
+
+    it('should list what prevents the export', () => {
+        circuit.setParameter('Lj', undefined);
+        circuit.elements.push(new Junction('J2', [p(200, 100), p(200, 50)], null, new Properties({ inductance: 1e-8 })));
+
+        expect(() => ScqubitsAdapter.exportToString(circuit)).to.throw(
+            'Cannot export to scqubits: J2 has no capacitor in parallel (scqubits needs the junction charging energy); parameter Lj has no value.'
+        );
+    });
+});
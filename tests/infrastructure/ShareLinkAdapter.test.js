@@ -0,0 +1,29 @@
+import { expect } from 'chai';
+import { ShareLinkAdapter, SHARE_LINK_PARAM } from '../../src/infrastructure/adapters/ShareLinkAdapter.js';
+
+describe('ShareLinkAdapter', () => {
+    const netlist = 'R;0,0;0,5;50;R1\nC;0,5;5,5;1e-13;C_1\nJ;5,5;5,0;;Lj\n'.repeat(20);
+
+    it('should compress a circuit into a URL-safe fragment and read it back', async () => {
+        const link = await ShareLinkAdapter.createLink(netlist, 'https://example.org/jscircuit.html#old');
+        const [base, fragment] = link.split('#');
+
+        expect(base).to.equal('https://example.org/jscircuit.html');
+        expect(fragment).to.match(new RegExp(`^${SHARE_LINK_PARAM}=[A-Za-z0-9_-]+$`));
+        expect(fragment.length).to.be.below(netlist.length / 4);
+        expect(await ShareLinkAdapter.decode(ShareLinkAdapter.readFragment(`#${fragment}`))).to.equal(netlist);
+    });
+
+    it('should ignore fragments without a circuit and refuse invalid data', async () => {
+        expect(ShareLinkAdapter.readFragment('')).to.be.null;
+        expect(ShareLinkAdapter.readFragment('#section-2')).to.be.null;
+
+        let error;
+        try {
+            await ShareLinkAdapter.decode('not-a-circuit');
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.match(/^Invalid share link: /);
+    });
+});
@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import { Circuit } from '../../src/domain/aggregates/Circuit.js';
+import { CircuitService } from '../../src/application/CircuitService.js';
+import { SpiceNetlistAdapter } from '../../src/infrastructure/adapters/SpiceNetlistAdapter.js';
+import { Resistor } from '../../src/domain/entities/Resistor.js';
+import { Capacitor } from '../../src/domain/entities/Capacitor.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
+import { Wire } from '../../src/domain/entities/Wire.js';
+import { Ground } from '../../src/domain/entities/Ground.js';
+import { Position } from '../../src/domain/valueObjects/Position.js';
+import { Properties } from '../../src/domain/valueObjects/Properties.js';
+import { ElementRegistry } from '../../src/config/registry.js';
+import { NodeExtractionService } from '../../src/application/NodeExtractionService.js';
+import { NetlistImporter } from '../../src/infrastructure/adapters/NetlistImporter.js';
+
+const p = (x, y) => new Position(x, y);
+
+describe('SpiceNetlistAdapter', () => {
+    let circuit;
+    let circuitService;
+
+    // Transmon-like circuit: C1 and J1 in parallel from node 1 to ground, R1 from node 1 to node 2
+    beforeEach(() => {
+        circuit = new Circuit();
+        circuitService = new CircuitService(circuit, ElementRegistry);
+        [
+            new Ground('G1', [p(0, 100), p(0, 150)], null, new Properties({ orientation: 90 })),
+            new Capacitor('C1', [p(0, 50), p(0, 100)], null, new Properties({ capacitance: 100e-15 })),
+            new Junction('J1', [p(50, 50), p(50, 100)], null, new Properties({ inductance: 10e-9 })),
+            new Wire('W1', [p(0, 50), p(50, 50)]),
+            new Wire('W2', [p(0, 100), p(50, 100)]),
+            new Resistor('R1', [p(0, 50), p(0, 0)], null, new Properties({ resistance: 50 })),
+        ].forEach(el => circuitService.addElement(el));
+    });
+
+    it('should write one line per component on extracted nodes, ground being node 0', () => {
+        const deck = SpiceNetlistAdapter.exportToString(circuit);
+        const lines = deck.trim().split('\n');
+
+        expect(lines[0]).to.equal('* JSCircuit export');
+        expect(lines).to.include('C1 1 0 1e-13');
+        expect(lines).to.include('LJ1 1 0 1e-8');
+        expect(lines).to.include('R1 1 2 50');
+        expect(lines[lines.length - 1]).to.equal('.end');
+        expect(deck).to.not.match(/^[WG]/m);
+    });
+
+    it('should write junctions as instances of a subcircuit stub', () => {
+        const deck = SpiceNetlistAdapter.exportToString(circuit, { junctionModel: 'subcircuit', subcircuitName: 'JJ' });
+
+        expect(deck).to.contain('.subckt JJ p n params: Lj=1e-9\n');
+        expect(deck).to.contain('.ends JJ\n');
+        expect(deck).to.contain('\nXJ1 1 0 JJ params: Lj=1e-8\n');
+        expect(() => SpiceNetlistAdapter.exportToString(circuit, { junctionModel: 'nonlinear' }))
+            .to.throw('Unknown junction model: nonlinear');
+    });
+
+    it('should write parameter-bound and label-only values as parameter expressions', () => {
+        circuitService.bindElementToParameter('J1', 'inductance', 'Lj');
+        circuitService.updateElementProperties('C1', { capacitance: undefined, label: 'Cs' });
+
+        const lines = SpiceNetlistAdapter.exportToString(circuit).trim().split('\n');
+
+        expect(lines).to.include('.param Lj=1e-8');
+        expect(lines).to.include('LJ1 1 0 {Lj}');
+        expect(lines).to.include('C1 1 0 {Cs}');
+        expect(lines).to.include('* Parameter Cs has no value: add ".param Cs=..." before simulating');
+    });
+
+    it('should comment out components without value or label', () => {
+        circuitService.addElement(new Capacitor('C2', [p(100, 0), p(150, 0)], null, new Properties({})));
+        const deck = SpiceNetlistAdapter.exportToString(circuit);
+        expect(deck).to.match(/^\* C2 \d+ \d+ \(no value\)$/m);
+    });
+
+    describe('import', () => {
+        let warn;
+        beforeEach(() => { warn = console.warn; console.warn = () => {}; });
+        afterEach(() => { console.warn = warn; });
+
+        const byLabel = (elements, label) => elements.find(el => el.label?.value === label);
+
+        it('should read values with SPICE scale factors and units', () => {
+            const { elements } = SpiceNetlistAdapter.importDeck([
+                'Qubit readout',
+                'R1 1 0 50',
+                'C1 1 0 100f',
+                'Cc 1 2 4.5PF',
+                'L1 2 0 1.2e1n',
+                'R2 2 3 2Meg',
+                'C2 3 0 1m',
+                '.end',
+            ].join('\n'));
+
+            expect(byLabel(elements, 'R1').getProperties().values.resistance).to.equal(50);
+            expect(byLabel(elements, 'C1').getProperties().values.capacitance).to.equal(100e-15);
+            expect(byLabel(elements, 'Cc').getProperties().values.capacitance).to.equal(4.5e-12);
+            expect(byLabel(elements, 'L1').getProperties().values.inductance).to.equal(12e-9);
+            expect(byLabel(elements, 'R2').getProperties().values.resistance).to.equal(2e6);
+            expect(byLabel(elements, 'C2').getProperties().values.capacitance).to.equal(1e-3);
+        });
+
+        it('should draw the connectivity of the deck', () => {
+            const { elements } = SpiceNetlistAdapter.importDeck([
+                '* title',
+                'C1 1 0 1p', 'LJ1 1 gnd 10n', 'Cc 1 2 2p',
+                'C2 2 0 1p', 'L2 2 0 5n', 'R1 2 3 50',
+                'Cc2 1 3 1p', 'C3 3 0 1p',
+                '.end',
+            ].join('\n'));
+            const graph = NodeExtractionService.extract(elements);
+            const node = (label, k) => graph.terminalNodes.get(byLabel(elements, label).id)[k];
+
+            expect(graph.hasGround).to.be.true;
+            expect(byLabel(elements, 'J1').type).to.equal('junction');
+            expect(node('C1', 1)).to.equal(0);
+            expect(node('J1', 1)).to.equal(0);
+            expect(new Set([node('C1', 0), node('J1', 0), node('Cc', 0), node('Cc2', 0)]).size).to.equal(1);
+            expect(new Set([node('Cc', 1), node('C2', 0), node('L2', 0), node('R1', 0)]).size).to.equal(1);
+            expect(new Set([node('R1', 1), node('Cc2', 1), node('C3', 0)]).size).to.equal(1);
+            expect(graph.nodeIds).to.have.lengthOf(4);
+        });
+
+        it('should read parameters, continuation lines and comments', () => {
+            const { elements, parameters } = SpiceNetlistAdapter.importDeck([
+                'Parametrised transmon',
+                '.param Lj = 10n Cs=100f ; shunt',
+                'C1 1 0 {Cs}',
+                'XJ1 1 0 JJ',
+                '+ params: Lj={Lj}',
+                'L1 1 0 {Lr} $ no .param',
+                '.subckt JJ p n params: Lj=1e-9',
+                'L1 p n {Lj}',
+                '.ends JJ',
+                '.tran 1p 1n',
+                '.end',
+            ].join('\n'));
+
+            expect([...parameters]).to.deep.equal([['Lj', 10e-9], ['Cs', 100e-15], ['Lr', undefined]]);
+            expect(elements.filter(el => el.type in { capacitor: 1, inductor: 1, junction: 1 })).to.have.lengthOf(3);
+            const junction = byLabel(elements, 'Lj');
+            expect(junction.type).to.equal('junction');
+            expect(junction.getProperties().values.inductance).to.equal('variable');
+        });
+
+        it('should skip unsupported and shorted cards', () => {
+            const { elements, skipped } = SpiceNetlistAdapter.importDeck('R1 1 0 50\nV1 1 0 DC 1\nC1 1 1 1p\nR2 1 0 abc\n');
+
+            expect(elements.filter(el => el.type === 'resistor')).to.have.lengthOf(1);
+            expect(skipped.map(s => s.reason)).to.deep.equal([
+                'unsupported element type "V"',
+                'both ends are on node 1',
+                'cannot read the value "abc"',
+            ]);
+        });
+
+        it('should read back an exported deck', () => {
+            for (const junctionModel of ['inductor', 'subcircuit']) {
+                const deck = SpiceNetlistAdapter.exportToString(circuit, { junctionModel });
+                const { elements, skipped } = SpiceNetlistAdapter.importDeck(deck);
+                expect(skipped).to.be.empty;
+                expect(elements.filter(el => el.type === 'junction')).to.have.lengthOf(1);
+                expect(byLabel(elements, 'J1').getProperties().values.inductance).to.equal(10e-9);
+            }
+        });
+
+        it('should detect the netlist format', () => {
+            expect(NetlistImporter.detectFormat('R;0,0;1,0;50;R1')).to.equal('qucat');
+            expect(NetlistImporter.detectFormat('R1 1 0 50')).to.equal('spice');
+            expect(NetlistImporter.detectFormat('anything', 'deck.cir')).to.equal('spice');
+            expect(() => NetlistImporter.detectFormat('hello')).to.throw('Netlist format not recognised');
+            expect(NetlistImporter.importFromString('C1 1 0 1p').format).to.equal('spice');
+        });
+    });
+});
@@ -5,6 +5,7 @@ import { CircuitService } from '../../src/application/CircuitService.js';
 import { Resistor } from '../../src/domain/entities/Resistor.js';
 import { Wire } from '../../src/domain/entities/Wire.js';
 import { Ground } from '../../src/domain/entities/Ground.js';
+import { Junction } from '../../src/domain/entities/Junction.js';
 import { Position } from '../../src/domain/valueObjects/Position.js';
 import { Properties } from '../../src/domain/valueObjects/Properties.js';
 import { QucatNetlistAdapter } from '../../src/infrastructure/adapters/QucatNetlistAdapter.js';
@@ -29,6 +30,11 @@ describe('QucatNetlistAdapter roundtrip test with CircuitService', () => {
                 new Wire(id, nodes, label, properties instanceof Properties ? properties : new Properties(properties || {}))
             );
         }
+        if (!ElementRegistry.get('junction')) {
+            ElementRegistry.register('junction', (id, nodes, label = null, properties = new Properties({})) =>
+                new Junction(id, nodes, label, properties instanceof Properties ? properties : new Properties(properties || {}))
+            );
+        }
     });
 
     let originalElements;
@@ -164,6 +170,28 @@ describe('QucatNetlistAdapter roundtrip test with CircuitService', () => {
         assert.strictEqual(line, 'G;-2,-1;-1,-1;;');
     });
 
+    it('Should export parameter-bound values as an empty value with the parameter label', () => {
+        const circuit = new Circuit();
+        const service = new CircuitService(circuit, ElementRegistry);
+        service.addElement(new Resistor('R1', [new Position(0, 0), new Position(50, 0)], null, new Properties({ resistance: 50 })));
+        service.bindElementToParameter('R1', 'resistance', 'Rq');
+
+        const [line] = QucatNetlistAdapter.exportToString(circuit).trim().split('\n');
+        assert.strictEqual(line, 'R;0,0;1,0;;Rq');
+    });
+
+    it('Should export and import the Josephson inductance of junctions', () => {
+        const circuit = new Circuit();
+        const service = new CircuitService(circuit, ElementRegistry);
+        service.addElement(new Junction('J1', [new Position(0, 0), new Position(50, 0)], null, new Properties({ inductance: 10e-9 })));
+
+        const [line] = QucatNetlistAdapter.exportToString(circuit).trim().split('\n');
+        assert.strictEqual(line, 'J;0,0;1,0;1.0e-8;');
+
+        const [junction] = QucatNetlistAdapter.importFromString(line);
+        assert.strictEqual(junction.properties.values.inductance, 10e-9);
+    });
+
     it('Should import ground with nodes[0]=connection, nodes[1]=body', () => {
         // QuCat netlist: G;pos1(body);pos2(connection);;
         // Reference from QuCat example notebook: G;-2,-1;-2,0;;
@@ -108,4 +108,78 @@ describe('PropertyPanel Integration', () => {
     expect(commandDataSet).to.be.true;
     expect(commandExecuted).to.be.true;
   });
+
+  describe('value fields', () => {
+    // Minimal stand-in for the rendered form: a label input and value inputs
+    const mockForm = (label, fields) => {
+      const labelInput = { name: 'label', value: label };
+      const inputs = Object.entries(fields).map(([name, [value, unit, derivedFrom]]) => ({
+        name, value, type: 'text', tagName: 'INPUT', dataset: derivedFrom ? { unit, derivedFrom } : { unit }
+      }));
+      return {
+        querySelector: (selector) => (selector === '#label' ? labelInput : null),
+        querySelectorAll: () => inputs
+      };
+    };
+
+    it('should parse engineering notation', () => {
+      const propertyPanel = new PropertyPanel();
+      propertyPanel.panelElement = mockForm('Lj', {
+        inductance: ['4.5 nH', 'H'],
+        capacitance: ['2*50f', 'F']
+      });
+
+      const properties = propertyPanel.collectFormData();
+
+      expect(properties).to.deep.equal({ label: 'Lj', inductance: 4.5e-9, capacitance: 1e-13 });
+      expect(propertyPanel.fieldErrors).to.deep.equal({});
+    });
+
+    it('should keep parameter-bound values and report unreadable ones', () => {
+      const propertyPanel = new PropertyPanel();
+      propertyPanel.panelElement = mockForm('', {
+        resistance: ['variable', 'Ω'],
+        capacitance: ['1 xF', 'F']
+      });
+
+      const properties = propertyPanel.collectFormData();
+
+      expect(properties).to.deep.equal({ label: null, resistance: 'variable' });
+      expect(propertyPanel.fieldErrors.capacitance).to.equal('Cannot read "1 xF": unexpected "xF"');
+    });
+
+    it('should store the junction inductance from the field edited last', () => {
+      const propertyPanel = new PropertyPanel();
+      const form = () => mockForm('', {
+        inductance: ['8.169 nH', 'H'],
+        josephson_energy: ['20 GHz', 'Hz', 'inductance'],
+        critical_current: ['40.29 nA', 'A', 'inductance']
+      });
+
+      propertyPanel.panelElement = form();
+      expect(propertyPanel.collectFormData().inductance).to.equal(8.169e-9);
+
+      // E_J = φ0²/L_J: 20 GHz·h corresponds to L_J ≈ 8.17 nH
+      propertyPanel.conversionSources = { inductance: 'josephson_energy' };
+      expect(propertyPanel.collectFormData().inductance).to.be.closeTo(8.1731e-9, 1e-13);
+
+      // I_c = φ0/L_J
+      propertyPanel.conversionSources = { inductance: 'critical_current' };
+      expect(propertyPanel.collectFormData().inductance).to.be.closeTo(8.168e-9, 1e-12);
+    });
+
+    it('should show the Josephson energy and critical current of a junction', () => {
+      const propertyPanel = new PropertyPanel();
+      expect(propertyPanel.formatConvertedValue('josephson_energy', 'Hz', 10e-9)).to.equal('16.35 GHz');
+      expect(propertyPanel.formatConvertedValue('critical_current', 'A', 10e-9)).to.equal('32.91 nA');
+      expect(propertyPanel.formatConvertedValue('critical_current', 'A', 'variable')).to.equal('');
+    });
+
+    it('should fill value fields with values that read back unchanged', () => {
+      const propertyPanel = new PropertyPanel();
+      expect(propertyPanel.formatFieldValue(4.5678e-9, 'H')).to.equal('4.5678 nH');
+      expect(propertyPanel.formatFieldValue('variable', 'H')).to.equal('variable');
+      expect(propertyPanel.formatFieldValue(undefined, 'H')).to.equal('');
+    });
+  });
 });
\ No newline at end of file
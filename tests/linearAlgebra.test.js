@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import {
+    zeros,
+    transpose,
+    matMul,
+    symmetricEigen,
+    pseudoInverseSymmetric,
+    generalizedSymmetricEigen,
+    solveComplex,
+    linspace,
+    geomspace,
+} from '../src/utils/linearAlgebra.js';
+
+describe('linearAlgebra', () => {
+    it('should build, transpose and multiply matrices', () => {
+        expect(zeros(2, 3)).to.deep.equal([[0, 0, 0], [0, 0, 0]]);
+        expect(transpose([[1, 2, 3]])).to.deep.equal([[1], [2], [3]]);
+        expect(matMul([[1, 2], [3, 4]], [[5], [6]])).to.deep.equal([[17], [39]]);
+    });
+
+    it('should diagonalise a symmetric matrix', () => {
+        const A = [[2, 1, 0], [1, 2, 1], [0, 1, 2]];
+        const { values, vectors } = symmetricEigen(A);
+
+        expect(values[0]).to.be.closeTo(2 - Math.SQRT2, 1e-12);
+        expect(values[1]).to.be.closeTo(2, 1e-12);
+        expect(values[2]).to.be.closeTo(2 + Math.SQRT2, 1e-12);
+
+        vectors.forEach((v, k) => {
+            const Av = matMul(A, v.map(x => [x])).map(row => row[0]);
+            Av.forEach((x, i) => expect(x).to.be.closeTo(values[k] * v[i], 1e-12));
+        });
+    });
+
+    it('should pseudo-invert a singular symmetric matrix', () => {
+        const A = [[1, -1], [-1, 1]];
+        const P = pseudoInverseSymmetric(A);
+        // A·P·A = A
+        const APA = matMul(A, matMul(P, A));
+        APA.forEach((row, i) => row.forEach((x, j) => expect(x).to.be.closeTo(A[i][j], 1e-12)));
+    });
+
+    it('should solve a generalized problem with a singular mass matrix', () => {
+        // Node 1 carries all the mass; node 2 is massless and eliminated.
+        const K = [[1, -1], [-1, 2]];
+        const M = [[1, 0], [0, 0]];
+        const { values, vectors } = generalizedSymmetricEigen(K, M);
+
+        expect(values).to.have.length(1);
+        expect(values[0]).to.be.closeTo(0.5, 1e-12);
+        // Massless node follows the static solution x2 = x1 / 2, and xᵀMx = 1.
+        expect(Math.abs(vectors[0][0])).to.be.closeTo(1, 1e-12);
+        expect(vectors[0][1] / vectors[0][0]).to.be.closeTo(0.5, 1e-12);
+    });
+
+    it('should return nothing for a zero mass matrix', () => {
+        expect(generalizedSymmetricEigen([[1]], [[0]])).to.deep.equal({ values: [], vectors: [] });
+    });
+
+    it('should solve a complex linear system', () => {
+        // (1 + i)·x + y = 2 + i ; x + (2 − i)·y = 3 − i, with solution x = 1, y = 1.
+        const { re, im } = solveComplex([[1, 1], [1, 2]], [[1, 0], [0, -1]], [2, 3], [1, -1]);
+        re.forEach(x => expect(x).to.be.closeTo(1, 1e-12));
+        im.forEach(x => expect(x).to.be.closeTo(0, 1e-12));
+    });
+
+    it('should reject a singular complex system', () => {
+        expect(() => solveComplex([[1, 1], [1, 1]], [[0, 0], [0, 0]], [1, 1], [0, 0])).to.throw('Singular matrix');
+    });
+
+    it('should build linear and geometric grids', () => {
+        expect(linspace(1, 3, 3)).to.deep.equal([1, 2, 3]);
+        const grid = geomspace(1e6, 1e9, 4);
+        [1e6, 1e7, 1e8, 1e9].forEach((x, i) => expect(grid[i] / x).to.be.closeTo(1, 1e-12));
+    });
+});
@@ -0,0 +1,41 @@
+import { expect } from "chai";
+import { setPngDpi } from "../src/utils/pngDpi.js";
+
+// 1×1 transparent PNG
+const PIXEL = Uint8Array.from(Buffer.from(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+    "base64"
+));
+
+const chunkTypes = (png) => {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const types = [];
+    for (let offset = 8; offset < png.length; offset += 12 + view.getUint32(offset)) {
+        types.push(String.fromCharCode(...png.subarray(offset + 4, offset + 8)));
+    }
+    return types;
+};
+
+describe("setPngDpi", function () {
+    it("should insert a pHYs chunk after the header", function () {
+        const png = setPngDpi(PIXEL, 300);
+
+        expect(chunkTypes(png)).to.deep.equal(["IHDR", "pHYs", "IDAT", "IEND"]);
+        const view = new DataView(png.buffer);
+        expect(view.getUint32(33 + 8)).to.equal(11811); // 300 DPI in pixels per metre
+        expect(png[33 + 16]).to.equal(1);
+        // CRC of "pHYs" + data, as computed by zlib
+        expect(view.getUint32(33 + 17).toString(16)).to.equal("78a53f76");
+    });
+
+    it("should replace an existing pHYs chunk", function () {
+        const png = setPngDpi(setPngDpi(PIXEL, 300), 96);
+
+        expect(chunkTypes(png)).to.deep.equal(["IHDR", "pHYs", "IDAT", "IEND"]);
+        expect(new DataView(png.buffer).getUint32(33 + 8)).to.equal(3780);
+    });
+
+    it("should reject other files", function () {
+        expect(() => setPngDpi(new TextEncoder().encode("not a png at all, clearly not one"), 300)).to.throw("Not a PNG file");
+    });
+});